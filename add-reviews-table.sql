@@ -1,24 +1,146 @@
 -- Run this SQL script to add the reviews table to your existing database
 -- This preserves your existing data
 
+-- Create sources table: retailers we collect reviews from
+-- Rows mirror the source adapters in backend/src/sources (the backend inserts any
+-- newly registered adapter on startup), so adding a retailer needs no schema change.
+CREATE TABLE IF NOT EXISTS sources (
+  id VARCHAR(50) PRIMARY KEY,            -- Scraper source id, e.g. 'amazon'
+  name VARCHAR(100) NOT NULL UNIQUE,     -- Display name stored in reviews.source, e.g. 'Amazon'
+  description VARCHAR(255),
+  color VARCHAR(20) NOT NULL DEFAULT 'gray',  -- Badge colour used by the frontend
+  rating_min DECIMAL(5,2) NOT NULL DEFAULT 1,  -- The retailer's own rating scale
+  rating_max DECIMAL(5,2) NOT NULL DEFAULT 5,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO sources (id, name, description, color, rating_min, rating_max) VALUES
+('amazon', 'Amazon', 'Amazon product reviews', 'orange', 1, 5),
+('bestbuy', 'BestBuy', 'Best Buy customer reviews', 'blue', 1, 5),
+('walmart', 'Walmart', 'Walmart product ratings', 'green', 1, 5)
+ON DUPLICATE KEY UPDATE name = VALUES(name);
+
 -- Create reviews table for product reviews from multiple sources
 CREATE TABLE IF NOT EXISTS reviews (
   id INT AUTO_INCREMENT PRIMARY KEY,
   product_id INT NOT NULL,
-  source ENUM('Amazon', 'BestBuy', 'Walmart') NOT NULL,
+  source VARCHAR(100) NOT NULL,  -- Display name from the sources table
+  external_id VARCHAR(255),  -- ID assigned by the source (NULL for manually entered reviews)
   reviewer_name VARCHAR(255) NOT NULL,
-  rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
+  -- Ratings: `rating` is normalized to 0-5 so all sources compare; the source's
+  -- own value and scale are kept as well (e.g. 8 on a 1-10 scale → rating 4.00)
+  rating DECIMAL(3,2) NOT NULL,
+  original_rating DECIMAL(10,2),  -- NULL means "same as rating" (e.g. the sample data below)
+  rating_scale_min DECIMAL(10,2) NOT NULL DEFAULT 1,
+  rating_scale_max DECIMAL(10,2) NOT NULL DEFAULT 5,
   title VARCHAR(500) NOT NULL,
   content TEXT NOT NULL,
   review_date DATE,
   helpful_votes INT DEFAULT 0,
   verified_purchase BOOLEAN DEFAULT FALSE,
+  duplicate_cluster_id INT NULL,  -- id of the earliest review in its near-duplicate cluster (see reviewDedup.js)
+  -- Moderation (see backend/src/services/moderation.js): only approved reviews
+  -- are published, i.e. listed by default and counted in statistics
+  moderation_status ENUM('pending', 'approved', 'rejected', 'flagged') NOT NULL DEFAULT 'pending',
+  moderation_reason VARCHAR(50),  -- Reason code, e.g. 'spam' (see MODERATION_REASONS)
+  moderation_note VARCHAR(500),
+  moderated_by VARCHAR(255),
+  moderated_at TIMESTAMP NULL,
+  -- Spam scoring (see backend/src/services/reviewSpam.js): 0-100, NULL until
+  -- scored; reviews at/above the threshold are left out of statistics
+  spam_score TINYINT UNSIGNED NULL,
+  spam_signals JSON NULL,  -- Signals that raised the score, e.g. ["short_text", "unverified_purchase"]
+  -- Text sentiment from -1 (negative) to +1 (positive), see backend/src/services/sentiment.js;
+  -- NULL until analyzed (the backend analyzes the sample data when it starts)
+  sentiment_score DECIMAL(4,3) NULL,
+  -- Rating that contradicts the text sentiment (see backend/src/services/ratingAnomalies.js):
+  -- 'negative_text' = high rating over negative text, 'positive_text' = the reverse
+  rating_anomaly ENUM('negative_text', 'positive_text') NULL,
+  -- Detected language, an ISO 639-1 code such as 'en' (see backend/src/services/language.js);
+  -- 'und' = undetermined, NULL = not checked yet (the backend checks the sample data when it starts)
+  language VARCHAR(8) NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+  CONSTRAINT fk_reviews_source FOREIGN KEY (source) REFERENCES sources(name) ON UPDATE CASCADE,
+  CONSTRAINT chk_reviews_rating CHECK (rating >= 0 AND rating <= 5),
   INDEX idx_reviews_product (product_id),
   INDEX idx_reviews_source (source),
   INDEX idx_reviews_rating (rating),
-  INDEX idx_reviews_date (review_date DESC)
+  INDEX idx_reviews_date (review_date DESC),
+  INDEX idx_reviews_duplicates (product_id, duplicate_cluster_id),
+  -- Reviews of a product dated the same day (review_burst spam signal, see services/reviewSpam.js)
+  INDEX idx_reviews_product_date (product_id, review_date),
+  -- Cursor pagination of GET /api/reviews (newest first, see queries.reviews.list)
+  INDEX idx_reviews_product_created (product_id, created_at),
+  INDEX idx_reviews_created (created_at),
+  -- Moderation queue (GET /api/moderation/queue, oldest first per status)
+  INDEX idx_reviews_moderation (moderation_status, created_at),
+  -- Rating / text mismatches per source (GET /api/reviews/anomalies)
+  INDEX idx_reviews_anomaly (rating_anomaly, source),
+  -- Language filter of GET /api/reviews and language counts per product
+  INDEX idx_reviews_product_language (product_id, language),
+  -- Full-text search over review text (GET /api/reviews/search)
+  FULLTEXT INDEX ft_reviews_text (title, content),
+  -- A source's review ID is only unique within that source. Multiple NULLs are
+  -- allowed, so manually entered reviews (no external_id) are unaffected.
+  UNIQUE KEY uq_reviews_source_external (source, external_id)
+);
+
+-- Create product_review_stats table: precomputed review aggregates per product
+-- The backend recomputes a product's row in the same transaction as every
+-- review write (see backend/src/services/reviewStats.js), so
+-- GET /api/reviews/aggregate/:productId and product lists read one row instead
+-- of scanning reviews. Products without reviews have no row.
+-- Repair with: npm --workspace=backend run stats:rebuild
+CREATE TABLE IF NOT EXISTS product_review_stats (
+  product_id INT PRIMARY KEY,
+  review_count INT NOT NULL,
+  rating_sum DECIMAL(12,2) NOT NULL,  -- Sum of normalized 0-5 ratings
+  average_rating DECIMAL(6,4) AS (rating_sum / review_count) STORED,
+  min_rating DECIMAL(3,2) NOT NULL,
+  max_rating DECIMAL(3,2) NOT NULL,
+  -- Histogram: reviews per star, ratings rounded to the nearest star (1-5)
+  stars_1 INT NOT NULL DEFAULT 0,
+  stars_2 INT NOT NULL DEFAULT 0,
+  stars_3 INT NOT NULL DEFAULT 0,
+  stars_4 INT NOT NULL DEFAULT 0,
+  stars_5 INT NOT NULL DEFAULT 0,
+  last_review_date DATE,
+  -- One entry per source: review_count, rating_sum, original_rating_sum,
+  -- scale_count, rating_scale_min, rating_scale_max
+  source_breakdown JSON NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+  INDEX idx_review_stats_rating (average_rating),
+  INDEX idx_review_stats_count (review_count)
+);
+
+-- Create review_edits table: edit history of reviews (PUT / PATCH /api/reviews/:id)
+-- One row per edit that changed something, with every changed column's
+-- value before and after, so moderators can see and undo corrections.
+CREATE TABLE IF NOT EXISTS review_edits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  review_id INT NOT NULL,
+  edited_by VARCHAR(255) NOT NULL,
+  reason VARCHAR(500),
+  changes JSON NOT NULL,  -- { column: { before, after } }
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+  INDEX idx_review_edits_review (review_id, created_at)
+);
+
+-- Create product_text_summaries table: cached extractive review summaries
+-- The most representative review sentences of a product (see
+-- backend/src/services/textSummary.js) for GET /api/products/:id/summary.
+-- review_set_key is a hash of the reviews the summary was built from; when the
+-- product's reviews change, the key no longer matches and the summary is rebuilt.
+CREATE TABLE IF NOT EXISTS product_text_summaries (
+  product_id INT PRIMARY KEY,
+  review_set_key CHAR(40) NOT NULL,  -- SHA-1 of the summarized reviews' ids and text
+  review_count INT NOT NULL,
+  sentences JSON NOT NULL,  -- [{ text, review_id, source, reviewer_name, rating, score }]
+  generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
 );
 
 -- Insert sample reviews for product 1 (USB-C Charger)
@@ -31,4 +153,8 @@ INSERT INTO reviews (product_id, source, reviewer_name, rating, title, content,
 (1, 'Walmart', 'Robert Taylor', 5, 'Great product!', 'Fast shipping and the charger works exactly as described. No complaints at all. Would buy again.', '2025-09-12', 9, TRUE),
 (1, 'Walmart', 'Amanda White', 4, 'Solid purchase', 'Good quality charger that handles multiple devices well. The price is reasonable for what you get.', '2025-09-01', 5, TRUE);
 
+-- The sample reviews are published (new reviews start out 'pending')
+UPDATE reviews SET moderation_status = 'approved';
 
+-- product_review_stats starts empty. The sample reviews have no spam score
+-- yet, so the backend scores them and fills their statistics when it starts.
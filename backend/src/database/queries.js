@@ -19,6 +19,258 @@
  * - Implement query caching for frequently used queries
  */
 
+/**
+ * Per-product review statistics, joined into product queries as `rs`
+ * Reads the precomputed product_review_stats rows (no row = no reviews yet).
+ */
+const PRODUCT_REVIEW_STATS_JOIN = `
+  LEFT JOIN product_review_stats rs ON rs.product_id = p.id`;
+
+/**
+ * Condition for published reviews: only approved ones (see services/moderation.js)
+ * Statistics, scores, trends, search and product filters count no other review.
+ *
+ * @param {string} [alias] - Alias of the reviews table, e.g. 'r'
+ * @returns {string} SQL condition
+ */
+const published = (alias) => `${alias ? `${alias}.` : ''}moderation_status = 'approved'`;
+
+/**
+ * Spam scores (0-100) at or above this mark a review as suspicious
+ * (see services/reviewSpam.js)
+ */
+export const SPAM_SCORE_THRESHOLD = 60;
+
+/**
+ * Condition for reviews that count in statistics, scores and trends:
+ * published and not suspicious. Reviews never scored (NULL) count.
+ *
+ * @param {string} [alias] - Alias of the reviews table, e.g. 'r'
+ * @returns {string} SQL condition
+ */
+const counted = (alias) => {
+  const column = `${alias ? `${alias}.` : ''}spam_score`;
+  return `${published(alias)} AND (${column} IS NULL OR ${column} < ${SPAM_SCORE_THRESHOLD})`;
+};
+
+// Columns spam scoring reads (services/reviewSpam.js)
+const SPAM_COLUMNS = `id, product_id, reviewer_name, rating, title, content, review_date,
+                verified_purchase, sentiment_score, spam_score, spam_signals`;
+
+/**
+ * Allowed product sort orders (`sort` query param → ORDER BY clause)
+ *
+ * Student Note: ORDER BY columns cannot be sent as `?` placeholders, so user
+ * input must never be pasted into the SQL. Instead the client picks a *key*
+ * and we look up SQL we wrote ourselves — anything else is rejected by the
+ * validator. Products without reviews sort last in both directions, and
+ * `p.id` breaks ties so pages don't overlap.
+ */
+export const PRODUCT_SORTS = {
+  created_desc: 'p.created_at DESC',
+  created_asc: 'p.created_at ASC',
+  price_asc: 'p.price ASC',
+  price_desc: 'p.price DESC',
+  name_asc: 'p.name ASC',
+  name_desc: 'p.name DESC',
+  rating_desc: 'rs.average_rating IS NULL, rs.average_rating DESC',
+  rating_asc: 'rs.average_rating IS NULL, rs.average_rating ASC',
+  review_count_desc: 'COALESCE(rs.review_count, 0) DESC',
+  review_count_asc: 'COALESCE(rs.review_count, 0) ASC',
+  last_reviewed_desc: 'rs.last_review_date IS NULL, rs.last_review_date DESC',
+  last_reviewed_asc: 'rs.last_review_date IS NULL, rs.last_review_date ASC',
+};
+
+export const DEFAULT_PRODUCT_SORT = 'created_desc';
+
+/**
+ * ORDER BY clause for a whitelisted sort key (unknown keys fall back to the default)
+ */
+function productOrderBy(sort) {
+  const clause = PRODUCT_SORTS[sort] || PRODUCT_SORTS[DEFAULT_PRODUCT_SORT];
+  return `${clause}, p.id DESC`;
+}
+
+/**
+ * WHERE clause for product searches and their facets
+ * Facet queries pass the filter they count by in `exclude`, so choosing a
+ * category still shows how many results the other categories would have.
+ *
+ * @param {Object} filters - See queries.products.search()
+ * @param {string} [exclude] - 'category' | 'price' | 'rating' filter to leave out
+ * @returns {[string, Array]} WHERE clause (or '') and its parameters
+ */
+function productFilters(filters, exclude) {
+  const { match, categoryId, minPrice, maxPrice, minRating, minReviews, sources } = filters;
+  const conditions = [];
+  const params = [];
+
+  if (match) {
+    conditions.push('MATCH(p.name, p.description) AGAINST (? IN BOOLEAN MODE)');
+    params.push(match);
+  }
+  if (categoryId && exclude !== 'category') {
+    conditions.push('p.category_id = ?');
+    params.push(categoryId);
+  }
+  if (minPrice !== undefined && minPrice !== null && exclude !== 'price') {
+    conditions.push('p.price >= ?');
+    params.push(minPrice);
+  }
+  if (maxPrice !== undefined && maxPrice !== null && exclude !== 'price') {
+    conditions.push('p.price <= ?');
+    params.push(maxPrice);
+  }
+  if (minRating !== undefined && minRating !== null && exclude !== 'rating') {
+    conditions.push('rs.average_rating >= ?');
+    params.push(minRating);
+  }
+  if (minReviews) {
+    conditions.push('COALESCE(rs.review_count, 0) >= ?');
+    params.push(minReviews);
+  }
+  if (sources && sources.length > 0) {
+    conditions.push(`EXISTS (SELECT 1 FROM reviews sr
+      WHERE sr.product_id = p.id AND sr.source IN (?) AND ${published('sr')})`);
+    params.push(sources);
+  }
+
+  return [conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params];
+}
+
+/**
+ * Allowed review sort orders (`sort` query param of GET /api/reviews)
+ *
+ * Each sort is one key expression and a direction; `r.id` (same direction)
+ * breaks ties, and cursors store the key's value to continue after it.
+ * Keys must never be NULL, or "after this value" comparisons fail: reviews
+ * without a review_date are dated by when we stored them.
+ */
+export const REVIEW_SORTS = {
+  created_desc: { key: 'r.created_at', direction: 'DESC' },
+  created_asc: { key: 'r.created_at', direction: 'ASC' },
+  helpful_desc: { key: 'COALESCE(r.helpful_votes, 0)', direction: 'DESC' },
+  review_date_desc: { key: 'COALESCE(r.review_date, DATE(r.created_at))', direction: 'DESC' },
+  review_date_asc: { key: 'COALESCE(r.review_date, DATE(r.created_at))', direction: 'ASC' },
+  rating_desc: { key: 'r.rating', direction: 'DESC' },
+  rating_asc: { key: 'r.rating', direction: 'ASC' },
+};
+
+export const DEFAULT_REVIEW_SORT = 'created_desc';
+
+/**
+ * Filter conditions shared by queries.reviews.list() and countList()
+ * Assumes the reviews table is aliased as `r`. Returned as a list so list()
+ * can add its cursor condition before joining them.
+ *
+ * @param {Object} filters - See queries.reviews.list()
+ * @returns {[string[], Array]} Conditions and their parameters
+ */
+function reviewListFilters({
+  moderationStatus, productId, source, minRating, maxRating, verifiedPurchase, dateFrom, dateTo, hasText, reviewer,
+  suspicious, maxSpamScore, anomaly, language
+}) {
+  const conditions = [];
+  const params = [];
+
+  if (moderationStatus) {
+    conditions.push('r.moderation_status = ?');
+    params.push(moderationStatus);
+  }
+  if (productId) {
+    conditions.push('r.product_id = ?');
+    params.push(productId);
+  }
+  if (source) {
+    conditions.push('r.source = ?');
+    params.push(source);
+  }
+  if (minRating !== undefined && minRating !== null) {
+    conditions.push('r.rating >= ?');
+    params.push(minRating);
+  }
+  if (maxRating !== undefined && maxRating !== null) {
+    conditions.push('r.rating <= ?');
+    params.push(maxRating);
+  }
+  if (verifiedPurchase !== undefined && verifiedPurchase !== null) {
+    conditions.push('r.verified_purchase = ?');
+    params.push(verifiedPurchase);
+  }
+  if (dateFrom) {
+    conditions.push('r.review_date >= ?');
+    params.push(dateFrom);
+  }
+  if (dateTo) {
+    conditions.push('r.review_date <= ?');
+    params.push(dateTo);
+  }
+  if (hasText !== undefined && hasText !== null) {
+    conditions.push(hasText ? "TRIM(r.content) <> ''" : "TRIM(r.content) = ''");
+  }
+  if (reviewer) {
+    // Substring match; escape LIKE wildcards typed by the user
+    conditions.push('r.reviewer_name LIKE ?');
+    params.push(`%${reviewer.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  if (suspicious !== undefined && suspicious !== null) {
+    conditions.push(suspicious
+      ? 'r.spam_score >= ?'
+      : '(r.spam_score IS NULL OR r.spam_score < ?)');
+    params.push(SPAM_SCORE_THRESHOLD);
+  }
+  if (maxSpamScore !== undefined && maxSpamScore !== null) {
+    conditions.push('COALESCE(r.spam_score, 0) <= ?');
+    params.push(maxSpamScore);
+  }
+  if (anomaly === 'any') {
+    conditions.push('r.rating_anomaly IS NOT NULL');
+  } else if (anomaly) {
+    conditions.push('r.rating_anomaly = ?');
+    params.push(anomaly);
+  }
+  if (language === 'unknown') {
+    conditions.push("(r.language IS NULL OR r.language = 'und')");
+  } else if (language) {
+    conditions.push('r.language = ?');
+    params.push(language);
+  }
+
+  return [conditions, params];
+}
+
+const whereClause = (conditions) => (conditions.length ? `WHERE ${conditions.join(' AND ')}` : '');
+
+/**
+ * WHERE clause shared by queries.reviews.search() and countSearch()
+ * Assumes the reviews table is aliased as `r`.
+ *
+ * @returns {[string, Array]} WHERE clause and its parameters
+ */
+function searchWhere({ q, productId, source, minRating, maxRating }) {
+  let where = `WHERE MATCH(r.title, r.content) AGAINST (? IN NATURAL LANGUAGE MODE) AND ${published('r')}`;
+  const params = [q];
+
+  if (productId) {
+    where += ' AND r.product_id = ?';
+    params.push(productId);
+  }
+  if (source) {
+    where += ' AND r.source = ?';
+    params.push(source);
+  }
+  if (minRating !== undefined && minRating !== null) {
+    where += ' AND r.rating >= ?';
+    params.push(minRating);
+  }
+  if (maxRating !== undefined && maxRating !== null) {
+    where += ' AND r.rating <= ?';
+    params.push(maxRating);
+  }
+
+  return [where, params];
+}
+
 export const queries = {
   products: {
     /**
@@ -56,6 +308,33 @@ export const queries = {
       ];
     },
 
+    /**
+     * Lock a product row until the transaction ends (empty result if it does not exist)
+     * Used to serialize work per product, e.g. queueing one refresh at a time.
+     *
+     * @param {number} id - Product ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    lockById(id) {
+      return [
+        `SELECT id FROM products WHERE id = ? FOR UPDATE`,
+        [id]
+      ];
+    },
+
+    /**
+     * Which of some product IDs exist (e.g. before saving reviews for them)
+     *
+     * @param {number[]} ids - Product IDs (non-empty)
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectExistingIds(ids) {
+      return [
+        `SELECT id FROM products WHERE id IN (?)`,
+        [ids]
+      ];
+    },
+
     /**
      * Get paginated products with optional category filtering
      * Returns: [query, parameters] tuple for pool.query()
@@ -68,10 +347,13 @@ export const queries = {
      * @param {number} options.page - Page number (1-based)
      * @param {number} options.perPage - Items per page
      * @param {number|null} options.categoryId - Optional category filter
+     * @param {string} [options.sort] - Key of PRODUCT_SORTS (default newest first)
      * @returns {[string, Array]} Query and parameters array
      */
-    selectPaginated({ page, perPage, categoryId }) {
+    selectPaginated({ page, perPage, categoryId, sort = DEFAULT_PRODUCT_SORT }) {
       const where = categoryId ? 'WHERE p.category_id = ?' : '';
+      // Rating / review sorts need the per-product review aggregates
+      const statsJoin = PRODUCT_SORTS[sort]?.includes('rs.') ? PRODUCT_REVIEW_STATS_JOIN : '';
       const offset = (page - 1) * perPage;
       
       // Build parameters array dynamically based on whether we have a category filter
@@ -81,8 +363,9 @@ export const queries = {
       
       return [
         `${this.selectWithCategory} 
+         ${statsJoin}
          ${where} 
-         ORDER BY p.created_at DESC 
+         ORDER BY ${productOrderBy(sort)} 
          LIMIT ? OFFSET ?`,
         params
       ];
@@ -151,6 +434,130 @@ export const queries = {
       };
     },
 
+    /**
+     * Search products with filters, best text matches first
+     *
+     * Student Note: BOOLEAN MODE lets us require every word (+word) and match
+     * prefixes (word*), so "usb char" finds "USB-C Charger". Text searches
+     * are ordered by relevance unless a `sort` is given.
+     *
+     * @param {Object} filters
+     * @param {string} [filters.match] - Boolean-mode FULLTEXT query (e.g. '+usb* +char*')
+     * @param {number} [filters.categoryId] - Only this category
+     * @param {number} [filters.minPrice] - Minimum price
+     * @param {number} [filters.maxPrice] - Maximum price
+     * @param {number} [filters.minRating] - Minimum average review rating
+     * @param {number} [filters.minReviews] - Minimum number of reviews
+     * @param {string[]} [filters.sources] - Only products with reviews from any of these sources
+     * @param {Object} paging
+     * @param {number} paging.page - Page number (1-based)
+     * @param {number} paging.perPage - Items per page
+     * @param {string} [paging.sort] - Key of PRODUCT_SORTS; without it, text searches
+     *   are ordered by relevance and others newest first
+     * @returns {[string, Array]} Query and parameters array
+     */
+    search(filters, { page, perPage, sort }) {
+      const [where, params] = productFilters(filters);
+      const relevance = filters.match
+        ? 'MATCH(p.name, p.description) AGAINST (? IN BOOLEAN MODE)'
+        : '0';
+      const order = !sort && filters.match ? 'relevance DESC, p.id DESC' : productOrderBy(sort);
+
+      return [
+        `SELECT
+           p.id, p.name, p.description, p.price, p.image_url, p.created_at,
+           c.id AS category_id, c.name AS category_name,
+           rs.average_rating, COALESCE(rs.review_count, 0) AS review_count,
+           ${relevance} AS relevance
+         FROM products p
+         LEFT JOIN categories c ON p.category_id = c.id
+         ${PRODUCT_REVIEW_STATS_JOIN}
+         ${where}
+         ORDER BY ${order}
+         LIMIT ? OFFSET ?`,
+        [...(filters.match ? [filters.match] : []), ...params, perPage, (page - 1) * perPage]
+      ];
+    },
+
+    /**
+     * Count products matching search() filters
+     *
+     * @param {Object} filters - See search()
+     * @returns {[string, Array]} Query and parameters array
+     */
+    countSearch(filters) {
+      const [where, params] = productFilters(filters);
+      return [
+        `SELECT COUNT(*) AS total FROM products p ${PRODUCT_REVIEW_STATS_JOIN} ${where}`,
+        params
+      ];
+    },
+
+    /**
+     * Facet: matching products per category (ignores the category filter)
+     *
+     * @param {Object} filters - See search()
+     * @returns {[string, Array]} Query and parameters array
+     */
+    facetCategories(filters) {
+      const [where, params] = productFilters(filters, 'category');
+      return [
+        `SELECT c.id, c.name, COUNT(*) AS count
+         FROM products p
+         LEFT JOIN categories c ON p.category_id = c.id
+         ${PRODUCT_REVIEW_STATS_JOIN}
+         ${where}
+         GROUP BY c.id, c.name
+         ORDER BY c.name`,
+        params
+      ];
+    },
+
+    /**
+     * Facet: matching products per price bucket (ignores the price filters)
+     * Buckets are [min, max) ranges; max null means "and above".
+     *
+     * @param {Object} filters - See search()
+     * @param {Array<{key: string, min: number, max: number|null}>} buckets - Price buckets
+     * @returns {[string, Array]} Query and parameters array
+     */
+    facetPrice(filters, buckets) {
+      const [where, params] = productFilters(filters, 'price');
+      const cases = buckets.map((b) => (b.max === null ? 'WHEN p.price >= ? THEN ?' : 'WHEN p.price >= ? AND p.price < ? THEN ?'));
+      const caseParams = buckets.flatMap((b) => (b.max === null ? [b.min, b.key] : [b.min, b.max, b.key]));
+      return [
+        `SELECT CASE ${cases.join(' ')} END AS bucket, COUNT(*) AS count
+         FROM products p
+         ${PRODUCT_REVIEW_STATS_JOIN}
+         ${where}
+         GROUP BY bucket`,
+        [...caseParams, ...params]
+      ];
+    },
+
+    /**
+     * Facet: matching products per average-rating band (ignores the rating filter)
+     * Products without reviews are counted under 'unrated'.
+     *
+     * @param {Object} filters - See search()
+     * @param {Array<{key: string, min: number}>} bands - Rating bands, highest first
+     * @returns {[string, Array]} Query and parameters array
+     */
+    facetRating(filters, bands) {
+      const [where, params] = productFilters(filters, 'rating');
+      const cases = bands.map(() => 'WHEN rs.average_rating >= ? THEN ?');
+      const caseParams = bands.flatMap((b) => [b.min, b.key]);
+      return [
+        `SELECT CASE WHEN rs.average_rating IS NULL THEN 'unrated' ${cases.join(' ')} END AS band,
+                COUNT(*) AS count
+         FROM products p
+         ${PRODUCT_REVIEW_STATS_JOIN}
+         ${where}
+         GROUP BY band`,
+        [...caseParams, ...params]
+      ];
+    },
+
     /**
      * Delete a product by ID
      * Simple DELETE query
@@ -166,6 +573,1101 @@ export const queries = {
     }
   },
 
+  reviews: {
+    /**
+     * Find a stored review by its source and the source's own ID
+     * Used by upserts to decide between INSERT, UPDATE or "nothing to do"
+     *
+     * @param {string} source - Review source (e.g. 'Amazon')
+     * @param {string} externalId - ID assigned by the source
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectByExternalId(source, externalId) {
+      return [
+        `SELECT id, product_id, source, external_id, reviewer_name, rating,
+                original_rating, rating_scale_min, rating_scale_max, title, content,
+                review_date, verified_purchase, helpful_votes, moderation_status
+         FROM reviews
+         WHERE source = ? AND external_id = ?`,
+        [source, externalId]
+      ];
+    },
+
+    /**
+     * Same as selectByExternalId(), as a locking read
+     * A locking read sees the latest committed row even inside a REPEATABLE
+     * READ transaction, whose plain SELECTs keep returning its first snapshot.
+     *
+     * @param {string} source - Review source (e.g. 'Amazon')
+     * @param {string} externalId - ID assigned by the source
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectByExternalIdForUpdate(source, externalId) {
+      const [sql, params] = this.selectByExternalId(source, externalId);
+      return [`${sql} FOR UPDATE`, params];
+    },
+
+    /**
+     * Insert a single review row
+     *
+     * `rating` is the normalized 0-5 value; the source's own value and scale
+     * go in original_rating / rating_scale_min / rating_scale_max.
+     * `sentiment_score` comes from services/sentiment.js (NULL = not analyzed),
+     * `rating_anomaly` from services/ratingAnomalies.js, `language` from
+     * services/language.js (NULL = not checked).
+     *
+     * @param {Object} review - Review data using `reviews` column names
+     * @returns {[string, Array]} Query and parameters array
+     */
+    insert(review) {
+      const {
+        product_id, source, external_id, reviewer_name, rating,
+        original_rating, rating_scale_min, rating_scale_max,
+        title, content, review_date, verified_purchase, helpful_votes, sentiment_score,
+        rating_anomaly, language
+      } = review;
+
+      return [
+        `INSERT INTO reviews
+         (product_id, source, external_id, reviewer_name, rating,
+          original_rating, rating_scale_min, rating_scale_max,
+          title, content, review_date, verified_purchase, helpful_votes, sentiment_score,
+          rating_anomaly, language)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          product_id, source, external_id || null, reviewer_name, rating,
+          original_rating ?? rating, rating_scale_min ?? 1, rating_scale_max ?? 5,
+          title, content, review_date || null, Boolean(verified_purchase), helpful_votes || 0,
+          sentiment_score ?? null, rating_anomaly ?? null, language ?? null
+        ]
+      ];
+    },
+
+    /**
+     * Select a single review by ID (all columns)
+     *
+     * @param {number} id - Review ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectById(id) {
+      return [
+        `SELECT * FROM reviews WHERE id = ?`,
+        [id]
+      ];
+    },
+
+    /**
+     * Same as selectById(), locking the row until the transaction ends
+     * Used by edits so two moderators cannot overwrite each other's change.
+     *
+     * @param {number} id - Review ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectByIdForUpdate(id) {
+      const [sql, params] = this.selectById(id);
+      return [`${sql} FOR UPDATE`, params];
+    },
+
+    /**
+     * Overwrite the fields of an existing review
+     * Sources can edit reviews after publication, so a re-scrape refreshes them;
+     * moderators correct them with PUT / PATCH /api/reviews/:id
+     *
+     * @param {number} id - Review ID to update
+     * @param {Object} review - Review data using `reviews` column names
+     * @returns {[string, Array]} Query and parameters array
+     */
+    update(id, review) {
+      const {
+        product_id, source, external_id, reviewer_name, rating,
+        original_rating, rating_scale_min, rating_scale_max,
+        title, content, review_date, verified_purchase, helpful_votes, sentiment_score,
+        rating_anomaly, language
+      } = review;
+
+      return [
+        `UPDATE reviews
+         SET product_id = ?, source = ?, external_id = ?, reviewer_name = ?, rating = ?,
+             original_rating = ?, rating_scale_min = ?, rating_scale_max = ?,
+             title = ?, content = ?, review_date = ?, verified_purchase = ?, helpful_votes = ?,
+             sentiment_score = ?, rating_anomaly = ?, language = ?
+         WHERE id = ?`,
+        [
+          product_id, source, external_id || null, reviewer_name, rating,
+          original_rating ?? rating, rating_scale_min ?? 1, rating_scale_max ?? 5,
+          title, content, review_date || null, Boolean(verified_purchase), helpful_votes || 0,
+          sentiment_score ?? null, rating_anomaly ?? null, language ?? null, id
+        ]
+      ];
+    },
+
+    /**
+     * One page of reviews using keyset ("cursor") pagination
+     *
+     * Student Note: OFFSET makes MySQL read and throw away every skipped row,
+     * and rows shift when new reviews are inserted between requests. Here the
+     * page starts *after a known row* instead: "sort key and id past the last
+     * review you saw". For the default order the index on (product_id,
+     * created_at) finds that spot directly, and new reviews cannot push rows
+     * onto the next page. `id` breaks ties between equal sort keys.
+     *
+     * @param {Object} filters
+     * @param {string} [filters.moderationStatus] - Only this moderation status (any if omitted)
+     * @param {number} [filters.productId] - Only this product
+     * @param {string} [filters.source] - Only this source (reviews.source value)
+     * @param {number} [filters.minRating] - Minimum normalized rating
+     * @param {number} [filters.maxRating] - Maximum normalized rating
+     * @param {boolean} [filters.verifiedPurchase] - Only verified (true) or unverified (false) purchases
+     * @param {string} [filters.dateFrom] - Earliest review_date ('YYYY-MM-DD', inclusive)
+     * @param {string} [filters.dateTo] - Latest review_date ('YYYY-MM-DD', inclusive)
+     * @param {boolean} [filters.hasText] - Only reviews with (true) or without (false) written content
+     * @param {string} [filters.reviewer] - Reviewer name contains this text
+     * @param {boolean} [filters.suspicious] - Only reviews at/above (true) or below (false) SPAM_SCORE_THRESHOLD
+     * @param {number} [filters.maxSpamScore] - Highest spam score (unscored reviews count as 0)
+     * @param {string} [filters.anomaly] - Only reviews with this rating / text mismatch, or 'any'
+     * @param {string} [filters.language] - Only reviews in this language (LANGUAGES code), or 'unknown'
+     * @param {Object} paging
+     * @param {number} paging.limit - Rows to return
+     * @param {string} [paging.sort] - Key of REVIEW_SORTS (default newest added first)
+     * @param {Object} [paging.cursor] - { direction: 'next'|'prev', value, id } of the row to
+     *   continue from; 'next' returns the rows after it in sort order, 'prev' the rows
+     *   before it (in reverse order)
+     * @returns {[string, Array]} Query and parameters array; rows carry the sort key as `sort_value`
+     */
+    list(filters, { limit, sort = DEFAULT_REVIEW_SORT, cursor }) {
+      const { key, direction } = REVIEW_SORTS[sort] || REVIEW_SORTS[DEFAULT_REVIEW_SORT];
+      const [conditions, params] = reviewListFilters(filters);
+      const backwards = cursor?.direction === 'prev';
+      const order = (direction === 'DESC') === backwards ? 'ASC' : 'DESC';
+
+      if (cursor) {
+        const op = order === 'DESC' ? '<' : '>';
+        conditions.push(`(${key} ${op} ? OR (${key} = ? AND r.id ${op} ?))`);
+        params.push(cursor.value, cursor.value, cursor.id);
+      }
+
+      return [
+        `SELECT r.*, p.name AS product_name, ${key} AS sort_value
+         FROM reviews r
+         LEFT JOIN products p ON r.product_id = p.id
+         ${whereClause(conditions)}
+         ORDER BY ${key} ${order}, r.id ${order}
+         LIMIT ?`,
+        [...params, limit]
+      ];
+    },
+
+    /**
+     * Count reviews matching list() filters (ignores the cursor)
+     *
+     * @param {Object} filters - See list()
+     * @returns {[string, Array]} Query and parameters array
+     */
+    countList(filters) {
+      const [conditions, params] = reviewListFilters(filters);
+      return [
+        `SELECT COUNT(*) AS total FROM reviews r ${whereClause(conditions)}`,
+        params
+      ];
+    },
+
+    /**
+     * Fields the rating score modes need for every review of a product
+     *
+     * @param {number} productId - Product ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectForScoring(productId) {
+      return [
+        `SELECT id, rating, helpful_votes, verified_purchase, review_date, duplicate_cluster_id
+         FROM reviews
+         WHERE product_id = ? AND ${counted()}`,
+        [productId]
+      ];
+    },
+
+    /**
+     * Prior for Bayesian scores: average rating of the product's category and
+     * of all reviews (includes the product itself, which is standard practice)
+     *
+     * @param {number} productId - Product ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectRatingPrior(productId) {
+      return [
+        `SELECT
+           target.category_id,
+           AVG(CASE WHEN p.category_id = target.category_id THEN r.rating END) AS category_average,
+           COUNT(CASE WHEN p.category_id = target.category_id THEN 1 END) AS category_count,
+           AVG(r.rating) AS global_average,
+           COUNT(r.id) AS global_count
+         FROM (SELECT category_id FROM products WHERE id = ?) AS target
+         CROSS JOIN reviews r
+         JOIN products p ON p.id = r.product_id
+         WHERE ${counted('r')}
+         GROUP BY target.category_id`,
+        [productId]
+      ];
+    },
+
+    /**
+     * Review count and rating sum per time bucket and source
+     * Weeks start on Monday; buckets are returned as 'YYYY-MM-DD' strings
+     * (DATE_FORMAT) so the server's time zone cannot shift them.
+     * Reviews without a review_date are left out.
+     *
+     * @param {number} productId - Product ID
+     * @param {Object} options
+     * @param {'week'|'month'} options.interval - Bucket size
+     * @param {string} [options.source] - Only this source (reviews.source value)
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectTrends(productId, { interval, source }) {
+      const bucket = interval === 'month'
+        ? `DATE_FORMAT(review_date, '%Y-%m-01')`
+        : `DATE_FORMAT(DATE_SUB(review_date, INTERVAL WEEKDAY(review_date) DAY), '%Y-%m-%d')`;
+
+      let sql = `
+        SELECT ${bucket} AS period_start, source,
+               COUNT(*) AS review_count, SUM(rating) AS rating_sum
+        FROM reviews
+        WHERE product_id = ? AND review_date IS NOT NULL AND ${counted()}`;
+      const params = [productId];
+
+      if (source) {
+        sql += ' AND source = ?';
+        params.push(source);
+      }
+
+      sql += ' GROUP BY period_start, source ORDER BY period_start, source';
+      return [sql, params];
+    },
+
+    /**
+     * Full-text search over review titles and content, best matches first
+     *
+     * Student Note: MATCH ... AGAINST needs the FULLTEXT index on exactly these
+     * columns (ft_reviews_text). In NATURAL LANGUAGE MODE MySQL scores every row
+     * by how often and how rarely-used the search words are; we return that score
+     * as `relevance` and sort by it.
+     *
+     * @param {Object} filters
+     * @param {string} filters.q - Search words
+     * @param {number} [filters.productId] - Only this product
+     * @param {string} [filters.source] - Only this source (reviews.source value)
+     * @param {number} [filters.minRating] - Minimum normalized rating
+     * @param {number} [filters.maxRating] - Maximum normalized rating
+     * @param {number} filters.limit - Page size
+     * @param {number} filters.offset - Rows to skip
+     * @returns {[string, Array]} Query and parameters array
+     */
+    search({ q, productId, source, minRating, maxRating, limit, offset }) {
+      const [where, whereParams] = searchWhere({ q, productId, source, minRating, maxRating });
+      return [
+        `SELECT r.*, p.name AS product_name,
+                MATCH(r.title, r.content) AGAINST (? IN NATURAL LANGUAGE MODE) AS relevance
+         FROM reviews r
+         LEFT JOIN products p ON r.product_id = p.id
+         ${where}
+         ORDER BY relevance DESC, r.id DESC
+         LIMIT ? OFFSET ?`,
+        [q, ...whereParams, limit, offset]
+      ];
+    },
+
+    /**
+     * Number of reviews matching a full-text search (same filters as search())
+     *
+     * @param {Object} filters - See search()
+     * @returns {[string, Array]} Query and parameters array
+     */
+    countSearch(filters) {
+      const [where, whereParams] = searchWhere(filters);
+      return [
+        `SELECT COUNT(*) AS total FROM reviews r ${where}`,
+        whereParams
+      ];
+    },
+
+    /**
+     * Fields duplicate detection needs for every review of a product
+     *
+     * @param {number} productId - Product ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectForDedup(productId) {
+      return [
+        `SELECT id, source, reviewer_name, title, content, review_date
+         FROM reviews
+         WHERE product_id = ?
+         ORDER BY id`,
+        [productId]
+      ];
+    },
+
+    /**
+     * Unlink all of a product's reviews from their duplicate clusters
+     *
+     * @param {number} productId - Product ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    clearDuplicateClusters(productId) {
+      return [
+        `UPDATE reviews SET duplicate_cluster_id = NULL WHERE product_id = ?`,
+        [productId]
+      ];
+    },
+
+    /**
+     * Link reviews into one duplicate cluster
+     *
+     * @param {number} clusterId - ID of the cluster's canonical (earliest) review
+     * @param {number[]} reviewIds - All reviews in the cluster, canonical included
+     * @returns {[string, Array]} Query and parameters array
+     */
+    setDuplicateCluster(clusterId, reviewIds) {
+      return [
+        `UPDATE reviews SET duplicate_cluster_id = ? WHERE id IN (?)`,
+        [clusterId, reviewIds]
+      ];
+    },
+
+    /**
+     * Reviews of a product that belong to a duplicate cluster, grouped by cluster
+     *
+     * @param {number} productId - Product ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectDuplicateClusters(productId) {
+      return [
+        `SELECT id, duplicate_cluster_id, source, reviewer_name, rating, title, review_date
+         FROM reviews
+         WHERE product_id = ? AND duplicate_cluster_id IS NOT NULL
+         ORDER BY duplicate_cluster_id, review_date, id`,
+        [productId]
+      ];
+    },
+
+    /**
+     * Fields spam scoring needs for every review of some products (any status)
+     *
+     * @param {number[]|null} productIds - Product IDs, or null for every review
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectForSpam(productIds) {
+      return [
+        `SELECT ${SPAM_COLUMNS}
+         FROM reviews
+         ${productIds ? 'WHERE product_id IN (?)' : ''}
+         ORDER BY id`,
+        productIds ? [productIds] : []
+      ];
+    },
+
+    /**
+     * Fields spam scoring needs for the reviews a write can change the score of
+     * (services/reviewSpam.js): the written rows, the reviews of the same
+     * product dated the same day (review_burst) and the same reviewers'
+     * reviews (repeated_text). Empty lists are skipped; at least one must not be empty.
+     *
+     * @param {Object} around
+     * @param {number[]} around.ids - Review IDs
+     * @param {Array<[number, string]>} around.productDays - [product_id, 'YYYY-MM-DD'] pairs
+     * @param {string[]} around.reviewerNames - Reviewer names as stored
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectForSpamAround({ ids, productDays, reviewerNames }) {
+      const conditions = [];
+      const params = [];
+      if (ids.length > 0) {
+        conditions.push('id IN (?)');
+        params.push(ids);
+      }
+      if (productDays.length > 0) {
+        conditions.push('(product_id, review_date) IN (?)');
+        params.push(productDays);
+      }
+      if (reviewerNames.length > 0) {
+        conditions.push('reviewer_name IN (?)');
+        params.push(reviewerNames);
+      }
+      return [
+        `SELECT ${SPAM_COLUMNS}
+         FROM reviews
+         WHERE ${conditions.join(' OR ')}
+         ORDER BY id`,
+        params
+      ];
+    },
+
+    /**
+     * Number of reviews per product and review day (any status), for the
+     * review_burst signal when only some of a product's reviews are rescored
+     *
+     * @param {Array<[number, string]>} productDays - [product_id, 'YYYY-MM-DD'] pairs (not empty)
+     * @returns {[string, Array]} Query and parameters array
+     */
+    countPerProductDay(productDays) {
+      return [
+        `SELECT product_id, review_date, COUNT(*) AS review_count
+         FROM reviews
+         WHERE (product_id, review_date) IN (?)
+         GROUP BY product_id, review_date`,
+        [productDays]
+      ];
+    },
+
+    /**
+     * Products that have reviews without a spam score yet
+     *
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectUnscoredProductIds() {
+      return [
+        `SELECT DISTINCT product_id FROM reviews WHERE spam_score IS NULL`,
+        []
+      ];
+    },
+
+    /**
+     * Texts posted by some reviewers, on any product
+     * Used to spot a reviewer posting the same text for several products.
+     *
+     * @param {string[]} names - Reviewer names as stored (must not be empty)
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectByReviewers(names) {
+      return [
+        `SELECT product_id, reviewer_name, content FROM reviews WHERE reviewer_name IN (?)`,
+        [names]
+      ];
+    },
+
+    /**
+     * Store the spam score of a review
+     *
+     * @param {number} id - Review ID
+     * @param {number} score - 0-100
+     * @param {string[]} signals - Signals that raised it (see SPAM_SIGNALS)
+     * @returns {[string, Array]} Query and parameters array
+     */
+    setSpamScore(id, score, signals) {
+      return [
+        `UPDATE reviews SET spam_score = ?, spam_signals = ? WHERE id = ?`,
+        [score, JSON.stringify(signals), id]
+      ];
+    },
+
+    /**
+     * Store the spam scores of several reviews in one statement
+     *
+     * @param {Array<{id: number, score: number, signals: string[]}>} scores - Not empty
+     * @returns {[string, Array]} Query and parameters array
+     */
+    setSpamScores(scores) {
+      const cases = scores.map(() => 'WHEN ? THEN ?').join(' ');
+      return [
+        `UPDATE reviews
+         SET spam_score = CASE id ${cases} END,
+             spam_signals = CASE id ${cases} END
+         WHERE id IN (?)`,
+        [
+          ...scores.flatMap(({ id, score }) => [id, score]),
+          ...scores.flatMap(({ id, signals }) => [id, JSON.stringify(signals)]),
+          scores.map(({ id }) => id)
+        ]
+      ];
+    },
+
+    /**
+     * Reviews that have no sentiment score yet (backfill)
+     * The rating comes along to check the new score for a rating / text mismatch.
+     *
+     * @param {number} limit - Batch size
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectWithoutSentiment(limit) {
+      return [
+        `SELECT id, rating, original_rating, rating_scale_min, rating_scale_max, title, content
+         FROM reviews
+         WHERE sentiment_score IS NULL
+         ORDER BY id
+         LIMIT ?`,
+        [limit]
+      ];
+    },
+
+    /**
+     * Store the sentiment scores of several reviews in one statement, with the
+     * rating / text mismatch each one implies
+     *
+     * @param {Array<{id: number, score: number, anomaly: string|null}>} sentiments - Not empty;
+     *   anomaly is a RATING_ANOMALIES value, or null
+     * @returns {[string, Array]} Query and parameters array
+     */
+    setSentiments(sentiments) {
+      const cases = sentiments.map(() => 'WHEN ? THEN ?').join(' ');
+      return [
+        `UPDATE reviews
+         SET sentiment_score = CASE id ${cases} END,
+             rating_anomaly = CASE id ${cases} END
+         WHERE id IN (?)`,
+        [
+          ...sentiments.flatMap(({ id, score }) => [id, score]),
+          ...sentiments.flatMap(({ id, anomaly }) => [id, anomaly]),
+          sentiments.map(({ id }) => id)
+        ]
+      ];
+    },
+
+    /**
+     * Reviews whose language has not been checked yet (backfill)
+     *
+     * @param {number} limit - Batch size
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectWithoutLanguage(limit) {
+      return [
+        `SELECT id, title, content FROM reviews WHERE language IS NULL ORDER BY id LIMIT ?`,
+        [limit]
+      ];
+    },
+
+    /**
+     * Store the languages of several reviews in one statement
+     *
+     * @param {Array<{id: number, language: string}>} languages - Not empty; language is a
+     *   LANGUAGES code, or 'und' when undetermined
+     * @returns {[string, Array]} Query and parameters array
+     */
+    setLanguages(languages) {
+      const cases = languages.map(() => 'WHEN ? THEN ?').join(' ');
+      return [
+        `UPDATE reviews SET language = CASE id ${cases} END WHERE id IN (?)`,
+        [
+          ...languages.flatMap(({ id, language }) => [id, language]),
+          languages.map(({ id }) => id)
+        ]
+      ];
+    },
+
+    /**
+     * Number of reviews per language among the ones a product's statistics count
+     *
+     * @param {number} productId - Product ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    countLanguages(productId) {
+      return [
+        `SELECT language, COUNT(*) AS review_count
+         FROM reviews
+         WHERE product_id = ? AND ${counted()}
+         GROUP BY language
+         ORDER BY review_count DESC`,
+        [productId]
+      ];
+    },
+
+    /**
+     * Next batch of analyzed reviews to check for a rating / text mismatch
+     * (services/ratingAnomalies.js), in ID order
+     *
+     * @param {number} afterId - Last ID of the previous batch (0 to start)
+     * @param {number} limit - Batch size
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectForAnomalyScan(afterId, limit) {
+      return [
+        `SELECT id, rating, original_rating, rating_scale_min, rating_scale_max,
+                sentiment_score, rating_anomaly
+         FROM reviews
+         WHERE id > ? AND sentiment_score IS NOT NULL
+         ORDER BY id
+         LIMIT ?`,
+        [afterId, limit]
+      ];
+    },
+
+    /**
+     * Store the rating / text mismatch of a review
+     *
+     * @param {number} id - Review ID
+     * @param {string|null} anomaly - A RATING_ANOMALIES value, or null
+     * @returns {[string, Array]} Query and parameters array
+     */
+    setRatingAnomaly(id, anomaly) {
+      return [
+        `UPDATE reviews SET rating_anomaly = ? WHERE id = ?`,
+        [anomaly, id]
+      ];
+    },
+
+    /**
+     * Analyzed reviews and rating / text mismatches per source, of every
+     * moderation status (a mapping bug affects them all)
+     *
+     * @param {number} [productId] - Only this product's reviews
+     * @returns {[string, Array]} Query and parameters array
+     */
+    countAnomaliesBySource(productId) {
+      return [
+        `SELECT source, COUNT(*) AS analyzed_reviews,
+                SUM(rating_anomaly = 'negative_text') AS negative_text,
+                SUM(rating_anomaly = 'positive_text') AS positive_text
+         FROM reviews
+         WHERE sentiment_score IS NOT NULL ${productId ? 'AND product_id = ?' : ''}
+         GROUP BY source`,
+        productId ? [productId] : []
+      ];
+    },
+
+    /**
+     * Average text sentiment and rating per source, for the reviews counted in
+     * a product's statistics (reviews not analyzed yet are skipped)
+     *
+     * @param {number} productId - Product ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectSentimentBySource(productId) {
+      // average_rating_sentiment: ratingAsSentiment() of each review on its own scale
+      // (original_rating NULL means it equals rating, see db/init.sql)
+      return [
+        `SELECT source, COUNT(*) AS review_count,
+                AVG(sentiment_score) AS average_sentiment, AVG(rating) AS average_rating,
+                AVG((COALESCE(original_rating, rating) - rating_scale_min)
+                    / (rating_scale_max - rating_scale_min) * 2 - 1) AS average_rating_sentiment
+         FROM reviews
+         WHERE product_id = ? AND sentiment_score IS NOT NULL AND ${counted()}
+         GROUP BY source
+         ORDER BY source`,
+        [productId]
+      ];
+    },
+
+    /**
+     * Text of the reviews a product's pros and cons are extracted from
+     * (services/reviewAspects.js): the ones its statistics count, newest first
+     *
+     * @param {number} productId - Product ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectForAspects(productId) {
+      return [
+        `SELECT id, source, rating, title, content
+         FROM reviews
+         WHERE product_id = ? AND ${counted()}
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1000`,
+        [productId]
+      ];
+    },
+
+    /**
+     * Reviews a product's text summary is built from (services/textSummary.js):
+     * the ones its statistics count, newest first
+     *
+     * @param {number} productId - Product ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectForSummary(productId) {
+      return [
+        `SELECT id, source, reviewer_name, rating, title, content
+         FROM reviews
+         WHERE product_id = ? AND ${counted()}
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1000`,
+        [productId]
+      ];
+    },
+
+    /**
+     * Number of a product's published reviews left out of its statistics as suspicious
+     *
+     * @param {number} productId - Product ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    countSuspicious(productId) {
+      return [
+        `SELECT COUNT(*) AS count
+         FROM reviews
+         WHERE product_id = ? AND ${published()} AND spam_score >= ?`,
+        [productId, SPAM_SCORE_THRESHOLD]
+      ];
+    }
+  },
+
+  reviewEdits: {
+    /**
+     * Record one edit of a review
+     *
+     * @param {Object} edit - { review_id, edited_by, reason, changes: { column: { before, after } } }
+     * @returns {[string, Array]} Query and parameters array
+     */
+    insert({ review_id, edited_by, reason, changes }) {
+      return [
+        `INSERT INTO review_edits (review_id, edited_by, reason, changes) VALUES (?, ?, ?, ?)`,
+        [review_id, edited_by, reason || null, JSON.stringify(changes)]
+      ];
+    },
+
+    /**
+     * Record edits of several reviews in one statement (bulk moderation)
+     *
+     * @param {Object[]} edits - See insert() (must not be empty)
+     * @returns {[string, Array]} Query and parameters array
+     */
+    insertMany(edits) {
+      return [
+        `INSERT INTO review_edits (review_id, edited_by, reason, changes) VALUES ?`,
+        [edits.map((e) => [e.review_id, e.edited_by, e.reason || null, JSON.stringify(e.changes)])]
+      ];
+    },
+
+    /**
+     * Edit history of a review, newest first
+     *
+     * @param {number} reviewId - Review ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectByReview(reviewId) {
+      return [
+        `SELECT id, review_id, edited_by, reason, changes, created_at
+         FROM review_edits
+         WHERE review_id = ?
+         ORDER BY created_at DESC, id DESC`,
+        [reviewId]
+      ];
+    },
+
+    /**
+     * Select a single edit by ID
+     *
+     * @param {number} id - Edit ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectById(id) {
+      return [
+        `SELECT id, review_id, edited_by, reason, changes, created_at FROM review_edits WHERE id = ?`,
+        [id]
+      ];
+    }
+  },
+
+  moderation: {
+    /**
+     * Lock reviews for a moderation action (inside a transaction)
+     *
+     * @param {number[]} ids - Review IDs (must not be empty)
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectForUpdate(ids) {
+      return [
+        `SELECT id, product_id, moderation_status, moderation_reason
+         FROM reviews
+         WHERE id IN (?)
+         FOR UPDATE`,
+        [ids]
+      ];
+    },
+
+    /**
+     * Set the moderation status of several reviews
+     *
+     * @param {number[]} ids - Review IDs (must not be empty)
+     * @param {Object} decision - { status, reason, note, moderatedBy }
+     * @returns {[string, Array]} Query and parameters array
+     */
+    setStatus(ids, { status, reason, note, moderatedBy }) {
+      return [
+        `UPDATE reviews
+         SET moderation_status = ?, moderation_reason = ?, moderation_note = ?,
+             moderated_by = ?, moderated_at = NOW()
+         WHERE id IN (?)`,
+        [status, reason || null, note || null, moderatedBy, ids]
+      ];
+    },
+
+    /**
+     * Number of reviews per moderation status
+     *
+     * @param {number} [productId] - Only this product's reviews
+     * @returns {[string, Array]} Query and parameters array
+     */
+    countByStatus(productId) {
+      return [
+        `SELECT moderation_status, COUNT(*) AS count
+         FROM reviews
+         ${productId ? 'WHERE product_id = ?' : ''}
+         GROUP BY moderation_status`,
+        productId ? [productId] : []
+      ];
+    }
+  },
+
+  reviewStats: {
+    /**
+     * Precomputed review statistics for a page of products
+     * One query for the whole page instead of one aggregate request per product.
+     *
+     * @param {number[]} productIds - Product IDs (must not be empty)
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectByProducts(productIds) {
+      return [
+        `SELECT product_id, review_count, rating_sum, average_rating, min_rating, max_rating,
+                stars_1, stars_2, stars_3, stars_4, stars_5, last_review_date, source_breakdown
+         FROM product_review_stats
+         WHERE product_id IN (?)`,
+        [productIds]
+      ];
+    },
+
+    /**
+     * Drop stored statistics (all products, or only the given ones)
+     * Always followed by insertFromReviews() in the same transaction.
+     *
+     * @param {number[]|null} [productIds] - Product IDs, or null for every product
+     * @returns {[string, Array]} Query and parameters array
+     */
+    deleteForProducts(productIds = null) {
+      return productIds
+        ? ['DELETE FROM product_review_stats WHERE product_id IN (?)', [productIds]]
+        : ['DELETE FROM product_review_stats', []];
+    },
+
+    /**
+     * Recompute statistics from the reviews table (all products, or only the given ones)
+     * Only published (approved) reviews below the spam threshold are counted.
+     *
+     * Student Note: this is one INSERT ... SELECT, so MySQL computes and stores
+     * the numbers without sending reviews to Node. Products without reviews get
+     * no row. This is the only copy: the SQL scripts create the table empty and
+     * the backend (or `npm run stats:rebuild`) fills it with this statement.
+     *
+     * @param {number[]|null} [productIds] - Product IDs, or null for every product
+     * @returns {[string, Array]} Query and parameters array
+     */
+    insertFromReviews(productIds = null) {
+      const where = `WHERE ${counted()}${productIds ? ' AND product_id IN (?)' : ''}`;
+      return [
+        `INSERT INTO product_review_stats
+           (product_id, review_count, rating_sum, min_rating, max_rating,
+            stars_1, stars_2, stars_3, stars_4, stars_5, last_review_date, source_breakdown)
+         SELECT r.product_id, COUNT(*), SUM(r.rating), MIN(r.rating), MAX(r.rating),
+                SUM(r.stars = 1), SUM(r.stars = 2), SUM(r.stars = 3), SUM(r.stars = 4), SUM(r.stars = 5),
+                MAX(r.review_date), ANY_VALUE(s.breakdown)
+         FROM (
+           SELECT product_id, rating, review_date, LEAST(5, GREATEST(1, ROUND(rating))) AS stars
+           FROM reviews ${where}
+         ) AS r
+         JOIN (
+           SELECT product_id, JSON_ARRAYAGG(JSON_OBJECT(
+             'source', source, 'review_count', review_count, 'rating_sum', rating_sum,
+             'original_rating_sum', original_rating_sum, 'scale_count', scale_count,
+             'rating_scale_min', rating_scale_min, 'rating_scale_max', rating_scale_max
+           )) AS breakdown
+           FROM (
+             SELECT product_id, source, COUNT(*) AS review_count, SUM(rating) AS rating_sum,
+                    SUM(COALESCE(original_rating, rating)) AS original_rating_sum,
+                    COUNT(DISTINCT rating_scale_min, rating_scale_max) AS scale_count,
+                    MIN(rating_scale_min) AS rating_scale_min, MAX(rating_scale_max) AS rating_scale_max
+             FROM reviews ${where}
+             GROUP BY product_id, source
+           ) AS per_source
+           GROUP BY product_id
+         ) AS s ON s.product_id = r.product_id
+         GROUP BY r.product_id`,
+        productIds ? [productIds, productIds] : []
+      ];
+    }
+  },
+
+  textSummaries: {
+    /**
+     * Cached text summary of a product
+     *
+     * @param {number} productId - Product ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectByProduct(productId) {
+      return [
+        `SELECT product_id, review_set_key, review_count, sentences, generated_at
+         FROM product_text_summaries
+         WHERE product_id = ?`,
+        [productId]
+      ];
+    },
+
+    /**
+     * Store (or replace) a product's text summary
+     *
+     * @param {Object} summary - { product_id, review_set_key, review_count, sentences }
+     * @returns {[string, Array]} Query and parameters array
+     */
+    upsert({ product_id, review_set_key, review_count, sentences }) {
+      return [
+        `INSERT INTO product_text_summaries (product_id, review_set_key, review_count, sentences)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           review_set_key = VALUES(review_set_key),
+           review_count = VALUES(review_count),
+           sentences = VALUES(sentences)`,
+        [product_id, review_set_key, review_count, JSON.stringify(sentences)]
+      ];
+    },
+  },
+
+  sources: {
+    /**
+     * Insert or refresh a registered review source
+     * The adapter in backend/src/sources is the source of truth; this keeps
+     * the table (which reviews.source references) in step with it.
+     *
+     * @param {Object} adapter - Source adapter ({ id, name, description, color, ratingScale })
+     * @returns {[string, Array]} Query and parameters array
+     */
+    upsert({ id, name, description, color, ratingScale }) {
+      return [
+        `INSERT INTO sources (id, name, description, color, rating_min, rating_max)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           name = VALUES(name), description = VALUES(description), color = VALUES(color),
+           rating_min = VALUES(rating_min), rating_max = VALUES(rating_max)`,
+        [id, name, description, color, ratingScale.min, ratingScale.max]
+      ];
+    }
+  },
+
+  jobs: {
+    /**
+     * Base SELECT for background jobs
+     */
+    selectBase: `
+      SELECT
+        id, product_id, type, status, attempts, max_attempts, run_after,
+        source_results, last_error, created_at, started_at, finished_at
+      FROM review_jobs
+    `,
+
+    /**
+     * Get a job by ID
+     *
+     * @param {number} id - Job ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectById(id) {
+      return [
+        `${this.selectBase} WHERE id = ?`,
+        [id]
+      ];
+    },
+
+    /**
+     * Find a queued or running job of the given type for a product
+     * Used to avoid piling up duplicate refreshes for the same product
+     *
+     * @param {number} productId - Product ID
+     * @param {string} type - Job type
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectActiveForProduct(productId, type) {
+      return [
+        `${this.selectBase}
+         WHERE product_id = ? AND type = ? AND status IN ('queued', 'running')
+         ORDER BY id DESC
+         LIMIT 1`,
+        [productId, type]
+      ];
+    },
+
+    /**
+     * Queue a new job
+     *
+     * @param {Object} job - { product_id, type, max_attempts }
+     * @returns {[string, Array]} Query and parameters array
+     */
+    insert({ product_id, type, max_attempts }) {
+      return [
+        `INSERT INTO review_jobs (product_id, type, max_attempts) VALUES (?, ?, ?)`,
+        [product_id, type, max_attempts]
+      ];
+    },
+
+    /**
+     * Lock the next job that is due
+     * Must run inside a transaction. SKIP LOCKED lets several workers poll
+     * the same table without ever picking up the same job twice.
+     *
+     * @returns {[string, Array]} Query and parameters array
+     */
+    selectNextDueForUpdate() {
+      return [
+        `${this.selectBase}
+         WHERE status = 'queued' AND run_after <= NOW()
+         ORDER BY run_after, id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED`,
+        []
+      ];
+    },
+
+    /**
+     * Mark a job as running and count the attempt
+     *
+     * @param {number} id - Job ID
+     * @returns {[string, Array]} Query and parameters array
+     */
+    markRunning(id) {
+      return [
+        `UPDATE review_jobs
+         SET status = 'running', attempts = attempts + 1, started_at = NOW(), last_error = NULL
+         WHERE id = ?`,
+        [id]
+      ];
+    },
+
+    /**
+     * Store the outcome of an attempt
+     * `retryInSeconds` puts the job back in the queue with a delay;
+     * pass null when the job reached a final status.
+     *
+     * @param {number} id - Job ID
+     * @param {Object} outcome - { status, sourceResults, lastError, retryInSeconds }
+     * @returns {[string, Array]} Query and parameters array
+     */
+    markFinished(id, { status, sourceResults, lastError, retryInSeconds }) {
+      const isRetry = retryInSeconds !== null && retryInSeconds !== undefined;
+
+      return [
+        `UPDATE review_jobs
+         SET status = ?,
+             source_results = ?,
+             last_error = ?,
+             run_after = ${isRetry ? 'NOW() + INTERVAL ? SECOND' : 'run_after'},
+             finished_at = ${isRetry ? 'NULL' : 'NOW()'}
+         WHERE id = ?`,
+        isRetry
+          ? [status, JSON.stringify(sourceResults), lastError, retryInSeconds, id]
+          : [status, JSON.stringify(sourceResults), lastError, id]
+      ];
+    },
+
+    /**
+     * Requeue jobs left 'running' by a worker that crashed or was restarted
+     *
+     * @param {number} staleMinutes - How long a job may run before it is considered abandoned
+     * @returns {[string, Array]} Query and parameters array
+     */
+    requeueStale(staleMinutes) {
+      return [
+        `UPDATE review_jobs
+         SET status = 'queued', run_after = NOW()
+         WHERE status = 'running' AND started_at < NOW() - INTERVAL ? MINUTE`,
+        [staleMinutes]
+      ];
+    }
+  },
+
   /**
    * EXTENSION_POINT: queries.categories | Add category query builders | beginner
    * Students can add similar query builders for categories:
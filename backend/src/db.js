@@ -24,8 +24,10 @@ dotenv.config();
 //   * connectionLimit: maximum concurrent connections (keep small on student machines)
 //   * connectTimeout: time to wait for initial TCP/handshake before failing
 // - testConnection(): non-blocking check that logs a friendly ✅ or ❌ at startup.
-//   It retries every 5s if the DB isn't ready. The connection pool will still attempt
-//   connections when requests hit the API, so a brief DB startup window is tolerated.
+//   The server calls it when it starts (not on import, so scripts and unit tests
+//   can import services without a database). It retries every 5s if the DB isn't
+//   ready. The connection pool will still attempt connections when requests hit
+//   the API, so a brief DB startup window is tolerated.
 
 const pool = mysql.createPool({
   host: process.env.DB_HOST || 'localhost',
@@ -39,7 +41,7 @@ const pool = mysql.createPool({
 });
 
 /**
- * Test database connection on startup
+ * Test database connection on startup (called by src/index.js)
  *
  * - This function is intentionally non-blocking: it gives students immediate
  *   feedback in container and local runs while letting the app continue to start.
@@ -47,7 +49,7 @@ const pool = mysql.createPool({
  *   message. This is a teaching convenience; production systems typically use
  *   orchestration healthchecks and monitoring.
  */
-async function testConnection() {
+export async function testConnection() {
   try {
     const conn = await pool.getConnection();
     console.log('✅ Database connection established');
@@ -60,7 +62,4 @@ async function testConnection() {
   }
 }
 
-// Invoke the check on module load so students see immediate feedback in logs
-testConnection();
-
 export default pool;
@@ -5,12 +5,23 @@ import morgan from "morgan";
 import productsRouter from "./routes/products.js";
 import categoriesRouter from "./routes/categories.js";
 import reviewsRouter from "./routes/reviews.js";
-import db from "./db.js";
+import jobsRouter from "./routes/jobs.js";
+import sourcesRouter from "./routes/sources.js";
+import moderationRouter from "./routes/moderation.js";
+import db, { testConnection } from "./db.js";
 import { errorHandler, notFoundHandler } from "./middleware/errorHandler.js";
 import { setupStaticServing } from "./middleware/staticServing.js";
+import { startJobWorker } from "./services/jobQueue.js";
+import { syncSourceRegistry } from "./sources/index.js";
+import { scoreUnscoredReviews } from "./services/reviewStats.js";
+import { backfillSentiment } from "./services/sentiment.js";
+import { backfillLanguages } from "./services/language.js";
 
 dotenv.config();
 
+// Check the database right away so students see immediate feedback in logs
+testConnection();
+
 const app = express();
 const PORT = process.env.PORT || 4000;
 const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || "http://localhost:5173";
@@ -84,6 +95,9 @@ app.get("/health", async (req, res) => {
 app.use("/api/products", productsRouter);
 app.use("/api/categories", categoriesRouter);
 app.use("/api/reviews", reviewsRouter);
+app.use("/api/jobs", jobsRouter);
+app.use("/api/sources", sourcesRouter);
+app.use("/api/moderation", moderationRouter);
 
 // EXTENSION_POINT: ADD MORE ROUTES HERE (e.g. users, auth, orders, ...) AS THE APP GROWS
 
@@ -108,4 +122,46 @@ app.listen(PORT, () => {
     console.log(`🚀 Backend server listening on http://localhost:${PORT}`);
     console.log(`📝 Logs: HTTP requests will be logged in 'dev' format`);
     console.log(`🔗 CORS enabled for: ${FRONTEND_ORIGIN}`);
+
+    // Startup tasks run one after another rather than all at once, so they
+    // do not compete for the connection pool. Each logs its own failure and
+    // lets the next one run. Apart from the source sync they only read rows
+    // still missing a value, so once those are filled each is one empty query.
+
+    // Write registered review source adapters to the `sources` table. If the
+    // database is not up yet, ingestion retries this before its first write.
+    syncSourceRegistry()
+        .then((count) => console.log(`🛒 ${count} review sources registered`))
+        .catch((err) =>
+            console.warn("⚠️  Could not sync review sources yet:", err.message)
+        )
+        // Sentiment for reviews stored without one (sample data, older rows),
+        // with the rating / text mismatch check that depends on it. Runs
+        // before spam scoring, which reads the stored score.
+        .then(() => backfillSentiment())
+        .then((count) => count && console.log(`💬 Analyzed the sentiment of ${count} review(s)`))
+        .catch((err) =>
+            console.warn("⚠️  Could not analyze review text yet:", err.message)
+        )
+        // Give reviews stored by SQL (sample data, older rows) their spam score,
+        // so suspicious ones are left out of the statistics from the start
+        .then(() => scoreUnscoredReviews())
+        .then((count) => count && console.log(`🕵️  Spam-scored the reviews of ${count} product(s)`))
+        .catch((err) =>
+            console.warn("⚠️  Could not score reviews yet:", err.message)
+        )
+        // Language of reviews stored without one (sample data, older rows)
+        .then(() => backfillLanguages())
+        .then((count) => count && console.log(`🌐 Detected the language of ${count} review(s)`))
+        .catch((err) =>
+            console.warn("⚠️  Could not detect review languages yet:", err.message)
+        );
+
+    // Background worker for queued jobs (review refreshes). It runs in the same
+    // process for simplicity; set JOB_WORKER_ENABLED=false to run the API alone.
+    if (process.env.JOB_WORKER_ENABLED !== "false") {
+        startJobWorker({
+            intervalMs: Number(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+        });
+    }
 });
@@ -31,11 +31,16 @@ export function errorHandler(err, req, res, next) { // eslint-disable-line no-un
 
   // Default to 500 if no status code
   const statusCode = err.statusCode || 500;
-  
+
+  // Only AppErrors and client errors flagged safe to show (e.g. malformed
+  // JSON bodies) keep their message; anything else, such as raw MySQL errors,
+  // could reveal table names or SQL
+  const safe = err.isOperational || err.expose;
+
   // Send structured error response
   res.status(statusCode).json({
     error: {
-      message: err.message || 'Internal server error',
+      message: (safe && err.message) || 'Internal server error',
       status: statusCode,
       ...(err.details && { details: err.details }),
       // In production, you'd hide stack traces
@@ -9,7 +9,24 @@
  */
 
 import { body, param, query, validationResult } from 'express-validator';
-import { AppError } from './errorHandler.js';
+import { AppError, asyncHandler } from './errorHandler.js';
+import { findSourceAdapter, listSourceIds, reviewRatingScale } from '../sources/index.js';
+import { TREND_INTERVALS } from '../services/reviewTrends.js';
+import { DEFAULT_REVIEW_SORT, PRODUCT_SORTS, REVIEW_SORTS } from '../database/queries.js';
+import { PRODUCT_INCLUDES } from '../services/reviewSummary.js';
+import { searchTerms } from '../services/reviewSearch.js';
+import { decodeCursor } from '../services/reviewPagination.js';
+import { ratingProblem } from '../services/ratingScale.js';
+import { SCORE_MODES } from '../services/ratingScores.js';
+import { EDITABLE_REVIEW_FIELDS } from '../services/reviewEdits.js';
+import { RATING_ANOMALIES } from '../services/ratingAnomalies.js';
+import { LANGUAGES } from '../services/language.js';
+import {
+  MODERATION_ACTIONS,
+  MODERATION_REASON_CODES,
+  MODERATION_STATUSES,
+  REASON_REQUIRED_ACTIONS,
+} from '../services/moderation.js';
 
 /**
  * Middleware to check validation results and throw AppError if invalid
@@ -78,6 +95,51 @@ export const validateProductId = [
   validate,
 ];
 
+/**
+ * Product aspects validation rules (GET /api/products/:id/aspects)
+ * `limit` is the number of pros and of cons to return
+ */
+export const validateProductAspects = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Product ID must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 }).withMessage('Limit must be 1-20')
+    .toInt(),
+
+  validate,
+];
+
+/**
+ * Optional `include` query param for product lists: comma-separated extras
+ * to embed in each product (see PRODUCT_INCLUDES), e.g. include=review_summary
+ */
+function productIncludeQuery() {
+  return query('include')
+    .optional({ nullable: true, checkFalsy: true })
+    .customSanitizer((value) => String(value).split(',').map((s) => s.trim()).filter(Boolean))
+    .custom((names) => {
+      const unknown = names.filter((name) => !PRODUCT_INCLUDES.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown include(s): ${unknown.join(', ')}. Must be one of: ${PRODUCT_INCLUDES.join(', ')}`);
+      }
+      return true;
+    });
+}
+
+/**
+ * Optional `sort` query param for product lists: must be a key of PRODUCT_SORTS
+ * (the whitelist is what keeps ORDER BY safe from SQL injection)
+ */
+function productSortQuery() {
+  return query('sort')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(Object.keys(PRODUCT_SORTS))
+    .withMessage(`Sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')}`);
+}
+
 /**
  * Pagination validation rules
  */
@@ -96,6 +158,590 @@ export const validatePagination = [
     .optional({ nullable: true, checkFalsy: true })  // Allow null, undefined, and empty string
     .isInt({ min: 1 }).withMessage('Category ID must be a positive integer')
     .toInt(),
+
+  productSortQuery(),
+
+  productIncludeQuery(),
   
   validate,
 ];
+
+/**
+ * Validation for review routes scoped to one product (/:productId)
+ */
+export const validateReviewProductId = [
+  param('productId')
+    .isInt({ min: 1 }).withMessage('Product ID must be a positive integer')
+    .toInt(),
+
+  validate,
+];
+
+/**
+ * Review ingestion validation rules
+ * `source` is a registered source id (lowercase), not a reviews.source display name
+ */
+export const validateIngest = [
+  param('productId')
+    .isInt({ min: 1 }).withMessage('Product ID must be a positive integer')
+    .toInt(),
+
+  query('source')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .toLowerCase()
+    .custom((value) => {
+      if (!listSourceIds().includes(value)) {
+        throw new Error(`Source must be one of: ${listSourceIds().join(', ')}`);
+      }
+      return true;
+    }),
+
+  validate,
+];
+
+/**
+ * Product search validation rules
+ * `sources` is a comma-separated list of source ids or names ('amazon,Walmart'),
+ * converted to the display names stored in reviews.source
+ */
+export const validateProductSearch = [
+  query('q')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 200 }).withMessage('Search query too long (max 200 characters)')
+    .custom((value) => {
+      if (searchTerms(value).length === 0) {
+        throw new Error('Search query needs at least one word of 3 or more characters');
+      }
+      return true;
+    }),
+
+  query('category_id')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1 }).withMessage('Category ID must be a positive integer')
+    .toInt(),
+
+  query(['min_price', 'max_price'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0, max: 999999.99 }).withMessage('Price filters must be between 0 and 999999.99')
+    .toFloat(),
+
+  query('max_price')
+    .optional({ nullable: true, checkFalsy: true })
+    .custom((value, { req }) => {
+      if (req.query.min_price !== undefined && req.query.min_price !== '' && Number(value) < Number(req.query.min_price)) {
+        throw new Error('max_price must be greater than or equal to min_price');
+      }
+      return true;
+    }),
+
+  query('min_rating')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0, max: 5 }).withMessage('Minimum rating must be between 0 and 5')
+    .toFloat(),
+
+  query('min_reviews')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 0 }).withMessage('Minimum review count must be 0 or more')
+    .toInt(),
+
+  query('sources')
+    .optional({ nullable: true, checkFalsy: true })
+    .customSanitizer((value) => String(value).split(',').map((s) => s.trim()).filter(Boolean))
+    .custom((names) => {
+      const unknown = names.filter((name) => !findSourceAdapter(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown source(s): ${unknown.join(', ')}. Must be one of: ${listSourceIds().join(', ')}`);
+      }
+      return true;
+    })
+    .customSanitizer((names) => names.map((name) => findSourceAdapter(name)?.name ?? name)),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('per_page')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Items per page must be 1-100')
+    .toInt(),
+
+  productSortQuery(),
+
+  productIncludeQuery(),
+
+  validate,
+];
+
+/**
+ * Optional `source` query param given as a source id ('amazon') or display
+ * name ('Amazon'); converted to the display name stored in reviews.source
+ */
+function sourceNameQuery() {
+  return query('source')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .custom((value) => {
+      if (!findSourceAdapter(value)) {
+        throw new Error(`Source must be one of: ${listSourceIds().join(', ')}`);
+      }
+      return true;
+    })
+    // Sanitizers run even when validation failed, so keep unknown values as-is
+    .customSanitizer((value) => findSourceAdapter(value)?.name ?? value);
+}
+
+/**
+ * Rating trend validation rules
+ */
+export const validateTrends = [
+  param('productId')
+    .isInt({ min: 1 }).withMessage('Product ID must be a positive integer')
+    .toInt(),
+
+  query('interval')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(TREND_INTERVALS).withMessage(`Interval must be one of: ${TREND_INTERVALS.join(', ')}`),
+
+  sourceNameQuery(),
+
+  validate,
+];
+
+/**
+ * Review list validation rules (GET /api/reviews)
+ * `status` is a moderation status or 'all'. `sort` must be a key of REVIEW_SORTS. `cursor` comes from a previous
+ * response's meta.next_cursor / prev_cursor (for the same sort) and is
+ * replaced by its decoded position
+ */
+export const validateReviewList = [
+  query('status')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn([...MODERATION_STATUSES, 'all'])
+    .withMessage(`Status must be one of: ${[...MODERATION_STATUSES, 'all'].join(', ')}`),
+
+  query('product_id')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1 }).withMessage('Product ID must be a positive integer')
+    .toInt(),
+
+  sourceNameQuery(),
+
+  query(['min_rating', 'max_rating'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0, max: 5 }).withMessage('Rating filters must be between 0 and 5')
+    .toFloat(),
+
+  query(['verified_purchase', 'has_text', 'suspicious'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isBoolean().withMessage('verified_purchase, has_text and suspicious must be true or false')
+    .toBoolean(),
+
+  query('max_spam_score')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 0, max: 100 }).withMessage('max_spam_score must be between 0 and 100')
+    .toInt(),
+
+  query('anomaly')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn([...Object.values(RATING_ANOMALIES), 'any'])
+    .withMessage(`Anomaly must be one of: ${[...Object.values(RATING_ANOMALIES), 'any'].join(', ')}`),
+
+  query('language')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn([...Object.keys(LANGUAGES), 'unknown'])
+    .withMessage(`Language must be one of: ${[...Object.keys(LANGUAGES), 'unknown'].join(', ')}`),
+
+  query(['date_from', 'date_to'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601({ strict: true }).withMessage('Dates must be YYYY-MM-DD')
+    .isLength({ max: 10 }).withMessage('Dates must be YYYY-MM-DD'),
+
+  query('date_to')
+    .optional({ nullable: true, checkFalsy: true })
+    .custom((value, { req }) => {
+      if (req.query.date_from && value < req.query.date_from) {
+        throw new Error('date_to must not be before date_from');
+      }
+      return true;
+    }),
+
+  query('reviewer')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 255 }).withMessage('Reviewer name too long (max 255 characters)'),
+
+  query('sort')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(Object.keys(REVIEW_SORTS))
+    .withMessage(`Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100')
+    .toInt(),
+
+  query('cursor')
+    .optional({ nullable: true, checkFalsy: true })
+    .custom((value, { req }) => {
+      const cursor = decodeCursor(value);
+      if (!cursor) {
+        throw new Error('Invalid cursor; use meta.next_cursor or meta.prev_cursor from a previous response');
+      }
+      if (cursor.sort !== (req.query.sort || DEFAULT_REVIEW_SORT)) {
+        throw new Error(`Cursor belongs to sort=${cursor.sort}; start again without a cursor to change the sort`);
+      }
+      return true;
+    })
+    .customSanitizer((value) => decodeCursor(value) ?? value),
+
+  query('total')
+    .optional()
+    .isBoolean().withMessage('total must be true or false')
+    .toBoolean(),
+
+  validate,
+];
+
+/**
+ * Full-text review search validation rules
+ * `q` must contain at least one word the FULLTEXT index can match (3+ characters)
+ */
+export const validateReviewSearch = [
+  query('q')
+    .trim()
+    .notEmpty().withMessage('Search query (q) is required').bail()
+    .isLength({ max: 200 }).withMessage('Search query too long (max 200 characters)')
+    .custom((value) => {
+      if (searchTerms(value).length === 0) {
+        throw new Error('Search query needs at least one word of 3 or more characters');
+      }
+      return true;
+    }),
+
+  query('product_id')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1 }).withMessage('Product ID must be a positive integer')
+    .toInt(),
+
+  sourceNameQuery(),
+
+  query(['min_rating', 'max_rating'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0, max: 5 }).withMessage('Rating filters must be between 0 and 5')
+    .toFloat(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100')
+    .toInt(),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Offset must be 0 or more')
+    .toInt(),
+
+  validate,
+];
+
+/**
+ * Review ID route param (GET / DELETE /api/reviews/:id)
+ */
+export const validateReviewId = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Review ID must be a positive integer')
+    .toInt(),
+
+  validate,
+];
+
+/**
+ * Review aggregate validation rules (GET /api/reviews/aggregate/:productId)
+ */
+export const validateReviewAggregate = [
+  param('productId')
+    .isInt({ min: 1 }).withMessage('Product ID must be a positive integer')
+    .toInt(),
+
+  query('dedupe')
+    .optional()
+    .isBoolean().withMessage('dedupe must be true or false')
+    .toBoolean(),
+
+  query('mode')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(SCORE_MODES).withMessage(`Mode must be one of: ${SCORE_MODES.join(', ')}`),
+
+  validate,
+];
+
+// Most reviews POST /api/reviews accepts in one batch
+export const MAX_REVIEW_BATCH = 500;
+
+/**
+ * The review a field path points at: `req.body` itself for a single review,
+ * or one item of a batch ('[3].rating' is in the fourth review)
+ */
+function reviewAtPath(req, path) {
+  const index = /^\[(\d+)\]/.exec(path);
+  return index ? req.body[Number(index[1])] : req.body;
+}
+
+/**
+ * Field rules for one review body
+ *
+ * @param {string} [prefix] - '' for a single review, '[3].' for the fourth review of a batch
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - PATCH: every field is optional
+ * @returns {Array} express-validator chains
+ */
+function reviewBodyRules(prefix = '', { partial = false } = {}) {
+  const field = (name) => body(`${prefix}${name}`);
+  // Required on create and PUT; a PATCH only checks the fields it was sent
+  const required = (name) => (partial ? field(name).optional() : field(name));
+
+  return [
+    required('product_id')
+      .notEmpty().withMessage('Product ID is required').bail()
+      .isInt({ min: 1 }).withMessage('Product ID must be a positive integer')
+      .toInt(),
+
+    // Accept "bestbuy" or "BestBuy"; store the registered display name
+    required('source')
+      .notEmpty().withMessage('Source is required').bail()
+      .custom((value) => {
+        if (!findSourceAdapter(value)) {
+          throw new Error(`Source must be one of: ${listSourceIds().join(', ')}`);
+        }
+        return true;
+      })
+      .customSanitizer((value) => findSourceAdapter(value)?.name ?? value),
+
+    field('external_id')
+      .optional({ nullable: true, checkFalsy: true })
+      .trim()
+      .isLength({ max: 255 }).withMessage('External ID too long (max 255 characters)'),
+
+    required('reviewer_name')
+      .isString().withMessage('Reviewer name is required').bail()
+      .trim()
+      .notEmpty().withMessage('Reviewer name is required')
+      .isLength({ max: 255 }).withMessage('Reviewer name too long (max 255 characters)'),
+
+    field(['rating_scale_min', 'rating_scale_max'])
+      .optional({ nullable: true })
+      .isFloat().withMessage('Rating scale bounds must be numbers')
+      .toFloat(),
+
+    // On the source's own scale: numbers, "80%" or thumbs up/down are all
+    // valid, so the check is ratingProblem() rather than isFloat()
+    required('rating')
+      .notEmpty().withMessage('Rating is required').bail()
+      .custom((value, { req, path }) => {
+        // A PATCH may leave out the source or scale; editReview() checks
+        // the rating against the stored review instead
+        if (partial) return true;
+        const scale = reviewRatingScale(reviewAtPath(req, path));
+        // An unknown source is reported by the source rule
+        const problem = scale && ratingProblem(value, scale);
+        if (problem) throw new Error(problem);
+        return true;
+      }),
+
+    required('title')
+      .isString().withMessage('Title is required').bail()
+      .trim()
+      .notEmpty().withMessage('Title is required')
+      .isLength({ max: 500 }).withMessage('Title too long (max 500 characters)'),
+
+    required('content')
+      .isString().withMessage('Content is required').bail()
+      .trim()
+      .notEmpty().withMessage('Content is required')
+      .isLength({ max: 10000 }).withMessage('Content too long (max 10000 characters)'),
+
+    field('review_date')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601({ strict: true }).withMessage('Review date must be YYYY-MM-DD')
+      .isLength({ max: 10 }).withMessage('Review date must be YYYY-MM-DD'),
+
+    field('verified_purchase')
+      .optional({ nullable: true })
+      .isBoolean().withMessage('verified_purchase must be true or false')
+      .toBoolean(),
+
+    field('helpful_votes')
+      .optional({ nullable: true })
+      .isInt({ min: 0 }).withMessage('Helpful votes must be 0 or more')
+      .toInt(),
+  ];
+}
+
+/**
+ * Rules for a batch of reviews, one set per item (bail() in a '*.' wildcard
+ * chain would stop checking every review as soon as one failed)
+ */
+function reviewBatchRules(reviews) {
+  return reviews.flatMap((review, index) => (
+    review && typeof review === 'object' && !Array.isArray(review)
+      ? reviewBodyRules(`[${index}].`)
+      : [body(`[${index}]`).custom(() => { throw new Error('Each review must be an object'); })]
+  ));
+}
+
+/**
+ * Review create validation rules (POST /api/reviews)
+ * The body is one review or an array of them; errors of a batch name the
+ * review they belong to, e.g. field '[3].rating'
+ */
+export const validateReviewCreate = [
+  body().custom((value) => {
+    if (Array.isArray(value)) {
+      if (value.length === 0 || value.length > MAX_REVIEW_BATCH) {
+        throw new Error(`A batch must contain 1-${MAX_REVIEW_BATCH} reviews`);
+      }
+    } else if (!value || typeof value !== 'object') {
+      throw new Error('Body must be a review object or an array of reviews');
+    }
+    return true;
+  }),
+
+  // Which field rules apply depends on the body's shape, so run them by hand
+  asyncHandler(async (req, res, next) => {
+    if (validationResult(req).isEmpty()) {
+      const rules = Array.isArray(req.body) ? reviewBatchRules(req.body) : reviewBodyRules();
+      for (const rule of rules) {
+        await rule.run(req);
+      }
+    }
+    next();
+  }),
+
+  validate,
+];
+
+/**
+ * Who made a moderation edit, and why
+ */
+const reviewEditorRules = [
+  body('edited_by')
+    .isString().withMessage('edited_by is required').bail()
+    .trim()
+    .notEmpty().withMessage('edited_by is required')
+    .isLength({ max: 255 }).withMessage('edited_by too long (max 255 characters)'),
+
+  body('reason')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason too long (max 500 characters)'),
+];
+
+/**
+ * Review replace validation rules (PUT /api/reviews/:id)
+ * Same fields as a single POST /api/reviews, plus edited_by / reason
+ */
+export const validateReviewReplace = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Review ID must be a positive integer')
+    .toInt(),
+
+  ...reviewEditorRules,
+  ...reviewBodyRules(),
+
+  validate,
+];
+
+/**
+ * Review patch validation rules (PATCH /api/reviews/:id)
+ * Any subset of the review fields (at least one), plus edited_by / reason
+ */
+export const validateReviewPatch = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Review ID must be a positive integer')
+    .toInt(),
+
+  body().custom((value) => {
+    if (!EDITABLE_REVIEW_FIELDS.some((f) => value?.[f] !== undefined)) {
+      throw new Error(`Send at least one of: ${EDITABLE_REVIEW_FIELDS.join(', ')}`);
+    }
+    return true;
+  }),
+
+  ...reviewEditorRules,
+  ...reviewBodyRules('', { partial: true }),
+
+  validate,
+];
+
+/**
+ * Moderation queue validation rules (GET /api/moderation/queue)
+ * The review list rules with other defaults: pending reviews, oldest first
+ */
+export const validateModerationQueue = [
+  query('status').default('pending'),
+  query('sort').default('created_asc'),
+
+  ...validateReviewList,
+];
+
+/**
+ * Rating / text mismatch list validation rules (GET /api/reviews/anomalies)
+ * Same as GET /api/reviews, but every moderation status and only flagged reviews
+ */
+export const validateRatingAnomalies = [
+  query('status').default('all'),
+  query('anomaly').default('any'),
+
+  ...validateReviewList,
+];
+
+/**
+ * Bulk moderation action validation rules (POST /api/moderation/:action)
+ */
+export const validateModerationAction = [
+  param('action')
+    .isIn(Object.keys(MODERATION_ACTIONS))
+    .withMessage(`Action must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}`),
+
+  body('review_ids')
+    .isArray({ min: 1, max: MAX_REVIEW_BATCH })
+    .withMessage(`review_ids must be an array of 1-${MAX_REVIEW_BATCH} review IDs`),
+
+  body('review_ids.*')
+    .isInt({ min: 1 }).withMessage('Review IDs must be positive integers')
+    .toInt(),
+
+  body('moderated_by')
+    .isString().withMessage('moderated_by is required').bail()
+    .trim()
+    .notEmpty().withMessage('moderated_by is required')
+    .isLength({ max: 255 }).withMessage('moderated_by too long (max 255 characters)'),
+
+  body('reason')
+    .custom((value, { req }) => {
+      if (!value && REASON_REQUIRED_ACTIONS.includes(req.params.action)) {
+        throw new Error(`A reason is required to ${req.params.action} reviews`);
+      }
+      if (value && !MODERATION_REASON_CODES.includes(value)) {
+        throw new Error(`Reason must be one of: ${MODERATION_REASON_CODES.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('note')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 500 }).withMessage('Note too long (max 500 characters)'),
+
+  validate,
+];
+
+export const validateJobId = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Job ID must be a positive integer')
+    .toInt(),
+
+  validate,
+];
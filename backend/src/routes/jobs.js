@@ -0,0 +1,25 @@
+import express from 'express';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { validateJobId } from '../middleware/validators.js';
+import { getJob } from '../services/jobQueue.js';
+
+const router = express.Router();
+
+/**
+ * Get background job status
+ *
+ * Student Note: Clients poll this endpoint after POST /api/products/:id/refresh.
+ * `status` moves queued → running → succeeded | failed (a retry goes back to queued),
+ * and `sources` shows how each review source did on its latest attempt.
+ */
+router.get('/:id', validateJobId, asyncHandler(async (req, res) => {
+  const job = await getJob(req.params.id);
+
+  if (!job) {
+    throw new AppError('Job not found', 404);
+  }
+
+  res.json(job);
+}));
+
+export default router;
@@ -0,0 +1,72 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateModerationAction, validateModerationQueue } from '../middleware/validators.js';
+import {
+  MODERATION_ACTIONS,
+  MODERATION_REASONS,
+  MODERATION_STATUSES,
+  REASON_REQUIRED_ACTIONS,
+  countByStatus,
+  moderateReviews,
+} from '../services/moderation.js';
+import { listReviewsFromQuery } from '../services/reviewPagination.js';
+
+const router = express.Router();
+
+/**
+ * Reviews waiting for a moderator
+ *
+ * Student Note: this is GET /api/reviews with other defaults — `status=pending`
+ * and `sort=created_asc`, so the oldest review is handled first. It takes the
+ * same filters and cursors; `status=flagged` shows the flagged reviews.
+ * meta.status_counts has the number of reviews per status (for tabs/badges).
+ */
+router.get('/queue', validateModerationQueue, asyncHandler(async (req, res) => {
+  const { reviews, meta } = await listReviewsFromQuery(req.query);
+
+  res.json({
+    success: true,
+    data: reviews,
+    meta: { ...meta, status_counts: await countByStatus(req.query.product_id) },
+  });
+}));
+
+/**
+ * Statuses, actions and reason codes, for building moderation UIs
+ */
+router.get('/reasons', (req, res) => {
+  res.json({
+    success: true,
+    data: MODERATION_REASONS,
+    meta: {
+      statuses: MODERATION_STATUSES,
+      actions: MODERATION_ACTIONS,
+      reason_required: REASON_REQUIRED_ACTIONS,
+    },
+  });
+});
+
+/**
+ * Approve, reject, flag or requeue reviews in bulk
+ *
+ * Body: { review_ids: [1, 2], moderated_by, reason?, note? }. `reason` is a
+ * code from GET /api/moderation/reasons and is required to reject or flag.
+ * Statistics of the affected products are updated right away, and each
+ * change is added to the review's history (GET /api/reviews/:id/edits).
+ */
+router.post('/:action', validateModerationAction, asyncHandler(async (req, res) => {
+  const { review_ids, moderated_by, reason, note } = req.body;
+  const result = await moderateReviews(review_ids, req.params.action, {
+    moderatedBy: moderated_by,
+    reason: reason || null,
+    note: note || null,
+  });
+
+  res.json({
+    success: true,
+    data: result,
+    meta: { count: result.updated.length + result.unchanged.length },
+  });
+}));
+
+export default router;
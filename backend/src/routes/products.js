@@ -6,14 +6,23 @@ import {
   validateProductUpdate, 
   validateProductId,
   validatePagination,
+  validateProductSearch,
+  validateProductAspects,
 } from '../middleware/validators.js';
 import { queries } from '../database/queries.js';
+import { enqueueReviewRefresh, getActiveRefreshJob } from '../services/jobQueue.js';
+import { subscribeToIngestionEvents } from '../services/ingestionEvents.js';
+import { searchProducts } from '../services/productSearch.js';
+import { attachReviewSummaries } from '../services/reviewSummary.js';
+import { getProductAspects } from '../services/reviewAspects.js';
+import { getProductTextSummary } from '../services/textSummary.js';
 
 const router = express.Router();
 
 /**
- * List products with category name (JOIN) — supports pagination and optional category filter
- * Query params: page (1-based), per_page, category_id
+ * List products with category name (JOIN) — supports pagination, optional category filter and sorting
+ * Query params: page (1-based), per_page, category_id, sort (see PRODUCT_SORTS in queries.js),
+ * include (`review_summary` adds average_rating, total_reviews and per-source counts to each product)
  * 
  * Student Note: This route now uses our centralized query builder from queries.js
  * This demonstrates the DRY principle - we don't repeat the same JOIN query in multiple places.
@@ -34,14 +43,17 @@ router.get('/', validatePagination, asyncHandler(async (req, res) => {
   const [dataQuery, dataParams] = queries.products.selectPaginated({
     page,
     perPage,
-    categoryId: categoryFilter
+    categoryId: categoryFilter,
+    sort: req.query.sort || undefined
   });
   const [rows] = await pool.query(dataQuery, dataParams);
+  const includes = req.query.include || [];
+  const data = includes.includes('review_summary') ? await attachReviewSummaries(rows) : rows;
 
   const totalPages = Math.max(1, Math.ceil(total / perPage));
 
   res.json({
-    data: rows,
+    data,
     meta: {
       total,
       page,
@@ -51,6 +63,37 @@ router.get('/', validatePagination, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * Search products with filters and facet counts
+ * Query params: q (name/description text), category_id, min_price, max_price,
+ * min_rating, min_reviews, sources (comma-separated ids or names), page, per_page, sort, include
+ *
+ * Student Note: Registered before '/:id', otherwise Express would treat
+ * "search" as a product id. Each result carries average_rating and
+ * review_count; `facets` holds counts per category, price bucket and rating
+ * band, each computed without its own filter (see services/productSearch.js).
+ */
+router.get('/search', validateProductSearch, asyncHandler(async (req, res) => {
+  const result = await searchProducts({
+    q: req.query.q || undefined,
+    categoryId: req.query.category_id || null,
+    minPrice: req.query.min_price ?? null,
+    maxPrice: req.query.max_price ?? null,
+    minRating: req.query.min_rating ?? null,
+    minReviews: req.query.min_reviews || null,
+    sources: req.query.sources || [],
+    page: req.query.page || 1,
+    perPage: req.query.per_page || 10,
+    sort: req.query.sort || undefined,
+  });
+
+  if ((req.query.include || []).includes('review_summary')) {
+    result.data = await attachReviewSummaries(result.data);
+  }
+
+  res.json(result);
+}));
+
 /**
  * Get product by id with category
  * 
@@ -71,6 +114,48 @@ router.get('/:id', validateProductId, asyncHandler(async (req, res) => {
   res.json(rows[0]);
 }));
 
+/**
+ * What reviewers say: the product's top pros and cons
+ *
+ * Student Note: Aspects ("battery life", "heat", "cable") are extracted from
+ * the text of the reviews the statistics count, each with how many reviews
+ * mention it and a couple of example quotes (see services/reviewAspects.js).
+ * Nothing is stored, so the answer always matches the current reviews.
+ */
+router.get('/:id/aspects', validateProductAspects, asyncHandler(async (req, res) => {
+  const id = req.params.id;
+
+  const [query, params] = queries.products.selectById(id);
+  const [rows] = await pool.query(query, params);
+  if (rows.length === 0) {
+    throw new AppError('Product not found', 404);
+  }
+
+  const aspects = await getProductAspects(rows[0], { limit: req.query.limit ?? 5 });
+  res.json({ product_id: id, ...aspects });
+}));
+
+/**
+ * Summary of the product's reviews: their most representative sentences
+ *
+ * Student Note: The sentences are picked by TextRank from all sources and
+ * quoted word for word, each with the review it comes from
+ * (see services/textSummary.js). The result is cached until the reviews
+ * change; `cached` says whether this response came from the cache.
+ */
+router.get('/:id/summary', validateProductId, asyncHandler(async (req, res) => {
+  const id = req.params.id;
+
+  const [query, params] = queries.products.selectById(id);
+  const [rows] = await pool.query(query, params);
+  if (rows.length === 0) {
+    throw new AppError('Product not found', 404);
+  }
+
+  const summary = await getProductTextSummary(id);
+  res.json({ product_id: id, ...summary });
+}));
+
 /**
  * Create product
  * 
@@ -125,6 +210,69 @@ router.put('/:id', validateProductUpdate, asyncHandler(async (req, res) => {
   res.json(rows[0]);
 }));
 
+/**
+ * Queue a background refresh of the product's reviews from all sources
+ *
+ * Student Note: Scraping is slow, so we don't do it inside the request.
+ * We store a job and answer 202 Accepted right away; the worker loop picks it up.
+ * The response includes the job so the client can poll GET /api/jobs/:id.
+ * If a refresh is already pending for this product, that job is returned (200).
+ */
+router.post('/:id/refresh', validateProductId, asyncHandler(async (req, res) => {
+  const { job, created } = await enqueueReviewRefresh(req.params.id);
+
+  res
+    .status(created ? 202 : 200)
+    .location(`/api/jobs/${job.id}`)
+    .json(job);
+}));
+
+/**
+ * Live review ingestion progress for a product (Server-Sent Events)
+ *
+ * Student Note: SSE keeps one HTTP response open and writes `event:`/`data:`
+ * blocks to it whenever something happens. Browsers read it with `EventSource`,
+ * which also reconnects automatically (after `retry` ms) if the connection drops.
+ * Events: snapshot (current job on connect), job_started, source_started,
+ * source_fetched, source_failed, source_finished (with counts, including new reviews
+ * `awaiting_moderation`), job_finished. Review text is not streamed: new reviews
+ * are pending until a moderator approves them, and then show up in GET /api/reviews.
+ * A comment line (": ping") every 15s stops proxies from closing an idle stream.
+ */
+router.get('/:id/reviews/stream', validateProductId, asyncHandler(async (req, res) => {
+  const id = req.params.id;
+
+  const [query, params] = queries.products.selectById(id);
+  const [rows] = await pool.query(query, params);
+  if (rows.length === 0) {
+    throw new AppError('Product not found', 404);
+  }
+  const activeJob = await getActiveRefreshJob(id);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable response buffering in nginx
+  });
+  res.flushHeaders();
+
+  const send = ({ type, data }) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write('retry: 3000\n\n');
+  send({ type: 'snapshot', data: { product_id: id, job: activeJob } });
+
+  const unsubscribe = subscribeToIngestionEvents(id, send);
+  const heartbeat = global.setInterval(() => res.write(': ping\n\n'), 15000);
+
+  req.on('close', () => {
+    global.clearInterval(heartbeat);
+    unsubscribe();
+  });
+}));
+
 /**
  * Delete product
  * 
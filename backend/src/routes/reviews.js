@@ -1,5 +1,35 @@
 import express from "express";
 import db from "../db.js";
+import { AppError, asyncHandler } from "../middleware/errorHandler.js";
+import {
+  validateIngest,
+  validateRatingAnomalies,
+  validateReviewAggregate,
+  validateReviewCreate,
+  validateReviewId,
+  validateReviewList,
+  validateReviewPatch,
+  validateReviewProductId,
+  validateReviewReplace,
+  validateReviewSearch,
+  validateTrends
+} from "../middleware/validators.js";
+import { ingestProductReviews } from "../services/reviewIngestion.js";
+import { upsertReview, UPSERT_STATUS } from "../services/reviewStore.js";
+import { editReview, getReviewEdits } from "../services/reviewEdits.js";
+import { reviewRatingScale, syncSourceRegistry } from "../sources/index.js";
+import { ratingColumns, withNumericRatings } from "../services/ratingScale.js";
+import { clusterProductReviews, getDuplicateClusters, refreshDuplicateClusters } from "../services/reviewDedup.js";
+import { collapseDuplicates, computeScore } from "../services/ratingScores.js";
+import { getRatingTrends } from "../services/reviewTrends.js";
+import { searchReviews } from "../services/reviewSearch.js";
+import { getProductStats, refreshProductStats } from "../services/reviewStats.js";
+import { listReviewsFromQuery } from "../services/reviewPagination.js";
+import { withSpamFlag } from "../services/reviewSpam.js";
+import { getSentimentBySource } from "../services/sentiment.js";
+import { countAnomaliesBySource } from "../services/ratingAnomalies.js";
+import { LANGUAGES, getLanguageCounts } from "../services/language.js";
+import { SPAM_SCORE_THRESHOLD, queries } from "../database/queries.js";
 
 const router = express.Router();
 
@@ -10,267 +40,447 @@ const router = express.Router();
 // It provides CRUD operations for reviews and review aggregation functionality.
 
 // GET /api/reviews/aggregate/:productId - Get review statistics for a product
-router.get("/aggregate/:productId", async (req, res) => {
-  try {
-    const { productId } = req.params;
-    
-    // Get overall statistics
+// Optional `?dedupe=true` counts each near-duplicate cluster (the same review
+// syndicated to several retailers) once in the overall stats and histogram.
+// The source breakdown always counts every copy: each retailer did show it.
+// Optional `?mode=average|bayesian|weighted|wilson` picks how `overall.score` is
+// computed (see services/ratingScores.js); `overall.average_rating` stays the plain mean.
+// Suspicious reviews (spam_score >= SPAM_SCORE_THRESHOLD, see services/reviewSpam.js)
+// are left out of every number; `overall.excluded_suspicious` says how many.
+// `average_sentiment` is the text sentiment (-1..+1, services/sentiment.js); per
+// source, `sentiment_gap` compares it with the ratings on the same scale: a
+// negative gap means the text is more negative than the stars suggest.
+// `overall.languages` counts reviews per detected language (services/language.js).
+router.get("/aggregate/:productId", validateReviewAggregate, asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const dedupe = req.query.dedupe === true;
+  const mode = req.query.mode || "average";
+
+  // Counts, averages, histogram and source breakdown are precomputed in
+  // product_review_stats (services/reviewStats.js) whenever reviews change
+  const stats = await getProductStats(productId);
+  let overall = stats;
+
+  // With dedupe, a cluster becomes one row rated with its members' average.
+  // Clusters change with every re-check, so these numbers are computed live.
+  if (dedupe) {
+    const reviewRows = `(SELECT COALESCE(duplicate_cluster_id, id) AS id, AVG(rating) AS rating
+        FROM reviews
+        WHERE product_id = ? AND moderation_status = 'approved'
+          AND (spam_score IS NULL OR spam_score < ?)
+        GROUP BY COALESCE(duplicate_cluster_id, id)) AS r`;
+
+    // Student Note: `rating` is the normalized 0-5 value, so sources with
+    // different scales (10-point, percent, thumbs...) can be averaged together.
     const [overallStats] = await db.query(
       `SELECT 
         COUNT(*) as total_reviews,
         AVG(rating) as average_rating,
         MIN(rating) as min_rating,
         MAX(rating) as max_rating
-       FROM reviews 
-       WHERE product_id = ?`,
-      [productId]
-    );
-    
-    // Get source breakdown
-    const [sourceBreakdown] = await db.query(
-      `SELECT 
-        source,
-        COUNT(*) as review_count,
-        AVG(rating) as average_rating
-       FROM reviews 
-       WHERE product_id = ?
-       GROUP BY source
-       ORDER BY source`,
-      [productId]
+       FROM ${reviewRows}`,
+      [productId, SPAM_SCORE_THRESHOLD]
     );
-    
-    // Get rating histogram (count by rating)
+
+    // Rating histogram (count by star, normalized ratings rounded to the nearest star)
     const [histogram] = await db.query(
       `SELECT 
-        rating,
+        LEAST(5, GREATEST(1, ROUND(rating))) as stars,
         COUNT(*) as count
-       FROM reviews 
-       WHERE product_id = ?
-       GROUP BY rating
-       ORDER BY rating DESC`,
-      [productId]
+       FROM ${reviewRows}
+       GROUP BY stars`,
+      [productId, SPAM_SCORE_THRESHOLD]
     );
-    
-    // Format histogram as object
-    const ratingHistogram = {
-      5: 0,
-      4: 0,
-      3: 0,
-      2: 0,
-      1: 0
+
+    overall = {
+      total_reviews: Number(overallStats[0]?.total_reviews || 0),
+      average_rating: overallStats[0]?.average_rating === null ? null : Number(overallStats[0]?.average_rating),
+      min_rating: Number(overallStats[0]?.min_rating || 0),
+      max_rating: Number(overallStats[0]?.max_rating || 0),
+      histogram: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 }
     };
-    
     histogram.forEach(row => {
-      ratingHistogram[row.rating] = row.count;
-    });
-    
-    res.json({
-      success: true,
-      data: {
-        overall: {
-          average_rating: overallStats[0]?.average_rating ? parseFloat(overallStats[0].average_rating).toFixed(1) : '0.0',
-          total_reviews: overallStats[0]?.total_reviews || 0,
-          min_rating: overallStats[0]?.min_rating || 0,
-          max_rating: overallStats[0]?.max_rating || 0
-        },
-        source_breakdown: sourceBreakdown.map(s => ({
-          source: s.source,
-          average_rating: parseFloat(s.average_rating).toFixed(1),
-          review_count: s.review_count
-        })),
-        rating_histogram: ratingHistogram
-      }
-    });
-  } catch (error) {
-    console.error("Error fetching review aggregate:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch review aggregate",
-      error: error.message
+      overall.histogram[row.stars] = Number(row.count);
     });
   }
-});
 
-// GET /api/reviews - Get all reviews with optional filtering
-router.get("/", async (req, res) => {
-  try {
-    const { product_id, source, min_rating, max_rating, limit = 50, offset = 0 } = req.query;
-    
-    let query = `
-      SELECT r.*, p.name as product_name 
-      FROM reviews r 
-      LEFT JOIN products p ON r.product_id = p.id 
-      WHERE 1=1
-    `;
-    const params = [];
-    
-    if (product_id) {
-      query += " AND r.product_id = ?";
-      params.push(product_id);
-    }
-    
-    if (source) {
-      query += " AND r.source = ?";
-      params.push(source);
+  // Score for the requested mode, computed from the individual reviews
+  const [scoringRows] = await db.query(...queries.reviews.selectForScoring(productId));
+  let prior;
+  if (mode === "bayesian") {
+    const [priorRows] = await db.query(...queries.reviews.selectRatingPrior(productId));
+    prior = priorRows[0];
+  }
+  const score = computeScore(mode, dedupe ? collapseDuplicates(scoringRows) : scoringRows, { prior });
+  const [[suspicious]] = await db.query(...queries.reviews.countSuspicious(productId));
+  const sentiment = await getSentimentBySource(productId);
+  const languages = await getLanguageCounts(productId);
+  
+  res.json({
+    success: true,
+    data: {
+      overall: {
+        average_rating: overall.average_rating ? overall.average_rating.toFixed(1) : '0.0',
+        total_reviews: overall.total_reviews,
+        min_rating: overall.min_rating,
+        max_rating: overall.max_rating,
+        deduplicated: dedupe,
+        excluded_suspicious: Number(suspicious.count),
+        average_sentiment: sentiment.average_sentiment,
+        // Reviews per detected language ({ en: 12, es: 3, unknown: 1 })
+        languages,
+        score
+      },
+      // Always counts every copy of a duplicate: each retailer did show it
+      source_breakdown: stats.sources.map(s => ({
+        source: s.source,
+        average_rating: s.average_rating.toFixed(1),
+        review_count: s.review_count,
+        // Same average on the source's own scale, e.g. 8.2 on 1-10
+        original_average_rating: s.original_average_rating === null ? null : s.original_average_rating.toFixed(1),
+        rating_scale: s.rating_scale,
+        average_sentiment: sentiment.sources[s.source]?.average_sentiment ?? null,
+        sentiment_gap: sentiment.sources[s.source]?.sentiment_gap ?? null
+      })),
+      rating_histogram: overall.histogram
     }
-    
-    if (min_rating) {
-      query += " AND r.rating >= ?";
-      params.push(min_rating);
+  });
+}));
+
+// GET /api/reviews - List reviews with optional filtering and sorting
+// Only published (approved) reviews unless `status` asks for another
+// moderation status, or `all`.
+// `sort` is a key of REVIEW_SORTS (default created_desc: newest added first).
+// Filters: product_id, source, min/max_rating, verified_purchase, date_from /
+// date_to (review_date, inclusive), has_text, reviewer (name contains),
+// suspicious (spam score at/above the threshold or not), max_spam_score,
+// anomaly (rating / text mismatch: negative_text, positive_text or any) and
+// language (detected language code such as en or es, or unknown).
+// Paginated with cursors: pass `cursor=meta.next_cursor` for the next page, or
+// `cursor=meta.prev_cursor` for the reviews before the current page — with the
+// default sort, that includes ones ingested after it was loaded.
+// `total=true` adds meta.total.
+router.get("/", validateReviewList, asyncHandler(async (req, res) => {
+  const { reviews, meta } = await listReviewsFromQuery(req.query);
+
+  res.json({ success: true, data: reviews, meta });
+}));
+
+// GET /api/reviews/anomalies - Reviews whose rating contradicts their text
+// GET /api/reviews with other defaults: `anomaly=any` and `status=all`
+// (mapping bugs affect pending reviews too). `anomaly=negative_text` keeps
+// high ratings over negative text, `positive_text` the reverse. Takes the
+// same filters (e.g. source, product_id) and cursors. meta.by_source has the
+// share of flagged reviews per source, so a source adapter that mis-maps
+// ratings stands out. Declared before /:id so "anomalies" is not taken for
+// a review ID.
+router.get("/anomalies", validateRatingAnomalies, asyncHandler(async (req, res) => {
+  const { reviews, meta } = await listReviewsFromQuery(req.query);
+
+  res.json({
+    success: true,
+    data: reviews,
+    meta: {
+      ...meta,
+      anomaly: req.query.anomaly,
+      by_source: await countAnomaliesBySource(req.query.product_id)
     }
-    
-    if (max_rating) {
-      query += " AND r.rating <= ?";
-      params.push(max_rating);
+  });
+}));
+
+// GET /api/reviews/languages - Languages the detector knows, as { code, name }
+// These are the values of `language` on GET /api/reviews, besides "unknown"
+// (text too short or unclear to tell), so the frontend's filter follows the
+// backend's list. Declared before /:id so "languages" is not taken for a review ID.
+router.get("/languages", asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(LANGUAGES).map(([code, name]) => ({ code, name }))
+  });
+}));
+
+// GET /api/reviews/search?q= - Full-text search over review titles and content
+// Results are ranked by relevance and carry `highlights` ({ title, content }
+// segments marking the matched words). Combines with product_id, source
+// (id or name), min_rating and max_rating. Declared before /:id so "search"
+// is not taken for a review ID.
+router.get("/search", validateReviewSearch, asyncHandler(async (req, res) => {
+  const { q, product_id, source, min_rating, max_rating, limit = 20, offset = 0 } = req.query;
+  const { reviews, total, terms } = await searchReviews({
+    q,
+    productId: product_id,
+    source,
+    minRating: min_rating,
+    maxRating: max_rating,
+    limit,
+    offset
+  });
+
+  res.json({
+    success: true,
+    data: reviews,
+    meta: {
+      q,
+      terms,
+      count: reviews.length,
+      total,
+      limit,
+      offset
     }
-    
-    query += " ORDER BY r.created_at DESC LIMIT ? OFFSET ?";
-    params.push(parseInt(limit), parseInt(offset));
-    
-    const [reviews] = await db.query(query, params);
-    
-    res.json({
-      success: true,
-      data: reviews,
-      meta: {
-        count: reviews.length,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      }
-    });
-  } catch (error) {
-    console.error("Error fetching reviews:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch reviews",
-      error: error.message
-    });
-  }
-});
+  });
+}));
 
 // GET /api/reviews/:id - Get a specific review
-router.get("/:id", async (req, res) => {
+router.get("/:id", validateReviewId, asyncHandler(async (req, res) => {
+  const [reviews] = await db.query(
+    `SELECT r.*, p.name as product_name 
+     FROM reviews r 
+     LEFT JOIN products p ON r.product_id = p.id 
+     WHERE r.id = ?`,
+    [req.params.id]
+  );
+
+  if (reviews.length === 0) {
+    throw new AppError("Review not found", 404);
+  }
+
+  res.json({
+    success: true,
+    data: withSpamFlag(withNumericRatings(reviews[0]))
+  });
+}));
+
+/**
+ * Response body for PUT / PATCH /api/reviews/:id
+ */
+function editResponse({ review, status, edit }) {
+  return {
+    success: true,
+    data: review,
+    meta: { status, edit }
+  };
+}
+
+// PUT /api/reviews/:id - Replace a review (moderation edit)
+// Body: the same fields as POST /api/reviews plus `edited_by` (required) and
+// `reason`. Optional fields that are left out are reset to their defaults, and
+// `rating` is read on the source's registered scale unless rating_scale_min /
+// rating_scale_max are sent. meta.status is updated | unchanged; meta.edit is
+// the review_edits record ({ column: { before, after } }), null if nothing changed.
+router.put("/:id", validateReviewReplace, asyncHandler(async (req, res) => {
+  const { edited_by, reason, ...fields } = req.body;
+  const result = await editReview(req.params.id, fields, { editedBy: edited_by, reason, replace: true });
+
+  res.json(editResponse(result));
+}));
+
+// PATCH /api/reviews/:id - Change some fields of a review (moderation edit)
+// Same as PUT, but fields that are left out keep their value. A new `rating`
+// without scale bounds is read on the review's stored scale.
+router.patch("/:id", validateReviewPatch, asyncHandler(async (req, res) => {
+  const { edited_by, reason, ...fields } = req.body;
+  const result = await editReview(req.params.id, fields, { editedBy: edited_by, reason });
+
+  res.json(editResponse(result));
+}));
+
+// GET /api/reviews/:id/edits - Edit history of a review, newest first
+router.get("/:id/edits", validateReviewId, asyncHandler(async (req, res) => {
+  const edits = await getReviewEdits(req.params.id);
+
+  res.json({
+    success: true,
+    data: edits,
+    meta: { review_id: req.params.id, count: edits.length }
+  });
+}));
+
+// POST /api/reviews - Create or update reviews (idempotent upsert)
+// Body: a single review object, or an array of reviews for batch imports.
+// Reviews that carry an `external_id` are matched on (source, external_id):
+// posting the same review twice updates it (or reports it unchanged) instead of
+// creating a duplicate. Each result has `status`: created | updated | unchanged.
+// `rating` is on the source's own scale (registered per source, or override it
+// with rating_scale_min / rating_scale_max); it is stored normalized to 0-5.
+// validateReviewCreate has already checked every field and replaced `source`
+// with its display name.
+router.post("/", validateReviewCreate, asyncHandler(async (req, res) => {
+  const isBatch = Array.isArray(req.body);
+  const payloads = isBatch ? req.body : [req.body];
+
+  const productIds = [...new Set(payloads.map((p) => p.product_id))];
+  const [found] = await db.query(...queries.products.selectExistingIds(productIds));
+  const missing = productIds.filter((id) => !found.some((row) => row.id === id));
+  if (missing.length > 0) {
+    throw new AppError(`Product not found: ${missing.join(", ")}`, 404);
+  }
+
+  await syncSourceRegistry();
+  const conn = await db.getConnection();
+  let results;
+  let changedProducts;
   try {
-    const { id } = req.params;
-    
-    const [reviews] = await db.query(
-      `SELECT r.*, p.name as product_name 
-       FROM reviews r 
-       LEFT JOIN products p ON r.product_id = p.id 
-       WHERE r.id = ?`,
-      [id]
-    );
-    
-    if (reviews.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Review not found"
-      });
+    await conn.beginTransaction();
+
+    results = [];
+    // New and changed rows, plus the stored versions they replaced (spam rescoring)
+    const written = [];
+    for (const payload of payloads) {
+      const review = {
+        product_id: payload.product_id,
+        source: payload.source,
+        external_id: payload.external_id || null,
+        reviewer_name: payload.reviewer_name,
+        // `rating` is sent on the source's scale; store it plus the 0-5 value
+        ...ratingColumns(payload.rating, reviewRatingScale(payload)),
+        title: payload.title,
+        content: payload.content,
+        review_date: payload.review_date || null,
+        verified_purchase: Boolean(payload.verified_purchase),
+        helpful_votes: payload.helpful_votes || 0
+      };
+      const { id, status, moderation_status, previous } = await upsertReview(conn, review);
+      results.push({ id, status, moderation_status, ...review });
+      if (status !== UPSERT_STATUS.UNCHANGED) written.push({ ...review, id });
+      if (previous) written.push(previous);
     }
-    
-    res.json({
-      success: true,
-      data: reviews[0]
-    });
+
+    changedProducts = new Set(
+      results.filter((r) => r.status !== UPSERT_STATUS.UNCHANGED).map((r) => r.product_id)
+    );
+    // Stats commit together with the reviews they count
+    await refreshProductStats(conn, [...changedProducts], { written });
+
+    await conn.commit();
   } catch (error) {
-    console.error("Error fetching review:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch review",
-      error: error.message
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+
+  for (const productId of changedProducts) {
+    await refreshDuplicateClusters(productId);
+  }
+
+  if (!isBatch) {
+    const [result] = results;
+    return res.status(result.status === UPSERT_STATUS.CREATED ? 201 : 200).json({
+      success: true,
+      data: result
     });
   }
-});
 
-// POST /api/reviews - Create a new review
-router.post("/", async (req, res) => {
-  try {
-    const {
-      product_id,
+  const summary = { created: 0, updated: 0, unchanged: 0 };
+  results.forEach((r) => { summary[r.status]++; });
+
+  res.json({
+    success: true,
+    data: results,
+    meta: { count: results.length, ...summary }
+  });
+}));
+
+// POST /api/reviews/ingest/:productId - Pull reviews from the scraper service
+// Optional query param `source` (a registered source id, see GET /api/sources) limits the pull to one source.
+// Re-running is safe: already-ingested reviews are updated instead of duplicated.
+router.post("/ingest/:productId", validateIngest, asyncHandler(async (req, res) => {
+  const summary = await ingestProductReviews(req.params.productId, {
+    source: req.query.source || undefined
+  });
+
+  res.json({
+    success: true,
+    data: summary
+  });
+}));
+
+// GET /api/reviews/trends/:productId - Review count and average rating over time
+// Optional `interval` (week | month, default month) and `source` (id or name).
+// Buckets are grouped by review_date, oldest first; weeks with no reviews are
+// included with review_count 0 so charts keep a regular time axis.
+router.get("/trends/:productId", validateTrends, asyncHandler(async (req, res) => {
+  const interval = req.query.interval || "month";
+  const source = req.query.source || null;
+  const { series, sources } = await getRatingTrends(req.params.productId, { interval, source });
+
+  res.json({
+    success: true,
+    data: series,
+    meta: {
+      product_id: req.params.productId,
+      interval,
       source,
-      external_id,
-      reviewer_name,
-      rating,
-      title,
-      content,
-      review_date,
-      verified_purchase = false,
-      helpful_votes = 0
-    } = req.body;
-    
-    // Validate required fields
-    if (!product_id || !source || !reviewer_name || !rating || !title || !content) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields: product_id, source, reviewer_name, rating, title, content"
-      });
+      sources,
+      buckets: series.length
     }
-    
-    // Validate rating
-    if (rating < 1 || rating > 5) {
-      return res.status(400).json({
-        success: false,
-        message: "Rating must be between 1 and 5"
-      });
+  });
+}));
+
+/**
+ * Response body for duplicate cluster endpoints
+ */
+function clusterResponse(clusters) {
+  return {
+    success: true,
+    data: clusters,
+    meta: {
+      clusters: clusters.length,
+      duplicate_reviews: clusters.reduce((sum, c) => sum + c.size - 1, 0)
     }
-    
-    const [result] = await db.query(
-      `INSERT INTO reviews 
-       (product_id, source, external_id, reviewer_name, rating, title, content, review_date, verified_purchase, helpful_votes, created_at) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
-      [product_id, source, external_id, reviewer_name, rating, title, content, review_date, verified_purchase, helpful_votes]
-    );
-    
-    res.status(201).json({
-      success: true,
-      data: {
-        id: result.insertId,
-        product_id,
-        source,
-        external_id,
-        reviewer_name,
-        rating,
-        title,
-        content,
-        review_date,
-        verified_purchase,
-        helpful_votes
-      }
-    });
-  } catch (error) {
-    console.error("Error creating review:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create review",
-      error: error.message
-    });
-  }
-});
+  };
+}
+
+// GET /api/reviews/duplicates/:productId - Near-duplicate review clusters of a product
+// Each cluster lists its reviews; `canonical` marks the earliest one, which
+// represents the cluster in deduplicated statistics.
+router.get("/duplicates/:productId", validateReviewProductId, asyncHandler(async (req, res) => {
+  const clusters = await getDuplicateClusters(req.params.productId);
+
+  res.json(clusterResponse(clusters));
+}));
+
+// POST /api/reviews/duplicates/:productId - Re-run duplicate detection for a product
+// Runs automatically after ingestion and after every review POST, edit and
+// DELETE; this is for manual re-checks.
+router.post("/duplicates/:productId", validateReviewProductId, asyncHandler(async (req, res) => {
+  await clusterProductReviews(req.params.productId);
+  const clusters = await getDuplicateClusters(req.params.productId);
+
+  res.json(clusterResponse(clusters));
+}));
 
 // DELETE /api/reviews/:id - Delete a review
-router.delete("/:id", async (req, res) => {
+// Duplicate clusters are rebuilt afterwards: the deleted review may have been
+// a cluster's canonical review, which the other members point at.
+router.delete("/:id", validateReviewId, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const conn = await db.getConnection();
+  let productId;
   try {
-    const { id } = req.params;
-    
-    const [result] = await db.query("DELETE FROM reviews WHERE id = ?", [id]);
-    
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Review not found"
-      });
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(...queries.reviews.selectByIdForUpdate(id));
+    if (rows.length === 0) {
+      throw new AppError("Review not found", 404);
     }
-    
-    res.status(204).send();
+
+    productId = rows[0].product_id;
+    await conn.query("DELETE FROM reviews WHERE id = ?", [id]);
+    // Its same-day and same-reviewer reviews may lose a spam signal
+    await refreshProductStats(conn, productId, { written: [rows[0]] });
+    await conn.commit();
   } catch (error) {
-    console.error("Error deleting review:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete review",
-      error: error.message
-    });
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
   }
-});
+
+  await refreshDuplicateClusters(productId);
+
+  res.status(204).send();
+}));
 
 export default router;
 
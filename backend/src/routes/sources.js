@@ -0,0 +1,16 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { listSourceAdapters, toPublicSource } from '../sources/index.js';
+
+const router = express.Router();
+
+/**
+ * List registered review sources
+ * Teaching point: the list comes from the source adapter registry, so the
+ * frontend's filters and badges follow whatever adapters the backend has.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(listSourceAdapters().map(toPublicSource));
+}));
+
+export default router;
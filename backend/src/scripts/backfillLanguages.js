@@ -0,0 +1,23 @@
+/**
+ * Detect the language of reviews that have none yet
+ *
+ * The API checks every review it writes, and the backend runs this backfill
+ * when it starts; run it by hand after inserting reviews directly in SQL.
+ *
+ * Usage:
+ * - `npm --workspace=backend run languages:backfill` from the repo root
+ * - `docker compose exec backend npm run languages:backfill` when using Docker
+ */
+
+import pool from '../db.js';
+import { backfillLanguages } from '../services/language.js';
+
+try {
+  const count = await backfillLanguages();
+  console.log(`✅ Detected the language of ${count} review(s)`);
+  await pool.end();
+} catch (err) {
+  console.error('❌ Could not detect review languages:', err.message);
+  // db.js keeps retrying a failed connection; exit instead of waiting on it
+  process.exit(1);
+}
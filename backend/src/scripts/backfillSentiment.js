@@ -0,0 +1,24 @@
+/**
+ * Analyze the sentiment of reviews that have none yet
+ * (and flag the ones whose rating contradicts their text)
+ *
+ * The API scores every review it writes, and the backend runs this backfill
+ * when it starts; run it by hand after inserting reviews directly in SQL.
+ *
+ * Usage:
+ * - `npm --workspace=backend run sentiment:backfill` from the repo root
+ * - `docker compose exec backend npm run sentiment:backfill` when using Docker
+ */
+
+import pool from '../db.js';
+import { backfillSentiment } from '../services/sentiment.js';
+
+try {
+  const count = await backfillSentiment();
+  console.log(`✅ Analyzed the sentiment of ${count} review(s)`);
+  await pool.end();
+} catch (err) {
+  console.error('❌ Could not analyze review sentiment:', err.message);
+  // db.js keeps retrying a failed connection; exit instead of waiting on it
+  process.exit(1);
+}
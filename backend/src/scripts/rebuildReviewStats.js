@@ -0,0 +1,24 @@
+/**
+ * Rebuild product_review_stats and review spam scores from the reviews table
+ *
+ * The API keeps both up to date on every review write; run this to repair
+ * them after reviews were changed directly in SQL (imports, manual fixes...),
+ * and once after applying db/migrations/013_add_review_spam_score.sql.
+ *
+ * Usage:
+ * - `npm --workspace=backend run stats:rebuild` from the repo root
+ * - `docker compose exec backend npm run stats:rebuild` when using Docker
+ */
+
+import pool from '../db.js';
+import { rebuildAllStats } from '../services/reviewStats.js';
+
+try {
+  const { products, rescored } = await rebuildAllStats();
+  console.log(`✅ Rebuilt review statistics for ${products} product(s), ${rescored} spam score(s) changed`);
+  await pool.end();
+} catch (err) {
+  console.error('❌ Could not rebuild review statistics:', err.message);
+  // db.js keeps retrying a failed connection; exit instead of waiting on it
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+/**
+ * Check every review for a rating that contradicts its text
+ *
+ * The API checks every review it writes, and the backend checks older reviews
+ * when it gives them a sentiment score at startup. Run this full scan by hand
+ * after fixing a source adapter's rating mapping, after changing the
+ * thresholds in services/ratingAnomalies.js, or once after applying
+ * db/migrations/016_add_review_rating_anomaly.sql. Reviews without a
+ * sentiment score are analyzed first.
+ *
+ * Usage:
+ * - `npm --workspace=backend run anomalies:scan` from the repo root
+ * - `docker compose exec backend npm run anomalies:scan` when using Docker
+ */
+
+import pool from '../db.js';
+import { backfillSentiment } from '../services/sentiment.js';
+import { countAnomaliesBySource, scanRatingAnomalies } from '../services/ratingAnomalies.js';
+
+try {
+  await backfillSentiment();
+  const { scanned, flagged, changed } = await scanRatingAnomalies();
+  console.log(`✅ Checked ${scanned} review(s): ${flagged} flagged (${changed} changed)`);
+  for (const row of await countAnomaliesBySource()) {
+    if (row.anomalies > 0) {
+      console.log(`   ${row.source}: ${row.anomalies} of ${row.analyzed_reviews} (${(row.anomaly_rate * 100).toFixed(1)}%)`);
+    }
+  }
+  await pool.end();
+} catch (err) {
+  console.error('❌ Could not check reviews for rating anomalies:', err.message);
+  // db.js keeps retrying a failed connection; exit instead of waiting on it
+  process.exit(1);
+}
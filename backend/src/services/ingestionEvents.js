@@ -0,0 +1,50 @@
+/**
+ * Ingestion Progress Events (in-process pub/sub)
+ *
+ * Purpose:
+ * - Let the job worker announce progress (source started, N reviews fetched,
+ *   source failed/finished, job finished) while it ingests reviews
+ * - Let the SSE route (GET /api/products/:id/reviews/stream) forward those
+ *   announcements to browsers as they happen
+ *
+ * Teaching points:
+ * - Node's EventEmitter is a tiny publish/subscribe system. Publishers don't
+ *   know who is listening; subscribers only hear about the product they asked for.
+ * - This only works because the worker runs in the same process as the API.
+ *   With several backend instances you would publish through a shared broker
+ *   (Redis pub/sub, MySQL polling, ...) instead.
+ */
+
+import { EventEmitter } from 'events';
+
+const emitter = new EventEmitter();
+// One listener per open SSE connection: lift the default limit of 10
+emitter.setMaxListeners(0);
+
+const channel = (productId) => `product:${Number(productId)}`;
+
+/**
+ * Announce an ingestion event for a product
+ *
+ * @param {number} productId - Product the event is about
+ * @param {string} type - Event name (e.g. 'source_started')
+ * @param {Object} [data] - Event payload
+ */
+export function publishIngestionEvent(productId, type, data = {}) {
+  emitter.emit(channel(productId), {
+    type,
+    data: { product_id: Number(productId), ...data, at: new Date().toISOString() },
+  });
+}
+
+/**
+ * Listen to ingestion events for one product
+ *
+ * @param {number} productId - Product to follow
+ * @param {Function} listener - Called with { type, data } for each event
+ * @returns {Function} unsubscribe()
+ */
+export function subscribeToIngestionEvents(productId, listener) {
+  emitter.on(channel(productId), listener);
+  return () => emitter.off(channel(productId), listener);
+}
@@ -0,0 +1,330 @@
+/**
+ * Background Job Queue (MySQL-backed)
+ *
+ * Purpose:
+ * - Let the API answer "refresh this product's reviews" immediately (202 Accepted)
+ *   while the slow scraper calls happen in the background
+ * - Persist jobs in the `review_jobs` table so they survive restarts and the
+ *   frontend can poll GET /api/jobs/:id for progress
+ *
+ * How a refresh job runs:
+ * 1. The worker loop polls for the next due job (status 'queued', run_after <= NOW())
+ * 2. It ingests each scraper source separately and records a per-source result
+ * 3. If some sources failed and attempts remain, the job is requeued with
+ *    exponential backoff and only the failed sources are retried
+ * 4. Otherwise the job ends as 'succeeded' (every source worked) or 'failed'
+ *
+ * Progress is published through ingestionEvents.js as it happens
+ * (job_started, source_started, source_fetched, source_failed,
+ * source_finished, job_finished) for the SSE stream route. The stream
+ * carries counts, not reviews: new reviews are only published once a
+ * moderator approves them (GET /api/moderation/queue).
+ *
+ * Teaching points:
+ * - A database table is the simplest durable queue: no extra infrastructure.
+ *   Dedicated brokers (Redis/BullMQ, RabbitMQ, SQS) become worthwhile at scale.
+ * - SELECT ... FOR UPDATE SKIP LOCKED is what makes it safe to run several
+ *   workers (or several backend containers) against the same table.
+ * - Backoff (1x, 2x, 4x the base delay...) avoids hammering a failing upstream.
+ */
+
+import pool from '../db.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { queries } from '../database/queries.js';
+import { ingestProductReviews } from './reviewIngestion.js';
+import { listSourceIds, sourceDisplayName } from '../sources/index.js';
+import { publishIngestionEvent } from './ingestionEvents.js';
+import { UPSERT_STATUS } from './reviewStore.js';
+import { MODERATION_STATUS } from './moderation.js';
+
+export const JOB_TYPES = {
+  REVIEW_REFRESH: 'review_refresh',
+};
+
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const BACKOFF_BASE_SECONDS = Number(process.env.JOB_BACKOFF_BASE_SECONDS) || 30;
+const STALE_JOB_MINUTES = 10;
+
+/**
+ * Seconds to wait before the next attempt (exponential backoff)
+ *
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in seconds
+ */
+export function backoffSeconds(attempts) {
+  return BACKOFF_BASE_SECONDS * 2 ** Math.max(0, attempts - 1);
+}
+
+/**
+ * Shape a review_jobs row for API responses
+ */
+function formatJob(row) {
+  const sources = row.source_results || {};
+  return {
+    id: row.id,
+    product_id: row.product_id,
+    type: row.type,
+    status: row.status,
+    attempts: row.attempts,
+    max_attempts: row.max_attempts,
+    run_after: row.run_after,
+    sources: listSourceIds().map((source) => ({
+      source,
+      name: sourceDisplayName(source),
+      status: 'pending',
+      ...sources[source],
+    })),
+    last_error: row.last_error,
+    created_at: row.created_at,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+  };
+}
+
+/**
+ * Get a job by ID
+ *
+ * @param {number} id - Job ID
+ * @returns {Promise<Object|null>} Formatted job, or null if not found
+ */
+export async function getJob(id) {
+  const [rows] = await pool.query(...queries.jobs.selectById(id));
+  return rows.length > 0 ? formatJob(rows[0]) : null;
+}
+
+/**
+ * Get the queued or running review refresh for a product, if any
+ *
+ * @param {number} productId - Product ID
+ * @returns {Promise<Object|null>} Formatted job, or null when idle
+ */
+export async function getActiveRefreshJob(productId) {
+  const [rows] = await pool.query(
+    ...queries.jobs.selectActiveForProduct(productId, JOB_TYPES.REVIEW_REFRESH)
+  );
+  return rows.length > 0 ? formatJob(rows[0]) : null;
+}
+
+/**
+ * Queue a review refresh for a product
+ * If a refresh is already queued or running for that product, it is returned
+ * instead of creating a second one. The check and the insert run in one
+ * transaction holding a lock on the product row, so two simultaneous
+ * requests cannot both queue a job: the second waits for the first to
+ * commit and then finds its job.
+ *
+ * @param {number} productId - Product ID
+ * @returns {Promise<{job: Object, created: boolean}>}
+ */
+export async function enqueueReviewRefresh(productId) {
+  const conn = await pool.getConnection();
+  let jobId;
+  try {
+    await conn.beginTransaction();
+    const [productRows] = await conn.query(...queries.products.lockById(productId));
+    if (productRows.length === 0) {
+      throw new AppError('Product not found', 404);
+    }
+
+    const [active] = await conn.query(
+      ...queries.jobs.selectActiveForProduct(productId, JOB_TYPES.REVIEW_REFRESH)
+    );
+    if (active.length > 0) {
+      await conn.commit();
+      return { job: formatJob(active[0]), created: false };
+    }
+
+    const [result] = await conn.query(...queries.jobs.insert({
+      product_id: productId,
+      type: JOB_TYPES.REVIEW_REFRESH,
+      max_attempts: MAX_ATTEMPTS,
+    }));
+    jobId = result.insertId;
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return { job: await getJob(jobId), created: true };
+}
+
+/**
+ * Atomically claim the next due job and mark it running
+ *
+ * @returns {Promise<Object|null>} The claimed row, or null if nothing is due
+ */
+async function claimNextJob() {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query(...queries.jobs.selectNextDueForUpdate());
+    if (rows.length === 0) {
+      await conn.commit();
+      return null;
+    }
+    const job = rows[0];
+    await conn.query(...queries.jobs.markRunning(job.id));
+    await conn.commit();
+    return { ...job, attempts: job.attempts + 1 };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Run one attempt of a review refresh job
+ * Sources that already succeeded on a previous attempt are not pulled again.
+ *
+ * @param {Object} job - Claimed review_jobs row
+ */
+async function runReviewRefresh(job) {
+  const results = { ...(job.source_results || {}) };
+  const publish = (type, data) =>
+    publishIngestionEvent(job.product_id, type, { job_id: job.id, ...data });
+
+  publish('job_started', { attempt: job.attempts, max_attempts: job.max_attempts });
+
+  for (const source of listSourceIds()) {
+    if (results[source]?.status === 'succeeded') continue;
+
+    const name = sourceDisplayName(source);
+    publish('source_started', { source, name });
+
+    try {
+      const summary = await ingestProductReviews(job.product_id, {
+        source,
+        onFetched: (count) => publish('source_fetched', { source, name, count }),
+      });
+      results[source] = {
+        source,
+        status: 'succeeded',
+        fetched: summary.fetched,
+        created: summary.created,
+        updated: summary.updated,
+        unchanged: summary.unchanged,
+        // New reviews are not published yet: they wait in the moderation queue.
+        // The stream is public, so it reports how many instead of their text.
+        awaiting_moderation: summary.reviews.filter(
+          (r) => r.status === UPSERT_STATUS.CREATED && r.moderation_status === MODERATION_STATUS.PENDING
+        ).length,
+        finished_at: new Date().toISOString(),
+      };
+      publish('source_finished', { ...results[source], name });
+    } catch (err) {
+      results[source] = {
+        source,
+        status: 'failed',
+        error: err.message,
+        finished_at: new Date().toISOString(),
+      };
+      publish('source_failed', { source, name, error: err.message });
+    }
+  }
+
+  const failed = Object.values(results).filter((r) => r.status === 'failed');
+
+  if (failed.length === 0) {
+    await pool.query(...queries.jobs.markFinished(job.id, {
+      status: 'succeeded',
+      sourceResults: results,
+      lastError: null,
+      retryInSeconds: null,
+    }));
+    publish('job_finished', { status: 'succeeded' });
+    return;
+  }
+
+  const lastError = failed.map((r) => `${r.source}: ${r.error}`).join('; ');
+  const canRetry = job.attempts < job.max_attempts;
+  const retryInSeconds = canRetry ? backoffSeconds(job.attempts) : null;
+
+  await pool.query(...queries.jobs.markFinished(job.id, {
+    status: canRetry ? 'queued' : 'failed',
+    sourceResults: results,
+    lastError,
+    retryInSeconds,
+  }));
+  publish('job_finished', {
+    status: canRetry ? 'queued' : 'failed',
+    error: lastError,
+    retry_in_seconds: retryInSeconds,
+  });
+}
+
+const JOB_HANDLERS = {
+  [JOB_TYPES.REVIEW_REFRESH]: runReviewRefresh,
+};
+
+/**
+ * Claim and run at most one job
+ *
+ * @returns {Promise<boolean>} true if a job was processed
+ */
+export async function processNextJob() {
+  const job = await claimNextJob();
+  if (!job) return false;
+
+  const handler = JOB_HANDLERS[job.type];
+  try {
+    if (!handler) throw new Error(`Unknown job type: ${job.type}`);
+    await handler(job);
+  } catch (err) {
+    // Handler crashed outside its own per-source error handling
+    const canRetry = Boolean(handler) && job.attempts < job.max_attempts;
+    const retryInSeconds = canRetry ? backoffSeconds(job.attempts) : null;
+    await pool.query(...queries.jobs.markFinished(job.id, {
+      status: canRetry ? 'queued' : 'failed',
+      sourceResults: job.source_results || {},
+      lastError: err.message,
+      retryInSeconds,
+    }));
+    publishIngestionEvent(job.product_id, 'job_finished', {
+      job_id: job.id,
+      status: canRetry ? 'queued' : 'failed',
+      error: err.message,
+      retry_in_seconds: retryInSeconds,
+    });
+  }
+  return true;
+}
+
+/**
+ * Start the polling worker loop
+ *
+ * The loop drains all due jobs, then sleeps for `intervalMs`. Errors (e.g. the
+ * database is still starting) are logged and the loop keeps going.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=2000] - Pause between polls when idle
+ * @returns {Function} stop() - Call to end the loop (e.g. in tests)
+ */
+export function startJobWorker({ intervalMs = 2000 } = {}) {
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    try {
+      await pool.query(...queries.jobs.requeueStale(STALE_JOB_MINUTES));
+      while (!stopped && (await processNextJob())) {
+        // keep draining while jobs are due
+      }
+    } catch (err) {
+      console.error('❌ Job worker error:', err && err.message ? err.message : err);
+    }
+    if (!stopped) timer = global.setTimeout(tick, intervalMs);
+  };
+
+  tick();
+  console.log(`⚙️  Job worker polling every ${intervalMs}ms`);
+
+  return () => {
+    stopped = true;
+    if (timer) global.clearTimeout(timer);
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * Review Language Detection (character n-grams, offline)
+ *
+ * Purpose:
+ * - Tell which language a review is written in, so reviews can be filtered by
+ *   language (GET /api/reviews?language=es) and the aggregate can count them.
+ * - The result is stored in reviews.language (an ISO 639-1 code such as 'en')
+ *   when a review is written (reviewStore / reviewEdits). backfillLanguages()
+ *   detects older rows; it runs when the backend starts and as
+ *   `npm --workspace=backend run languages:backfill`. 'und' (ISO 639-2
+ *   "undetermined") means the text was checked but gave no clear answer;
+ *   NULL means it has not been checked yet. The API calls both 'unknown'.
+ *
+ * How it works (a naive Bayes classifier over character trigrams):
+ * 1. Lowercase the text, keep only letters, and pad every word with spaces,
+ *    so "Good!" becomes " good " with trigrams " go", "goo", "ood", "od "
+ * 2. Every language has trigram counts from its sample text
+ *    (languageSamples.js); the chance of a trigram in a language is its count
+ *    there, smoothed so unseen trigrams are unlikely but not impossible
+ * 3. Add up the log chances of the text's trigrams for each language; the
+ *    highest total wins if it beats the runner-up by a clear margin
+ *
+ * Teaching points:
+ * - Logs turn a product of many tiny probabilities into a sum, which does
+ *   not underflow to 0 on long texts.
+ * - Very short texts ("ok", "10/10") are left unknown: a handful of trigrams
+ *   cannot tell Spanish from Portuguese, and a wrong guess is worse than none.
+ */
+
+import pool from '../db.js';
+import { queries } from '../database/queries.js';
+import { LANGUAGE_SAMPLES } from './languageSamples.js';
+
+// Languages the detector knows (code → English name)
+export const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+};
+
+export const UNDETERMINED = 'und';
+
+const MIN_LETTERS = 12; // shorter texts stay unknown
+const MIN_MARGIN = 0.05; // average log-chance per trigram the winner needs over the runner-up
+
+/**
+ * Character trigrams of a text, each word padded with spaces
+ *
+ * @param {string} text - Any text
+ * @returns {string[]} Trigrams (with repeats)
+ */
+export function trigrams(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .normalize('NFC')
+    .replace(/[^\p{L}]+/gu, ' ')
+    .split(' ')
+    .filter(Boolean);
+
+  const grams = [];
+  for (const word of words) {
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+// Trigram counts per language, built once from the bundled samples
+const MODELS = Object.entries(LANGUAGE_SAMPLES).map(([language, sample]) => {
+  const counts = new Map();
+  const grams = trigrams(sample);
+  grams.forEach((gram) => counts.set(gram, (counts.get(gram) || 0) + 1));
+  return { language, counts, total: grams.length };
+});
+const VOCABULARY_SIZE = new Set(MODELS.flatMap((m) => [...m.counts.keys()])).size + 1;
+
+/**
+ * Language of a text
+ *
+ * @param {string} text - Any text
+ * @returns {{language: string|null, scores: Object}} Code of LANGUAGES (null when
+ *   unsure) and each language's average log-chance per trigram (higher is closer)
+ */
+export function detectLanguage(text) {
+  const grams = trigrams(text);
+  const letters = grams.filter((g) => g[1] !== ' ').length;
+
+  const scores = {};
+  for (const { language, counts, total } of MODELS) {
+    let sum = 0;
+    for (const gram of grams) sum += Math.log(((counts.get(gram) || 0) + 1) / (total + VOCABULARY_SIZE));
+    scores[language] = grams.length ? Math.round((sum / grams.length) * 1000) / 1000 : 0;
+  }
+  if (letters < MIN_LETTERS) return { language: null, scores };
+
+  const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  return { language: best[1] - second[1] >= MIN_MARGIN ? best[0] : null, scores };
+}
+
+/**
+ * Language of a review, from its title and content together
+ *
+ * @param {Object} review - Object with title and content
+ * @returns {string} Code of LANGUAGES, or UNDETERMINED
+ */
+export function reviewLanguage(review) {
+  return detectLanguage(`${review.title || ''}. ${review.content || ''}`).language ?? UNDETERMINED;
+}
+
+/**
+ * Number of reviews per language among the ones a product's statistics count
+ *
+ * @param {number} productId - Product ID
+ * @returns {Promise<Object>} { en: 12, es: 3, unknown: 1 } (languages without reviews omitted)
+ */
+export async function getLanguageCounts(productId) {
+  const [rows] = await pool.query(...queries.reviews.countLanguages(productId));
+  const counts = {};
+  for (const row of rows) {
+    const language = LANGUAGES[row.language] ? row.language : 'unknown';
+    counts[language] = (counts[language] || 0) + Number(row.review_count);
+  }
+  return counts;
+}
+
+/**
+ * Detect the language of every review that has none yet, in batches
+ * Rows inserted by SQL (db/init.sql sample data, reviews stored before
+ * db/migrations/017_add_review_language.sql) start out unchecked (NULL).
+ *
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=500] - Reviews read and written per query
+ * @returns {Promise<number>} Number of reviews checked
+ */
+export async function backfillLanguages({ batchSize = 500 } = {}) {
+  let checked = 0;
+  let rows;
+  do {
+    [rows] = await pool.query(...queries.reviews.selectWithoutLanguage(batchSize));
+    const languages = rows.map((row) => ({ id: row.id, language: reviewLanguage(row) }));
+    if (languages.length) await pool.query(...queries.reviews.setLanguages(languages));
+    checked += rows.length;
+  } while (rows.length === batchSize);
+  return checked;
+}
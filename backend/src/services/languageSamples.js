@@ -0,0 +1,101 @@
+/**
+ * Language Samples (bundled training text for services/language.js)
+ *
+ * Purpose:
+ * - A few paragraphs of ordinary product-review text per language. The
+ *   detector counts the character trigrams of each sample once, when the
+ *   backend starts, and compares review text against those counts.
+ * - Keys are ISO 639-1 codes; they are the values stored in reviews.language.
+ *
+ * Teaching points:
+ * - Character n-grams identify languages from surprisingly little text:
+ *   "the", "ing" and " th" are everywhere in English, "ción" and " de " in
+ *   Spanish, "ij" and "een" in Dutch. No dictionary or external service needed.
+ * - To support a new language, add it here (and to LANGUAGES in language.js)
+ *   with text in the style it will be used on: reviews, not legal documents.
+ */
+
+export const LANGUAGE_SAMPLES = {
+  en: `This charger is amazing and works with all of my devices. The build quality is solid
+    and it charges my phone very quickly. I bought it for travel and it fits easily in my bag.
+    It gets a little warm during use, but that is not a problem for me. The cable that came with
+    it is too short, which is a bit disappointing. Customer service was helpful when I had a
+    question about the warranty. Overall I would recommend this product to anyone looking for
+    a reliable charger at a good price. My wife likes it so much that we ordered another one.
+    The sound is clear, the battery lasts all day and the headphones are comfortable to wear
+    for hours. Shipping was fast and the packaging was nice. It stopped working after two weeks
+    and I had to return it. What a waste of money, the instructions were confusing and the
+    setup took forever. Would not buy again.`,
+
+  es: `Este cargador es increíble y funciona con todos mis dispositivos. La calidad de
+    fabricación es muy buena y carga mi teléfono muy rápido. Lo compré para viajar y cabe
+    fácilmente en mi mochila. Se calienta un poco durante el uso, pero no es un problema para
+    mí. El cable que viene incluido es demasiado corto, lo cual es una pena. El servicio de
+    atención al cliente fue muy amable cuando tuve una pregunta sobre la garantía. En general
+    recomendaría este producto a cualquiera que busque un cargador fiable a buen precio. A mi
+    esposa le gusta tanto que pedimos otro. El sonido es claro, la batería dura todo el día y
+    los auriculares son cómodos durante horas. El envío fue rápido y el embalaje estaba bien.
+    Dejó de funcionar después de dos semanas y tuve que devolverlo. Qué pérdida de dinero, las
+    instrucciones eran confusas y la instalación tardó muchísimo. No lo volvería a comprar.`,
+
+  fr: `Ce chargeur est incroyable et fonctionne avec tous mes appareils. La qualité de
+    fabrication est excellente et il charge mon téléphone très rapidement. Je l'ai acheté pour
+    voyager et il tient facilement dans mon sac. Il chauffe un peu pendant l'utilisation, mais
+    ce n'est pas un problème pour moi. Le câble fourni est trop court, ce qui est un peu
+    décevant. Le service client a été très aimable quand j'avais une question sur la garantie.
+    Dans l'ensemble, je recommande ce produit à tous ceux qui cherchent un chargeur fiable à un
+    bon prix. Ma femme l'aime tellement que nous en avons commandé un autre. Le son est clair,
+    la batterie tient toute la journée et le casque est confortable pendant des heures. La
+    livraison était rapide et l'emballage soigné. Il a cessé de fonctionner après deux semaines
+    et j'ai dû le renvoyer. Quel gaspillage d'argent, les instructions étaient confuses et
+    l'installation a pris une éternité. Je ne l'achèterai plus.`,
+
+  de: `Dieses Ladegerät ist großartig und funktioniert mit allen meinen Geräten. Die
+    Verarbeitung ist sehr gut und es lädt mein Handy sehr schnell. Ich habe es für Reisen
+    gekauft und es passt problemlos in meine Tasche. Es wird bei der Benutzung etwas warm, aber
+    das ist für mich kein Problem. Das mitgelieferte Kabel ist leider zu kurz, was ein bisschen
+    enttäuschend ist. Der Kundendienst war sehr freundlich, als ich eine Frage zur Garantie
+    hatte. Insgesamt würde ich dieses Produkt jedem empfehlen, der ein zuverlässiges Ladegerät
+    zu einem guten Preis sucht. Meiner Frau gefällt es so gut, dass wir noch eines bestellt
+    haben. Der Klang ist klar, der Akku hält den ganzen Tag und die Kopfhörer sind auch nach
+    Stunden bequem. Der Versand war schnell und die Verpackung war ordentlich. Nach zwei Wochen
+    hat es nicht mehr funktioniert und ich musste es zurückschicken. Was für eine
+    Geldverschwendung, die Anleitung war verwirrend und die Einrichtung hat ewig gedauert.
+    Ich würde es nicht wieder kaufen.`,
+
+  it: `Questo caricatore è fantastico e funziona con tutti i miei dispositivi. La qualità
+    costruttiva è ottima e carica il mio telefono molto velocemente. L'ho comprato per
+    viaggiare e sta facilmente nella mia borsa. Si scalda un po' durante l'uso, ma per me non è
+    un problema. Il cavo incluso è troppo corto, il che è un po' deludente. Il servizio clienti
+    è stato molto gentile quando avevo una domanda sulla garanzia. Nel complesso consiglierei
+    questo prodotto a chiunque cerchi un caricatore affidabile a un buon prezzo. A mia moglie
+    piace così tanto che ne abbiamo ordinato un altro. Il suono è chiaro, la batteria dura
+    tutto il giorno e le cuffie sono comode anche per ore. La spedizione è stata veloce e
+    l'imballaggio era curato. Ha smesso di funzionare dopo due settimane e ho dovuto
+    restituirlo. Che spreco di soldi, le istruzioni erano confuse e l'installazione ha
+    richiesto un'eternità. Non lo ricomprerei.`,
+
+  pt: `Este carregador é incrível e funciona com todos os meus aparelhos. A qualidade de
+    construção é muito boa e carrega o meu telemóvel muito rapidamente. Comprei-o para viajar
+    e cabe facilmente na minha mochila. Aquece um pouco durante o uso, mas isso não é um
+    problema para mim. O cabo que vem incluído é curto demais, o que é uma pena. O atendimento
+    ao cliente foi muito simpático quando tive uma dúvida sobre a garantia. No geral,
+    recomendaria este produto a quem procura um carregador confiável por um bom preço. A minha
+    esposa gostou tanto que encomendámos outro. O som é claro, a bateria dura o dia todo e os
+    fones são confortáveis durante horas. A entrega foi rápida e a embalagem estava ótima.
+    Deixou de funcionar depois de duas semanas e tive de o devolver. Que desperdício de
+    dinheiro, as instruções eram confusas e a instalação demorou uma eternidade. Não voltaria
+    a comprar.`,
+
+  nl: `Deze oplader is geweldig en werkt met al mijn apparaten. De bouwkwaliteit is erg goed
+    en hij laadt mijn telefoon heel snel op. Ik heb hem gekocht om mee te reizen en hij past
+    makkelijk in mijn tas. Hij wordt een beetje warm tijdens het gebruik, maar dat is voor mij
+    geen probleem. De meegeleverde kabel is te kort, wat een beetje jammer is. De
+    klantenservice was erg vriendelijk toen ik een vraag had over de garantie. Over het geheel
+    zou ik dit product aanraden aan iedereen die een betrouwbare oplader voor een goede prijs
+    zoekt. Mijn vrouw vindt hem zo fijn dat we er nog een hebben besteld. Het geluid is
+    helder, de batterij gaat de hele dag mee en de koptelefoon zit urenlang comfortabel. De
+    levering was snel en de verpakking was netjes. Na twee weken deed hij het niet meer en
+    moest ik hem terugsturen. Wat een geldverspilling, de handleiding was verwarrend en de
+    installatie duurde eeuwig. Ik zou hem niet opnieuw kopen.`,
+};
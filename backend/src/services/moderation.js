@@ -0,0 +1,137 @@
+/**
+ * Review Moderation
+ *
+ * Purpose:
+ * - Every review has a moderation_status: pending, approved, rejected or flagged.
+ *   Reviews start out pending (the column default), so nothing scraped or
+ *   posted is published until a moderator approves it.
+ * - Only approved reviews are published: GET /api/reviews lists them by default,
+ *   and statistics, scores, trends and search count nothing else.
+ * - moderateReviews() applies a bulk action from /api/moderation/:action and
+ *   records each status change in the review's edit history (review_edits).
+ *
+ * Teaching points:
+ * - A status column with a default is a small state machine: any status can
+ *   move to approved, rejected or flagged, and nothing is ever deleted, so a
+ *   wrong decision is one more action away from being undone.
+ * - Reason codes (instead of free text only) let us count why reviews are
+ *   rejected, and let the UI offer a fixed list.
+ * - Publishing changes product statistics, so they are refreshed in the same
+ *   transaction as the status change, like every other review write.
+ */
+
+import pool from '../db.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { queries } from '../database/queries.js';
+import { refreshProductStats } from './reviewStats.js';
+
+export const MODERATION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  FLAGGED: 'flagged',
+};
+
+export const MODERATION_STATUSES = Object.values(MODERATION_STATUS);
+
+// Bulk actions (POST /api/moderation/:action) and the status each one sets
+export const MODERATION_ACTIONS = {
+  approve: MODERATION_STATUS.APPROVED,
+  reject: MODERATION_STATUS.REJECTED,
+  flag: MODERATION_STATUS.FLAGGED,
+  requeue: MODERATION_STATUS.PENDING,
+};
+
+// Actions that must say why (a reason code)
+export const REASON_REQUIRED_ACTIONS = ['reject', 'flag'];
+
+// Reason codes stored in reviews.moderation_reason
+export const MODERATION_REASONS = [
+  { code: 'spam', label: 'Spam or advertising' },
+  { code: 'offensive', label: 'Offensive or abusive language' },
+  { code: 'off_topic', label: 'Not about the product' },
+  { code: 'wrong_product', label: 'Review of a different product' },
+  { code: 'fake', label: 'Suspected fake or incentivized' },
+  { code: 'personal_info', label: 'Contains personal information' },
+  { code: 'scrape_error', label: 'Broken or incomplete scraped data' },
+  { code: 'other', label: 'Other (see note)' },
+];
+
+export const MODERATION_REASON_CODES = MODERATION_REASONS.map((r) => r.code);
+
+/**
+ * Apply a moderation action to several reviews
+ *
+ * @param {number[]} reviewIds - Reviews to moderate
+ * @param {string} action - Key of MODERATION_ACTIONS
+ * @param {Object} options
+ * @param {string} options.moderatedBy - Who decided
+ * @param {string} [options.reason] - Reason code (MODERATION_REASON_CODES)
+ * @param {string} [options.note] - Free-text note, also stored in the edit history
+ * @returns {Promise<{status: string, updated: number[], unchanged: number[]}>}
+ *   IDs whose status or reason changed, and IDs that already had them
+ * @throws {AppError} 404 if any of the reviews does not exist
+ */
+export async function moderateReviews(reviewIds, action, { moderatedBy, reason = null, note = null }) {
+  const status = MODERATION_ACTIONS[action];
+  const ids = [...new Set(reviewIds.map(Number))];
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(...queries.moderation.selectForUpdate(ids));
+    const missing = ids.filter((id) => !rows.some((row) => row.id === id));
+    if (missing.length > 0) {
+      throw new AppError(`Review not found: ${missing.join(', ')}`, 404);
+    }
+
+    const changed = rows.filter(
+      (row) => row.moderation_status !== status || (row.moderation_reason ?? null) !== reason
+    );
+
+    if (changed.length > 0) {
+      await conn.query(...queries.moderation.setStatus(changed.map((row) => row.id), {
+        status, reason, note, moderatedBy,
+      }));
+      await conn.query(...queries.reviewEdits.insertMany(changed.map((row) => ({
+        review_id: row.id,
+        edited_by: moderatedBy,
+        reason: note,
+        changes: {
+          moderation_status: { before: row.moderation_status, after: status },
+          moderation_reason: { before: row.moderation_reason ?? null, after: reason },
+        },
+      }))));
+      // Approving publishes a review and the other actions withdraw it
+      await refreshProductStats(conn, [...new Set(changed.map((row) => row.product_id))]);
+    }
+
+    await conn.commit();
+
+    const updated = changed.map((row) => row.id);
+    return {
+      status,
+      updated,
+      unchanged: ids.filter((id) => !updated.includes(id)),
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Number of reviews in each moderation status
+ *
+ * @param {number} [productId] - Only this product's reviews
+ * @returns {Promise<Object>} { pending, approved, rejected, flagged }
+ */
+export async function countByStatus(productId) {
+  const [rows] = await pool.query(...queries.moderation.countByStatus(productId));
+  const counts = Object.fromEntries(MODERATION_STATUSES.map((s) => [s, 0]));
+  rows.forEach((row) => { counts[row.moderation_status] = Number(row.count); });
+  return counts;
+}
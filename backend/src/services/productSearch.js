@@ -0,0 +1,122 @@
+/**
+ * Faceted Product Search
+ *
+ * Purpose:
+ * - Search products by free text (name and description), price range,
+ *   minimum average rating, minimum review count and the review sources
+ *   they are sold on. Used by GET /api/products/search.
+ * - Return facet counts (per category, price bucket and rating band) next to
+ *   the results, so the UI can show "Electronics (12)" before the user clicks.
+ *
+ * Teaching points:
+ * - Each facet is counted with every filter applied *except its own*. If the
+ *   user picked "Electronics", the category facet still lists the other
+ *   categories with the counts they would have — that is what lets a sidebar
+ *   switch between options instead of only narrowing down.
+ * - The facet queries are independent, so we run them in parallel with Promise.all.
+ */
+
+import pool from '../db.js';
+import { queries } from '../database/queries.js';
+import { searchTerms } from './reviewSearch.js';
+
+// [min, max) price ranges; max null = "and above"
+export const PRICE_BUCKETS = [
+  { key: '0-25', min: 0, max: 25 },
+  { key: '25-50', min: 25, max: 50 },
+  { key: '50-100', min: 50, max: 100 },
+  { key: '100-250', min: 100, max: 250 },
+  { key: '250+', min: 250, max: null },
+];
+
+// "N stars & up" options, highest first. SQL counts each product once, in the
+// first band it reaches; we then add the counts up so '3+' includes '4+'.
+export const RATING_BANDS = [
+  { key: '4+', min: 4 },
+  { key: '3+', min: 3 },
+  { key: '2+', min: 2 },
+  { key: '1+', min: 1 },
+  { key: '0+', min: 0 },
+];
+
+/**
+ * Turn free text into a FULLTEXT boolean-mode query requiring every word as a prefix
+ * 'USB-C char' → '+usb* +char*'
+ *
+ * @param {string} q - Text as typed
+ * @returns {string|null} Boolean-mode query, or null if no word is searchable
+ */
+export function booleanQuery(q) {
+  const terms = searchTerms(q);
+  return terms.length ? terms.map((t) => `+${t}*`).join(' ') : null;
+}
+
+/**
+ * "& up" counts from per-band counts ('3+' = products in the 4+ and 3+ bands)
+ */
+function cumulativeBands(bandCounts) {
+  let running = 0;
+  return RATING_BANDS.map((b) => {
+    running += bandCounts.get(b.key) || 0;
+    return { ...b, count: running };
+  });
+}
+
+/**
+ * Search products and count facets
+ *
+ * @param {Object} options
+ * @param {string} [options.q] - Free text over name and description
+ * @param {number} [options.categoryId] - Only this category
+ * @param {number} [options.minPrice] - Minimum price
+ * @param {number} [options.maxPrice] - Maximum price
+ * @param {number} [options.minRating] - Minimum average rating (0-5)
+ * @param {number} [options.minReviews] - Minimum number of reviews
+ * @param {string[]} [options.sources] - Review source names; products need reviews from at least one
+ * @param {number} [options.page=1] - Page number (1-based)
+ * @param {number} [options.perPage=10] - Items per page
+ * @param {string} [options.sort] - Key of PRODUCT_SORTS (default: relevance for text searches, else newest)
+ * @returns {Promise<{data: Array, meta: Object, facets: Object}>}
+ */
+export async function searchProducts({ q, page = 1, perPage = 10, sort, ...rest }) {
+  const filters = { ...rest, match: q ? booleanQuery(q) : null };
+
+  const [[rows], [countRows], [categoryRows], [priceRows], [ratingRows]] = await Promise.all([
+    pool.query(...queries.products.search(filters, { page, perPage, sort })),
+    pool.query(...queries.products.countSearch(filters)),
+    pool.query(...queries.products.facetCategories(filters)),
+    pool.query(...queries.products.facetPrice(filters, PRICE_BUCKETS)),
+    pool.query(...queries.products.facetRating(filters, RATING_BANDS)),
+  ]);
+
+  const total = Number(countRows[0]?.total || 0);
+  const priceCounts = new Map(priceRows.map((r) => [r.bucket, Number(r.count)]));
+  const ratingCounts = new Map(ratingRows.map((r) => [r.band, Number(r.count)]));
+
+  return {
+    data: rows.map(({ relevance, ...row }) => ({
+      ...row,
+      average_rating: row.average_rating === null ? null : Math.round(Number(row.average_rating) * 100) / 100,
+      review_count: Number(row.review_count),
+      ...(filters.match ? { relevance: Math.round(Number(relevance) * 1000) / 1000 } : {}),
+    })),
+    meta: {
+      total,
+      page,
+      per_page: perPage,
+      total_pages: Math.max(1, Math.ceil(total / perPage)),
+    },
+    facets: {
+      categories: categoryRows.map((r) => ({
+        id: r.id,
+        name: r.name || 'Uncategorized',
+        count: Number(r.count),
+      })),
+      price: PRICE_BUCKETS.map((b) => ({ ...b, count: priceCounts.get(b.key) || 0 })),
+      rating: [
+        ...cumulativeBands(ratingCounts),
+        { key: 'unrated', min: null, count: ratingCounts.get('unrated') || 0 },
+      ],
+    },
+  };
+}
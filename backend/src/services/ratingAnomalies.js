@@ -0,0 +1,117 @@
+/**
+ * Rating / Text Mismatch Detection
+ *
+ * Purpose:
+ * - Flag reviews whose star rating says the opposite of their text: a 5-star
+ *   rating over a clear complaint, or 1 star over praise. That is usually a
+ *   source adapter mapping the wrong field or scale (see backend/src/sources),
+ *   or a reviewer clicking the wrong star.
+ * - The flag is stored in reviews.rating_anomaly: 'negative_text' (high
+ *   rating, negative text) or 'positive_text' (low rating, positive text).
+ *   reviewStore / reviewEdits set it on every write, and backfillSentiment()
+ *   when it scores older rows (at startup). scanRatingAnomalies() re-checks
+ *   every review; it only runs by hand, as `npm --workspace=backend run anomalies:scan`.
+ * - GET /api/reviews/anomalies lists flagged reviews; countAnomaliesBySource()
+ *   shows which source has an unusual share of them.
+ *
+ * Teaching points:
+ * - Only *strong* disagreement is flagged (ANOMALY_SENTIMENT), well past the
+ *   milder rating_mismatch spam signal: lexicon sentiment is noisy, and a list
+ *   full of borderline cases would hide the real mapping bugs.
+ * - One odd review is a user error; many from the same source are a bug. Per
+ *   source rates are what make the second case stand out.
+ */
+
+import pool from '../db.js';
+import { queries } from '../database/queries.js';
+import { ratingAsSentiment } from './sentiment.js';
+
+export const RATING_ANOMALIES = {
+  NEGATIVE_TEXT: 'negative_text',
+  POSITIVE_TEXT: 'positive_text',
+};
+
+// Ratings on the sentiment scale (see ratingAsSentiment()): 4 and 2 stars on 1-5,
+// 7.75 and 3.25 on 1-10, 75 and 25 on 0-100
+const HIGH_RATING = 0.5; // at or above which the text should not be negative
+const LOW_RATING = -0.5; // ... at or below which it should not be positive
+const ANOMALY_SENTIMENT = 0.5; // text sentiment this far on the other side of neutral
+
+/**
+ * Mismatch between a rating and the sentiment of its text
+ * The rating is compared on the review's own scale: the normalized 0-5
+ * `rating` keeps 1-5 values as they are, so a fixed threshold on it would
+ * mean something different for every scale.
+ *
+ * @param {Object} review - Row with original_rating (NULL = same as rating),
+ *   rating_scale_min and rating_scale_max
+ * @param {number|null} sentiment - Text sentiment from -1 to +1 (null = not analyzed)
+ * @returns {string|null} A RATING_ANOMALIES value, or null when they agree
+ */
+export function ratingAnomaly(review, sentiment) {
+  if (sentiment === null || sentiment === undefined) return null;
+  const value = ratingAsSentiment(review.original_rating ?? review.rating, {
+    min: review.rating_scale_min,
+    max: review.rating_scale_max,
+  });
+  const score = Number(sentiment);
+  if (value >= HIGH_RATING && score <= -ANOMALY_SENTIMENT) return RATING_ANOMALIES.NEGATIVE_TEXT;
+  if (value <= LOW_RATING && score >= ANOMALY_SENTIMENT) return RATING_ANOMALIES.POSITIVE_TEXT;
+  return null;
+}
+
+/**
+ * Re-check every review for a rating / text mismatch, in batches
+ * Reviews without a sentiment score yet are left alone (backfillSentiment()
+ * scores them first). Only rows whose flag changed are written. Needed after
+ * changing the thresholds or fixing a source's rating mapping, and once after
+ * db/migrations/016_add_review_rating_anomaly.sql.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=500] - Reviews read per query
+ * @returns {Promise<{scanned: number, flagged: number, changed: number}>}
+ */
+export async function scanRatingAnomalies({ batchSize = 500 } = {}) {
+  const totals = { scanned: 0, flagged: 0, changed: 0 };
+  let afterId = 0;
+  let rows;
+  do {
+    [rows] = await pool.query(...queries.reviews.selectForAnomalyScan(afterId, batchSize));
+    for (const row of rows) {
+      const anomaly = ratingAnomaly(row, row.sentiment_score);
+      if (anomaly) totals.flagged++;
+      if (anomaly !== row.rating_anomaly) {
+        await pool.query(...queries.reviews.setRatingAnomaly(row.id, anomaly));
+        totals.changed++;
+      }
+    }
+    totals.scanned += rows.length;
+    afterId = rows.length ? rows[rows.length - 1].id : afterId;
+  } while (rows.length === batchSize);
+  return totals;
+}
+
+/**
+ * Flagged reviews per source, out of the reviews analyzed
+ *
+ * @param {number} [productId] - Only this product's reviews
+ * @returns {Promise<Array<Object>>} [{ source, analyzed_reviews, anomalies,
+ *   negative_text, positive_text, anomaly_rate }] sorted by anomaly_rate, highest first
+ */
+export async function countAnomaliesBySource(productId) {
+  const [rows] = await pool.query(...queries.reviews.countAnomaliesBySource(productId));
+  return rows
+    .map((row) => {
+      const analyzed = Number(row.analyzed_reviews);
+      const anomalies = Number(row.negative_text) + Number(row.positive_text);
+      return {
+        source: row.source,
+        analyzed_reviews: analyzed,
+        anomalies,
+        negative_text: Number(row.negative_text),
+        positive_text: Number(row.positive_text),
+        anomaly_rate: analyzed ? Math.round((anomalies / analyzed) * 1000) / 1000 : 0,
+      };
+    })
+    .sort((a, b) => b.anomaly_rate - a.anomaly_rate || a.source.localeCompare(b.source));
+}
@@ -0,0 +1,129 @@
+/**
+ * Rating Scale Normalization
+ *
+ * Purpose:
+ * - Sources rate on different scales: 1-5 stars, half stars, 1-10 points,
+ *   0-100 percent, thumbs up/down (0-1)...
+ * - We keep the rating exactly as the source gave it (original_rating plus
+ *   rating_scale_min / rating_scale_max) and store a normalized 0-5 decimal
+ *   in `rating`, which every average, filter and histogram uses.
+ *
+ * How a value is normalized:
+ *   rating = (raw - low) / (max - low) * 5, with low = min(scale.min, 0)
+ * Scales starting at 0 or above are treated as ratios ("8 out of 10" → 4.0),
+ * so 1-5 star ratings keep their value. Scales with negative values
+ * (e.g. -2..+2) are mapped linearly from their minimum.
+ *
+ * Teaching points:
+ * - Store the raw input, derive the comparable value. If the formula ever
+ *   changes, the normalized column can be recomputed from the originals.
+ * - mysql2 returns DECIMAL columns as strings (to avoid float rounding);
+ *   withNumericRatings() converts them back for JSON responses.
+ */
+
+export const NORMALIZED_MAX = 5;
+
+// Words accepted for thumbs up/down sources (scale 0-1)
+const THUMBS = {
+  up: 1,
+  'thumbs up': 1,
+  positive: 1,
+  down: 0,
+  'thumbs down': 0,
+  negative: 0,
+};
+
+/**
+ * Turn a source's rating value into a number
+ * Accepts numbers, numeric strings, percentages ("80%") and thumbs up/down
+ * (booleans or words).
+ *
+ * @param {*} value - Rating as sent by the source
+ * @returns {number} Parsed value, or NaN if it is not a rating
+ */
+export function parseRawRating(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+
+  const text = value.trim().toLowerCase();
+  if (text in THUMBS) return THUMBS[text];
+  return Number(text.replace(/%$/, ''));
+}
+
+/**
+ * Explain why a rating does not fit a scale
+ *
+ * @param {*} value - Rating as sent by the source
+ * @param {{min: number, max: number}} scale - The source's rating scale
+ * @returns {string|null} Error message, or null when the rating is valid
+ */
+export function ratingProblem(value, scale) {
+  const min = Number(scale?.min);
+  const max = Number(scale?.max);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+    return 'Rating scale must have a numeric min lower than its max';
+  }
+  const raw = parseRawRating(value);
+  if (!Number.isFinite(raw)) {
+    return 'Rating must be a number';
+  }
+  if (raw < min || raw > max) {
+    return `Rating must be between ${min} and ${max}`;
+  }
+  return null;
+}
+
+/**
+ * Normalize a raw rating to the 0-5 scale
+ *
+ * @param {*} value - Rating as sent by the source
+ * @param {{min: number, max: number}} scale - The source's rating scale
+ * @returns {number} Normalized rating, rounded to 2 decimals
+ * @throws {RangeError} If the rating does not fit the scale (check ratingProblem() first)
+ */
+export function normalizeRating(value, scale) {
+  const problem = ratingProblem(value, scale);
+  if (problem) throw new RangeError(problem);
+
+  const raw = parseRawRating(value);
+  const low = Math.min(Number(scale.min), 0);
+  const normalized = ((raw - low) / (Number(scale.max) - low)) * NORMALIZED_MAX;
+  return Math.round(normalized * 100) / 100;
+}
+
+/**
+ * Build the rating columns of a `reviews` row from a raw rating
+ *
+ * @param {*} value - Rating as sent by the source
+ * @param {{min: number, max: number}} scale - The source's rating scale
+ * @returns {{rating: number, original_rating: number, rating_scale_min: number, rating_scale_max: number}}
+ */
+export function ratingColumns(value, scale) {
+  return {
+    rating: normalizeRating(value, scale),
+    original_rating: parseRawRating(value),
+    rating_scale_min: Number(scale.min),
+    rating_scale_max: Number(scale.max),
+  };
+}
+
+/**
+ * Convert the DECIMAL rating (and sentiment) columns of a reviews row to numbers
+ * Rows stored before normalization have no original rating: it equals `rating`.
+ *
+ * @param {Object} row - Row from the reviews table
+ * @returns {Object} Copy of the row with numeric rating fields
+ */
+export function withNumericRatings(row) {
+  const toNumber = (v) => (v === null || v === undefined ? null : Number(v));
+  const rating = toNumber(row.rating);
+  return {
+    ...row,
+    rating,
+    original_rating: toNumber(row.original_rating) ?? rating,
+    rating_scale_min: toNumber(row.rating_scale_min) ?? 1,
+    rating_scale_max: toNumber(row.rating_scale_max) ?? NORMALIZED_MAX,
+    ...(row.sentiment_score !== undefined ? { sentiment_score: toNumber(row.sentiment_score) } : {}),
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Rating Score Modes
+ *
+ * Purpose:
+ * - A plain average ranks one 5-star review above 400 reviews averaging 4.7.
+ *   These modes give scores that take the amount and quality of evidence
+ *   into account. Used by GET /api/reviews/aggregate/:productId?mode=...
+ *
+ * Modes (all return a 0-5 value plus the parameters used, so the UI can
+ * explain the score):
+ * - average:  plain mean of the (normalized) ratings
+ * - bayesian: mean "shrunk" toward a prior (the category's average, or the
+ *             global average) as if PRIOR_WEIGHT extra reviews had the prior rating
+ *             score = (C × prior + Σ ratings) / (C + n)
+ * - weighted: mean where each review counts more when it was found helpful,
+ *             is a verified purchase, and is recent
+ *             weight = (1 + ln(1 + helpful_votes)) × (verified ? 1.5 : 1) × 0.5^(age / half-life)
+ * - wilson:   lower bound of the Wilson score interval (95% confidence),
+ *             treating each rating as rating/5 of a positive vote, scaled back to 0-5
+ *
+ * Teaching points:
+ * - Bayesian averages and Wilson bounds both answer "how sure are we?".
+ *   Few reviews → the score stays close to the prior (Bayesian) or is pulled
+ *   down (Wilson); many reviews → both approach the plain average.
+ * - Keeping these as pure functions over plain rows makes them easy to test
+ *   and to reuse (product lists, sorting...) without touching SQL.
+ */
+
+import { NORMALIZED_MAX } from './ratingScale.js';
+
+export const SCORE_MODES = ['average', 'bayesian', 'weighted', 'wilson'];
+
+const PRIOR_WEIGHT = 10;
+// A category needs this many reviews before its average is trusted as the prior
+const MIN_CATEGORY_PRIOR_REVIEWS = 20;
+const NEUTRAL_PRIOR = 3;
+
+const VERIFIED_MULTIPLIER = 1.5;
+const RECENCY_HALF_LIFE_DAYS = 365;
+
+const WILSON_Z = 1.96; // 95% confidence
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Merge near-duplicate reviews (same duplicate_cluster_id) into one row
+ * The merged row has the members' mean rating, their highest helpful_votes,
+ * is verified if any copy is, and is dated by the earliest copy.
+ *
+ * @param {Array<Object>} rows - Review rows
+ * @returns {Array<Object>} One row per cluster / unique review
+ */
+export function collapseDuplicates(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = row.duplicate_cluster_id ?? `review-${row.id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return [...groups.values()].map((members) => {
+    if (members.length === 1) return members[0];
+    const dates = members.map((m) => m.review_date).filter(Boolean).map((d) => new Date(d));
+    return {
+      ...members[0],
+      rating: members.reduce((sum, m) => sum + Number(m.rating), 0) / members.length,
+      helpful_votes: Math.max(...members.map((m) => Number(m.helpful_votes || 0))),
+      verified_purchase: members.some((m) => Boolean(m.verified_purchase)),
+      review_date: dates.length ? new Date(Math.min(...dates)) : null,
+    };
+  });
+}
+
+/**
+ * Plain mean of the ratings
+ */
+function averageScore(rows) {
+  const n = rows.length;
+  const mean = n ? rows.reduce((sum, r) => sum + Number(r.rating), 0) / n : 0;
+  return { value: round(mean), parameters: { review_count: n } };
+}
+
+/**
+ * Bayesian average toward a prior
+ *
+ * @param {Array<Object>} rows - Review rows
+ * @param {Object} prior - { category_average, category_count, global_average, global_count, category_id }
+ */
+function bayesianScore(rows, prior = {}) {
+  let priorMean = NEUTRAL_PRIOR;
+  let priorSource = 'neutral';
+  if (prior.category_id && Number(prior.category_count) >= MIN_CATEGORY_PRIOR_REVIEWS) {
+    priorMean = Number(prior.category_average);
+    priorSource = 'category';
+  } else if (Number(prior.global_count) > 0) {
+    priorMean = Number(prior.global_average);
+    priorSource = 'global';
+  }
+
+  const n = rows.length;
+  const sum = rows.reduce((acc, r) => acc + Number(r.rating), 0);
+  const value = (PRIOR_WEIGHT * priorMean + sum) / (PRIOR_WEIGHT + n);
+
+  return {
+    value: round(value),
+    parameters: {
+      prior_mean: round(priorMean),
+      prior_weight: PRIOR_WEIGHT,
+      prior_source: priorSource,
+      category_id: prior.category_id ?? null,
+      min_category_reviews: MIN_CATEGORY_PRIOR_REVIEWS,
+      review_count: n,
+      raw_average: n ? round(sum / n) : null,
+    },
+  };
+}
+
+/**
+ * Weight of one review for the weighted mode
+ */
+export function reviewWeight(row, now = new Date()) {
+  const helpful = 1 + Math.log1p(Math.max(0, Number(row.helpful_votes || 0)));
+  const verified = row.verified_purchase ? VERIFIED_MULTIPLIER : 1;
+  const dated = row.review_date ? new Date(row.review_date) : null;
+  const ageDays = dated && !Number.isNaN(dated.getTime())
+    ? Math.max(0, (now - dated) / 86400000)
+    : 0;
+  const recency = 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+  return helpful * verified * recency;
+}
+
+/**
+ * Mean weighted by helpfulness, verified purchase and recency
+ */
+function weightedScore(rows, now = new Date()) {
+  let totalWeight = 0;
+  let weightedSum = 0;
+  for (const row of rows) {
+    const w = reviewWeight(row, now);
+    totalWeight += w;
+    weightedSum += w * Number(row.rating);
+  }
+  return {
+    value: totalWeight > 0 ? round(weightedSum / totalWeight) : 0,
+    parameters: {
+      helpful_votes_weight: '1 + ln(1 + helpful_votes)',
+      verified_multiplier: VERIFIED_MULTIPLIER,
+      recency_half_life_days: RECENCY_HALF_LIFE_DAYS,
+      review_count: rows.length,
+      total_weight: round(totalWeight, 3),
+    },
+  };
+}
+
+/**
+ * Lower bound of the Wilson score interval, scaled to 0-5
+ */
+function wilsonScore(rows) {
+  const n = rows.length;
+  if (n === 0) {
+    return { value: 0, parameters: { z: WILSON_Z, confidence: 0.95, review_count: 0, positive_share: null } };
+  }
+  const p = rows.reduce((sum, r) => sum + Number(r.rating) / NORMALIZED_MAX, 0) / n;
+  const z2 = WILSON_Z * WILSON_Z;
+  const lower = (p + z2 / (2 * n) - WILSON_Z * Math.sqrt((p * (1 - p) + z2 / (4 * n)) / n)) / (1 + z2 / n);
+
+  return {
+    value: round(Math.max(0, lower) * NORMALIZED_MAX),
+    parameters: {
+      z: WILSON_Z,
+      confidence: 0.95,
+      review_count: n,
+      positive_share: round(p, 3),
+    },
+  };
+}
+
+/**
+ * Compute a product's rating score in the given mode
+ *
+ * @param {string} mode - One of SCORE_MODES
+ * @param {Array<Object>} rows - Review rows (rating, helpful_votes, verified_purchase, review_date)
+ * @param {Object} [options]
+ * @param {Object} [options.prior] - Prior statistics (bayesian mode)
+ * @param {Date} [options.now] - Reference time for recency (weighted mode)
+ * @returns {{mode: string, value: number, parameters: Object}}
+ */
+export function computeScore(mode, rows, { prior, now } = {}) {
+  switch (mode) {
+    case 'bayesian':
+      return { mode, ...bayesianScore(rows, prior) };
+    case 'weighted':
+      return { mode, ...weightedScore(rows, now) };
+    case 'wilson':
+      return { mode, ...wilsonScore(rows) };
+    case 'average':
+      return { mode, ...averageScore(rows) };
+    default:
+      throw new RangeError(`Unknown score mode: ${mode}`);
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * Aspect Extraction ("What reviewers say")
+ *
+ * Purpose:
+ * - Find the product aspects reviewers keep mentioning ("battery life",
+ *   "build quality", "cable"...) and whether they praise or criticize them,
+ *   for GET /api/products/:id/aspects.
+ * - Each aspect comes with mention counts and a few example quotes, split
+ *   into pros (mostly positive mentions) and cons (mostly negative ones).
+ *
+ * How it works:
+ * 1. Split every review into sentences (quoted as examples) and clauses
+ *    (sentences split at "but", so "good sound but short cable" is two opinions)
+ * 2. In each clause, drop stopwords, lexicon opinion words ("great"), adverbs and the
+ *    product's own name; what is left are candidate aspects: single words and
+ *    pairs of neighbouring words ("battery life"). ASPECT_ALIASES merges
+ *    common synonyms, e.g. "warm", "hot" and "overheats" are all "heat".
+ * 3. Score each clause with the sentiment lexicon (services/sentiment.js);
+ *    every aspect in it gets that sentiment
+ * 4. An aspect is a pro when more of its mentions are positive than negative
+ *    (a con the other way round), and only kept when at least MIN_REVIEWS
+ *    different reviews share that verdict
+ *
+ * Teaching points:
+ * - Without a part-of-speech tagger we cannot know which words are nouns, so
+ *   we remove what clearly is *not* an aspect and let repetition across
+ *   reviews do the rest: random words rarely recur, real aspects do.
+ * - Sentiment is taken from the clause, not the whole review. A 4-star review
+ *   can still complain that the charger "runs warm".
+ */
+
+import pool from '../db.js';
+import { queries } from '../database/queries.js';
+import { analyzeSentiment, sentimentWords } from './sentiment.js';
+import { INTENSIFIERS, NEGATIONS, SENTIMENT_LEXICON } from './sentimentLexicon.js';
+
+const MIN_REVIEWS = 2; // reviews that must agree on an aspect's verdict
+const MENTION_SENTIMENT = 0.2; // clause sentiment that counts as praise / criticism
+const QUOTES_PER_ASPECT = 2;
+const QUOTE_MAX_LENGTH = 160;
+
+// Words and phrases that name the same aspect (multi-word phrases are matched first)
+const ASPECT_ALIASES = {
+  'battery life': 'battery life', battery: 'battery life',
+  'build quality': 'build quality', build: 'build quality', construction: 'build quality',
+  'sound quality': 'sound quality', sound: 'sound quality', audio: 'sound quality', bass: 'sound quality',
+  'customer service': 'customer service', support: 'customer service',
+  'price point': 'price', price: 'price', cost: 'price', overpriced: 'price', expensive: 'price',
+  value: 'price',
+  warm: 'heat', hot: 'heat', heat: 'heat', overheats: 'heat', overheating: 'heat',
+  cable: 'cable', cord: 'cable',
+  comfort: 'comfort', comfortable: 'comfort', uncomfortable: 'comfort',
+  noise: 'noise', noisy: 'noise', loud: 'noise',
+  size: 'size', compact: 'size', bulky: 'size',
+  shipping: 'shipping', delivery: 'shipping', packaging: 'packaging',
+  screen: 'screen', display: 'screen',
+  setup: 'setup', installation: 'setup', install: 'setup',
+  instructions: 'instructions', manual: 'instructions',
+  design: 'design', looks: 'design',
+};
+
+// Function words and generic review vocabulary that never name an aspect
+// (also ignored when textSummary.js compares sentences)
+export const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'so', 'to', 'of', 'in', 'on', 'for', 'with', 'at', 'by',
+  'from', 'as', 'about', 'into', 'after', 'before', 'during', 'over', 'under', 'than', 'then',
+  'this', 'that', 'these', 'those', 'it', 'its', 'itself', 'i', 'im', 'ive', 'id', 'me', 'my',
+  'we', 'our', 'you', 'your', 'he', 'she', 'they', 'them', 'their', 'is', 'are', 'was', 'were',
+  'be', 'been', 'being', 'am', 'do', 'does', 'did', 'have', 'has', 'had', 'will', 'would', 'can',
+  'could', 'should', 'may', 'might', 'must', 'just', 'also', 'still', 'even', 'only', 'much',
+  'more', 'most', 'some', 'any', 'all', 'each', 'every', 'other', 'another', 'such', 'what',
+  'which', 'who', 'when', 'where', 'why', 'how', 'there', 'here', 'if', 'because', 'while',
+  'though', 'although', 'up', 'down', 'out', 'off', 'again', 'once', 'now', 'ever', 'yet',
+  'one', 'two', 'three', 'first', 'get', 'gets', 'got', 'getting', 'make', 'makes', 'made',
+  'use', 'used', 'using', 'uses', 'buy', 'bought', 'purchase', 'purchased', 'order', 'ordered',
+  'work', 'works', 'worked', 'working', 'run', 'runs', 'running', 'go', 'goes', 'went', 'come',
+  'came', 'say', 'said', 'think', 'thought', 'know', 'feel', 'feels', 'felt', 'look', 'looked',
+  'seem', 'seems', 'want', 'wanted', 'need', 'needs', 'needed', 'find', 'found', 'give', 'gave',
+  'take', 'took', 'try', 'tried', 'keep', 'kept', 'put', 'expect', 'expected', 'thing', 'things',
+  'lot', 'way', 'day', 'days', 'time', 'times', 'week', 'weeks', 'month', 'months', 'year',
+  'years', 'product', 'item', 'overall', 'everything', 'something', 'anything', 'review', 'star',
+  'stars', 'far', 'able', 'since', 'like', 'well', 'back', 'many', 'few',
+]);
+
+/**
+ * Whether a word can be (part of) an aspect name
+ */
+function isAspectWord(word) {
+  if (word.length < 3 || /^\d/.test(word)) return false;
+  if (STOPWORDS.has(word) || NEGATIONS.has(word) || INTENSIFIERS[word] !== undefined) return false;
+  if (word.endsWith('ly')) return false; // adverbs: "quickly", "noticeably"
+  // Opinion words ("great", "better") describe an aspect, they are not one
+  return SENTIMENT_LEXICON[word] === undefined;
+}
+
+/**
+ * Crude stem so "cable"/"cables" and "charges"/"charging" share a key
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem (not always a real word)
+ */
+export function stem(word) {
+  if (word.length <= 4 || word.endsWith('ss')) return word;
+  return word.replace(/(?:ing|es|e|s)$/, '');
+}
+
+/**
+ * Aspects mentioned in one clause
+ *
+ * @param {string[]} words - Clause words from sentimentWords()
+ * @param {Set<string>} excluded - Words of the product name
+ * @returns {Array<{key: string, label: string}>} Aspect key and the text it appeared as
+ */
+export function clauseAspects(words, excluded = new Set()) {
+  const found = new Map();
+  const used = new Set();
+
+  // Known phrases and synonyms first
+  for (let i = 0; i < words.length; i++) {
+    const pair = `${words[i]} ${words[i + 1]}`;
+    if (i + 1 < words.length && ASPECT_ALIASES[pair]) {
+      found.set(ASPECT_ALIASES[pair], ASPECT_ALIASES[pair]);
+      used.add(i).add(i + 1);
+      i++;
+    } else if (ASPECT_ALIASES[words[i]]) {
+      found.set(ASPECT_ALIASES[words[i]], ASPECT_ALIASES[words[i]]);
+      used.add(i);
+    }
+  }
+
+  // Then any other candidate word, and pairs of neighbouring candidates
+  const candidate = (i) => !used.has(i) && isAspectWord(words[i]) && !excluded.has(stem(words[i]));
+  for (let i = 0; i < words.length; i++) {
+    if (!candidate(i)) continue;
+    const key = stem(words[i]);
+    if (!found.has(key)) found.set(key, words[i]);
+    if (i + 1 < words.length && candidate(i + 1)) {
+      const pairKey = `${words[i]} ${stem(words[i + 1])}`;
+      if (!found.has(pairKey)) found.set(pairKey, `${words[i]} ${words[i + 1]}`);
+    }
+  }
+
+  return [...found].map(([key, label]) => ({ key, label }));
+}
+
+/**
+ * Split review text into sentences, each with its clauses
+ *
+ * @param {string} text - Title or content
+ * @returns {Array<{sentence: string, clauses: string[]}>}
+ */
+function sentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?;])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((sentence) => ({ sentence, clauses: sentence.split(/\s*,?\s+but\s+/i) }));
+}
+
+// Shorten a quote at a word boundary
+function quote(sentence) {
+  if (sentence.length <= QUOTE_MAX_LENGTH) return sentence;
+  return `${sentence.slice(0, QUOTE_MAX_LENGTH).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * Extract pros and cons from a product's reviews
+ *
+ * @param {Array<Object>} reviews - Rows with id, source, rating, title, content
+ * @param {Object} [options]
+ * @param {string} [options.productName] - Its words are never aspects ("charger" on a charger)
+ * @param {number} [options.limit=5] - Pros and cons to return (each)
+ * @returns {{pros: Array, cons: Array}} Aspects with { aspect, reviews, mentions,
+ *   positive, negative, average_sentiment, quotes: [{ review_id, source, rating, text, sentiment }] }
+ */
+export function extractAspects(reviews, { productName = '', limit = 5 } = {}) {
+  const excluded = new Set(sentimentWords(productName).map(stem));
+  const aspects = new Map();
+
+  for (const review of reviews) {
+    for (const { sentence, clauses } of [...sentences(review.title), ...sentences(review.content)]) {
+      for (const clause of clauses) {
+        const words = sentimentWords(clause);
+        const found = clauseAspects(words, excluded);
+        if (found.length === 0) continue;
+        const { score } = analyzeSentiment(clause);
+
+        for (const { key, label } of found) {
+          if (!aspects.has(key)) {
+            aspects.set(key, { labels: new Map(), reviewIds: new Set(), mentions: [] });
+          }
+          const aspect = aspects.get(key);
+          aspect.labels.set(label, (aspect.labels.get(label) || 0) + 1);
+          aspect.reviewIds.add(review.id);
+          aspect.mentions.push({ review, sentence, score });
+        }
+      }
+    }
+  }
+
+  const summaries = [];
+  for (const [key, aspect] of aspects) {
+    const positive = aspect.mentions.filter((m) => m.score >= MENTION_SENTIMENT);
+    const negative = aspect.mentions.filter((m) => m.score <= -MENTION_SENTIMENT);
+    if (positive.length === negative.length) continue; // no clear verdict
+
+    const isPro = positive.length > negative.length;
+    const verdict = isPro ? positive : negative;
+    if (new Set(verdict.map((m) => m.review.id)).size < MIN_REVIEWS) continue;
+
+    const examples = [...verdict].sort((a, b) => (isPro ? b.score - a.score : a.score - b.score));
+    const quotes = [];
+    for (const m of examples) {
+      if (quotes.length === QUOTES_PER_ASPECT) break;
+      if (quotes.some((q) => q.review_id === m.review.id)) continue;
+      quotes.push({
+        review_id: m.review.id,
+        source: m.review.source,
+        rating: Number(m.review.rating),
+        text: quote(m.sentence),
+        sentiment: m.score,
+      });
+    }
+
+    const total = aspect.mentions.reduce((sum, m) => sum + m.score, 0);
+    summaries.push({
+      key,
+      isPro,
+      summary: {
+        aspect: [...aspect.labels].sort((a, b) => b[1] - a[1])[0][0],
+        reviews: aspect.reviewIds.size,
+        mentions: aspect.mentions.length,
+        positive: positive.length,
+        negative: negative.length,
+        average_sentiment: Math.round((total / aspect.mentions.length) * 1000) / 1000,
+        quotes,
+      },
+    });
+  }
+
+  // A pair like "battery life" hides its single words when they add nothing
+  const pairs = summaries.filter((s) => s.key.includes(' '));
+  const kept = summaries.filter((s) => s.key.includes(' ')
+    || !pairs.some((p) => p.key.split(' ').includes(s.key) && p.summary.reviews >= s.summary.reviews));
+
+  const top = (isPro, side) => kept
+    .filter((s) => s.isPro === isPro)
+    .map((s) => s.summary)
+    .sort((a, b) => b[side] - a[side] || b.reviews - a.reviews || a.aspect.localeCompare(b.aspect))
+    .slice(0, limit);
+  return { pros: top(true, 'positive'), cons: top(false, 'negative') };
+}
+
+/**
+ * Pros and cons of a product from its published reviews
+ *
+ * @param {Object} product - Row with id and name
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Pros and cons to return (each)
+ * @returns {Promise<{review_count: number, pros: Array, cons: Array}>}
+ */
+export async function getProductAspects(product, { limit = 5 } = {}) {
+  const [reviews] = await pool.query(...queries.reviews.selectForAspects(product.id));
+  return {
+    review_count: reviews.length,
+    ...extractAspects(reviews, { productName: product.name, limit }),
+  };
+}
@@ -0,0 +1,350 @@
+/**
+ * Cross-Source Duplicate Review Detection
+ *
+ * Purpose:
+ * - Customers often post (or retailers syndicate) the same review on several
+ *   sites. Counting every copy inflates review totals and skews averages.
+ * - Find near-duplicate reviews of a product and link them into clusters
+ *   (reviews.duplicate_cluster_id = id of the cluster's earliest review), so
+ *   GET /api/reviews/aggregate/:id?dedupe=true can count each cluster once.
+ *
+ * How two reviews are judged to be duplicates:
+ * 1. Fingerprint each review: normalized author name, the set of 3-word
+ *    "shingles" of its title + text, and a MinHash signature of that set
+ * 2. Candidate pairs: reviews whose signatures collide in at least one LSH
+ *    band, plus any pair by the same author
+ * 3. A candidate pair is a duplicate when the review dates are within
+ *    DATE_WINDOW_DAYS of each other and either
+ *    - the texts are nearly identical (Jaccard >= TEXT_ONLY_THRESHOLD), or
+ *    - the authors match and the texts clearly overlap (>= SAME_AUTHOR_THRESHOLD)
+ * 4. Duplicate pairs are merged into clusters with union-find
+ *
+ * Teaching points:
+ * - Jaccard similarity = |A ∩ B| / |A ∪ B| of two shingle sets. Comparing
+ *   every pair is O(n²); MinHash + LSH banding finds likely-similar pairs
+ *   without looking at all of them, and we only compute the exact Jaccard
+ *   for those candidates.
+ * - Clusters are recomputed for the whole product after every ingestion, so
+ *   the result never depends on the order reviews arrived in.
+ */
+
+import pool from '../db.js';
+import { queries } from '../database/queries.js';
+
+const SHINGLE_SIZE = 3;
+const MINHASH_BANDS = 16;
+const MINHASH_ROWS = 4; // signature length = bands × rows
+const TEXT_ONLY_THRESHOLD = 0.8;
+const SAME_AUTHOR_THRESHOLD = 0.4;
+const DATE_WINDOW_DAYS = 7;
+
+// Names that say nothing about who wrote the review
+const ANONYMOUS_AUTHORS = new Set(['', 'anonymous', 'customer', 'a customer', 'verified buyer', 'guest']);
+
+/**
+ * Normalize a reviewer name for comparison
+ * 'John  Smith', 'john smith' and 'JOHN SMITH!' all become 'john smith'.
+ *
+ * @param {string} name - Reviewer name as stored
+ * @returns {string|null} Normalized name, or null for anonymous reviewers
+ */
+export function normalizeAuthor(name) {
+  const key = String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return ANONYMOUS_AUTHORS.has(key) ? null : key;
+}
+
+/**
+ * Whether two normalized author names likely belong to the same person
+ * Retailers shorten names differently, so "john smith" also matches "john s".
+ */
+export function authorsMatch(a, b) {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  const [firstA, ...restA] = a.split(' ');
+  const [firstB, ...restB] = b.split(' ');
+  const lastA = restA.join(' ');
+  const lastB = restB.join(' ');
+  return firstA === firstB && Boolean(lastA) && Boolean(lastB) && lastA[0] === lastB[0]
+    && (lastA.length === 1 || lastB.length === 1);
+}
+
+/**
+ * Split text into the set of overlapping word n-grams ("shingles")
+ *
+ * @param {string} text - Review title and content
+ * @returns {Set<string>} Shingles (short texts yield a single shingle)
+ */
+export function shingles(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const result = new Set();
+  if (words.length === 0) return result;
+  if (words.length < SHINGLE_SIZE) {
+    result.add(words.join(' '));
+    return result;
+  }
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    result.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return result;
+}
+
+/**
+ * Exact Jaccard similarity of two sets (0 = nothing shared, 1 = identical)
+ */
+export function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// 32-bit FNV-1a string hash
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Murmur3 finalizer: scrambles a 32-bit value, giving one "hash function" per seed
+function mix(h, seed) {
+  let x = (h ^ Math.imul(seed, 0x9e3779b1)) >>> 0;
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x85ebca6b);
+  x ^= x >>> 13;
+  x = Math.imul(x, 0xc2b2ae35);
+  x ^= x >>> 16;
+  return x >>> 0;
+}
+
+/**
+ * MinHash signature of a shingle set
+ * Two sets agree on a signature position with probability equal to their
+ * Jaccard similarity.
+ *
+ * @param {Set<string>} set - Shingles
+ * @returns {number[]} Signature of MINHASH_BANDS × MINHASH_ROWS values
+ */
+export function minhash(set) {
+  const size = MINHASH_BANDS * MINHASH_ROWS;
+  const signature = new Array(size).fill(0xffffffff);
+  for (const item of set) {
+    const h = hashString(item);
+    for (let i = 0; i < size; i++) {
+      const v = mix(h, i + 1);
+      if (v < signature[i]) signature[i] = v;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Build the comparison fingerprint of one review
+ *
+ * @param {Object} review - Row with reviewer_name, title, content, review_date
+ * @returns {{author: string|null, shingles: Set<string>, signature: number[], day: number|null}}
+ */
+export function fingerprintReview(review) {
+  const set = shingles(`${review.title || ''} ${review.content || ''}`);
+  const date = review.review_date ? new Date(review.review_date) : null;
+  return {
+    author: normalizeAuthor(review.reviewer_name),
+    shingles: set,
+    signature: minhash(set),
+    day: date && !Number.isNaN(date.getTime()) ? Math.floor(date.getTime() / 86400000) : null,
+  };
+}
+
+/**
+ * Similarity of two fingerprinted reviews, or null if they are not duplicates
+ *
+ * @returns {number|null} Jaccard similarity of the texts when duplicates
+ */
+export function duplicateScore(a, b) {
+  if (a.day !== null && b.day !== null && Math.abs(a.day - b.day) > DATE_WINDOW_DAYS) {
+    return null;
+  }
+  const similarity = jaccard(a.shingles, b.shingles);
+  if (similarity >= TEXT_ONLY_THRESHOLD) return similarity;
+  if (similarity >= SAME_AUTHOR_THRESHOLD && authorsMatch(a.author, b.author)) return similarity;
+  return null;
+}
+
+/**
+ * Pairs of reviews worth comparing (LSH band collisions + same author)
+ *
+ * @param {Array<{id: number, fp: Object}>} items - Fingerprinted reviews
+ * @returns {Array<[number, number]>} Index pairs into `items`
+ */
+function candidatePairs(items) {
+  const pairs = new Set();
+  const addBucketPairs = (buckets) => {
+    for (const members of buckets.values()) {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          pairs.add(`${members[i]}:${members[j]}`);
+        }
+      }
+    }
+  };
+
+  for (let band = 0; band < MINHASH_BANDS; band++) {
+    const buckets = new Map();
+    items.forEach((item, index) => {
+      if (item.fp.shingles.size === 0) return;
+      const start = band * MINHASH_ROWS;
+      const key = item.fp.signature.slice(start, start + MINHASH_ROWS).join(',');
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+    addBucketPairs(buckets);
+  }
+
+  const byFirstName = new Map();
+  items.forEach((item, index) => {
+    if (!item.fp.author) return;
+    const first = item.fp.author.split(' ')[0];
+    if (!byFirstName.has(first)) byFirstName.set(first, []);
+    byFirstName.get(first).push(index);
+  });
+  addBucketPairs(byFirstName);
+
+  return [...pairs].map((p) => p.split(':').map(Number));
+}
+
+/**
+ * Group reviews into near-duplicate clusters
+ *
+ * @param {Array<Object>} reviews - Rows with id, reviewer_name, title, content, review_date
+ * @returns {Array<{cluster_id: number, review_ids: number[], similarity: Object}>}
+ *   Clusters with at least two reviews. cluster_id is the earliest review's id;
+ *   similarity maps each other member's id to its best match score.
+ */
+export function findDuplicateClusters(reviews) {
+  const items = reviews.map((review) => ({ review, fp: fingerprintReview(review) }));
+
+  // Union-find over review indexes
+  const parent = items.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const best = new Map();
+
+  for (const [i, j] of candidatePairs(items)) {
+    const score = duplicateScore(items[i].fp, items[j].fp);
+    if (score === null) continue;
+    parent[find(i)] = find(j);
+    for (const k of [i, j]) {
+      best.set(k, Math.max(best.get(k) || 0, score));
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  // Earliest review (then lowest id) represents the cluster
+  const order = (a, b) => {
+    const da = items[a].fp.day ?? Infinity;
+    const db = items[b].fp.day ?? Infinity;
+    return da - db || items[a].review.id - items[b].review.id;
+  };
+
+  return [...groups.values()]
+    .filter((members) => members.length > 1)
+    .map((members) => {
+      const sorted = [...members].sort(order);
+      const ids = sorted.map((i) => items[i].review.id);
+      return {
+        cluster_id: ids[0],
+        review_ids: ids,
+        similarity: Object.fromEntries(
+          sorted.map((i) => [items[i].review.id, Math.round((best.get(i) || 0) * 1000) / 1000])
+        ),
+      };
+    });
+}
+
+/**
+ * Recompute and store duplicate clusters for one product
+ *
+ * @param {number} productId - Product ID
+ * @returns {Promise<Array>} Clusters as returned by findDuplicateClusters()
+ */
+export async function clusterProductReviews(productId) {
+  const [reviews] = await pool.query(...queries.reviews.selectForDedup(productId));
+  const clusters = findDuplicateClusters(reviews);
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query(...queries.reviews.clearDuplicateClusters(productId));
+    for (const cluster of clusters) {
+      await conn.query(...queries.reviews.setDuplicateCluster(cluster.cluster_id, cluster.review_ids));
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return clusters;
+}
+
+/**
+ * Stored duplicate clusters of a product, with their reviews
+ *
+ * @param {number} productId - Product ID
+ * @returns {Promise<Array<{cluster_id: number, size: number, reviews: Array}>>}
+ */
+export async function getDuplicateClusters(productId) {
+  const [rows] = await pool.query(...queries.reviews.selectDuplicateClusters(productId));
+  const clusters = new Map();
+  for (const row of rows) {
+    if (!clusters.has(row.duplicate_cluster_id)) {
+      clusters.set(row.duplicate_cluster_id, { cluster_id: row.duplicate_cluster_id, size: 0, reviews: [] });
+    }
+    const cluster = clusters.get(row.duplicate_cluster_id);
+    cluster.size++;
+    cluster.reviews.push({
+      id: row.id,
+      source: row.source,
+      reviewer_name: row.reviewer_name,
+      rating: Number(row.rating),
+      title: row.title,
+      review_date: row.review_date,
+      canonical: row.id === row.duplicate_cluster_id,
+    });
+  }
+  return [...clusters.values()];
+}
+
+/**
+ * Recompute clusters without failing the caller
+ * Used after writes: the reviews are already saved, so a dedup error is
+ * logged rather than turned into a failed request.
+ */
+export async function refreshDuplicateClusters(productId) {
+  try {
+    await clusterProductReviews(productId);
+  } catch (err) {
+    console.error(`❌ Duplicate detection failed for product ${productId}:`, err.message);
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Review Edits — moderation changes with an audit trail
+ *
+ * Purpose:
+ * - Apply PUT / PATCH /api/reviews/:id: correct a mis-scraped title, rating,
+ *   product assignment... without deleting and re-inserting the review
+ * - Record every edit in `review_edits` with each changed column's value
+ *   before and after, and who made it
+ *
+ * Teaching points:
+ * - PUT replaces the review: fields left out go back to their defaults, just
+ *   like a fresh POST. PATCH only touches the fields it was sent.
+ * - The review row is locked (SELECT ... FOR UPDATE) while we compare and
+ *   write, so two moderators editing at once cannot lose each other's change
+ *   or record a wrong "before" value.
+ * - Moving a review to another product changes two products' statistics;
+ *   both are refreshed in the same transaction.
+ */
+
+import pool from '../db.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { queries } from '../database/queries.js';
+import { ratingColumns, ratingProblem, withNumericRatings } from './ratingScale.js';
+import { reviewChanges } from './reviewStore.js';
+import { refreshProductStats } from './reviewStats.js';
+import { refreshDuplicateClusters } from './reviewDedup.js';
+import { withSpamFlag } from './reviewSpam.js';
+import { reviewSentiment } from './sentiment.js';
+import { ratingAnomaly } from './ratingAnomalies.js';
+import { reviewLanguage } from './language.js';
+import { reviewRatingScale, syncSourceRegistry } from '../sources/index.js';
+
+// Fields a moderator can send (rating is on the scale given by rating_scale_min/max)
+export const EDITABLE_REVIEW_FIELDS = [
+  'product_id',
+  'source',
+  'external_id',
+  'reviewer_name',
+  'rating',
+  'rating_scale_min',
+  'rating_scale_max',
+  'title',
+  'content',
+  'review_date',
+  'verified_purchase',
+  'helpful_votes',
+];
+
+// Values PUT uses for optional fields it was not sent (same as POST /api/reviews)
+const REPLACE_DEFAULTS = {
+  external_id: null,
+  review_date: null,
+  verified_purchase: false,
+  helpful_votes: 0,
+};
+
+/**
+ * Merge the sent fields into a stored review, using `reviews` column names
+ *
+ * @param {Object} existing - Row from the reviews table
+ * @param {Object} fields - Validated request fields (see EDITABLE_REVIEW_FIELDS)
+ * @param {boolean} replace - PUT semantics: unsent optional fields are reset
+ * @returns {Object} The review as it should be stored
+ * @throws {AppError} 400 if the rating does not fit its scale
+ */
+export function applyEdit(existing, fields, replace) {
+  const sent = Object.fromEntries(
+    EDITABLE_REVIEW_FIELDS.filter((f) => fields[f] !== undefined).map((f) => [f, fields[f]])
+  );
+  const next = { ...existing, ...(replace ? REPLACE_DEFAULTS : {}), ...sent };
+
+  // Ratings are sent on a scale and stored normalized, so recompute all four
+  // rating columns when the rating or its scale changes. PUT falls back to the
+  // source's registered scale (like POST); PATCH keeps the stored one.
+  const scaleSent = sent.rating_scale_min !== undefined || sent.rating_scale_max !== undefined;
+  if (sent.rating !== undefined || scaleSent || replace) {
+    const value = sent.rating ?? existing.original_rating ?? existing.rating;
+    const scale = replace
+      ? reviewRatingScale({ source: next.source, ...sent })
+      : {
+          min: sent.rating_scale_min ?? existing.rating_scale_min,
+          max: sent.rating_scale_max ?? existing.rating_scale_max,
+        };
+    const problem = ratingProblem(value, scale);
+    if (problem) {
+      throw new AppError('Validation failed', 400, [{ field: 'rating', message: problem, value }]);
+    }
+    Object.assign(next, ratingColumns(value, scale));
+  }
+
+  next.sentiment_score = reviewSentiment(next);
+  next.rating_anomaly = ratingAnomaly(next, next.sentiment_score);
+  next.language = reviewLanguage(next);
+  return next;
+}
+
+/**
+ * Edit a review and record the change
+ *
+ * @param {number} id - Review ID
+ * @param {Object} fields - Validated fields to change (see EDITABLE_REVIEW_FIELDS)
+ * @param {Object} options
+ * @param {string} options.editedBy - Who made the change
+ * @param {string} [options.reason] - Why, shown in the history
+ * @param {boolean} [options.replace=false] - true for PUT, false for PATCH
+ * @returns {Promise<{review: Object, status: 'updated'|'unchanged', edit: Object|null}>}
+ *   The stored review and the history record (null when nothing changed)
+ * @throws {AppError} 404 if the review or a new product does not exist, 409 if
+ *   another review from the same source already has the new external_id
+ */
+export async function editReview(id, fields, { editedBy, reason, replace = false }) {
+  if (fields.product_id !== undefined) {
+    const [products] = await pool.query(...queries.products.selectExistingIds([fields.product_id]));
+    if (products.length === 0) {
+      throw new AppError('Product not found', 404);
+    }
+  }
+  // reviews.source references the sources table; make sure new adapters are in it
+  if (fields.source !== undefined) await syncSourceRegistry();
+
+  const conn = await pool.getConnection();
+  let existing;
+  let next;
+  let editId = null;
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(...queries.reviews.selectByIdForUpdate(id));
+    if (rows.length === 0) {
+      throw new AppError('Review not found', 404);
+    }
+    existing = rows[0];
+    next = applyEdit(existing, fields, replace);
+    const changes = reviewChanges(existing, next);
+
+    if (Object.keys(changes).length > 0) {
+      await conn.query(...queries.reviews.update(id, next));
+      const [result] = await conn.query(
+        ...queries.reviewEdits.insert({ review_id: id, edited_by: editedBy, reason, changes })
+      );
+      editId = result.insertId;
+      // A review moved to another product changes both products' statistics
+      await refreshProductStats(conn, [...new Set([existing.product_id, Number(next.product_id)])], {
+        written: [existing, next],
+      });
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw new AppError('Another review from this source already has this external_id', 409);
+    }
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  if (editId === null) {
+    return { review: withSpamFlag(withNumericRatings(existing)), status: 'unchanged', edit: null };
+  }
+
+  // Edited text, author, date or product can join or leave a duplicate cluster
+  for (const productId of new Set([existing.product_id, Number(next.product_id)])) {
+    await refreshDuplicateClusters(productId);
+  }
+
+  const [[review]] = await pool.query(...queries.reviews.selectById(id));
+  const [[edit]] = await pool.query(...queries.reviewEdits.selectById(editId));
+  return { review: withSpamFlag(withNumericRatings(review)), status: 'updated', edit };
+}
+
+/**
+ * Edit history of a review, newest first
+ *
+ * @param {number} id - Review ID
+ * @returns {Promise<Array>} Rows from review_edits
+ * @throws {AppError} 404 if the review does not exist
+ */
+export async function getReviewEdits(id) {
+  const [reviews] = await pool.query(...queries.reviews.selectById(id));
+  if (reviews.length === 0) {
+    throw new AppError('Review not found', 404);
+  }
+  const [edits] = await pool.query(...queries.reviewEdits.selectByReview(id));
+  return edits;
+}
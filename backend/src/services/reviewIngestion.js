@@ -0,0 +1,146 @@
+/**
+ * Review Ingestion Pipeline
+ *
+ * Purpose:
+ * - Pull reviews for a product from the scraper service
+ * - Map the scraper's shape onto the `reviews` table columns
+ * - Upsert them so re-running ingestion never creates duplicates
+ *
+ * Default field mapping (scraper → reviews), overridable per source adapter
+ * (see backend/src/sources):
+ *   review_id  → external_id
+ *   author     → reviewer_name
+ *   body       → content
+ *   created_at → review_date (date part only)
+ *   rating     → original_rating, normalized to 0-5 in rating (see ratingScale.js)
+ *
+ * Teaching points:
+ * - "Upsert" = update if the row already exists, insert otherwise. We identify
+ *   a scraped review by (source, external_id): the ID is only unique per source.
+ *   The actual write logic lives in reviewStore.js and is shared with POST /api/reviews.
+ * - The whole batch runs in one transaction, so a failure halfway through
+ *   leaves the table exactly as it was. The product's precomputed stats
+ *   (reviewStats.js) are refreshed in the same transaction.
+ * - Afterwards the product's cross-source duplicate clusters are rebuilt
+ *   (reviewDedup.js), since a new review may be a copy of one from elsewhere,
+ *   and so is its cached review summary (textSummary.js).
+ */
+
+import pool from '../db.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { queries } from '../database/queries.js';
+import { fetchScrapedReviews } from './scraperClient.js';
+import { UPSERT_STATUS, upsertReview } from './reviewStore.js';
+import { ratingColumns, ratingProblem } from './ratingScale.js';
+import { refreshDuplicateClusters } from './reviewDedup.js';
+import { refreshProductStats } from './reviewStats.js';
+import { refreshProductTextSummary } from './textSummary.js';
+import { findSourceAdapter, extractSourceFields, syncSourceRegistry } from '../sources/index.js';
+
+/**
+ * Map one scraped review onto `reviews` column names
+ * The review's source adapter decides which scraped field feeds which column
+ * and which rating scale the raw rating is normalized from.
+ *
+ * @param {Object} scraped - Review object as returned by the scraper
+ * @param {number} productId - Backend product ID the review belongs to
+ * @returns {Object} Review data ready for queries.reviews.insert()
+ * @throws {AppError} 422 if the review comes from an unregistered source or its
+ *   rating does not fit the source's rating scale
+ */
+export function mapScrapedReview(scraped, productId) {
+  const adapter = findSourceAdapter(scraped.source);
+  if (!adapter) {
+    throw new AppError(`Scraped review from unknown source: ${scraped.source}`, 422);
+  }
+
+  const fields = extractSourceFields(adapter, scraped);
+  const problem = ratingProblem(fields.rating, adapter.ratingScale);
+  if (problem) {
+    throw new AppError(`${adapter.name} review ${fields.external_id}: ${problem}`, 422);
+  }
+
+  return {
+    product_id: productId,
+    source: adapter.name,
+    external_id: fields.external_id,
+    reviewer_name: fields.reviewer_name || 'Anonymous',
+    ...ratingColumns(fields.rating, adapter.ratingScale),
+    title: fields.title || '',
+    content: fields.content || '',
+    review_date: fields.review_date ? String(fields.review_date).slice(0, 10) : null,
+    verified_purchase: Boolean(fields.verified_purchase),
+    helpful_votes: fields.helpful_votes || 0,
+  };
+}
+
+/**
+ * Scrape and upsert all reviews for a product
+ *
+ * @param {number} productId - Backend product ID
+ * @param {Object} [options]
+ * @param {string} [options.source] - Limit ingestion to one scraper source id
+ * @param {Function} [options.onFetched] - Called with the number of scraped reviews
+ *   before they are written (used for progress reporting)
+ * @returns {Promise<Object>} Summary: { product_id, fetched, created, updated, unchanged, reviews }
+ *   where `reviews` lists each stored row with its id, upsert status and moderation status
+ */
+export async function ingestProductReviews(productId, { source, onFetched } = {}) {
+  const [productQuery, productParams] = queries.products.selectById(productId);
+  const [products] = await pool.query(productQuery, productParams);
+  if (products.length === 0) {
+    throw new AppError('Product not found', 404);
+  }
+
+  // reviews.source references the sources table; make sure new adapters are in it
+  await syncSourceRegistry();
+
+  const scraped = await fetchScrapedReviews(productId, { source });
+  onFetched?.(scraped.length);
+
+  const summary = {
+    product_id: productId,
+    fetched: scraped.length,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    reviews: [],
+  };
+  if (scraped.length === 0) return summary;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // New and changed rows, plus the stored versions they replaced (spam rescoring)
+    const written = [];
+    for (const item of scraped) {
+      const review = mapScrapedReview(item, productId);
+      const { id, status, moderation_status, previous } = await upsertReview(conn, review);
+      summary[status]++;
+      summary.reviews.push({ id, status, moderation_status, ...review });
+      if (status !== UPSERT_STATUS.UNCHANGED) written.push({ ...review, id });
+      if (previous) written.push(previous);
+    }
+
+    if (written.length > 0) {
+      await refreshProductStats(conn, productId, { written });
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  // New or edited reviews may duplicate ones from other sources, and change
+  // which sentences best summarize the product
+  if (summary.created > 0 || summary.updated > 0) {
+    await refreshDuplicateClusters(productId);
+    await refreshProductTextSummary(productId);
+  }
+
+  return summary;
+}
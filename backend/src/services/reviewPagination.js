@@ -0,0 +1,168 @@
+/**
+ * Cursor Pagination for Review Lists
+ *
+ * Purpose:
+ * - Page through GET /api/reviews without OFFSET, so pages stay fast on large
+ *   tables and stay stable while ingestion inserts new reviews.
+ * - Hand out opaque cursors: `meta.next_cursor` continues with the following
+ *   page, `meta.prev_cursor` fetches the reviews before the page (for the
+ *   default newest-first order that includes ones added since it was loaded).
+ *
+ * Teaching points:
+ * - A cursor is just "the position of a row" — its sort key value and id —
+ *   plus the sort and a direction, encoded as base64url JSON. Clients must
+ *   treat it as opaque: we can change what is inside without breaking them.
+ * - We ask the database for limit + 1 rows. If the extra row comes back there
+ *   is another page; we never need a COUNT(*) to know that. The total is only
+ *   computed when the client asks for it (`total=true`).
+ */
+
+import pool from '../db.js';
+import { DEFAULT_REVIEW_SORT, REVIEW_SORTS, queries } from '../database/queries.js';
+import { withNumericRatings } from './ratingScale.js';
+import { withSpamFlag } from './reviewSpam.js';
+import { MODERATION_STATUS } from './moderation.js';
+
+export const CURSOR_DIRECTIONS = ['next', 'prev'];
+
+/**
+ * Encode the position of a review row as an opaque cursor
+ *
+ * @param {'next'|'prev'} direction - Which side of the row the cursor continues on
+ * @param {string} sort - Key of REVIEW_SORTS the row was listed by
+ * @param {Object} position - Row with `sort_value` and `id` (or a decoded cursor's `value` and `id`)
+ * @returns {string} Cursor string
+ */
+export function encodeCursor(direction, sort, { sort_value, value = sort_value, id }) {
+  // Dates (created_at, review_date) travel as ISO strings and are revived on decode
+  const payload = value instanceof Date
+    ? { d: direction, s: sort, t: value.toISOString(), id }
+    : { d: direction, s: sort, v: value, id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor()
+ *
+ * @param {string} value - Cursor from a previous response
+ * @returns {{direction: string, sort: string, value: *, id: number}|null} Position, or null if invalid
+ */
+export function decodeCursor(value) {
+  try {
+    const { d, s, t, v, id } = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const position = t !== undefined ? new Date(t) : v;
+    const valid = CURSOR_DIRECTIONS.includes(d)
+      && Object.hasOwn(REVIEW_SORTS, s)
+      && Number.isInteger(id)
+      && (position instanceof Date ? !Number.isNaN(position.getTime()) : ['string', 'number'].includes(typeof position));
+    return valid ? { direction: d, sort: s, value: position, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * One page of reviews
+ *
+ * @param {Object} filters - See queries.reviews.list()
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Page size
+ * @param {string} [options.sort] - Key of REVIEW_SORTS (default newest added first)
+ * @param {Object} [options.cursor] - Decoded cursor (see decodeCursor()); must use the same sort
+ * @param {boolean} [options.withTotal=false] - Also count all matching reviews
+ * @returns {Promise<{reviews: Array, nextCursor: string|null, prevCursor: string|null, total?: number}>}
+ *   nextCursor is null on the last page; prevCursor is null only for an empty first page
+ */
+export async function listReviews(
+  filters,
+  { limit = 50, sort = DEFAULT_REVIEW_SORT, cursor = null, withTotal = false } = {}
+) {
+  const [rows] = await pool.query(...queries.reviews.list(filters, { limit: limit + 1, sort, cursor }));
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const backwards = cursor?.direction === 'prev';
+  // 'prev' pages are read in reverse; show them in the requested order
+  if (backwards) page.reverse();
+
+  const first = page[0];
+  const last = page[page.length - 1];
+  const result = {
+    reviews: page.map((row) => {
+      const review = withSpamFlag(withNumericRatings(row));
+      delete review.sort_value; // only needed for the cursors
+      return review;
+    }),
+    // Going backwards, the cursor's own row comes after this page
+    nextCursor: last && (backwards || hasMore) ? encodeCursor('next', sort, last) : null,
+    // An empty 'prev' page keeps its cursor so clients can poll it for new reviews
+    prevCursor: first ? encodeCursor('prev', sort, first) : backwards ? encodeCursor('prev', sort, cursor) : null,
+  };
+
+  if (withTotal) {
+    const [[{ total }]] = await pool.query(...queries.reviews.countList(filters));
+    result.total = Number(total);
+  }
+  return result;
+}
+
+/**
+ * listReviews() filters from the validated query string of a review list
+ * (GET /api/reviews, /api/reviews/anomalies, /api/moderation/queue)
+ *
+ * @param {Object} query - req.query after validateReviewList
+ * @returns {Object} Filters for listReviews() / queries.reviews.list()
+ */
+export function reviewListFilters(query) {
+  const { status = MODERATION_STATUS.APPROVED } = query;
+  return {
+    moderationStatus: status === 'all' ? null : status,
+    productId: query.product_id,
+    source: query.source,
+    minRating: query.min_rating,
+    maxRating: query.max_rating,
+    verifiedPurchase: query.verified_purchase,
+    dateFrom: query.date_from,
+    dateTo: query.date_to,
+    hasText: query.has_text,
+    reviewer: query.reviewer,
+    suspicious: query.suspicious,
+    maxSpamScore: query.max_spam_score,
+    anomaly: query.anomaly,
+    language: query.language,
+  };
+}
+
+/**
+ * One page of a review list route, with the `meta` its response carries
+ * Routes set their own defaults in their validators (e.g. `status=pending`
+ * for the moderation queue) and add their own meta to the result.
+ *
+ * @param {Object} query - req.query after validateReviewList
+ * @returns {Promise<{reviews: Array, meta: Object}>} meta: count, limit, status,
+ *   sort, next_cursor, prev_cursor and total (when `total=true`)
+ */
+export async function listReviewsFromQuery(query) {
+  const {
+    status = MODERATION_STATUS.APPROVED, sort = DEFAULT_REVIEW_SORT, limit = 50, cursor, total,
+  } = query;
+  const page = await listReviews(reviewListFilters(query), {
+    limit,
+    sort,
+    cursor: cursor || null,
+    withTotal: total === true,
+  });
+
+  return {
+    reviews: page.reviews,
+    meta: {
+      count: page.reviews.length,
+      limit,
+      status,
+      sort,
+      next_cursor: page.nextCursor,
+      prev_cursor: page.prevCursor,
+      ...(page.total !== undefined ? { total: page.total } : {}),
+    },
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * Review Full-Text Search
+ *
+ * Purpose:
+ * - Find reviews mentioning given words ("battery", "broke after a week")
+ *   across titles and content, best matches first.
+ *   Used by GET /api/reviews/search?q=...
+ * - Return short snippets around the matches with the matched words marked,
+ *   so the UI can show *why* a review matched.
+ *
+ * How it works:
+ * 1. MySQL's FULLTEXT index (ft_reviews_text) finds and ranks matching rows
+ *    (MATCH ... AGAINST in natural language mode, see queries.reviews.search)
+ * 2. highlightText() splits title/content into segments, marking whole-word
+ *    occurrences of the search words
+ *
+ * Teaching points:
+ * - Highlights are returned as data ([{ text, match }]) rather than HTML with
+ *   <mark> tags. The frontend renders them as elements, so review text can
+ *   never inject markup (no dangerouslySetInnerHTML needed).
+ * - InnoDB ignores words shorter than 3 characters and stopwords, so a query
+ *   made only of those finds nothing; we report that instead of a silent empty list.
+ */
+
+import pool from '../db.js';
+import { queries } from '../database/queries.js';
+import { withNumericRatings } from './ratingScale.js';
+import { withSpamFlag } from './reviewSpam.js';
+
+// InnoDB's default innodb_ft_min_token_size
+const MIN_TERM_LENGTH = 3;
+const SNIPPET_LENGTH = 200;
+// Characters of context kept before the first match in a snippet
+const SNIPPET_LEAD = 40;
+
+/**
+ * Words of a search query that the FULLTEXT index can match
+ *
+ * @param {string} q - Search query as typed
+ * @returns {string[]} Unique lowercase terms
+ */
+export function searchTerms(q) {
+  const words = String(q || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length >= MIN_TERM_LENGTH);
+  return [...new Set(words)];
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive match of any term
+const termPattern = (terms) => new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+  'giu'
+);
+
+/**
+ * Split text into plain and matched segments
+ *
+ * @param {string} text - Text to highlight
+ * @param {string[]} terms - Terms from searchTerms()
+ * @returns {Array<{text: string, match: boolean}>} Segments in order; joined they give `text`
+ */
+export function highlightText(text, terms) {
+  const source = String(text || '');
+  if (!source) return [];
+  if (terms.length === 0) return [{ text: source, match: false }];
+
+  const segments = [];
+  let last = 0;
+  for (const m of source.matchAll(termPattern(terms))) {
+    if (m.index > last) segments.push({ text: source.slice(last, m.index), match: false });
+    segments.push({ text: m[0], match: true });
+    last = m.index + m[0].length;
+  }
+  if (last < source.length) segments.push({ text: source.slice(last), match: false });
+  return segments;
+}
+
+/**
+ * Cut a snippet of about SNIPPET_LENGTH characters around the first match
+ * Cuts fall on word boundaries and are marked with "…".
+ *
+ * @param {string} text - Full review content
+ * @param {string[]} terms - Terms from searchTerms()
+ * @returns {Array<{text: string, match: boolean}>} Highlighted snippet segments
+ */
+export function snippet(text, terms) {
+  const source = String(text || '');
+  if (source.length <= SNIPPET_LENGTH) return highlightText(source, terms);
+
+  const firstIndex = terms.length ? Math.max(0, source.search(termPattern(terms))) : 0;
+
+  let start = Math.max(0, firstIndex - SNIPPET_LEAD);
+  let end = Math.min(source.length, start + SNIPPET_LENGTH);
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    if (space !== -1 && space < firstIndex) start = space + 1;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const segments = highlightText(source.slice(start, end), terms);
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < source.length) segments.push({ text: '…', match: false });
+  return segments;
+}
+
+/**
+ * Relevance-ranked full-text search over reviews
+ *
+ * @param {Object} filters
+ * @param {string} filters.q - Search words
+ * @param {number} [filters.productId] - Only this product
+ * @param {string} [filters.source] - Only this source (display name)
+ * @param {number} [filters.minRating] - Minimum normalized rating
+ * @param {number} [filters.maxRating] - Maximum normalized rating
+ * @param {number} [filters.limit=20] - Page size
+ * @param {number} [filters.offset=0] - Rows to skip
+ * @returns {Promise<{reviews: Array, total: number, terms: string[]}>} Matching reviews with
+ *   `relevance` and `highlights: { title, content }`, the total number of matches,
+ *   and the terms that were searched for
+ */
+export async function searchReviews({ limit = 20, offset = 0, ...filters }) {
+  const terms = searchTerms(filters.q);
+  if (terms.length === 0) {
+    return { reviews: [], total: 0, terms };
+  }
+
+  const [rows] = await pool.query(...queries.reviews.search({ ...filters, limit, offset }));
+  const [[{ total }]] = await pool.query(...queries.reviews.countSearch(filters));
+
+  return {
+    reviews: rows.map((row) => ({
+      ...withSpamFlag(withNumericRatings(row)),
+      relevance: Math.round(Number(row.relevance) * 1000) / 1000,
+      highlights: {
+        title: highlightText(row.title, terms),
+        content: snippet(row.content, terms),
+      },
+    })),
+    total: Number(total),
+    terms,
+  };
+}
@@ -0,0 +1,301 @@
+/**
+ * Spam / Fake Review Scoring
+ *
+ * Purpose:
+ * - Give every review a suspicion score from 0 (nothing unusual) to 100,
+ *   stored in reviews.spam_score, plus the signals that raised it
+ *   (reviews.spam_signals), so moderators and shoppers can see *why*.
+ * - Reviews scoring SPAM_SCORE_THRESHOLD or more are "suspicious": they are
+ *   still listed (GET /api/reviews can filter them), but statistics, scores
+ *   and trends leave them out.
+ * - Scores are recomputed by refreshProductStats(), i.e. in the same
+ *   transaction as every review write, because they decide which reviews the
+ *   statistics count. Only the reviews a write can change are rescored
+ *   (scoreReviewsAround()): the written rows, the reviews of the same product
+ *   dated the same day, and the same reviewers' reviews.
+ *
+ * Signals (points are added up, capped at 100):
+ * - unverified_purchase: the source could not confirm the reviewer bought it
+ * - short_text: almost no written content
+ * - generic_extreme: a 5 or 1 star rating with text made of stock phrases
+ *   ("great product, love it!") that could be about anything
+ * - review_burst: many reviews of the product dated the same day
+ * - repeated_text: the reviewer posted the same text for other products
+ * - rating_mismatch: the text sentiment (services/sentiment.js) says the
+ *   opposite of the rating
+ *
+ * Teaching points:
+ * - No single signal proves anything: plenty of honest buyers are unverified
+ *   or write two words. A weighted sum only crosses the threshold when
+ *   several signals agree, which keeps false alarms rare.
+ * - These are transparent heuristics, not a trained model. Their weights are
+ *   easy to explain and tune, and the stored signals document every decision.
+ * - Every other signal depends on the review alone, which is why rescoring
+ *   around a write is enough. `npm --workspace=backend run stats:rebuild`
+ *   still rescores everything, e.g. after editing reviews directly in SQL.
+ */
+
+import { SPAM_SCORE_THRESHOLD, queries } from '../database/queries.js';
+import { normalizeAuthor } from './reviewDedup.js';
+import { reviewSentiment, sentimentWords } from './sentiment.js';
+
+const UPDATE_BATCH_SIZE = 500; // scores written per UPDATE
+
+export { SPAM_SCORE_THRESHOLD };
+
+// Points each signal adds to the score
+export const SPAM_SIGNALS = {
+  unverified_purchase: 15,
+  short_text: 20,
+  generic_extreme: 25,
+  review_burst: 20,
+  repeated_text: 35,
+  rating_mismatch: 30,
+};
+
+const SHORT_TEXT_WORDS = 6; // fewer content words than this is "short"
+const GENERIC_MAX_WORDS = 15; // longer texts are never "generic"
+const GENERIC_SHARE = 0.6; // share of stock words that makes a text generic
+const BURST_MIN_REVIEWS = 5; // reviews of one product dated the same day
+const REPEATED_MIN_PRODUCTS = 2; // same text by the same reviewer on this many products
+const MISMATCH_SENTIMENT = 0.3; // text sentiment this far on the other side of neutral
+
+// Words of stock praise / complaint that say nothing about a specific product
+const GENERIC_WORDS = new Set([
+  'a', 'all', 'amazing', 'and', 'awesome', 'bad', 'best', 'buy', 'do', 'dont', 'ever', 'excellent',
+  'five', 'garbage', 'good', 'great', 'happy', 'highly', 'i', 'is', 'it', 'item', 'junk', 'love',
+  'money', 'not', 'nice', 'of', 'one', 'perfect', 'product', 'really', 'recommend', 'so', 'star',
+  'stars', 'terrible', 'the', 'this', 'very', 'waste', 'worst', 'wow', 'would',
+]);
+
+/**
+ * Key identifying "the same text by the same reviewer"
+ *
+ * @returns {string|null} null for anonymous reviewers or empty texts
+ */
+function repeatedTextKey(review) {
+  const author = normalizeAuthor(review.reviewer_name);
+  const text = sentimentWords(review.content).join(' ');
+  return author && text ? `${author}|${text}` : null;
+}
+
+/**
+ * Signals raised by one review
+ *
+ * @param {Object} review - Row with rating, title, content, verified_purchase and
+ *   sentiment_score (computed from the text when it is NULL)
+ * @param {Object} [context]
+ * @param {number} [context.sameDayReviews=0] - Reviews of the product dated the same day (itself included)
+ * @param {number} [context.sameTextProducts=0] - Products the reviewer posted this exact text for
+ * @returns {string[]} Keys of SPAM_SIGNALS
+ */
+export function spamSignals(review, { sameDayReviews = 0, sameTextProducts = 0 } = {}) {
+  const signals = [];
+  const rating = Number(review.rating);
+  const contentWords = sentimentWords(review.content);
+  const allWords = sentimentWords(`${review.title || ''} ${review.content || ''}`);
+
+  if (!review.verified_purchase) signals.push('unverified_purchase');
+
+  if (contentWords.length < SHORT_TEXT_WORDS) signals.push('short_text');
+
+  const extreme = rating >= 4.75 || rating <= 1.25;
+  const generic = allWords.length > 0 && allWords.length <= GENERIC_MAX_WORDS
+    && allWords.filter((w) => GENERIC_WORDS.has(w)).length / allWords.length >= GENERIC_SHARE;
+  if (extreme && generic) signals.push('generic_extreme');
+
+  if (sameDayReviews >= BURST_MIN_REVIEWS) signals.push('review_burst');
+
+  if (sameTextProducts >= REPEATED_MIN_PRODUCTS) signals.push('repeated_text');
+
+  // Stored by every write (services/sentiment.js); rows not analyzed yet are scored here
+  const sentiment = review.sentiment_score === null || review.sentiment_score === undefined
+    ? reviewSentiment(review)
+    : Number(review.sentiment_score);
+  if ((rating >= 4 && sentiment <= -MISMATCH_SENTIMENT) || (rating <= 2 && sentiment >= MISMATCH_SENTIMENT)) {
+    signals.push('rating_mismatch');
+  }
+
+  return signals;
+}
+
+/**
+ * Score from a list of signals
+ *
+ * @param {string[]} signals - Keys of SPAM_SIGNALS
+ * @returns {number} 0-100
+ */
+export function spamScore(signals) {
+  return Math.min(100, signals.reduce((sum, signal) => sum + (SPAM_SIGNALS[signal] || 0), 0));
+}
+
+// review_date as 'YYYY-MM-DD' (mysql2 returns DATE columns as Date objects)
+function dayKey(date) {
+  if (!date) return null;
+  if (date instanceof Date) {
+    return Number.isNaN(date.getTime())
+      ? null
+      : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+  return String(date).slice(0, 10);
+}
+
+// Key of reviewsPerDay maps
+const productDayKey = (productId, day) => `${Number(productId)}|${day}`;
+
+/**
+ * Score a set of reviews together
+ * Repeated texts are counted across everything in `reviewerReviews` (the
+ * same reviewers' reviews of any product). Bursts are counted among
+ * `reviews` unless `reviewsPerDay` gives the counts, which it must when
+ * `reviews` is not every review of the products.
+ *
+ * @param {Array<Object>} reviews - Rows to score (id, product_id, reviewer_name, rating,
+ *   title, content, review_date, verified_purchase, sentiment_score)
+ * @param {Array<Object>} [reviewerReviews] - Rows with product_id, reviewer_name, content
+ * @param {Map<string, number>} [reviewsPerDay] - Reviews per `${product_id}|YYYY-MM-DD`
+ * @returns {Map<number, {score: number, signals: string[]}>} By review ID
+ */
+export function scoreReviews(reviews, reviewerReviews = reviews, reviewsPerDay = null) {
+  if (!reviewsPerDay) {
+    reviewsPerDay = new Map();
+    for (const review of reviews) {
+      const day = dayKey(review.review_date);
+      if (!day) continue;
+      const key = productDayKey(review.product_id, day);
+      reviewsPerDay.set(key, (reviewsPerDay.get(key) || 0) + 1);
+    }
+  }
+
+  const productsPerText = new Map();
+  for (const review of reviewerReviews) {
+    const key = repeatedTextKey(review);
+    if (!key) continue;
+    if (!productsPerText.has(key)) productsPerText.set(key, new Set());
+    productsPerText.get(key).add(Number(review.product_id));
+  }
+
+  const scores = new Map();
+  for (const review of reviews) {
+    const day = dayKey(review.review_date);
+    const key = repeatedTextKey(review);
+    const signals = spamSignals(review, {
+      sameDayReviews: day ? reviewsPerDay.get(productDayKey(review.product_id, day)) || 0 : 0,
+      sameTextProducts: key ? productsPerText.get(key)?.size || 0 : 0,
+    });
+    scores.set(review.id, { score: spamScore(signals), signals });
+  }
+  return scores;
+}
+
+// Names worth matching for repeated_text (anonymous reviewers never repeat "themselves")
+const knownReviewers = (rows) => [
+  ...new Set(rows.filter((r) => normalizeAuthor(r.reviewer_name)).map((r) => r.reviewer_name)),
+];
+
+/**
+ * Score reviews and store the scores that changed, in batches
+ *
+ * @param {Object} conn - Connection of the caller's transaction (or the pool)
+ * @param {Array<Object>} reviews - Rows from selectForSpam() / selectForSpamAround()
+ * @param {Object} [options]
+ * @param {boolean} [options.wholeProducts=false] - `reviews` has every review of their
+ *   products (bursts can be counted among them) and, with `allReviews`, of every reviewer
+ * @param {boolean} [options.allReviews=false] - `reviews` is the whole table
+ * @returns {Promise<number>} Number of reviews whose score changed
+ */
+async function storeScores(conn, reviews, { wholeProducts = false, allReviews = false } = {}) {
+  if (reviews.length === 0) return 0;
+
+  let reviewerReviews = reviews;
+  if (!allReviews) {
+    const names = knownReviewers(reviews);
+    reviewerReviews = [];
+    if (names.length > 0) [reviewerReviews] = await conn.query(...queries.reviews.selectByReviewers(names));
+  }
+
+  let reviewsPerDay = null;
+  if (!wholeProducts) {
+    reviewsPerDay = new Map();
+    const productDays = productDaysOf(reviews);
+    if (productDays.length > 0) {
+      const [rows] = await conn.query(...queries.reviews.countPerProductDay(productDays));
+      rows.forEach((row) => reviewsPerDay.set(productDayKey(row.product_id, dayKey(row.review_date)), Number(row.review_count)));
+    }
+  }
+
+  const scores = scoreReviews(reviews, reviewerReviews, reviewsPerDay);
+  const changed = reviews
+    .map((review) => ({ review, ...scores.get(review.id) }))
+    .filter(({ review, score, signals }) =>
+      review.spam_score !== score || (review.spam_signals || []).join(',') !== signals.join(','))
+    .map(({ review, score, signals }) => ({ id: review.id, score, signals }));
+
+  for (let i = 0; i < changed.length; i += UPDATE_BATCH_SIZE) {
+    await conn.query(...queries.reviews.setSpamScores(changed.slice(i, i + UPDATE_BATCH_SIZE)));
+  }
+  return changed.length;
+}
+
+// Distinct [product_id, 'YYYY-MM-DD'] pairs of dated rows
+function productDaysOf(rows) {
+  const pairs = new Map();
+  for (const row of rows) {
+    const day = dayKey(row.review_date);
+    if (day) pairs.set(productDayKey(row.product_id, day), [Number(row.product_id), day]);
+  }
+  return [...pairs.values()];
+}
+
+/**
+ * Recompute and store the spam scores of every review of some products
+ * Used to score products for the first time and to rebuild everything.
+ *
+ * @param {Object} conn - Connection of the caller's transaction (or the pool)
+ * @param {number[]|null} productIds - Products to rescore, or null for every review
+ * @returns {Promise<number>} Number of reviews whose score changed
+ */
+export async function scoreProductReviews(conn, productIds) {
+  const [reviews] = await conn.query(...queries.reviews.selectForSpam(productIds));
+  return storeScores(conn, reviews, { wholeProducts: true, allReviews: !productIds });
+}
+
+/**
+ * Recompute and store the spam scores a write can have changed
+ * Pass the written reviews as they are now *and* as they were before (an
+ * edit can move a review to another day, product or author, and a deleted
+ * review leaves its old day with one review less). That rescores those
+ * rows, the reviews of the same product dated the same day (review_burst)
+ * and the same reviewers' reviews (repeated_text) — never a whole product.
+ *
+ * @param {Object} conn - Connection of the caller's transaction (or the pool)
+ * @param {Array<Object>} written - Rows with product_id, reviewer_name, review_date
+ *   and, for rows that still exist, id
+ * @returns {Promise<number>} Number of reviews whose score changed
+ */
+export async function scoreReviewsAround(conn, written) {
+  const around = {
+    ids: [...new Set(written.map((r) => r.id).filter(Boolean))],
+    productDays: productDaysOf(written),
+    reviewerNames: knownReviewers(written),
+  };
+  if (!around.ids.length && !around.productDays.length && !around.reviewerNames.length) return 0;
+
+  const [reviews] = await conn.query(...queries.reviews.selectForSpamAround(around));
+  return storeScores(conn, reviews);
+}
+
+/**
+ * Add `suspicious` to a reviews row for API responses
+ * Reviews that were never scored (spam_score NULL) are not suspicious.
+ *
+ * @param {Object} row - Row from the reviews table
+ * @returns {Object} Copy of the row
+ */
+export function withSpamFlag(row) {
+  return {
+    ...row,
+    suspicious: row.spam_score !== null && row.spam_score !== undefined
+      && Number(row.spam_score) >= SPAM_SCORE_THRESHOLD,
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Precomputed Review Statistics (product_review_stats)
+ *
+ * Purpose:
+ * - Keep one row per reviewed product with its review count, average, min/max,
+ *   star histogram and per-source breakdown, so GET /api/reviews/aggregate/:productId
+ *   and product lists read a single row instead of aggregating every review.
+ * - Every write path (POST /api/reviews, ingestion, PUT / PATCH / DELETE
+ *   /api/reviews/:id) calls refreshProductStats() inside its own transaction.
+ * - Spam scores (services/reviewSpam.js) of the written reviews and those
+ *   they affect are recomputed first, since they decide which reviews the
+ *   statistics count.
+ * - rebuildAllStats() recomputes the whole table and every spam score
+ *   (`npm --workspace=backend run stats:rebuild`), e.g. after editing reviews directly in SQL.
+ *
+ * Teaching points:
+ * - This is a *materialized* aggregate: we trade a little work on every write
+ *   for much cheaper reads. Reads happen far more often than writes here.
+ * - Refreshing inside the writer's transaction means nobody ever sees a new
+ *   review without the stats that include it: both commit (or roll back) together.
+ * - We recompute a product's row from its reviews instead of adding/subtracting
+ *   deltas. It costs one grouped query per product, but it can never drift.
+ */
+
+import pool from '../db.js';
+import { queries } from '../database/queries.js';
+import { scoreProductReviews, scoreReviewsAround } from './reviewSpam.js';
+
+/**
+ * Recompute the stored statistics of some products from their reviews
+ *
+ * @param {Object} conn - Connection of the caller's transaction (or the pool)
+ * @param {number|number[]} productIds - Product(s) whose reviews changed
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.written] - Reviews written, as they are now and as
+ *   they were before (see scoreReviewsAround()); their spam scores are updated first.
+ *   Omit it when only moderation statuses changed: scores do not depend on them.
+ * @returns {Promise<void>}
+ */
+export async function refreshProductStats(conn, productIds, { written = [] } = {}) {
+  const ids = [].concat(productIds).map(Number);
+  if (ids.length === 0) return;
+
+  if (written.length > 0) await scoreReviewsAround(conn, written);
+  await conn.query(...queries.reviewStats.deleteForProducts(ids));
+  await conn.query(...queries.reviewStats.insertFromReviews(ids));
+}
+
+/**
+ * Recompute spam scores and statistics for every product (repair / first fill)
+ *
+ * @returns {Promise<{products: number, rescored: number}>} Number of products that
+ *   have statistics, and of reviews whose spam score changed
+ */
+export async function rebuildAllStats() {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const rescored = await scoreProductReviews(conn, null);
+    await conn.query(...queries.reviewStats.deleteForProducts());
+    const [result] = await conn.query(...queries.reviewStats.insertFromReviews());
+    await conn.commit();
+    return { products: result.affectedRows, rescored };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Score and refresh the products that have reviews without a spam score
+ * Reviews inserted by SQL (db/init.sql sample data, or rows that existed
+ * before db/migrations/013_add_review_spam_score.sql) have none yet.
+ *
+ * @returns {Promise<number>} Number of products refreshed
+ */
+export async function scoreUnscoredReviews() {
+  const [rows] = await pool.query(...queries.reviews.selectUnscoredProductIds());
+  if (rows.length === 0) return 0;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const ids = rows.map((row) => row.product_id);
+    await scoreProductReviews(conn, ids);
+    await refreshProductStats(conn, ids);
+    await conn.commit();
+    return rows.length;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Turn a product_review_stats row into plain numbers
+ * A missing row means the product has no reviews.
+ *
+ * @param {Object|undefined} row - Row from product_review_stats
+ * @returns {Object} { total_reviews, rating_sum, average_rating, min_rating, max_rating,
+ *   histogram: {5..1}, sources: [{ source, review_count, rating_sum, average_rating,
+ *   original_average_rating, rating_scale }] }
+ */
+export function formatStatsRow(row) {
+  if (!row) {
+    return {
+      total_reviews: 0,
+      rating_sum: 0,
+      average_rating: null,
+      min_rating: 0,
+      max_rating: 0,
+      histogram: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 },
+      sources: [],
+    };
+  }
+
+  const sources = (row.source_breakdown || [])
+    .map((s) => {
+      const count = Number(s.review_count);
+      // The original-scale average only makes sense when every review of the
+      // source used the same scale
+      const singleScale = Number(s.scale_count) === 1;
+      return {
+        source: s.source,
+        review_count: count,
+        rating_sum: Number(s.rating_sum),
+        average_rating: Number(s.rating_sum) / count,
+        original_average_rating: singleScale ? Number(s.original_rating_sum) / count : null,
+        rating_scale: singleScale
+          ? { min: Number(s.rating_scale_min), max: Number(s.rating_scale_max) }
+          : null,
+      };
+    })
+    .sort((a, b) => a.source.localeCompare(b.source));
+
+  return {
+    total_reviews: Number(row.review_count),
+    rating_sum: Number(row.rating_sum),
+    average_rating: Number(row.average_rating),
+    min_rating: Number(row.min_rating),
+    max_rating: Number(row.max_rating),
+    histogram: {
+      5: Number(row.stars_5),
+      4: Number(row.stars_4),
+      3: Number(row.stars_3),
+      2: Number(row.stars_2),
+      1: Number(row.stars_1),
+    },
+    sources,
+  };
+}
+
+/**
+ * Stored statistics of one product
+ *
+ * @param {number} productId - Product ID
+ * @returns {Promise<Object>} See formatStatsRow()
+ */
+export async function getProductStats(productId) {
+  const [rows] = await pool.query(...queries.reviewStats.selectByProducts([Number(productId)]));
+  return formatStatsRow(rows[0]);
+}
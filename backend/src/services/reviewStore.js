@@ -0,0 +1,178 @@
+/**
+ * Review Store — idempotent review writes
+ *
+ * Purpose:
+ * - One place that knows how to "upsert" a review, shared by
+ *   POST /api/reviews and the scraper ingestion pipeline
+ * - Report what actually happened to each row: created, updated or unchanged
+ *
+ * Teaching points:
+ * - A review coming from a source is identified by (source, external_id).
+ *   The database enforces this with the UNIQUE KEY uq_reviews_source_external,
+ *   so even two concurrent requests cannot store the same review twice.
+ * - We read the existing row first and compare fields. This lets the API say
+ *   "unchanged" instead of blindly rewriting identical data, which keeps
+ *   re-scraping cheap and makes its results easy to explain.
+ * - Reviews without an external_id (typed in by hand) are always inserted.
+ */
+
+import { queries } from '../database/queries.js';
+import { MODERATION_STATUS } from './moderation.js';
+import { reviewSentiment } from './sentiment.js';
+import { ratingAnomaly } from './ratingAnomalies.js';
+import { reviewLanguage } from './language.js';
+
+export const UPSERT_STATUS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  UNCHANGED: 'unchanged',
+};
+
+// Columns compared to decide whether an existing review needs an UPDATE
+// (source and external_id only change through moderation edits)
+const COMPARED_FIELDS = [
+  'product_id',
+  'source',
+  'external_id',
+  'reviewer_name',
+  'rating',
+  'original_rating',
+  'rating_scale_min',
+  'rating_scale_max',
+  'title',
+  'content',
+  'review_date',
+  'verified_purchase',
+  'helpful_votes',
+];
+
+/**
+ * Normalize a DATE value to 'YYYY-MM-DD'
+ * mysql2 returns DATE columns as JS Date objects (local midnight)
+ */
+function toDateString(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const y = value.getFullYear();
+    const m = String(value.getMonth() + 1).padStart(2, '0');
+    const d = String(value.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Bring a value into a comparable form for the given column
+ */
+function normalizeField(field, value) {
+  switch (field) {
+    case 'review_date':
+      return toDateString(value);
+    case 'verified_purchase':
+      return Boolean(value);
+    case 'product_id':
+    case 'rating':
+    case 'original_rating':
+    case 'rating_scale_min':
+    case 'rating_scale_max':
+      // DECIMAL columns come back as strings ('4.50')
+      return value === null || value === undefined ? null : Number(value);
+    case 'helpful_votes':
+      return Number(value || 0);
+    default:
+      return value ?? null;
+  }
+}
+
+/**
+ * List the fields whose values differ between a stored row and incoming data
+ *
+ * @param {Object} existing - Row from the reviews table
+ * @param {Object} incoming - Review data using `reviews` column names
+ * @returns {string[]} Names of changed columns (empty if identical)
+ */
+export function diffReview(existing, incoming) {
+  return COMPARED_FIELDS.filter(
+    (field) => normalizeField(field, existing[field]) !== normalizeField(field, incoming[field])
+  );
+}
+
+/**
+ * Before and after values of every changed field, for the edit history
+ *
+ * @param {Object} existing - Row from the reviews table
+ * @param {Object} incoming - Review data using `reviews` column names
+ * @returns {Object} { column: { before, after } } (empty if identical)
+ */
+export function reviewChanges(existing, incoming) {
+  return Object.fromEntries(
+    diffReview(existing, incoming).map((field) => [
+      field,
+      { before: normalizeField(field, existing[field]), after: normalizeField(field, incoming[field]) },
+    ])
+  );
+}
+
+/**
+ * Insert a review, or update the stored copy if (source, external_id) exists
+ *
+ * The text's sentiment score (services/sentiment.js) is stored with it, and
+ * so are a rating / text mismatch (services/ratingAnomalies.js) and its
+ * language (services/language.js).
+ *
+ * @param {Object} conn - Pool or connection (use a connection inside transactions)
+ * @param {Object} incoming - Review data using `reviews` column names
+ * @returns {Promise<{id: number, status: string, moderation_status: string, previous?: Object}>}
+ *   Row ID, UPSERT_STATUS value and moderation status (new reviews start out
+ *   pending; updates keep the stored one). Updates also return the `previous`
+ *   row, so callers can rescore what the old version affected.
+ */
+export async function upsertReview(conn, incoming) {
+  const review = { ...incoming, sentiment_score: reviewSentiment(incoming) };
+  review.rating_anomaly = ratingAnomaly(review, review.sentiment_score);
+  review.language = reviewLanguage(review);
+
+  if (review.external_id) {
+    const [rows] = await conn.query(
+      ...queries.reviews.selectByExternalId(review.source, review.external_id)
+    );
+    if (rows.length > 0) return updateExisting(conn, rows[0], review);
+  }
+
+  try {
+    const [result] = await conn.query(...queries.reviews.insert(review));
+    return { id: result.insertId, status: UPSERT_STATUS.CREATED, moderation_status: MODERATION_STATUS.PENDING };
+  } catch (err) {
+    if (err.code !== 'ER_DUP_ENTRY' || !review.external_id) throw err;
+    // Another request inserted the same review between our SELECT and INSERT.
+    // Inside a transaction a plain SELECT still returns the old snapshot, so
+    // re-read with a locking read, which sees the committed row. Only once:
+    // if it is still not there, the duplicate is something else.
+    const [rows] = await conn.query(
+      ...queries.reviews.selectByExternalIdForUpdate(review.source, review.external_id)
+    );
+    if (rows.length === 0) throw err;
+    return updateExisting(conn, rows[0], review);
+  }
+}
+
+/**
+ * Update path of upsertReview(): rewrite the stored row if anything changed
+ *
+ * @param {Object} conn - Pool or connection
+ * @param {Object} existing - Row from selectByExternalId()
+ * @param {Object} review - Review data with its derived columns
+ * @returns {Promise<Object>} Same shape as upsertReview()
+ */
+async function updateExisting(conn, existing, review) {
+  if (diffReview(existing, review).length === 0) {
+    return { id: existing.id, status: UPSERT_STATUS.UNCHANGED, moderation_status: existing.moderation_status };
+  }
+  await conn.query(...queries.reviews.update(existing.id, review));
+  return {
+    id: existing.id,
+    status: UPSERT_STATUS.UPDATED,
+    moderation_status: existing.moderation_status,
+    previous: existing,
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * Review Summaries for Product Lists
+ *
+ * Purpose:
+ * - GET /api/products?include=review_summary (and /api/products/search) add
+ *   each product's average rating, review count and per-source counts, so a
+ *   product grid does not need one /api/reviews/aggregate/:id call per card.
+ *
+ * Teaching points:
+ * - This is the classic fix for the "N+1 query" problem: instead of 1 query
+ *   for the page + N queries for its products, we run 1 query for all of the
+ *   page's product IDs (WHERE product_id IN (...)) and join the results up in
+ *   JavaScript.
+ * - The numbers come from product_review_stats (see reviewStats.js), which is
+ *   kept up to date whenever reviews are written.
+ */
+
+import pool from '../db.js';
+import { queries } from '../database/queries.js';
+import { formatStatsRow } from './reviewStats.js';
+
+export const PRODUCT_INCLUDES = ['review_summary'];
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Add `review_summary` to each product
+ *
+ * @param {Array<Object>} products - Product rows (need `id`)
+ * @returns {Promise<Array<Object>>} Copies of the products with
+ *   review_summary: { average_rating: number|null, total_reviews: number, sources: Object<string, number> }
+ */
+export async function attachReviewSummaries(products) {
+  if (products.length === 0) return products;
+
+  const [rows] = await pool.query(...queries.reviewStats.selectByProducts(products.map((p) => p.id)));
+  const byProduct = new Map(rows.map((row) => [row.product_id, row]));
+
+  return products.map((product) => {
+    const stats = formatStatsRow(byProduct.get(product.id));
+    return {
+      ...product,
+      review_summary: {
+        average_rating: stats.total_reviews ? round(stats.rating_sum / stats.total_reviews) : null,
+        total_reviews: stats.total_reviews,
+        sources: Object.fromEntries(stats.sources.map((s) => [s.source, s.review_count])),
+      },
+    };
+  });
+}
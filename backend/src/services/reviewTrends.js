@@ -0,0 +1,98 @@
+/**
+ * Rating Trends
+ *
+ * Purpose:
+ * - The aggregate endpoint only gives all-time numbers. Analysts also need to
+ *   see *when* things changed ("did ratings drop after the March batch?").
+ * - Group a product's reviews by week or month of review_date and report the
+ *   review count and average rating of each bucket, overall and per source.
+ *   Used by GET /api/reviews/trends/:productId.
+ *
+ * Teaching points:
+ * - SQL does the heavy lifting (GROUP BY bucket, source); JavaScript only
+ *   reshapes the rows and fills in empty buckets.
+ * - Filling gaps matters for charts: without the empty weeks, a line would
+ *   connect two points months apart as if they were neighbours.
+ * - Averages are combined from sums and counts, never by averaging averages.
+ */
+
+import pool from '../db.js';
+import { queries } from '../database/queries.js';
+
+export const TREND_INTERVALS = ['week', 'month'];
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Start of the bucket following `period` ('YYYY-MM-DD')
+ */
+function nextPeriod(period, interval) {
+  const date = new Date(`${period}T00:00:00Z`);
+  if (interval === 'month') {
+    date.setUTCMonth(date.getUTCMonth() + 1);
+  } else {
+    date.setUTCDate(date.getUTCDate() + 7);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Turn (bucket, source) rows into one entry per bucket, with gaps filled
+ *
+ * @param {Array<{period_start: string, source: string, review_count: number, rating_sum: string}>} rows
+ *   Rows from queries.reviews.selectTrends(), ordered by period_start
+ * @param {'week'|'month'} interval - Bucket size the rows were grouped by
+ * @returns {Array<{period_start: string, review_count: number, average_rating: number|null,
+ *   sources: Object<string, {review_count: number, average_rating: number}>}>}
+ */
+export function buildTrendSeries(rows, interval) {
+  const byPeriod = new Map();
+  for (const row of rows) {
+    if (!byPeriod.has(row.period_start)) byPeriod.set(row.period_start, []);
+    byPeriod.get(row.period_start).push(row);
+  }
+  if (byPeriod.size === 0) return [];
+
+  const periods = [...byPeriod.keys()];
+  const last = periods[periods.length - 1];
+  const series = [];
+
+  for (let period = periods[0]; period <= last; period = nextPeriod(period, interval)) {
+    const bucketRows = byPeriod.get(period) || [];
+    let count = 0;
+    let sum = 0;
+    const sources = {};
+    for (const row of bucketRows) {
+      const rowCount = Number(row.review_count);
+      const rowSum = Number(row.rating_sum);
+      count += rowCount;
+      sum += rowSum;
+      sources[row.source] = { review_count: rowCount, average_rating: round(rowSum / rowCount) };
+    }
+    series.push({
+      period_start: period,
+      review_count: count,
+      average_rating: count ? round(sum / count) : null,
+      sources,
+    });
+  }
+
+  return series;
+}
+
+/**
+ * Review count and average rating per week or month for one product
+ *
+ * @param {number} productId - Product ID
+ * @param {Object} [options]
+ * @param {'week'|'month'} [options.interval='month'] - Bucket size
+ * @param {string} [options.source] - Only this source (display name as stored in reviews.source)
+ * @returns {Promise<{series: Array, sources: string[]}>} Buckets oldest first, and the sources present
+ */
+export async function getRatingTrends(productId, { interval = 'month', source } = {}) {
+  const [rows] = await pool.query(...queries.reviews.selectTrends(productId, { interval, source }));
+  return {
+    series: buildTrendSeries(rows, interval),
+    sources: [...new Set(rows.map((r) => r.source))].sort(),
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Scraper Service HTTP Client
+ *
+ * Purpose:
+ * - Wrap the HTTP calls the backend makes to the (mock) scraper service
+ * - Keep the scraper's URL and response shape out of route handlers
+ *
+ * Teaching points:
+ * - The backend talks to the scraper over HTTP, exactly like it would talk to
+ *   any third-party API. Inside Docker Compose the host name is the service
+ *   name (`scraper`), on a laptop it is `localhost`.
+ * - Network failures are turned into AppError(502) so the central error
+ *   handler can report "upstream unavailable" instead of a generic 500.
+ */
+
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Base URL of the scraper service
+ * Read on each call so values loaded by dotenv after import are honoured
+ */
+function scraperUrl() {
+  return process.env.SCRAPER_URL || 'http://localhost:5000';
+}
+
+/**
+ * Fetch scraped reviews for a product from the scraper service
+ *
+ * A 404 from the scraper means "no reviews known for this product/source",
+ * which is not an error for ingestion purposes, so we return an empty list.
+ *
+ * @param {number|string} productId - Product ID to scrape
+ * @param {Object} [options]
+ * @param {string} [options.source] - Optional source id from the registry (e.g. amazon)
+ * @returns {Promise<Array>} Raw scraped review objects
+ */
+export async function fetchScrapedReviews(productId, { source } = {}) {
+  const params = new globalThis.URLSearchParams();
+  if (source) params.set('source', source);
+  const qs = params.toString();
+  const url = `${scraperUrl()}/api/scrape/reviews/${encodeURIComponent(productId)}${qs ? `?${qs}` : ''}`;
+
+  let res;
+  try {
+    res = await globalThis.fetch(url);
+  } catch (err) {
+    throw new AppError(`Scraper service unreachable: ${err.message}`, 502);
+  }
+
+  if (res.status === 404) return [];
+  if (!res.ok) {
+    throw new AppError(`Scraper service responded with HTTP ${res.status}`, 502);
+  }
+
+  const body = await res.json();
+  return Array.isArray(body.data) ? body.data : [];
+}
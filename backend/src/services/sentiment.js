@@ -0,0 +1,179 @@
+/**
+ * Review Sentiment (lexicon-based, offline)
+ *
+ * Purpose:
+ * - Score how positive or negative a review's *text* is, from -1 (very
+ *   negative) to +1 (very positive), using the bundled word list in
+ *   sentimentLexicon.js — no external API, so it is free, fast and repeatable.
+ * - The score is stored in reviews.sentiment_score when a review is written
+ *   (reviewStore / reviewEdits). backfillSentiment() scores older rows and
+ *   checks them for a rating / text mismatch; it runs when the backend starts
+ *   and as `npm --workspace=backend run sentiment:backfill`.
+ * - Compared with the star rating, it shows where the words disagree with the
+ *   stars, e.g. a source whose 4-star reviews read like complaints.
+ *
+ * How a text is scored:
+ * 1. Split title and content into lowercase words
+ * 2. Look each word up in the lexicon; a negation in the 3 words before it
+ *    flips and dampens its valence ("not good"), an intensifier right before
+ *    it strengthens or softens it ("very good", "slightly loud")
+ * 3. After "but", words count 1.5× and the ones before it 0.5×
+ *    ("nice design but it broke" is mostly about breaking)
+ * 4. Squash the sum into -1..+1 with sum / √(sum² + 15), as VADER does
+ *
+ * Teaching points:
+ * - Normalizing with √(sum² + α) keeps long reviews from scoring higher just
+ *   for having more words, while a single "ok" stays close to 0.
+ * - Sentiment is measured on text alone; it is never mixed with the rating,
+ *   so the two can be compared.
+ */
+
+import pool from '../db.js';
+import { queries } from '../database/queries.js';
+import { INTENSIFIERS, NEGATIONS, SENTIMENT_LEXICON } from './sentimentLexicon.js';
+import { ratingAnomaly } from './ratingAnomalies.js';
+
+const NEGATION_WINDOW = 3;
+const NEGATION_SCALAR = -0.74;
+const BUT_BEFORE_WEIGHT = 0.5;
+const BUT_AFTER_WEIGHT = 1.5;
+const NORMALIZATION_ALPHA = 15;
+
+/**
+ * Lowercase words of a text, without punctuation ("Don't!" → "dont")
+ *
+ * @param {string} text - Any text
+ * @returns {string[]} Words
+ */
+export function sentimentWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Sentiment of a text
+ *
+ * @param {string} text - Any text
+ * @returns {{score: number, matches: number}} Score from -1 to +1 (0 when no
+ *   lexicon word was found) and the number of lexicon words that counted
+ */
+export function analyzeSentiment(text) {
+  const words = sentimentWords(text);
+  const butIndex = words.lastIndexOf('but');
+  let sum = 0;
+  let matches = 0;
+
+  words.forEach((word, i) => {
+    let valence = SENTIMENT_LEXICON[word];
+    if (valence === undefined) return;
+    matches++;
+
+    const boost = INTENSIFIERS[words[i - 1]];
+    if (boost !== undefined) valence *= 1 + boost;
+
+    const window = words.slice(Math.max(0, i - NEGATION_WINDOW), i);
+    if (window.some((w) => NEGATIONS.has(w))) valence *= NEGATION_SCALAR;
+
+    if (butIndex !== -1) valence *= i < butIndex ? BUT_BEFORE_WEIGHT : BUT_AFTER_WEIGHT;
+
+    sum += valence;
+  });
+
+  const score = sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+  return { score: Math.round(score * 1000) / 1000, matches };
+}
+
+/**
+ * Sentiment score of a review's title and content
+ * The title is scored as its own sentence, so a "but" in the content does
+ * not reweigh it.
+ *
+ * @param {Object} review - Object with title and content
+ * @returns {number} Score from -1 to +1
+ */
+export function reviewSentiment(review) {
+  const title = analyzeSentiment(review.title);
+  const content = analyzeSentiment(review.content);
+  const matches = title.matches + content.matches;
+  if (matches === 0) return 0;
+  // Weight each part by how many opinion words it has
+  const score = (title.score * title.matches + content.score * content.matches) / matches;
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Express a rating on the sentiment scale (-1 to +1), using its own scale
+ * The middle of the scale is neutral: 3 stars on 1-5, 5.5 on 1-10, 50 on
+ * 0-100. The normalized 0-5 `rating` cannot be used for this: 1-5 sources
+ * keep their 1-5 values there, so 2.5 is not their midpoint.
+ *
+ * @param {number} value - Rating as the source gave it (original_rating)
+ * @param {{min: number, max: number}} [scale] - The review's rating scale (default 1-5)
+ * @returns {number} -1 to +1
+ */
+export function ratingAsSentiment(value, { min = 1, max = 5 } = {}) {
+  return ((Number(value) - Number(min)) / (Number(max) - Number(min))) * 2 - 1;
+}
+
+/**
+ * Average text sentiment of a product's reviews, overall and per source
+ * Counts the same reviews as the product's statistics (published, not
+ * suspicious); reviews not analyzed yet are skipped.
+ *
+ * @param {number} productId - Product ID
+ * @returns {Promise<{average_sentiment: number|null, sources: Object}>} sources maps
+ *   each source to { review_count, average_sentiment, sentiment_gap }, where
+ *   sentiment_gap = average_sentiment - the average rating on the -1..+1 scale
+ *   (each review's rating mapped from its own scale, see ratingAsSentiment())
+ */
+export async function getSentimentBySource(productId) {
+  const [rows] = await pool.query(...queries.reviews.selectSentimentBySource(productId));
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  let count = 0;
+  let sum = 0;
+  const sources = {};
+  for (const row of rows) {
+    const reviewCount = Number(row.review_count);
+    const average = Number(row.average_sentiment);
+    count += reviewCount;
+    sum += average * reviewCount;
+    sources[row.source] = {
+      review_count: reviewCount,
+      average_sentiment: round(average),
+      sentiment_gap: round(average - Number(row.average_rating_sentiment)),
+    };
+  }
+
+  return { average_sentiment: count ? round(sum / count) : null, sources };
+}
+
+/**
+ * Score every review that has no sentiment yet, in batches
+ * Rows inserted by SQL (db/init.sql sample data, reviews stored before
+ * db/migrations/014_add_review_sentiment.sql) start out NULL. Their
+ * rating_anomaly is set from the new score at the same time, so only these
+ * rows need checking: every other review was checked when it was written.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=500] - Reviews read and written per query
+ * @returns {Promise<number>} Number of reviews scored
+ */
+export async function backfillSentiment({ batchSize = 500 } = {}) {
+  let scored = 0;
+  let rows;
+  do {
+    [rows] = await pool.query(...queries.reviews.selectWithoutSentiment(batchSize));
+    const sentiments = rows.map((row) => {
+      const score = reviewSentiment(row);
+      return { id: row.id, score, anomaly: ratingAnomaly(row, score) };
+    });
+    if (sentiments.length) await pool.query(...queries.reviews.setSentiments(sentiments));
+    scored += rows.length;
+  } while (rows.length === batchSize);
+  return scored;
+}
@@ -0,0 +1,70 @@
+/**
+ * Sentiment Lexicon (bundled, no external service)
+ *
+ * Purpose:
+ * - Word → valence list used by services/sentiment.js. Valences go from -4
+ *   (very negative) to +4 (very positive), in the spirit of the AFINN and
+ *   VADER word lists, and are tuned for product reviews ("flimsy", "refund",
+ *   "sturdy" say a lot here).
+ * - Words are lowercase and written without apostrophes, the way
+ *   sentiment.js tokenizes text ("doesn't" → "doesnt").
+ *
+ * Teaching points:
+ * - A lexicon is the simplest sentiment model: no training data, fully
+ *   explainable, and easy to extend — add a word and its valence below.
+ * - Its blind spots (sarcasm, domain words like "loud" that are good for a
+ *   speaker and bad for a fan) are why scores are averaged over many reviews
+ *   instead of trusted one by one.
+ */
+
+export const SENTIMENT_LEXICON = {
+  // Strongly positive
+  amazing: 4, awesome: 4, excellent: 4, exceptional: 4, fantastic: 4, flawless: 4, incredible: 4,
+  outstanding: 4, perfect: 4, perfectly: 3, superb: 4, wonderful: 4, love: 3, loved: 3, loves: 3,
+  best: 3, brilliant: 3, delighted: 3, favorite: 3, great: 3, impressive: 3, impressed: 3,
+  thrilled: 4, gorgeous: 3, beautiful: 3,
+
+  // Positive
+  good: 2, nice: 2, happy: 2, pleased: 2, satisfied: 2, recommend: 2, recommended: 2, reliable: 2,
+  sturdy: 2, solid: 2, durable: 2, comfortable: 2, easy: 2, fast: 2, quick: 2, quickly: 2,
+  smooth: 2, quiet: 1, clear: 2, crisp: 2, bright: 1, responsive: 2, accurate: 2, efficient: 2,
+  convenient: 2, compact: 1, lightweight: 1, versatile: 2, worth: 2, value: 1, bargain: 2,
+  affordable: 1, works: 1, worked: 1, helpful: 2, fun: 2, enjoy: 2, enjoyed: 2, glad: 2,
+  useful: 2, handy: 2, decent: 1, fine: 1, okay: 1, ok: 1, well: 1, better: 1, improved: 1,
+  premium: 2, quality: 1, elegant: 2, stylish: 2, sleek: 2, powerful: 2, fits: 1, intuitive: 2,
+  upgrade: 1, fantastically: 3, thanks: 1, plus: 1,
+
+  // Negative
+  bad: -3, poor: -3, poorly: -3, cheap: -2, cheaply: -2, flimsy: -3, fragile: -2, slow: -2,
+  loud: -1, noisy: -2, heavy: -1, hot: -1, warm: -1, overheats: -3, overheating: -3,
+  difficult: -2, hard: -1, confusing: -2, complicated: -2, annoying: -2, disappointed: -3,
+  disappointing: -3, disappointment: -3, mediocre: -2, meh: -1, overpriced: -2, expensive: -1,
+  problem: -2, problems: -2, issue: -1, issues: -1, flaw: -2, flawed: -2, faulty: -3,
+  defective: -3, broke: -3, broken: -3, breaks: -3, cracked: -3, damaged: -3, dead: -3,
+  died: -3, fails: -3, failed: -3, failure: -3, stopped: -2, missing: -2, wrong: -2,
+  uncomfortable: -2, unreliable: -3, unusable: -3, inaccurate: -2, leak: -2, leaks: -2,
+  leaking: -2, rattles: -2, scratched: -2, scratches: -2, returned: -2, return: -1,
+  returning: -2, refund: -2, complaint: -2, complaints: -2, regret: -3, worse: -2, lacking: -2,
+  weak: -2, dim: -1, blurry: -2, laggy: -2, lag: -1, drains: -2, downside: -1, unfortunately: -2,
+  waste: -3, wasted: -3, frustrating: -3, frustrated: -3, sadly: -2, avoid: -3,
+
+  // Strongly negative
+  awful: -4, terrible: -4, horrible: -4, worst: -4, useless: -4, garbage: -4, junk: -4,
+  trash: -4, hate: -4, hated: -4, scam: -4, fake: -3, dangerous: -4, unacceptable: -4,
+  pathetic: -4, ripoff: -4,
+};
+
+// Words that flip the valence of the next few words ("not good")
+export const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nothing', 'neither', 'nor', 'without', 'hardly', 'barely',
+  'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'arent', 'werent', 'wont', 'cant', 'cannot',
+  'couldnt', 'wouldnt', 'shouldnt', 'aint',
+]);
+
+// Words that strengthen (> 0) or soften (< 0) the next word: valence × (1 + boost)
+export const INTENSIFIERS = {
+  very: 0.3, really: 0.3, so: 0.2, extremely: 0.5, incredibly: 0.5, super: 0.3, totally: 0.3,
+  absolutely: 0.5, completely: 0.4, highly: 0.3, truly: 0.3, too: 0.2, quite: 0.1,
+  slightly: -0.4, somewhat: -0.3, fairly: -0.2, bit: -0.3, little: -0.3, kinda: -0.3,
+  pretty: 0.1,
+};
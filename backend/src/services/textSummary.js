@@ -0,0 +1,212 @@
+/**
+ * Extractive Review Summary (TextRank, offline)
+ *
+ * Purpose:
+ * - Pick the 3-5 sentences that best represent what a product's reviews say,
+ *   across all sources, for GET /api/products/:id/summary. Every sentence is
+ *   quoted as written and links back to its review; nothing is generated.
+ * - Summaries are cached in product_text_summaries, keyed by a hash of the
+ *   reviews they were built from. A request whose reviews still hash the same
+ *   reads the cache; otherwise the summary is rebuilt and stored. Ingestion
+ *   refreshes it right away (refreshProductTextSummary).
+ *
+ * How TextRank works:
+ * 1. Split the review texts into sentences and reduce each to a set of word
+ *    stems, without stopwords (the same list as reviewAspects.js)
+ * 2. Connect every two sentences by how many stems they share, divided by
+ *    log(length) of both so long sentences do not win by size alone
+ * 3. Run PageRank on that graph: a sentence scores high when it is similar to
+ *    many other sentences that score high, i.e. when it says what many
+ *    reviewers say
+ * 4. Take the best sentences, at most one per review and none that repeats
+ *    an already chosen one
+ *
+ * Teaching points:
+ * - "Extractive" means choosing existing sentences instead of writing new
+ *   ones. It cannot invent claims nobody made, and it needs no AI service.
+ * - The graph has one edge per pair of sentences, so the work grows with the
+ *   square of their number; MAX_SENTENCES keeps big products fast.
+ */
+
+import { createHash } from 'node:crypto';
+import pool from '../db.js';
+import { queries } from '../database/queries.js';
+import { sentimentWords } from './sentiment.js';
+import { STOPWORDS, stem } from './reviewAspects.js';
+
+const SUMMARY_MIN_SENTENCES = 3;
+const SUMMARY_MAX_SENTENCES = 5;
+const REVIEWS_PER_SENTENCE = 5; // one more summary sentence per this many reviews
+const MAX_SENTENCES = 300; // sentences ranked, taken from the newest reviews
+const MIN_SENTENCE_WORDS = 4;
+const MAX_SENTENCE_WORDS = 50;
+const DAMPING = 0.85;
+const ITERATIONS = 50;
+const CONVERGENCE = 1e-6;
+const REPEAT_SIMILARITY = 0.5; // share of stems that makes a sentence a repeat
+
+/**
+ * Sentences of one review that are worth ranking
+ *
+ * @param {Object} review - Row with id and content
+ * @returns {Array<{text: string, review: Object, stems: Set<string>}>}
+ */
+function reviewSentences(review) {
+  return String(review.content || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((text) => text.trim())
+    .filter((text) => {
+      const count = sentimentWords(text).length;
+      return count >= MIN_SENTENCE_WORDS && count <= MAX_SENTENCE_WORDS;
+    })
+    .map((text) => ({
+      text,
+      review,
+      stems: new Set(
+        sentimentWords(text).filter((w) => w.length > 2 && !STOPWORDS.has(w)).map(stem)
+      ),
+    }))
+    .filter((sentence) => sentence.stems.size >= 2);
+}
+
+// Edge weight between two sentences (TextRank's similarity)
+function similarity(a, b) {
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared === 0 ? 0 : shared / (Math.log(a.size) + Math.log(b.size));
+}
+
+// Share of the smaller sentence's stems found in the other one
+function overlap(a, b) {
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / Math.min(a.size, b.size);
+}
+
+/**
+ * PageRank over the sentence similarity graph
+ *
+ * @param {Array<{stems: Set<string>}>} sentences
+ * @returns {number[]} Score of each sentence (same order)
+ */
+export function rankSentences(sentences) {
+  const n = sentences.length;
+  const weights = sentences.map(() => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      weights[i][j] = weights[j][i] = similarity(sentences[i].stems, sentences[j].stems);
+    }
+  }
+  const totals = weights.map((row) => row.reduce((sum, w) => sum + w, 0));
+
+  let scores = new Array(n).fill(1 / n);
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const next = scores.map((_, i) => {
+      let incoming = 0;
+      for (let j = 0; j < n; j++) {
+        if (weights[j][i] > 0) incoming += (weights[j][i] / totals[j]) * scores[j];
+      }
+      return (1 - DAMPING) / n + DAMPING * incoming;
+    });
+    const change = next.reduce((sum, score, i) => sum + Math.abs(score - scores[i]), 0);
+    scores = next;
+    if (change < CONVERGENCE) break;
+  }
+  return scores;
+}
+
+/**
+ * The most representative sentences of a set of reviews
+ *
+ * @param {Array<Object>} reviews - Rows with id, source, reviewer_name, rating, content
+ * @returns {Array<Object>} Best first: { text, review_id, source, reviewer_name,
+ *   rating, score } where score is relative to the best sentence (1)
+ */
+export function summarizeReviews(reviews) {
+  const sentences = reviews.flatMap(reviewSentences).slice(0, MAX_SENTENCES);
+  if (sentences.length === 0) return [];
+
+  const count = Math.min(
+    SUMMARY_MAX_SENTENCES,
+    Math.max(SUMMARY_MIN_SENTENCES, Math.ceil(reviews.length / REVIEWS_PER_SENTENCE))
+  );
+  const scores = rankSentences(sentences);
+  const best = Math.max(...scores);
+  const ranked = sentences
+    .map((sentence, i) => ({ ...sentence, score: scores[i] }))
+    .sort((a, b) => b.score - a.score || a.review.id - b.review.id);
+
+  const chosen = [];
+  for (const sentence of ranked) {
+    if (chosen.length === count) break;
+    if (chosen.some((c) => c.review.id === sentence.review.id)) continue;
+    if (chosen.some((c) => overlap(c.stems, sentence.stems) >= REPEAT_SIMILARITY)) continue;
+    chosen.push(sentence);
+  }
+
+  return chosen.map(({ text, review, score }) => ({
+    text,
+    review_id: review.id,
+    source: review.source,
+    reviewer_name: review.reviewer_name,
+    rating: Number(review.rating),
+    score: Math.round((score / best) * 1000) / 1000,
+  }));
+}
+
+/**
+ * Cache key of a set of reviews: changes when a review is added, removed
+ * (or unpublished) or its text, rating or author changes
+ *
+ * @param {Array<Object>} reviews - Rows from queries.reviews.selectForSummary()
+ * @returns {string} SHA-1 hex digest
+ */
+export function reviewSetKey(reviews) {
+  const hash = createHash('sha1');
+  [...reviews]
+    .sort((a, b) => a.id - b.id)
+    .forEach((r) => hash.update(JSON.stringify([r.id, r.source, r.reviewer_name, Number(r.rating), r.content])));
+  return hash.digest('hex');
+}
+
+/**
+ * Text summary of a product, from the cache when its reviews did not change
+ *
+ * @param {number} productId - Product ID
+ * @returns {Promise<{review_count: number, sentences: Array, generated_at: Date, cached: boolean}>}
+ */
+export async function getProductTextSummary(productId) {
+  const [reviews] = await pool.query(...queries.reviews.selectForSummary(productId));
+  const key = reviewSetKey(reviews);
+
+  const [rows] = await pool.query(...queries.textSummaries.selectByProduct(productId));
+  if (rows[0]?.review_set_key === key) {
+    const { review_count, sentences, generated_at } = rows[0];
+    return { review_count, sentences, generated_at, cached: true };
+  }
+
+  const sentences = summarizeReviews(reviews);
+  await pool.query(...queries.textSummaries.upsert({
+    product_id: productId,
+    review_set_key: key,
+    review_count: reviews.length,
+    sentences,
+  }));
+  return { review_count: reviews.length, sentences, generated_at: new Date(), cached: false };
+}
+
+/**
+ * Rebuild a product's text summary if its reviews changed
+ * Used after ingestion: the reviews are already saved, so an error is
+ * logged rather than turned into a failed job.
+ *
+ * @param {number} productId - Product ID
+ * @returns {Promise<void>}
+ */
+export async function refreshProductTextSummary(productId) {
+  try {
+    await getProductTextSummary(productId);
+  } catch (err) {
+    console.error(`❌ Review summary failed for product ${productId}:`, err.message);
+  }
+}
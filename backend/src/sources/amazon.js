@@ -0,0 +1,13 @@
+import { defineSourceAdapter } from './registry.js';
+
+/**
+ * Amazon product reviews
+ * The scraper already returns our default field names and a 1-5 star rating.
+ */
+export default defineSourceAdapter({
+  id: 'amazon',
+  name: 'Amazon',
+  description: 'Amazon product reviews',
+  color: 'orange',
+  ratingScale: { min: 1, max: 5 },
+});
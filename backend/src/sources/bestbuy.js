@@ -0,0 +1,12 @@
+import { defineSourceAdapter } from './registry.js';
+
+/**
+ * Best Buy customer reviews
+ */
+export default defineSourceAdapter({
+  id: 'bestbuy',
+  name: 'BestBuy',
+  description: 'Best Buy customer reviews',
+  color: 'blue',
+  ratingScale: { min: 1, max: 5 },
+});
@@ -0,0 +1,60 @@
+/**
+ * Registered review sources
+ *
+ * To add a retailer (e.g. Target):
+ * 1. Create sources/target.js with defineSourceAdapter({ id: 'target', name: 'Target', ... })
+ * 2. Import it below and add it to ADAPTERS
+ * The backend writes it to the `sources` table on startup; the frontend picks
+ * it up from GET /api/sources.
+ */
+
+import pool from '../db.js';
+import { queries } from '../database/queries.js';
+import { registerSourceAdapter, listSourceAdapters } from './registry.js';
+import amazon from './amazon.js';
+import bestbuy from './bestbuy.js';
+import walmart from './walmart.js';
+
+// Order matters: a full review refresh pulls sources in this order
+const ADAPTERS = [amazon, bestbuy, walmart];
+
+ADAPTERS.forEach(registerSourceAdapter);
+
+export {
+  DEFAULT_FIELD_MAP,
+  defineSourceAdapter,
+  listSourceAdapters,
+  listSourceIds,
+  findSourceAdapter,
+  sourceDisplayName,
+  reviewRatingScale,
+  extractSourceFields,
+  toPublicSource,
+} from './registry.js';
+
+let synced = null;
+
+/**
+ * Make sure every registered adapter has a row in the `sources` table
+ *
+ * reviews.source references sources.name, so a new adapter must be written
+ * to the table before its first review. Runs once per process; a failed
+ * attempt (e.g. database still starting) is retried on the next call.
+ *
+ * @returns {Promise<number>} Number of registered sources
+ */
+export function syncSourceRegistry() {
+  if (!synced) {
+    synced = (async () => {
+      const adapters = listSourceAdapters();
+      for (const adapter of adapters) {
+        await pool.query(...queries.sources.upsert(adapter));
+      }
+      return adapters.length;
+    })().catch((err) => {
+      synced = null;
+      throw err;
+    });
+  }
+  return synced;
+}
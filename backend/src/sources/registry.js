@@ -0,0 +1,166 @@
+/**
+ * Review Source Registry
+ *
+ * Purpose:
+ * - One place that knows which retailers we collect reviews from
+ * - Each source is described by an "adapter": a plain object declaring its
+ *   id, display name, how scraped fields map onto `reviews` columns and the
+ *   rating scale the retailer uses
+ *
+ * Adapter shape (see amazon.js for an example):
+ *   id          - scraper source id, lowercase ('amazon')
+ *   name        - display name stored in reviews.source ('Amazon')
+ *   description - short text for UIs
+ *   color       - badge colour name used by the frontend ('orange', 'blue', ...)
+ *   ratingScale - { min, max } of the retailer's own ratings
+ *   fieldMap    - { reviewsColumn: scrapedField | (raw) => value }
+ *                 (merged over DEFAULT_FIELD_MAP, so only differences are needed)
+ *
+ * Teaching points:
+ * - This is the "registry" pattern: code asks the registry instead of
+ *   hard-coding a list, so adding a retailer means adding one adapter file
+ *   and one line in sources/index.js.
+ * - defineSourceAdapter() validates adapters when the module loads, so a
+ *   typo fails at startup instead of halfway through an ingestion run.
+ */
+
+// Scraped field names used by our scraper service (scraper → reviews column)
+export const DEFAULT_FIELD_MAP = Object.freeze({
+  external_id: 'review_id',
+  reviewer_name: 'author',
+  rating: 'rating',
+  title: 'title',
+  content: 'body',
+  review_date: 'created_at',
+  verified_purchase: 'verified_purchase',
+  helpful_votes: 'helpful_votes',
+});
+
+const DEFAULT_RATING_SCALE = Object.freeze({ min: 1, max: 5 });
+
+const adapters = new Map();
+
+/**
+ * Validate an adapter declaration and fill in defaults
+ *
+ * @param {Object} config - Adapter declaration
+ * @returns {Object} Frozen adapter
+ * @throws {Error} If required fields are missing or the rating scale is invalid
+ */
+export function defineSourceAdapter(config) {
+  const { id, name, description = '', color = 'gray', ratingScale = DEFAULT_RATING_SCALE, fieldMap = {} } = config || {};
+
+  if (!id || !/^[a-z0-9_-]+$/.test(id)) {
+    throw new Error(`Source adapter id must be lowercase letters, digits, '-' or '_' (got ${JSON.stringify(id)})`);
+  }
+  if (!name) {
+    throw new Error(`Source adapter '${id}' needs a display name`);
+  }
+  if (!(Number(ratingScale.min) < Number(ratingScale.max))) {
+    throw new Error(`Source adapter '${id}' has an invalid rating scale`);
+  }
+
+  return Object.freeze({
+    id,
+    name,
+    description,
+    color,
+    ratingScale: Object.freeze({ min: Number(ratingScale.min), max: Number(ratingScale.max) }),
+    fieldMap: Object.freeze({ ...DEFAULT_FIELD_MAP, ...fieldMap }),
+  });
+}
+
+/**
+ * Add an adapter to the registry
+ *
+ * @param {Object} adapter - Adapter created with defineSourceAdapter()
+ * @throws {Error} If another adapter already uses the same id or name
+ */
+export function registerSourceAdapter(adapter) {
+  for (const existing of adapters.values()) {
+    if (existing.id === adapter.id || existing.name.toLowerCase() === adapter.name.toLowerCase()) {
+      throw new Error(`Review source '${adapter.id}' (${adapter.name}) is already registered`);
+    }
+  }
+  adapters.set(adapter.id, adapter);
+}
+
+/**
+ * All registered adapters, in registration order
+ */
+export function listSourceAdapters() {
+  return [...adapters.values()];
+}
+
+/**
+ * All registered source ids (e.g. ['amazon', 'bestbuy', 'walmart'])
+ */
+export function listSourceIds() {
+  return [...adapters.keys()];
+}
+
+/**
+ * Find an adapter by id or display name (case-insensitive)
+ * Scraped reviews and API clients use either form, e.g. 'bestbuy' or 'BestBuy'.
+ *
+ * @param {string} value - Source id or display name
+ * @returns {Object|null} Adapter, or null if unknown
+ */
+export function findSourceAdapter(value) {
+  const key = String(value || '').trim().toLowerCase();
+  if (!key) return null;
+  return adapters.get(key)
+    || listSourceAdapters().find((a) => a.name.toLowerCase() === key)
+    || null;
+}
+
+/**
+ * Display name for a source id (e.g. 'bestbuy' → 'BestBuy')
+ */
+export function sourceDisplayName(sourceId) {
+  return findSourceAdapter(sourceId)?.name || sourceId;
+}
+
+/**
+ * Rating scale a review was given on: its own rating_scale_min/max when set,
+ * otherwise the scale registered for its source
+ *
+ * @param {Object} review - Review with `source` and optional rating_scale_min/max
+ * @returns {{min: number, max: number}|null} Scale, or null if the source is unknown
+ */
+export function reviewRatingScale(review) {
+  const adapter = findSourceAdapter(review?.source);
+  if (!adapter) return null;
+  return {
+    min: review.rating_scale_min ?? adapter.ratingScale.min,
+    max: review.rating_scale_max ?? adapter.ratingScale.max,
+  };
+}
+
+/**
+ * Read the `reviews` columns out of a raw scraped review using an adapter's field map
+ *
+ * @param {Object} adapter - Source adapter
+ * @param {Object} raw - Review object as returned by the scraper
+ * @returns {Object} { reviewsColumn: value } for every mapped column
+ */
+export function extractSourceFields(adapter, raw) {
+  const fields = {};
+  for (const [column, from] of Object.entries(adapter.fieldMap)) {
+    fields[column] = typeof from === 'function' ? from(raw) : raw[from];
+  }
+  return fields;
+}
+
+/**
+ * Adapter as exposed by GET /api/sources (no field map internals)
+ */
+export function toPublicSource(adapter) {
+  return {
+    id: adapter.id,
+    name: adapter.name,
+    description: adapter.description,
+    color: adapter.color,
+    rating_scale: adapter.ratingScale,
+  };
+}
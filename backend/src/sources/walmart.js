@@ -0,0 +1,12 @@
+import { defineSourceAdapter } from './registry.js';
+
+/**
+ * Walmart product ratings
+ */
+export default defineSourceAdapter({
+  id: 'walmart',
+  name: 'Walmart',
+  description: 'Walmart product ratings',
+  color: 'green',
+  ratingScale: { min: 1, max: 5 },
+});
@@ -8,6 +8,7 @@
  * How to run:
  * - Run backend locally: `cd backend && npm run dev` (ensure DB is running)
  * - From the repo root: `npm --workspace=backend test` or `cd backend && npm test`
+ *   (runs the unit tests in test/unit first); `npm run test:smoke` runs only this file
  * - Override URL for testing remote/containers: `TEST_URL=http://localhost:4000 node test/smoke.js`
  *
  * Teaching notes / debugging tips:
@@ -97,6 +98,18 @@ async function runTests() {
     process.exit(1);
   }
 
+  // Test 6: Unknown background job
+  // - Confirms the jobs route is mounted and reports missing jobs with 404
+  try {
+    const res = await fetch(`${BASE_URL}/api/jobs/99999`);
+    await assert(res.status === 404, 'Non-existent job returns 404');
+    console.log('');
+  } catch (err) {
+    console.error(`❌ FAIL: Job status test error - ${err.message}`);
+    console.error('   Tip: Ensure the review_jobs table exists (db/migrations/003_create_review_jobs.sql).');
+    process.exit(1);
+  }
+
   console.log('✅ All tests passed!');
   process.exit(0);
 }
@@ -0,0 +1,15 @@
+// A review row as the reviews table returns it; pass the columns a test cares about
+export const reviewRow = (fields = {}) => ({
+  id: 1,
+  product_id: 1,
+  source: 'amazon',
+  external_id: 'R1',
+  reviewer_name: 'Sarah Johnson',
+  rating: 4,
+  title: 'Solid charger',
+  content: 'Charges my phone and laptop quickly, the cable feels sturdy and the brick stays cool.',
+  review_date: '2025-09-15',
+  verified_purchase: true,
+  helpful_votes: 0,
+  ...fields,
+});
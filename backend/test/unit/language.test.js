@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LANGUAGES, UNDETERMINED, detectLanguage, reviewLanguage, trigrams } from '../../src/services/language.js';
+
+const SENTENCES = {
+  en: 'The charger works well and the cable is long enough for my desk.',
+  es: 'El cargador funciona muy bien y el cable es bastante largo para mi escritorio.',
+  fr: 'Le chargeur fonctionne très bien et le câble est assez long pour mon bureau.',
+  de: 'Das Ladegerät funktioniert sehr gut und das Kabel ist lang genug für meinen Schreibtisch.',
+  it: 'Il caricatore funziona molto bene e il cavo è abbastanza lungo per la mia scrivania.',
+  pt: 'O carregador funciona muito bem e o cabo é comprido o suficiente para a minha mesa.',
+  nl: 'De oplader werkt heel goed en de kabel is lang genoeg voor mijn bureau.',
+};
+
+test('trigrams: pads each word and ignores case and punctuation', () => {
+  assert.deepEqual(trigrams('Hi, OK!'), [' hi', 'hi ', ' ok', 'ok ']);
+  assert.deepEqual(trigrams(''), []);
+});
+
+test('detectLanguage: recognizes a sentence in every supported language', () => {
+  assert.deepEqual(Object.keys(SENTENCES).sort(), Object.keys(LANGUAGES).sort());
+  for (const [language, text] of Object.entries(SENTENCES)) {
+    assert.equal(detectLanguage(text).language, language, text);
+  }
+});
+
+test('detectLanguage: scores every language, the detected one highest', () => {
+  const { language, scores } = detectLanguage(SENTENCES.fr);
+  assert.deepEqual(Object.keys(scores).sort(), Object.keys(LANGUAGES).sort());
+  assert.equal(Math.max(...Object.values(scores)), scores[language]);
+});
+
+test('detectLanguage: too little text stays unknown', () => {
+  assert.equal(detectLanguage('Great!').language, null);
+  assert.equal(detectLanguage('5/5 !!! :)').language, null);
+  assert.equal(detectLanguage('').language, null);
+});
+
+test('reviewLanguage: uses title and content, UNDETERMINED when unsure', () => {
+  assert.equal(reviewLanguage({ title: 'Muy bueno', content: SENTENCES.es }), 'es');
+  assert.equal(reviewLanguage({ title: 'Sehr gut', content: null }), UNDETERMINED);
+});
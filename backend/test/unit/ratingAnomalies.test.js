@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RATING_ANOMALIES, ratingAnomaly } from '../../src/services/ratingAnomalies.js';
+
+// Rating columns of a review on a 1-5 scale, or on the given one
+const rated = (originalRating, min = 1, max = 5) => ({
+  rating: null,
+  original_rating: originalRating,
+  rating_scale_min: min,
+  rating_scale_max: max,
+});
+
+test('ratingAnomaly: a high rating over clearly negative text', () => {
+  assert.equal(ratingAnomaly(rated(5), -0.8), RATING_ANOMALIES.NEGATIVE_TEXT);
+  assert.equal(ratingAnomaly(rated('4.00'), -0.5), RATING_ANOMALIES.NEGATIVE_TEXT);
+});
+
+test('ratingAnomaly: a low rating over clearly positive text', () => {
+  assert.equal(ratingAnomaly(rated(1), 0.7), RATING_ANOMALIES.POSITIVE_TEXT);
+  assert.equal(ratingAnomaly(rated(2), '0.500'), RATING_ANOMALIES.POSITIVE_TEXT);
+});
+
+test('ratingAnomaly: mild disagreement and middle ratings are not flagged', () => {
+  assert.equal(ratingAnomaly(rated(5), -0.4), null);
+  assert.equal(ratingAnomaly(rated(1), 0.4), null);
+  assert.equal(ratingAnomaly(rated(3), -0.9), null);
+  assert.equal(ratingAnomaly(rated(3), 0.9), null);
+});
+
+test('ratingAnomaly: compares the rating on its own scale', () => {
+  // 6 of 1-10 normalizes to 3 stars, but sits near the middle of its scale
+  assert.equal(ratingAnomaly({ ...rated(6, 1, 10), rating: 3 }, -0.9), null);
+  assert.equal(ratingAnomaly(rated(8, 1, 10), -0.9), RATING_ANOMALIES.NEGATIVE_TEXT);
+  assert.equal(ratingAnomaly(rated(25, 0, 100), 0.9), RATING_ANOMALIES.POSITIVE_TEXT);
+  assert.equal(ratingAnomaly(rated(40, 0, 100), 0.9), null);
+});
+
+test('ratingAnomaly: rows without an original rating use rating', () => {
+  assert.equal(ratingAnomaly({ ...rated(null), rating: '5.00' }, -0.9), RATING_ANOMALIES.NEGATIVE_TEXT);
+});
+
+test('ratingAnomaly: reviews without a sentiment score are not flagged', () => {
+  assert.equal(ratingAnomaly(rated(5), null), null);
+  assert.equal(ratingAnomaly(rated(1), undefined), null);
+});
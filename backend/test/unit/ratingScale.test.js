@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeRating,
+  parseRawRating,
+  ratingColumns,
+  ratingProblem,
+  withNumericRatings,
+} from '../../src/services/ratingScale.js';
+
+test('parseRawRating: numbers, numeric strings, percentages and thumbs', () => {
+  assert.equal(parseRawRating(4.5), 4.5);
+  assert.equal(parseRawRating(' 8 '), 8);
+  assert.equal(parseRawRating('80%'), 80);
+  assert.equal(parseRawRating('Thumbs Up'), 1);
+  assert.equal(parseRawRating(false), 0);
+  assert.ok(Number.isNaN(parseRawRating('')));
+  assert.ok(Number.isNaN(parseRawRating('great')));
+  assert.ok(Number.isNaN(parseRawRating(null)));
+});
+
+test('normalizeRating: scales starting at 0 or 1 are ratios of their max', () => {
+  assert.equal(normalizeRating(4, { min: 1, max: 5 }), 4);
+  assert.equal(normalizeRating(8, { min: 1, max: 10 }), 4);
+  assert.equal(normalizeRating('80%', { min: 0, max: 100 }), 4);
+  assert.equal(normalizeRating('up', { min: 0, max: 1 }), 5);
+});
+
+test('normalizeRating: the minimum of the scale itself', () => {
+  // A 1 on 1-5 stays 1 (not 0): stars keep their value
+  assert.equal(normalizeRating(1, { min: 1, max: 5 }), 1);
+  assert.equal(normalizeRating(1, { min: 1, max: 10 }), 0.5);
+  assert.equal(normalizeRating(0, { min: 0, max: 100 }), 0);
+  assert.equal(normalizeRating('down', { min: 0, max: 1 }), 0);
+});
+
+test('normalizeRating: negative scales are mapped from their minimum', () => {
+  assert.equal(normalizeRating(-2, { min: -2, max: 2 }), 0);
+  assert.equal(normalizeRating(0, { min: -2, max: 2 }), 2.5);
+  assert.equal(normalizeRating(2, { min: -2, max: 2 }), 5);
+});
+
+test('normalizeRating: rounds to 2 decimals', () => {
+  assert.equal(normalizeRating(7, { min: 1, max: 9 }), 3.89);
+});
+
+test('ratingProblem / normalizeRating: values outside the scale and bad scales', () => {
+  assert.equal(ratingProblem(4, { min: 1, max: 5 }), null);
+  assert.equal(ratingProblem(6, { min: 1, max: 5 }), 'Rating must be between 1 and 5');
+  assert.equal(ratingProblem(0, { min: 1, max: 5 }), 'Rating must be between 1 and 5');
+  assert.equal(ratingProblem('five', { min: 1, max: 5 }), 'Rating must be a number');
+  assert.match(ratingProblem(3, { min: 5, max: 5 }), /min lower than its max/);
+  assert.match(ratingProblem(3, undefined), /min lower than its max/);
+  assert.throws(() => normalizeRating(11, { min: 1, max: 10 }), RangeError);
+});
+
+test('ratingColumns: keeps the original value and scale next to the normalized one', () => {
+  assert.deepEqual(ratingColumns('9', { min: '1', max: '10' }), {
+    rating: 4.5,
+    original_rating: 9,
+    rating_scale_min: 1,
+    rating_scale_max: 10,
+  });
+});
+
+test('withNumericRatings: converts DECIMAL strings, older rows default to 1-5', () => {
+  assert.deepEqual(
+    withNumericRatings({ id: 1, rating: '4.50', original_rating: '9.00', rating_scale_min: '1', rating_scale_max: '10' }),
+    { id: 1, rating: 4.5, original_rating: 9, rating_scale_min: 1, rating_scale_max: 10 }
+  );
+  assert.deepEqual(
+    withNumericRatings({ id: 2, rating: '4.00', original_rating: null, rating_scale_min: null, rating_scale_max: null }),
+    { id: 2, rating: 4, original_rating: 4, rating_scale_min: 1, rating_scale_max: 5 }
+  );
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collapseDuplicates, computeScore, reviewWeight } from '../../src/services/ratingScores.js';
+
+const NOW = new Date('2025-10-01T00:00:00Z');
+const ratings = (...values) => values.map((rating, i) => ({ id: i + 1, rating }));
+
+test('computeScore: every mode handles a product without reviews', () => {
+  assert.deepEqual(computeScore('average', []), { mode: 'average', value: 0, parameters: { review_count: 0 } });
+  assert.equal(computeScore('weighted', [], { now: NOW }).value, 0);
+
+  const wilson = computeScore('wilson', []);
+  assert.equal(wilson.value, 0);
+  assert.equal(wilson.parameters.positive_share, null);
+
+  // Nothing to shrink: the Bayesian score is the prior itself
+  const bayesian = computeScore('bayesian', [], { prior: {} });
+  assert.equal(bayesian.value, 3);
+  assert.equal(bayesian.parameters.prior_source, 'neutral');
+  assert.equal(bayesian.parameters.raw_average, null);
+});
+
+test('computeScore: bayesian shrinks few reviews toward the prior', () => {
+  const prior = { global_average: 4, global_count: 500 };
+  const one = computeScore('bayesian', ratings(5), { prior });
+  assert.equal(one.value, 4.09); // (10 × 4 + 5) / 11
+  assert.equal(one.parameters.prior_source, 'global');
+
+  const many = computeScore('bayesian', ratings(...new Array(200).fill(5)), { prior });
+  assert.ok(many.value > 4.9);
+});
+
+test('computeScore: bayesian uses the category average once it has enough reviews', () => {
+  const global = { global_average: 4, global_count: 500, category_id: 2, category_average: 3.5 };
+  assert.equal(computeScore('bayesian', [], { prior: { ...global, category_count: 20 } }).parameters.prior_source, 'category');
+  assert.equal(computeScore('bayesian', [], { prior: { ...global, category_count: 19 } }).parameters.prior_source, 'global');
+});
+
+test('computeScore: wilson penalizes small samples', () => {
+  assert.equal(computeScore('wilson', ratings(5)).value, 1.03);
+  const many = computeScore('wilson', ratings(...new Array(400).fill(5))).value;
+  assert.ok(many > 4.9 && many < 5);
+  assert.equal(computeScore('wilson', ratings(0, 0)).value, 0);
+});
+
+test('reviewWeight: helpful votes, verified purchases and recency', () => {
+  const base = { helpful_votes: 0, verified_purchase: false, review_date: NOW };
+  assert.equal(reviewWeight(base, NOW), 1);
+  assert.equal(reviewWeight({ ...base, verified_purchase: true }, NOW), 1.5);
+  assert.equal(reviewWeight({ ...base, helpful_votes: Math.E - 1 }, NOW), 2);
+  assert.equal(reviewWeight({ ...base, review_date: '2024-10-01T00:00:00Z' }, NOW), 0.5);
+  assert.equal(reviewWeight({ ...base, review_date: null }, NOW), 1);
+});
+
+test('computeScore: weighted leans toward the heavier reviews', () => {
+  const rows = [
+    { rating: 5, helpful_votes: 50, verified_purchase: true, review_date: NOW },
+    { rating: 1, helpful_votes: 0, verified_purchase: false, review_date: '2020-01-01' },
+  ];
+  assert.ok(computeScore('weighted', rows, { now: NOW }).value > 4.9);
+});
+
+test('computeScore: unknown modes are rejected', () => {
+  assert.throws(() => computeScore('median', []), RangeError);
+});
+
+test('collapseDuplicates: one row per duplicate cluster', () => {
+  const rows = [
+    { id: 1, duplicate_cluster_id: 1, rating: 5, helpful_votes: 2, verified_purchase: false, review_date: '2025-09-15' },
+    { id: 2, duplicate_cluster_id: 1, rating: 4, helpful_votes: 7, verified_purchase: true, review_date: '2025-09-12' },
+    { id: 3, duplicate_cluster_id: null, rating: 2, helpful_votes: 0, verified_purchase: false, review_date: null },
+  ];
+  const [cluster, single] = collapseDuplicates(rows);
+  assert.equal(cluster.rating, 4.5);
+  assert.equal(cluster.helpful_votes, 7);
+  assert.equal(cluster.verified_purchase, true);
+  assert.equal(cluster.review_date.getTime(), new Date('2025-09-12').getTime());
+  assert.equal(single, rows[2]);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { duplicateScore, findDuplicateClusters, fingerprintReview } from '../../src/services/reviewDedup.js';
+import { reviewRow } from './fixtures.js';
+
+const fingerprint = (fields) => fingerprintReview(reviewRow(fields));
+// The fixture's text with its last words changed: the texts overlap, but clearly differ
+const REWRITTEN = reviewRow().content.replace('the brick stays cool.', 'the brick gets warm after an hour.');
+const OTHER_TEXT = 'Stopped working after two weeks and support never answered my emails.';
+
+test('duplicateScore: the same text on two sites is a duplicate whoever posted it', () => {
+  assert.equal(duplicateScore(fingerprint({}), fingerprint({ source: 'Walmart', reviewer_name: 'S. J.' })), 1);
+});
+
+test('duplicateScore: reviews dated more than a week apart are never duplicates', () => {
+  assert.equal(duplicateScore(fingerprint({ review_date: '2025-09-01' }), fingerprint({ review_date: '2025-09-20' })), null);
+});
+
+test('duplicateScore: a partly rewritten text counts only when the authors match', () => {
+  const score = duplicateScore(fingerprint({}), fingerprint({ reviewer_name: 'sarah  JOHNSON!', content: REWRITTEN }));
+  assert.ok(score >= 0.4 && score < 0.8, `expected a partial overlap, got ${score}`);
+  assert.equal(duplicateScore(fingerprint({}), fingerprint({ reviewer_name: 'David Kim', content: REWRITTEN })), null);
+});
+
+test('duplicateScore: anonymous reviewers are not the same author', () => {
+  const a = fingerprint({ reviewer_name: 'Anonymous' });
+  const b = fingerprint({ reviewer_name: 'anonymous', content: REWRITTEN });
+  assert.equal(duplicateScore(a, b), null);
+});
+
+test('findDuplicateClusters: links copies into one cluster led by the earliest review', () => {
+  const clusters = findDuplicateClusters([
+    reviewRow({ id: 1, review_date: '2025-09-15' }),
+    reviewRow({ id: 2, review_date: '2025-09-12', reviewer_name: 'Sarah J.' }),
+    reviewRow({ id: 3, review_date: '2025-09-14', reviewer_name: 'sarah johnson' }),
+    reviewRow({ id: 4, reviewer_name: 'David Kim', content: OTHER_TEXT }),
+  ]);
+
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].cluster_id, 2);
+  assert.deepEqual(clusters[0].review_ids, [2, 3, 1]);
+  assert.deepEqual(Object.keys(clusters[0].similarity).map(Number).sort(), [1, 2, 3]);
+});
+
+test('findDuplicateClusters: unrelated reviews form no cluster', () => {
+  const clusters = findDuplicateClusters([
+    reviewRow({ id: 1 }),
+    reviewRow({ id: 2, reviewer_name: 'David Kim', content: OTHER_TEXT }),
+    reviewRow({ id: 3, reviewer_name: 'Amanda White', content: 'Works with every device in the house, the price is fair too.' }),
+  ]);
+  assert.deepEqual(clusters, []);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEdit } from '../../src/services/reviewEdits.js';
+import { reviewChanges } from '../../src/services/reviewStore.js';
+import { reviewRow } from './fixtures.js';
+
+// Stored on a 1-10 scale: 8 out of 10, helpful and verified
+const stored = reviewRow({
+  rating: '4.00',
+  original_rating: '8.00',
+  rating_scale_min: 1,
+  rating_scale_max: 10,
+  helpful_votes: 6,
+  verified_purchase: 1,
+});
+const changedFields = (fields, replace = false) => Object.keys(reviewChanges(stored, applyEdit(stored, fields, replace)));
+
+test('applyEdit: PATCH changes only the fields it was sent', () => {
+  assert.deepEqual(changedFields({ title: 'Fine charger' }), ['title']);
+  assert.deepEqual(changedFields({ title: stored.title, content: stored.content }), []);
+});
+
+test("applyEdit: PATCH rating stays on the review's stored scale", () => {
+  const next = applyEdit(stored, { rating: 6 }, false);
+  assert.equal(next.rating, 3);
+  assert.equal(next.original_rating, 6);
+  assert.deepEqual(changedFields({ rating: 6 }), ['rating', 'original_rating']);
+});
+
+test('applyEdit: resending the stored rating changes nothing', () => {
+  assert.deepEqual(changedFields({ rating: 8 }), []);
+});
+
+test('applyEdit: PATCH of the scale alone renormalizes the stored rating', () => {
+  assert.deepEqual(changedFields({ rating_scale_max: 8 }), ['rating', 'rating_scale_max']);
+});
+
+test("applyEdit: PUT resets unsent optional fields and falls back to the source's scale", () => {
+  const required = { product_id: 1, source: 'amazon', reviewer_name: stored.reviewer_name, rating: 4 };
+  assert.deepEqual(changedFields(required, true), [
+    'external_id',
+    'original_rating',
+    'rating_scale_max',
+    'review_date',
+    'verified_purchase',
+    'helpful_votes',
+  ]);
+});
+
+test('applyEdit: a rating outside its scale is a 400', () => {
+  assert.throws(() => applyEdit(stored, { rating: 11 }, false), { statusCode: 400 });
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeCursor, encodeCursor } from '../../src/services/reviewPagination.js';
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+test('encodeCursor / decodeCursor: dates come back as Date objects', () => {
+  const createdAt = new Date('2025-09-15T10:20:30.000Z');
+  assert.deepEqual(decodeCursor(encodeCursor('next', 'created_desc', { sort_value: createdAt, id: 34 })), {
+    direction: 'next',
+    sort: 'created_desc',
+    value: createdAt,
+    id: 34,
+  });
+});
+
+test('encodeCursor / decodeCursor: other sort values round-trip as they are', () => {
+  const decoded = decodeCursor(encodeCursor('prev', 'helpful_desc', { sort_value: 12, id: 7 }));
+  assert.deepEqual(decoded, { direction: 'prev', sort: 'helpful_desc', value: 12, id: 7 });
+});
+
+test('encodeCursor: accepts a decoded cursor as the position', () => {
+  const decoded = decodeCursor(encodeCursor('next', 'rating_desc', { sort_value: 4.5, id: 9 }));
+  assert.deepEqual(decodeCursor(encodeCursor('prev', decoded.sort, decoded)), { ...decoded, direction: 'prev' });
+});
+
+test('encodeCursor: the cursor is URL-safe', () => {
+  assert.match(encodeCursor('prev', 'created_desc', { sort_value: new Date(), id: 123456 }), /^[A-Za-z0-9_-]+$/);
+});
+
+test('decodeCursor: rejects anything that is not a valid cursor', () => {
+  assert.equal(decodeCursor('not a cursor'), null);
+  assert.equal(decodeCursor(''), null);
+  assert.equal(decodeCursor(undefined), null);
+  assert.equal(decodeCursor(encode({ d: 'sideways', s: 'created_desc', v: 1, id: 1 })), null);
+  assert.equal(decodeCursor(encode({ d: 'next', s: 'no_such_sort', v: 1, id: 1 })), null);
+  assert.equal(decodeCursor(encode({ d: 'next', s: 'created_desc', t: 'yesterday', id: 1 })), null);
+  assert.equal(decodeCursor(encode({ d: 'next', s: 'created_desc', v: { x: 1 }, id: 1 })), null);
+  assert.equal(decodeCursor(encode({ d: 'next', s: 'created_desc', v: 1, id: '1' })), null);
+});
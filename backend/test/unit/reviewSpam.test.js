@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPAM_SIGNALS, scoreReviews, spamScore, spamSignals } from '../../src/services/reviewSpam.js';
+import { reviewRow } from './fixtures.js';
+
+test('spamSignals: an ordinary verified review raises nothing', () => {
+  assert.deepEqual(spamSignals(reviewRow()), []);
+});
+
+test('spamSignals: unverified one-liners', () => {
+  const signals = spamSignals(reviewRow({ verified_purchase: false, content: 'Works fine.' }));
+  assert.deepEqual(signals, ['unverified_purchase', 'short_text']);
+});
+
+test('spamSignals: stock praise with an extreme rating is generic', () => {
+  const praise = { title: 'Five stars', content: 'Great product, highly recommend!' };
+  assert.ok(spamSignals(reviewRow({ ...praise, rating: 5 })).includes('generic_extreme'));
+  assert.ok(!spamSignals(reviewRow({ ...praise, rating: 4 })).includes('generic_extreme'));
+});
+
+test('spamSignals: bursts and repeated texts come from the context', () => {
+  assert.deepEqual(spamSignals(reviewRow(), { sameDayReviews: 4, sameTextProducts: 1 }), []);
+  assert.deepEqual(
+    spamSignals(reviewRow(), { sameDayReviews: 5, sameTextProducts: 2 }),
+    ['review_burst', 'repeated_text']
+  );
+});
+
+test('spamSignals: rating_mismatch uses the stored sentiment score', () => {
+  // The text reads positive, but the stored score is what counts
+  assert.deepEqual(spamSignals(reviewRow({ rating: 5, sentiment_score: -0.6 })), ['rating_mismatch']);
+  assert.deepEqual(spamSignals(reviewRow({ rating: 1, sentiment_score: '0.450' })), ['rating_mismatch']);
+  assert.deepEqual(spamSignals(reviewRow({ rating: 3, sentiment_score: -0.9 })), []);
+});
+
+test('spamSignals: reviews without a stored score are analyzed from their text', () => {
+  const complaint = 'Terrible charger, it broke after two days and the cable is useless and cheap.';
+  assert.deepEqual(
+    spamSignals(reviewRow({ rating: 5, title: 'Awful', content: complaint, sentiment_score: null })),
+    ['rating_mismatch']
+  );
+});
+
+test('spamScore: adds the points of each signal, capped at 100', () => {
+  assert.equal(spamScore([]), 0);
+  assert.equal(spamScore(['unverified_purchase', 'short_text']), SPAM_SIGNALS.unverified_purchase + SPAM_SIGNALS.short_text);
+  assert.equal(spamScore(Object.keys(SPAM_SIGNALS)), 100);
+});
+
+test('scoreReviews: counts same-day reviews of a product among the rows', () => {
+  const names = ['Ann', 'Ben', 'Cleo', 'Dev', 'Eli'];
+  const burst = names.map((name, i) => reviewRow({ id: i + 1, reviewer_name: name }));
+  const other = reviewRow({ id: 6, product_id: 2, reviewer_name: 'Fay' });
+  const scores = scoreReviews([...burst, other]);
+
+  assert.deepEqual(scores.get(1), { score: SPAM_SIGNALS.review_burst, signals: ['review_burst'] });
+  assert.deepEqual(scores.get(6), { score: 0, signals: [] });
+});
+
+test('scoreReviews: reviewsPerDay overrides the counts when only some rows are loaded', () => {
+  const rows = [reviewRow({ id: 1 }), reviewRow({ id: 2, product_id: 2, reviewer_name: 'David Kim' })];
+  const scores = scoreReviews(rows, rows, new Map([['1|2025-09-15', 7]]));
+
+  assert.deepEqual(scores.get(1).signals, ['review_burst']);
+  assert.deepEqual(scores.get(2).signals, []);
+});
+
+test('scoreReviews: finds a reviewer posting the same text on several products', () => {
+  const scored = [reviewRow({ id: 1, product_id: 1 })];
+  const sameReviewer = [
+    ...scored,
+    reviewRow({ id: 2, product_id: 2, reviewer_name: 'sarah johnson' }),
+    reviewRow({ id: 3, product_id: 3, reviewer_name: 'Anonymous' }),
+  ];
+  const scores = scoreReviews(scored, sameReviewer);
+
+  assert.deepEqual(scores.get(1).signals, ['repeated_text']);
+  assert.equal(scores.has(2), false);
+});
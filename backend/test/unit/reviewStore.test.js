@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UPSERT_STATUS, diffReview, reviewChanges, upsertReview } from '../../src/services/reviewStore.js';
+import { reviewRow } from './fixtures.js';
+
+test('diffReview: identical data has no changes', () => {
+  assert.deepEqual(diffReview(reviewRow(), reviewRow()), []);
+});
+
+test('diffReview: ignores how MySQL returns a value', () => {
+  const stored = reviewRow({
+    rating: '4.00',
+    review_date: new Date(2025, 8, 15),
+    verified_purchase: 1,
+    helpful_votes: null,
+    title: null,
+  });
+  const incoming = reviewRow({ title: undefined });
+  assert.deepEqual(diffReview(stored, incoming), []);
+});
+
+test('diffReview: lists the changed columns in a fixed order', () => {
+  const incoming = reviewRow({ content: 'Stopped charging after a week.', rating: 2, helpful_votes: 3 });
+  assert.deepEqual(diffReview(reviewRow(), incoming), ['rating', 'content', 'helpful_votes']);
+});
+
+test('diffReview: a different review date is a change, the time of day is not', () => {
+  assert.deepEqual(diffReview(reviewRow(), reviewRow({ review_date: '2025-09-16' })), ['review_date']);
+  assert.deepEqual(diffReview(reviewRow(), reviewRow({ review_date: '2025-09-15T18:30:00' })), []);
+});
+
+test('diffReview: columns outside the compared set are ignored', () => {
+  assert.deepEqual(diffReview(reviewRow(), reviewRow({ id: 99, created_at: new Date() })), []);
+});
+
+test('diffReview: moving a review to another source or external_id is a change', () => {
+  assert.deepEqual(diffReview(reviewRow(), reviewRow({ source: 'walmart', external_id: 'W1' })), ['source', 'external_id']);
+});
+
+test('reviewChanges: before and after values of the changed columns, normalized', () => {
+  const stored = reviewRow({ rating: '4.00', review_date: new Date(2025, 8, 15) });
+  assert.deepEqual(reviewChanges(stored, reviewRow({ rating: 2, review_date: '2025-09-16' })), {
+    rating: { before: 4, after: 2 },
+    review_date: { before: '2025-09-15', after: '2025-09-16' },
+  });
+  assert.deepEqual(reviewChanges(stored, reviewRow()), {});
+});
+
+// A connection that answers each query with the next scripted result (or throws it)
+const scriptedConnection = (...results) => {
+  const sql = [];
+  return {
+    sql,
+    async query(statement) {
+      sql.push(statement);
+      const result = results.shift();
+      if (result instanceof Error) throw result;
+      return [result];
+    },
+  };
+};
+
+const duplicateEntry = () => Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+
+test('upsertReview: a concurrent insert of the same review falls back to a locking read and an update', async () => {
+  const stored = reviewRow({ id: 7, rating: 2, moderation_status: 'published' });
+  const conn = scriptedConnection([], duplicateEntry(), [stored], { affectedRows: 1 });
+
+  const result = await upsertReview(conn, reviewRow());
+
+  assert.equal(result.status, UPSERT_STATUS.UPDATED);
+  assert.equal(result.id, 7);
+  assert.equal(result.moderation_status, 'published');
+  assert.equal(conn.sql.length, 4);
+  assert.match(conn.sql[2], /FOR UPDATE$/);
+  assert.match(conn.sql[3], /^\s*UPDATE reviews/);
+});
+
+test('upsertReview: retries a duplicate insert only once', async () => {
+  const conn = scriptedConnection([], duplicateEntry(), []);
+
+  await assert.rejects(upsertReview(conn, reviewRow()), { code: 'ER_DUP_ENTRY' });
+  assert.equal(conn.sql.length, 3);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  analyzeSentiment,
+  ratingAsSentiment,
+  reviewSentiment,
+  sentimentWords,
+} from '../../src/services/sentiment.js';
+
+test('sentimentWords: lowercases and drops punctuation and apostrophes', () => {
+  assert.deepEqual(sentimentWords("Don't buy it!! Très   BAD."), ['dont', 'buy', 'it', 'très', 'bad']);
+  assert.deepEqual(sentimentWords(null), []);
+});
+
+test('analyzeSentiment: texts without opinion words are neutral', () => {
+  assert.deepEqual(analyzeSentiment(''), { score: 0, matches: 0 });
+  assert.deepEqual(analyzeSentiment('It arrived on Tuesday in a box.'), { score: 0, matches: 0 });
+});
+
+test('analyzeSentiment: a negation flips and dampens the words after it', () => {
+  const good = analyzeSentiment('good').score;
+  const notGood = analyzeSentiment('not good').score;
+  assert.ok(good > 0);
+  assert.ok(notGood < 0);
+  assert.ok(Math.abs(notGood) < good, 'negated words count less than plain ones');
+
+  assert.ok(analyzeSentiment('I do not hate it').score > 0);
+  // Only the few words right before count
+  assert.ok(analyzeSentiment('not what I expected from the box, it is good').score > 0);
+});
+
+test('analyzeSentiment: intensifiers strengthen the next word', () => {
+  assert.ok(analyzeSentiment('very good').score > analyzeSentiment('good').score);
+});
+
+test('analyzeSentiment: what follows "but" outweighs what comes before it', () => {
+  assert.ok(analyzeSentiment('The design is nice but it broke after a week').score < 0);
+  assert.ok(analyzeSentiment('It broke after a week but the design is nice').score > 0);
+});
+
+test('analyzeSentiment: scores stay between -1 and +1 however long the text', () => {
+  const praise = analyzeSentiment('great '.repeat(200)).score;
+  const complaint = analyzeSentiment('terrible '.repeat(200)).score;
+  assert.ok(praise > 0.9 && praise <= 1);
+  assert.ok(complaint < -0.9 && complaint >= -1);
+});
+
+test('reviewSentiment: scores the title apart from the content', () => {
+  assert.equal(reviewSentiment({ title: 'Great', content: '' }), analyzeSentiment('Great').score);
+  assert.equal(reviewSentiment({ title: 'Charger', content: 'Arrived on Tuesday.' }), 0);
+  // The content's "but" does not reweigh the title
+  const review = { title: 'Great', content: 'Nice design but it broke' };
+  const title = analyzeSentiment(review.title);
+  const content = analyzeSentiment(review.content);
+  const expected = (title.score * title.matches + content.score * content.matches) / (title.matches + content.matches);
+  assert.equal(reviewSentiment(review), Math.round(expected * 1000) / 1000);
+});
+
+test("ratingAsSentiment: the middle of each review's own scale is neutral", () => {
+  assert.equal(ratingAsSentiment(3), 0);
+  assert.equal(ratingAsSentiment(1), -1);
+  assert.equal(ratingAsSentiment(5), 1);
+  assert.equal(ratingAsSentiment(5.5, { min: 1, max: 10 }), 0);
+  assert.equal(ratingAsSentiment(50, { min: 0, max: 100 }), 0);
+  assert.equal(ratingAsSentiment(0, { min: 0, max: 5 }), -1);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankSentences, reviewSetKey, summarizeReviews } from '../../src/services/textSummary.js';
+
+const stems = (...words) => ({ stems: new Set(words) });
+
+const REVIEWS = [
+  { id: 1, source: 'amazon', reviewer_name: 'Ann', rating: 5, content: 'The battery lasts two full days of heavy use. The screen is bright and sharp outdoors.' },
+  { id: 2, source: 'bestbuy', reviewer_name: 'Ben', rating: 4, content: 'Battery life is excellent and lasts two days. Shipping took a week.' },
+  { id: 3, source: 'walmart', reviewer_name: 'Cleo', rating: '4.00', content: 'Great battery that lasts days between charges. The case scratches easily though.' },
+  { id: 4, source: 'amazon', reviewer_name: 'Dev', rating: 2, content: 'Ok. Bad.' },
+];
+
+test('rankSentences: sentences that share words with the others rank higher', () => {
+  const scores = rankSentences([stems('battery', 'last', 'day'), stems('battery', 'last', 'charge'), stems('ship', 'week')]);
+  assert.equal(scores[0], scores[1]);
+  assert.ok(scores[0] > scores[2]);
+});
+
+test('summarizeReviews: picks the most central sentence first, scored relative to it', () => {
+  const summary = summarizeReviews(REVIEWS);
+  assert.equal(summary[0].text, 'The battery lasts two full days of heavy use.');
+  assert.equal(summary[0].score, 1);
+  assert.equal(summary[0].review_id, 1);
+  assert.ok(summary.every((s) => s.score > 0 && s.score <= 1));
+});
+
+test('summarizeReviews: one sentence per review, without repeating a point', () => {
+  const summary = summarizeReviews(REVIEWS);
+  const ids = summary.map((s) => s.review_id);
+  assert.equal(new Set(ids).size, ids.length);
+  // Reviews 2 and 3 also praise the battery: only the first mention is kept
+  assert.ok(!summary.some((s) => s.review_id === 2));
+  const { text, source, reviewer_name, rating } = summary.find((s) => s.review_id === 3);
+  assert.deepEqual(
+    { text, source, reviewer_name, rating },
+    { text: 'The case scratches easily though.', source: 'walmart', reviewer_name: 'Cleo', rating: 4 }
+  );
+});
+
+test('summarizeReviews: too-short sentences are never picked', () => {
+  assert.deepEqual(summarizeReviews([REVIEWS[3]]), []);
+  assert.deepEqual(summarizeReviews([]), []);
+});
+
+test('reviewSetKey: ignores order, changes with the text', () => {
+  const key = reviewSetKey(REVIEWS);
+  assert.equal(reviewSetKey([...REVIEWS].reverse()), key);
+  assert.notEqual(reviewSetKey([{ ...REVIEWS[0], content: 'Edited.' }, ...REVIEWS.slice(1)]), key);
+  assert.notEqual(reviewSetKey(REVIEWS.slice(1)), key);
+});
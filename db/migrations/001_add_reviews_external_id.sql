@@ -0,0 +1,8 @@
+-- Run this SQL script to add the external_id column to an existing reviews table
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- external_id stores the ID the source assigned to the review (e.g. AMZ_0001).
+-- Ingestion uses (source, external_id) to recognise reviews it has already stored.
+ALTER TABLE reviews
+  ADD COLUMN external_id VARCHAR(255) AFTER source,
+  ADD INDEX idx_reviews_external (source, external_id);
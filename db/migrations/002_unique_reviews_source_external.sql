@@ -0,0 +1,10 @@
+-- Run this SQL script to make (source, external_id) unique on an existing reviews table
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- If this fails with "Duplicate entry", find the duplicates first and delete the extra rows:
+--   SELECT source, external_id, COUNT(*) FROM reviews
+--   WHERE external_id IS NOT NULL
+--   GROUP BY source, external_id HAVING COUNT(*) > 1;
+ALTER TABLE reviews
+  DROP INDEX idx_reviews_external,
+  ADD UNIQUE KEY uq_reviews_source_external (source, external_id);
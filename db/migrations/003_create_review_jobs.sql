@@ -0,0 +1,23 @@
+-- Run this SQL script to add the review_jobs table to your existing database
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- Create review_jobs table: background queue for review refreshes
+-- The backend worker polls this table, so queued jobs survive server restarts.
+-- source_results holds one JSON entry per source (status, counts, error).
+CREATE TABLE IF NOT EXISTS review_jobs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  type VARCHAR(50) NOT NULL DEFAULT 'review_refresh',
+  status ENUM('queued', 'running', 'succeeded', 'failed') NOT NULL DEFAULT 'queued',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 3,
+  run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,  -- Not picked up before this time (retry backoff)
+  source_results JSON,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL,
+  finished_at TIMESTAMP NULL,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+  INDEX idx_review_jobs_pending (status, run_after),
+  INDEX idx_review_jobs_product (product_id, status)
+);
@@ -0,0 +1,27 @@
+-- Run this SQL script to move review sources from a hard-coded ENUM to a sources table
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- Create sources table: retailers we collect reviews from
+-- Rows mirror the source adapters in backend/src/sources (the backend inserts any
+-- newly registered adapter on startup), so adding a retailer needs no schema change.
+CREATE TABLE IF NOT EXISTS sources (
+  id VARCHAR(50) PRIMARY KEY,            -- Scraper source id, e.g. 'amazon'
+  name VARCHAR(100) NOT NULL UNIQUE,     -- Display name stored in reviews.source, e.g. 'Amazon'
+  description VARCHAR(255),
+  color VARCHAR(20) NOT NULL DEFAULT 'gray',  -- Badge colour used by the frontend
+  rating_min DECIMAL(5,2) NOT NULL DEFAULT 1,  -- The retailer's own rating scale
+  rating_max DECIMAL(5,2) NOT NULL DEFAULT 5,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO sources (id, name, description, color, rating_min, rating_max) VALUES
+('amazon', 'Amazon', 'Amazon product reviews', 'orange', 1, 5),
+('bestbuy', 'BestBuy', 'Best Buy customer reviews', 'blue', 1, 5),
+('walmart', 'Walmart', 'Walmart product ratings', 'green', 1, 5)
+ON DUPLICATE KEY UPDATE name = VALUES(name);
+
+-- Existing values ('Amazon', 'BestBuy', 'Walmart') match sources.name, so the
+-- column keeps its data when the ENUM becomes a plain string with a foreign key
+ALTER TABLE reviews
+  MODIFY source VARCHAR(100) NOT NULL,
+  ADD CONSTRAINT fk_reviews_source FOREIGN KEY (source) REFERENCES sources(name) ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- Run this SQL script to store ratings from any scale (10-point, percent, thumbs...)
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- The original column was `rating INT CHECK (rating >= 1 AND rating <= 5)`.
+-- MySQL names an inline CHECK <table>_chk_<n>; reviews only had this one.
+-- Check with SHOW CREATE TABLE reviews if your database named it differently.
+ALTER TABLE reviews DROP CHECK reviews_chk_1;
+
+-- `rating` becomes the normalized 0-5 decimal; the source's own value and
+-- scale are stored next to it. Existing 1-5 star ratings keep their value.
+ALTER TABLE reviews
+  MODIFY rating DECIMAL(3,2) NOT NULL,
+  ADD COLUMN original_rating DECIMAL(10,2) AFTER rating,
+  ADD COLUMN rating_scale_min DECIMAL(10,2) NOT NULL DEFAULT 1 AFTER original_rating,
+  ADD COLUMN rating_scale_max DECIMAL(10,2) NOT NULL DEFAULT 5 AFTER rating_scale_min,
+  ADD CONSTRAINT chk_reviews_rating CHECK (rating >= 0 AND rating <= 5);
+
+UPDATE reviews SET original_rating = rating WHERE original_rating IS NULL;
@@ -0,0 +1,10 @@
+-- Run this SQL script to add cross-source duplicate clusters to reviews
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- Near-duplicate reviews (e.g. one customer's review syndicated to several
+-- retailers) share the id of the cluster's earliest review. NULL = unique review.
+-- Clusters are filled in by the backend after each ingestion, or on demand via
+-- POST /api/reviews/duplicates/:productId
+ALTER TABLE reviews
+  ADD COLUMN duplicate_cluster_id INT NULL AFTER verified_purchase,
+  ADD INDEX idx_reviews_duplicates (product_id, duplicate_cluster_id);
@@ -0,0 +1,9 @@
+-- Run this SQL script to add full-text search over review titles and content
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- Used by GET /api/reviews/search?q=... (MATCH ... AGAINST, ranked by relevance).
+-- InnoDB ignores words shorter than innodb_ft_min_token_size (3 by default)
+-- and common stopwords ("the", "and", ...).
+-- Building the index rebuilds the table, so this can take a while on large tables.
+ALTER TABLE reviews
+  ADD FULLTEXT INDEX ft_reviews_text (title, content);
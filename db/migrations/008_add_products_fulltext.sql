@@ -0,0 +1,6 @@
+-- Run this SQL script to add full-text search over product names and descriptions
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- Used by GET /api/products/search?q=... (MATCH ... AGAINST in boolean mode,
+-- every word required as a prefix: "usb char" -> '+usb* +char*').
+CREATE FULLTEXT INDEX idx_products_search ON products(name, description);
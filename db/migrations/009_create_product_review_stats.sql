@@ -0,0 +1,34 @@
+-- Run this SQL script to add precomputed per-product review statistics
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- The backend recomputes a product's row in the same transaction as every
+-- review write (see backend/src/services/reviewStats.js), so
+-- GET /api/reviews/aggregate/:productId and product lists read one row instead
+-- of scanning reviews. Products without reviews have no row.
+-- Repair with: npm --workspace=backend run stats:rebuild
+CREATE TABLE IF NOT EXISTS product_review_stats (
+  product_id INT PRIMARY KEY,
+  review_count INT NOT NULL,
+  rating_sum DECIMAL(12,2) NOT NULL,  -- Sum of normalized 0-5 ratings
+  average_rating DECIMAL(6,4) AS (rating_sum / review_count) STORED,
+  min_rating DECIMAL(3,2) NOT NULL,
+  max_rating DECIMAL(3,2) NOT NULL,
+  -- Histogram: reviews per star, ratings rounded to the nearest star (1-5)
+  stars_1 INT NOT NULL DEFAULT 0,
+  stars_2 INT NOT NULL DEFAULT 0,
+  stars_3 INT NOT NULL DEFAULT 0,
+  stars_4 INT NOT NULL DEFAULT 0,
+  stars_5 INT NOT NULL DEFAULT 0,
+  last_review_date DATE,
+  -- One entry per source: review_count, rating_sum, original_rating_sum,
+  -- scale_count, rating_scale_min, rating_scale_max
+  source_breakdown JSON NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+  INDEX idx_review_stats_rating (average_rating),
+  INDEX idx_review_stats_count (review_count)
+);
+
+-- The table starts empty: fill it from the existing reviews once with
+-- `npm --workspace=backend run stats:rebuild` (the only copy of the statement
+-- is queries.reviewStats.insertFromReviews in backend/src/database/queries.js).
@@ -0,0 +1,9 @@
+-- Run this SQL script to add the indexes used by cursor pagination of reviews
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- GET /api/reviews pages newest first by (created_at, id) and continues after
+-- the last row seen instead of using OFFSET. InnoDB appends the primary key
+-- (id) to every secondary index, so these cover the full sort order.
+ALTER TABLE reviews
+  ADD INDEX idx_reviews_product_created (product_id, created_at),
+  ADD INDEX idx_reviews_created (created_at);
@@ -0,0 +1,16 @@
+-- Run this SQL script to add the review edit history table
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- Create review_edits table: edit history of reviews (PUT / PATCH /api/reviews/:id)
+-- One row per edit that changed something, with every changed column's
+-- value before and after, so moderators can see and undo corrections.
+CREATE TABLE IF NOT EXISTS review_edits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  review_id INT NOT NULL,
+  edited_by VARCHAR(255) NOT NULL,
+  reason VARCHAR(500),
+  changes JSON NOT NULL,  -- { column: { before, after } }
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+  INDEX idx_review_edits_review (review_id, created_at)
+);
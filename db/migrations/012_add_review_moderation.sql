@@ -0,0 +1,19 @@
+-- Run this SQL script to add moderation status to reviews
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- Reviews that are already stored were published before moderation existed,
+-- so they are added as 'approved'; reviews stored from now on start out
+-- 'pending' until a moderator approves them (see backend/src/services/moderation.js).
+ALTER TABLE reviews
+  ADD COLUMN moderation_status ENUM('pending', 'approved', 'rejected', 'flagged') NOT NULL DEFAULT 'approved',
+  ADD COLUMN moderation_reason VARCHAR(50),  -- Reason code, e.g. 'spam' (see MODERATION_REASONS)
+  ADD COLUMN moderation_note VARCHAR(500),
+  ADD COLUMN moderated_by VARCHAR(255),
+  ADD COLUMN moderated_at TIMESTAMP NULL,
+  -- Moderation queue (GET /api/moderation/queue, oldest first per status)
+  ADD INDEX idx_reviews_moderation (moderation_status, created_at);
+
+ALTER TABLE reviews ALTER COLUMN moderation_status SET DEFAULT 'pending';
+
+-- product_review_stats now only counts approved reviews. Every existing review
+-- is approved, so the stored statistics are still correct.
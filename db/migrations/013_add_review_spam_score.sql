@@ -0,0 +1,10 @@
+-- Run this SQL script to add spam scores to reviews
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- Scores are computed by the backend (backend/src/services/reviewSpam.js), not
+-- by SQL: existing reviews start out NULL, which counts as "not suspicious".
+-- The backend scores them (and refreshes product_review_stats) when it starts;
+-- `npm --workspace=backend run stats:rebuild` does the same on demand.
+ALTER TABLE reviews
+  ADD COLUMN spam_score TINYINT UNSIGNED NULL,  -- 0-100, reviews at/above the threshold are left out of statistics
+  ADD COLUMN spam_signals JSON NULL;  -- Signals that raised the score, e.g. ["short_text", "unverified_purchase"]
@@ -0,0 +1,8 @@
+-- Run this SQL script to add text sentiment scores to reviews
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- Scores are computed by the backend (backend/src/services/sentiment.js), not
+-- by SQL: existing reviews start out NULL and are analyzed when the backend
+-- starts, or with `npm --workspace=backend run sentiment:backfill`.
+ALTER TABLE reviews
+  ADD COLUMN sentiment_score DECIMAL(4,3) NULL;  -- -1 (negative) to +1 (positive), from title and content
@@ -0,0 +1,18 @@
+-- Run this SQL script to add the cached review text summaries
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- Create product_text_summaries table: cached extractive review summaries
+-- The most representative review sentences of a product (see
+-- backend/src/services/textSummary.js) for GET /api/products/:id/summary.
+-- review_set_key is a hash of the reviews the summary was built from; when the
+-- product's reviews change, the key no longer matches and the summary is rebuilt.
+CREATE TABLE IF NOT EXISTS product_text_summaries (
+  product_id INT PRIMARY KEY,
+  review_set_key CHAR(40) NOT NULL,  -- SHA-1 of the summarized reviews' ids and text
+  review_count INT NOT NULL,
+  sentences JSON NOT NULL,  -- [{ text, review_id, source, reviewer_name, rating, score }]
+  generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- Nothing to fill: summaries are built on the first request for each product
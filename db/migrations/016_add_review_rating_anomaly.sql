@@ -0,0 +1,12 @@
+-- Run this SQL script to flag reviews whose rating contradicts their text
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- Flags are set by the backend (backend/src/services/ratingAnomalies.js) from
+-- the rating and sentiment_score (db/migrations/014_add_review_sentiment.sql).
+-- Check the existing reviews once after applying this script with
+-- `npm --workspace=backend run anomalies:scan`.
+ALTER TABLE reviews
+  -- 'negative_text' = high rating over negative text, 'positive_text' = the reverse
+  ADD COLUMN rating_anomaly ENUM('negative_text', 'positive_text') NULL,
+  -- Rating / text mismatches per source (GET /api/reviews/anomalies)
+  ADD INDEX idx_reviews_anomaly (rating_anomaly, source);
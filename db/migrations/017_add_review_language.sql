@@ -0,0 +1,11 @@
+-- Run this SQL script to store the detected language of each review
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- Languages are detected by the backend (backend/src/services/language.js):
+-- existing reviews are checked when the backend starts, or with
+-- `npm --workspace=backend run languages:backfill`.
+ALTER TABLE reviews
+  -- ISO 639-1 code such as 'en'; 'und' = undetermined, NULL = not checked yet
+  ADD COLUMN language VARCHAR(8) NULL,
+  -- Language filter of GET /api/reviews and language counts per product
+  ADD INDEX idx_reviews_product_language (product_id, language);
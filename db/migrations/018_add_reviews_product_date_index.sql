@@ -0,0 +1,8 @@
+-- Run this SQL script to speed up spam rescoring after review writes
+-- This preserves your existing data (fresh installs get it from db/init.sql)
+
+-- After a write, backend/src/services/reviewSpam.js rescores the reviews of
+-- the same product dated the same day (the review_burst signal) instead of
+-- every review of the product; this index finds them directly.
+ALTER TABLE reviews
+  ADD INDEX idx_reviews_product_date (product_id, review_date);
@@ -4,7 +4,9 @@ import ProductList from "./components/ProductList";
 import ProductForm from "./components/ProductForm";
 import ProductDetail from "./components/ProductDetail";
 import ReviewCard from "./components/reviews/ReviewCard";
+import ModerationPage from "./components/reviews/ModerationPage";
 import FeaturedProducts from "./components/FeaturedProducts";
+import { SourcesProvider } from "./context/SourcesContext.jsx";
 
 // ---------------------------------------------------------------------------
 // App.jsx — Main frontend entry component (student notes)
@@ -12,6 +14,7 @@ import FeaturedProducts from "./components/FeaturedProducts";
 // Purpose:
 // - Sets up client-side routing (React Router v6)
 // - Fetches categories from backend once on mount
+// - Provides the registered review sources to all routes (SourcesProvider)
 // - Runs periodic backend health checks to show connection status
 // - Passes backend URL and connection state down to child components
 //
@@ -98,142 +101,157 @@ export default function App() {
 
     return (
         <BrowserRouter>
-            <div className="p-4 max-w-7xl mx-auto">
-                {/* Header with status indicator and navigation */}
-                {/* ACCESSIBILITY: Proper landmark roles, ARIA labels, and semantic HTML */}
-                <header
-                    className="bg-white shadow-md rounded-lg py-4 mb-6 flex items-center justify-between"
-                    role="banner"
-                >
-                    <div>
-                        <h1 className="text-2xl font-bold text-gray-800">
-                            Multi-Source Product Review Aggregator
-                        </h1>
-                        <p className="mt-1 text-sm text-gray-600">
-                            Compare reviews from Amazon, BestBuy, Walmart
-                        </p>
-                    </div>
-
-                    {/* Simple nav links (React Router) */}
-                    {/* ACCESSIBILITY: Proper navigation landmark with aria-label */}
-                    <nav
-                        className="flex items-center gap-4"
-                        aria-label="Main navigation"
+            <SourcesProvider backend={BACKEND}>
+                <div className="p-4 max-w-7xl mx-auto">
+                    {/* Header with status indicator and navigation */}
+                    {/* ACCESSIBILITY: Proper landmark roles, ARIA labels, and semantic HTML */}
+                    <header
+                        className="bg-white shadow-md rounded-lg py-4 mb-6 flex items-center justify-between"
+                        role="banner"
                     >
-                        <Link
-                            to="/"
-                            className="text-gray-600 font-medium hover:text-blue-600 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 rounded px-2 py-1"
-                            aria-label="Go to Home page"
-                        >
-                            Home
-                        </Link>
-                        {/* <Link
-                            to="/add"
-                            className="text-blue-600 hover:text-blue-800 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 rounded px-2 py-1"
-                            aria-label="Add a new product"
-                        >
-                            Add product
-                        </Link> */}
-                        {/* <div
-                            className="px-3 py-1.5 border border-gray-200 bg-gray-50 rounded-md text-sm"
-                            aria-label={`Cart has ${cartCount} item${
-                                cartCount === 1 ? "" : "s"
-                            }`}
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-800">
+                                Multi-Source Product Review Aggregator
+                            </h1>
+                            <p className="mt-1 text-sm text-gray-600">
+                                Compare reviews from Amazon, BestBuy, Walmart
+                            </p>
+                        </div>
+
+                        {/* Simple nav links (React Router) */}
+                        {/* ACCESSIBILITY: Proper navigation landmark with aria-label */}
+                        <nav
+                            className="flex items-center gap-4"
+                            aria-label="Main navigation"
                         >
-                            Cart:{" "}
-                            <span className="font-semibold" aria-live="polite">
-                                {cartCount}
-                            </span>
-                        </div> */}
-                        {/* EXTENSION_POINT: nav.auth | Add login/logout links | beginner — Add /login route and auth state */}
-                    </nav>
-                </header>
+                            <Link
+                                to="/"
+                                className="text-gray-600 font-medium hover:text-blue-600 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 rounded px-2 py-1"
+                                aria-label="Go to Home page"
+                            >
+                                Home
+                            </Link>
+                            <Link
+                                to="/moderation"
+                                className="text-gray-600 font-medium hover:text-blue-600 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 rounded px-2 py-1"
+                                aria-label="Go to review moderation"
+                            >
+                                Moderation
+                            </Link>
+                            {/* <Link
+                                to="/add"
+                                className="text-blue-600 hover:text-blue-800 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 rounded px-2 py-1"
+                                aria-label="Add a new product"
+                            >
+                                Add product
+                            </Link> */}
+                            {/* <div
+                                className="px-3 py-1.5 border border-gray-200 bg-gray-50 rounded-md text-sm"
+                                aria-label={`Cart has ${cartCount} item${
+                                    cartCount === 1 ? "" : "s"
+                                }`}
+                            >
+                                Cart:{" "}
+                                <span className="font-semibold" aria-live="polite">
+                                    {cartCount}
+                                </span>
+                            </div> */}
+                            {/* EXTENSION_POINT: nav.auth | Add login/logout links | beginner — Add /login route and auth state */}
+                        </nav>
+                    </header>
 
-                {/* Offline banner with manual retry button (teaching tool) */}
-                {/* ACCESSIBILITY: Alert role for important system status, proper button labeling */}
-                {backendAvailable === false && (
-                    <div
-                        className="mb-4 p-3 rounded bg-red-50 border border-red-200 text-red-800"
-                        role="alert"
-                        aria-live="assertive"
-                    >
-                        Backend is currently unavailable. The app may be
-                        offline.
-                        <button
-                            onClick={() => {
-                                // quick manual re-check
-                                fetch(`${BACKEND}/health`, {
-                                    cache: "no-store",
-                                })
-                                    .then((r) => {
-                                        if (r.ok) setBackendAvailable(true);
-                                    })
-                                    .catch(() => setBackendAvailable(false));
-                            }}
-                            className="ml-2 underline hover:no-underline focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 rounded px-1"
-                            aria-label="Retry connection to backend server"
+                    {/* Offline banner with manual retry button (teaching tool) */}
+                    {/* ACCESSIBILITY: Alert role for important system status, proper button labeling */}
+                    {backendAvailable === false && (
+                        <div
+                            className="mb-4 p-3 rounded bg-red-50 border border-red-200 text-red-800"
+                            role="alert"
+                            aria-live="assertive"
                         >
-                            Retry
-                        </button>
-                    </div>
-                )}
+                            Backend is currently unavailable. The app may be
+                            offline.
+                            <button
+                                onClick={() => {
+                                    // quick manual re-check
+                                    fetch(`${BACKEND}/health`, {
+                                        cache: "no-store",
+                                    })
+                                        .then((r) => {
+                                            if (r.ok) setBackendAvailable(true);
+                                        })
+                                        .catch(() =>
+                                            setBackendAvailable(false)
+                                        );
+                                }}
+                                className="ml-2 underline hover:no-underline focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 rounded px-1"
+                                aria-label="Retry connection to backend server"
+                            >
+                                Retry
+                            </button>
+                        </div>
+                    )}
 
-                {/* React Router v6 routes */}
-                {/* Teaching note: Each <Route> maps a URL path to a React component.
-            The colon syntax (:id) creates a route parameter that components
-            can read via useParams(). See ProductDetail.jsx for an example.
-            ACCESSIBILITY: Main content landmark for screen readers */}
-                <main role="main" aria-label="Main content">
-                    <Routes>
-                        <Route
-                            path="/"
-                            element={
-                                <>
-                                    {/* <FeaturedProducts
-                                        onAddToCart={handleAddToCart}
-                                    /> */}
-                                    <ProductList
+                    {/* React Router v6 routes */}
+                    {/* Teaching note: Each <Route> maps a URL path to a React component.
+                The colon syntax (:id) creates a route parameter that components
+                can read via useParams(). See ProductDetail.jsx for an example.
+                ACCESSIBILITY: Main content landmark for screen readers */}
+                    <main role="main" aria-label="Main content">
+                        <Routes>
+                            <Route
+                                path="/"
+                                element={
+                                    <>
+                                        {/* <FeaturedProducts
+                                            onAddToCart={handleAddToCart}
+                                        /> */}
+                                        <ProductList
+                                            categories={categories}
+                                            backend={BACKEND}
+                                            backendAvailable={backendAvailable}
+                                        />
+                                    </>
+                                }
+                            />
+                            <Route
+                                path="/product/:id"
+                                element={
+                                    <ProductDetail
+                                        backend={BACKEND}
+                                        backendAvailable={backendAvailable}
+                                    />
+                                }
+                            />
+                            <Route
+                                path="/product/:id/edit"
+                                element={
+                                    <ProductForm
+                                        categories={categories}
+                                        backend={BACKEND}
+                                        backendAvailable={backendAvailable}
+                                        isEdit={true}
+                                    />
+                                }
+                            />
+                            <Route
+                                path="/add"
+                                element={
+                                    <ProductForm
                                         categories={categories}
                                         backend={BACKEND}
                                         backendAvailable={backendAvailable}
                                     />
-                                </>
-                            }
-                        />
-                        <Route
-                            path="/product/:id"
-                            element={
-                                <ProductDetail
-                                    backend={BACKEND}
-                                    backendAvailable={backendAvailable}
-                                />
-                            }
-                        />
-                        <Route
-                            path="/product/:id/edit"
-                            element={
-                                <ProductForm
-                                    categories={categories}
-                                    backend={BACKEND}
-                                    backendAvailable={backendAvailable}
-                                    isEdit={true}
-                                />
-                            }
-                        />
-                        <Route
-                            path="/add"
-                            element={
-                                <ProductForm
-                                    categories={categories}
-                                    backend={BACKEND}
-                                    backendAvailable={backendAvailable}
-                                />
-                            }
-                        />
-                        {/* EXTENSION_POINT: routes.users | Add user management routes | beginner — Add /users, /users/:id, /users/new */}
-                    </Routes>
-                </main>
-            </div>
+                                }
+                            />
+                            <Route
+                                path="/moderation"
+                                element={<ModerationPage backend={BACKEND} />}
+                            />
+                            {/* EXTENSION_POINT: routes.users | Add user management routes | beginner — Add /users, /users/:id, /users/new */}
+                        </Routes>
+                    </main>
+                </div>
+            </SourcesProvider>
         </BrowserRouter>
     );
 }
@@ -1,8 +1,13 @@
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import PropTypes from "prop-types";
 import ReviewStatistics from "./reviews/ReviewStatistics.jsx";
 import ReviewCard from "./reviews/ReviewCard.jsx";
+import ReviewFetcher from "./reviews/ReviewFetcher.jsx";
+import ReviewTrendChart from "./reviews/ReviewTrendChart.jsx";
+import ReviewAspects from "./reviews/ReviewAspects.jsx";
+import ReviewSummary from "./reviews/ReviewSummary.jsx";
+import { fetchReview } from "../services/reviewAPI.js";
 
 // ---------------------------------------------------------------------------
 // ProductDetail.jsx — Single product detail view (student notes)
@@ -44,6 +49,10 @@ export default function ProductDetail({
     const [reviewStats, setReviewStats] = useState(null);
     const [reviews, setReviews] = useState([]);
     const [reviewsLoading, setReviewsLoading] = useState(false);
+    // How the headline score is computed (see GET /api/reviews/aggregate ?mode=)
+    const [scoreMode, setScoreMode] = useState("average");
+    // Bumped after a refresh so the trend chart, summary and aspects refetch too
+    const [trendsVersion, setTrendsVersion] = useState(0);
 
     // Fetch product data when component mounts or ID changes
     // Teaching note: This effect runs on mount AND whenever `id` or `backend` changes.
@@ -67,37 +76,84 @@ export default function ProductDetail({
             .finally(() => setLoading(false)); // Always stop loading spinner
     }, [id, backend]);
 
-    // Fetch review statistics and reviews when product ID changes
+    // Fetch review statistics
+    // Teaching note: statistics have their own callback because they also
+    // depend on the score mode; switching modes should not reload every review.
+    const loadStats = useCallback(() => {
+        if (!id || !backend) return;
+
+        fetch(`${backend}/api/reviews/aggregate/${id}?mode=${scoreMode}`)
+            .then((r) => (r.ok ? r.json() : null))
+            .then((data) => setReviewStats(data?.data || null))
+            .catch((err) => {
+                console.error("Error fetching review stats:", err);
+                setReviewStats(null);
+            });
+    }, [id, backend, scoreMode]);
+
     useEffect(() => {
+        loadStats();
+    }, [loadStats]);
+
+    // Fetch individual reviews
+    // Teaching note: wrapped in useCallback so the same function can run on
+    // mount/ID change (effect below) and again after a review refresh job finishes.
+    const loadReviews = useCallback(() => {
         if (!id || !backend) return;
 
         setReviewsLoading(true);
-
-        // Fetch review statistics
-        Promise.all([
-            fetch(`${backend}/api/reviews/aggregate/${id}`)
-                .then((r) => (r.ok ? r.json() : null))
-                .then((data) => data?.data || null)
-                .catch((err) => {
-                    console.error("Error fetching review stats:", err);
-                    return null;
-                }),
-            // Fetch individual reviews
-            fetch(`${backend}/api/reviews?product_id=${id}&limit=20`)
-                .then((r) => (r.ok ? r.json() : null))
-                .then((data) => data?.data || [])
-                .catch((err) => {
-                    console.error("Error fetching reviews:", err);
-                    return [];
-                }),
-        ])
-            .then(([stats, reviewsList]) => {
-                setReviewStats(stats);
-                setReviews(reviewsList);
+        fetch(`${backend}/api/reviews?product_id=${id}&limit=20`)
+            .then((r) => (r.ok ? r.json() : null))
+            .then((data) => setReviews(data?.data || []))
+            .catch((err) => {
+                console.error("Error fetching reviews:", err);
+                setReviews([]);
             })
             .finally(() => setReviewsLoading(false));
     }, [id, backend]);
 
+    useEffect(() => {
+        loadReviews();
+    }, [loadReviews]);
+
+    // After a refresh job finishes, the list, statistics and trend all change
+    const reloadReviewsAndStats = useCallback(() => {
+        loadReviews();
+        loadStats();
+        setTrendsVersion((v) => v + 1);
+    }, [loadReviews, loadStats]);
+
+    // Put reviews at the top of the list (replacing the listed copy, if any)
+    const showReviewsFirst = useCallback((newReviews) => {
+        setReviews((prev) => {
+            const incoming = new Map(newReviews.map((r) => [r.id, r]));
+            const rest = prev.filter((r) => !incoming.has(r.id));
+            return [...incoming.values(), ...rest];
+        });
+    }, []);
+
+    // Scroll to a review quoted in the summary, loading it first when it is
+    // not among the reviews listed below
+    const showReview = useCallback(
+        async (reviewId) => {
+            if (!reviews.some((r) => r.id === reviewId)) {
+                try {
+                    showReviewsFirst([await fetchReview(backend, reviewId)]);
+                } catch (err) {
+                    console.error("Error fetching review:", err);
+                    return;
+                }
+            }
+            // Wait for React to render the card before scrolling to it
+            globalThis.requestAnimationFrame(() =>
+                globalThis.document
+                    .getElementById(`review-${reviewId}`)
+                    ?.scrollIntoView({ behavior: "smooth" })
+            );
+        },
+        [backend, reviews, showReviewsFirst]
+    );
+
     // Delete product with confirmation dialog
     // Teaching note: This async function shows the browser confirm() dialog first.
     // If user confirms, we send HTTP DELETE and navigate back to home on success.
@@ -271,12 +327,20 @@ export default function ProductDetail({
                 className="mt-8 max-w-4xl mx-auto"
                 aria-labelledby="reviews-heading"
             >
-                <h2
-                    id="reviews-heading"
-                    className="text-2xl font-semibold text-gray-900 mb-6"
-                >
-                    Customer Reviews
-                </h2>
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                    <h2
+                        id="reviews-heading"
+                        className="text-2xl font-semibold text-gray-900"
+                    >
+                        Customer Reviews
+                    </h2>
+                    {/* Queues a background refresh job, shows reviews as they stream in and reloads when it finishes */}
+                    <ReviewFetcher
+                        backend={backend}
+                        productId={id}
+                        onReviewsFetched={reloadReviewsAndStats}
+                    />
+                </div>
 
                 {reviewsLoading ? (
                     <div className="py-8 text-center text-gray-500">
@@ -287,7 +351,45 @@ export default function ProductDetail({
                         {/* Review Statistics Card */}
                         {reviewStats && (
                             <div className="mb-8">
-                                <ReviewStatistics statistics={reviewStats} />
+                                <ReviewStatistics
+                                    statistics={reviewStats}
+                                    mode={scoreMode}
+                                    onModeChange={setScoreMode}
+                                />
+                            </div>
+                        )}
+
+                        {/* Rating trend over time */}
+                        {reviewStats?.overall?.total_reviews > 0 && (
+                            <div className="mb-8">
+                                <ReviewTrendChart
+                                    backend={backend}
+                                    productId={id}
+                                    refreshKey={trendsVersion}
+                                />
+                            </div>
+                        )}
+
+                        {/* Most representative review sentences */}
+                        {reviewStats?.overall?.total_reviews > 0 && (
+                            <div className="mb-8">
+                                <ReviewSummary
+                                    backend={backend}
+                                    productId={id}
+                                    refreshKey={trendsVersion}
+                                    onShowReview={showReview}
+                                />
+                            </div>
+                        )}
+
+                        {/* Pros and cons extracted from the review text */}
+                        {reviewStats?.overall?.total_reviews > 0 && (
+                            <div className="mb-8">
+                                <ReviewAspects
+                                    backend={backend}
+                                    productId={id}
+                                    refreshKey={trendsVersion}
+                                />
                             </div>
                         )}
 
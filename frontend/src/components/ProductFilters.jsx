@@ -0,0 +1,298 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { useSources } from "../context/SourcesContext.jsx";
+
+// ---------------------------------------------------------------------------
+// ProductFilters.jsx — Filter sidebar for the product catalog (student notes)
+// ---------------------------------------------------------------------------
+// Purpose:
+// - Free-text search, category, price range, rating, review count and source
+//   filters for ProductList
+// - Shows facet counts from GET /api/products/search next to each option,
+//   e.g. "Electronics (12)", so users can see where results are before clicking
+//
+// Teaching points:
+// - This is a *controlled* component: the parent owns `filters` and we only
+//   report changes through onChange(patch). That keeps the fetch logic in one
+//   place (ProductList) and makes "Clear filters" trivial.
+// - The search box keeps its own text state and reports it after a short pause
+//   (debounce), so we don't send a request on every keystroke.
+// ---------------------------------------------------------------------------
+
+// Must match the backend's FULLTEXT minimum word length
+const MIN_SEARCH_LENGTH = 3;
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_REVIEW_OPTIONS = [0, 1, 5, 10, 50];
+
+export const EMPTY_FILTERS = {
+    q: "",
+    categoryId: "",
+    price: null,
+    minRating: "",
+    minReviews: 0,
+    sources: [],
+};
+
+/**
+ * Whether any filter differs from EMPTY_FILTERS
+ */
+export const hasActiveFilters = (filters) =>
+    Boolean(
+        filters.q ||
+        filters.categoryId ||
+        filters.price ||
+        filters.minRating ||
+        filters.minReviews ||
+        filters.sources.length
+    );
+
+function FacetOption({ name, checked, onSelect, label, count }) {
+    return (
+        <label className="flex items-center justify-between gap-2 py-0.5 text-sm cursor-pointer">
+            <span className="flex items-center gap-2">
+                <input
+                    type="radio"
+                    name={name}
+                    checked={checked}
+                    onChange={onSelect}
+                />
+                {label}
+            </span>
+            {count !== undefined && (
+                <span className="text-xs text-gray-500">{count}</span>
+            )}
+        </label>
+    );
+}
+
+FacetOption.propTypes = {
+    name: PropTypes.string.isRequired,
+    checked: PropTypes.bool.isRequired,
+    onSelect: PropTypes.func.isRequired,
+    label: PropTypes.node.isRequired,
+    count: PropTypes.number,
+};
+
+const priceLabel = (bucket) =>
+    bucket.max === null
+        ? `$${bucket.min} and above`
+        : `$${bucket.min} – $${bucket.max}`;
+
+export default function ProductFilters({
+    filters,
+    facets,
+    categories = [],
+    onChange,
+    onClear,
+}) {
+    const { sources } = useSources();
+    const [searchText, setSearchText] = useState(filters.q);
+
+    // Keep the box in sync when the parent resets filters (but don't trim
+    // what the user is typing when their own search comes back)
+    useEffect(() => {
+        setSearchText((prev) => (prev.trim() === filters.q ? prev : filters.q));
+    }, [filters.q]);
+
+    useEffect(() => {
+        const text = searchText.trim();
+        if (text === filters.q) return;
+        if (text.length > 0 && text.length < MIN_SEARCH_LENGTH) return;
+        const timer = globalThis.setTimeout(
+            () => onChange({ q: text }),
+            SEARCH_DEBOUNCE_MS
+        );
+        return () => globalThis.clearTimeout(timer);
+    }, [searchText, filters.q, onChange]);
+
+    // Every known category, with its facet count (0 when nothing matches)
+    const categoryCounts = new Map(
+        (facets?.categories || []).map((c) => [String(c.id), c.count])
+    );
+    const categoryOptions = categories.map((c) => ({
+        id: String(c.id),
+        name: c.name,
+        count: categoryCounts.get(String(c.id)) || 0,
+    }));
+
+    const toggleSource = (name) => {
+        const next = filters.sources.includes(name)
+            ? filters.sources.filter((s) => s !== name)
+            : [...filters.sources, name];
+        onChange({ sources: next });
+    };
+
+    return (
+        <aside className="space-y-6" aria-label="Product filters">
+            <div>
+                <label
+                    htmlFor="product-search"
+                    className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                    Search
+                </label>
+                <input
+                    id="product-search"
+                    type="search"
+                    value={searchText}
+                    onChange={(e) => setSearchText(e.target.value)}
+                    placeholder="Name or description"
+                    className="w-full border rounded px-3 py-2 text-sm"
+                />
+            </div>
+
+            <fieldset>
+                <legend className="text-sm font-medium text-gray-700 mb-1">
+                    Category
+                </legend>
+                <FacetOption
+                    name="category"
+                    checked={!filters.categoryId}
+                    onSelect={() => onChange({ categoryId: "" })}
+                    label="All categories"
+                />
+                {categoryOptions.map((c) => (
+                    <FacetOption
+                        key={c.id}
+                        name="category"
+                        checked={filters.categoryId === c.id}
+                        onSelect={() => onChange({ categoryId: c.id })}
+                        label={c.name}
+                        count={c.count}
+                    />
+                ))}
+            </fieldset>
+
+            <fieldset>
+                <legend className="text-sm font-medium text-gray-700 mb-1">
+                    Price
+                </legend>
+                <FacetOption
+                    name="price"
+                    checked={!filters.price}
+                    onSelect={() => onChange({ price: null })}
+                    label="Any price"
+                />
+                {(facets?.price || []).map((b) => (
+                    <FacetOption
+                        key={b.key}
+                        name="price"
+                        checked={filters.price?.key === b.key}
+                        onSelect={() => onChange({ price: b })}
+                        label={priceLabel(b)}
+                        count={b.count}
+                    />
+                ))}
+            </fieldset>
+
+            <fieldset>
+                <legend className="text-sm font-medium text-gray-700 mb-1">
+                    Customer rating
+                </legend>
+                <FacetOption
+                    name="rating"
+                    checked={!filters.minRating}
+                    onSelect={() => onChange({ minRating: "" })}
+                    label="Any rating"
+                />
+                {(facets?.rating || [])
+                    .filter((b) => b.min !== null && b.min > 0)
+                    .map((b) => (
+                        <FacetOption
+                            key={b.key}
+                            name="rating"
+                            checked={filters.minRating === String(b.min)}
+                            onSelect={() =>
+                                onChange({ minRating: String(b.min) })
+                            }
+                            label={`${b.min}★ & up`}
+                            count={b.count}
+                        />
+                    ))}
+            </fieldset>
+
+            <div>
+                <label
+                    htmlFor="min-reviews"
+                    className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                    Number of reviews
+                </label>
+                <select
+                    id="min-reviews"
+                    value={filters.minReviews}
+                    onChange={(e) =>
+                        onChange({ minReviews: Number(e.target.value) })
+                    }
+                    className="w-full border rounded px-2 py-1 text-sm"
+                >
+                    {MIN_REVIEW_OPTIONS.map((n) => (
+                        <option key={n} value={n}>
+                            {n === 0 ? "Any" : `${n}+ reviews`}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            {sources.length > 0 && (
+                <fieldset>
+                    <legend className="text-sm font-medium text-gray-700 mb-1">
+                        Reviewed on
+                    </legend>
+                    {sources.map((s) => (
+                        <label
+                            key={s.id}
+                            className="flex items-center gap-2 py-0.5 text-sm cursor-pointer"
+                        >
+                            <input
+                                type="checkbox"
+                                checked={filters.sources.includes(s.name)}
+                                onChange={() => toggleSource(s.name)}
+                            />
+                            {s.name}
+                        </label>
+                    ))}
+                </fieldset>
+            )}
+
+            {hasActiveFilters(filters) && (
+                <button
+                    type="button"
+                    onClick={onClear}
+                    className="text-sm text-blue-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-300 rounded"
+                >
+                    Clear filters
+                </button>
+            )}
+        </aside>
+    );
+}
+
+ProductFilters.propTypes = {
+    filters: PropTypes.shape({
+        q: PropTypes.string,
+        categoryId: PropTypes.string,
+        // Selected price bucket from facets.price ({ key, min, max })
+        price: PropTypes.shape({
+            key: PropTypes.string,
+            min: PropTypes.number,
+            max: PropTypes.number,
+        }),
+        minRating: PropTypes.string,
+        minReviews: PropTypes.number,
+        sources: PropTypes.arrayOf(PropTypes.string),
+    }).isRequired,
+    facets: PropTypes.shape({
+        categories: PropTypes.arrayOf(PropTypes.object),
+        price: PropTypes.arrayOf(PropTypes.object),
+        rating: PropTypes.arrayOf(PropTypes.object),
+    }),
+    categories: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.number.isRequired,
+            name: PropTypes.string.isRequired,
+        })
+    ),
+    onChange: PropTypes.func.isRequired,
+    onClear: PropTypes.func.isRequired,
+};
@@ -1,13 +1,18 @@
 import { useState, useEffect, useCallback, useMemo } from "react";
 import { Link } from "react-router-dom";
 import PropTypes from "prop-types";
+import ProductFilters, {
+    EMPTY_FILTERS,
+    hasActiveFilters,
+} from "./ProductFilters.jsx";
 
 // ---------------------------------------------------------------------------
 // ProductList.jsx — Product catalog with pagination and filtering (student notes)
 // ---------------------------------------------------------------------------
 // Purpose:
 // - Display products in a grid with pagination (9 items per page)
-// - Filter products by category using a dropdown
+// - Search and filter products from a sidebar (ProductFilters): text, category,
+//   price, rating, review count and review source, with facet counts
 // - Allow deletion with confirmation dialog
 // - Show loading/error states when backend is unavailable
 //
@@ -15,13 +20,33 @@ import PropTypes from "prop-types";
 // - This component demonstrates controlled pagination: the backend API
 //   returns `meta` (total, page, per_page, total_pages) alongside `data`.
 // - URLSearchParams builds query strings (?page=2&per_page=9&category_id=3).
-// - Two separate useEffect hooks manage dependencies: one for category filter
-//   changes (resets to page 1), one for page changes (keeps current filter).
+// - `include=review_summary` makes the backend embed each product's rating,
+//   review count and per-source counts (one grouped SQL query for the page),
+//   so we no longer fetch review stats once per product (the N+1 problem).
+// - Changing a filter resets to page 1 in the same state update, so a single
+//   effect ([page, filters]) is enough to refetch.
 // - The delete operation uses HTTP DELETE method and refreshes the current
 //   page after success. Students can extend this to show undo or optimistic UI.
 // - PropTypes provide runtime validation for props (useful for teaching).
 // ---------------------------------------------------------------------------
 
+// Sort keys accepted by the backend (PRODUCT_SORTS in backend/src/database/queries.js)
+// "" lets the backend choose: relevance for text searches, newest otherwise.
+const SORT_OPTIONS = [
+    { value: "", label: "Best match / newest" },
+    { value: "price_asc", label: "Price: low to high" },
+    { value: "price_desc", label: "Price: high to low" },
+    { value: "name_asc", label: "Name: A to Z" },
+    { value: "name_desc", label: "Name: Z to A" },
+    { value: "rating_desc", label: "Highest rated" },
+    { value: "rating_asc", label: "Lowest rated" },
+    { value: "review_count_desc", label: "Most reviews" },
+    { value: "review_count_asc", label: "Fewest reviews" },
+    { value: "last_reviewed_desc", label: "Recently reviewed" },
+    { value: "last_reviewed_asc", label: "Least recently reviewed" },
+    { value: "created_asc", label: "Oldest first" },
+];
+
 /**
  * A reusable component to display a star rating.
  */
@@ -80,60 +105,51 @@ export default function ProductList({
         per_page: perPage,
         total_pages: 1,
     });
-    const [categoryFilter, setCategoryFilter] = useState("");
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [sort, setSort] = useState("");
+    const [facets, setFacets] = useState(null);
     const [loading, setLoading] = useState(false);
 
-    // Fetch products with pagination and optional category filter
+    // Fetch one page of search results with facet counts
     // Teaching note: This async function constructs a query string using URLSearchParams.
-    // The API endpoint /api/products?page=2&per_page=9&category_id=3 returns:
-    //   { data: [...], meta: { total, page, per_page, total_pages } }
-    // We update both products and meta so the pagination controls work correctly.
+    // The API endpoint /api/products/search?page=2&per_page=9&category_id=3 returns:
+    //   { data: [...], meta: { total, page, per_page, total_pages }, facets: {...} }
+    // We update products, meta and facets so pagination and the sidebar stay in sync.
     const fetchPage = useCallback(
-        async (p, c) => {
+        async (p, f, sortKey) => {
             setLoading(true);
             try {
                 const params = new globalThis.URLSearchParams({
                     page: String(p),
                     per_page: String(perPage),
+                    // Rating, review count and per-source counts for every card
+                    include: "review_summary",
                 });
-                if (c) params.set("category_id", c);
+                if (f.q) params.set("q", f.q);
+                if (f.categoryId) params.set("category_id", f.categoryId);
+                if (f.price) {
+                    params.set("min_price", String(f.price.min));
+                    // Buckets exclude their upper bound; max_price includes it
+                    if (f.price.max !== null)
+                        params.set("max_price", String(f.price.max - 0.01));
+                }
+                if (f.minRating) params.set("min_rating", f.minRating);
+                if (f.minReviews)
+                    params.set("min_reviews", String(f.minReviews));
+                if (f.sources.length)
+                    params.set("sources", f.sources.join(","));
+                if (sortKey) params.set("sort", sortKey);
+
                 const res = await fetch(
-                    `${backend}/api/products?${params.toString()}`
+                    `${backend}/api/products/search?${params.toString()}`
                 );
                 const body = await res.json();
-                const fetchedProducts = body.data || [];
-
-                if (fetchedProducts.length > 0) {
-                    // For each product, fetch its aggregate review data
-                    const productsWithRatings = await Promise.all(
-                        fetchedProducts.map(async (product) => {
-                            try {
-                                const statsRes = await fetch(
-                                    `${backend}/api/reviews/aggregate/${product.id}`
-                                );
-                                if (!statsRes.ok) return product; // Return original product on error
-                                const statsBody = await statsRes.json();
-                                return {
-                                    ...product,
-                                    average_rating:
-                                        Number(
-                                            statsBody.data?.overall
-                                                ?.average_rating
-                                        ) || 0,
-                                    review_count:
-                                        statsBody.data?.overall
-                                            ?.total_reviews || 0,
-                                };
-                            } catch {
-                                return product; // Return original product on fetch failure
-                            }
-                        })
-                    );
-                    setProducts(productsWithRatings);
-                } else {
-                    setProducts([]);
+                if (!res.ok) {
+                    throw new Error(body?.error?.message || "Search failed");
                 }
 
+                setProducts(body.data || []);
+                setFacets(body.facets || null);
                 setMeta(
                     body.meta || {
                         total: 0,
@@ -151,21 +167,21 @@ export default function ProductList({
         [backend, perPage]
     );
 
-    // Effect 1: When category filter changes, reset to page 1 and refetch
-    // Teaching note: Dependency array [categoryFilter] means this runs on mount
-    // AND whenever categoryFilter changes. We always reset to page 1 when filtering.
+    // Refetch whenever the page, the filters or the sort order change
     useEffect(() => {
+        fetchPage(page, filters, sort);
+    }, [page, filters, sort, fetchPage]);
+
+    // Apply a filter change from the sidebar and go back to page 1
+    const updateFilters = useCallback((patch) => {
+        setFilters((prev) => ({ ...prev, ...patch }));
         setPage(1);
-        fetchPage(1, categoryFilter);
-    }, [categoryFilter, fetchPage]);
+    }, []);
 
-    // Effect 2: When page changes (but not filter), refetch with current filter
-    // Teaching note: Separate effect to avoid re-running fetchPage twice when
-    // filter changes (which also changes page to 1). This demonstrates careful
-    // dependency management to prevent unnecessary API calls.
-    useEffect(() => {
-        fetchPage(page, categoryFilter);
-    }, [page, categoryFilter, fetchPage]);
+    const clearFilters = useCallback(() => {
+        setFilters(EMPTY_FILTERS);
+        setPage(1);
+    }, []);
 
     // Delete product with confirmation dialog
     // Teaching note: This uses the browser's built-in confirm() dialog. After
@@ -179,7 +195,7 @@ export default function ProductList({
             });
             if (res.status === 204) {
                 // HTTP 204 = No Content (success for DELETE). Refresh the current page.
-                fetchPage();
+                fetchPage(page, filters, sort);
             } else {
                 globalThis.alert("Delete failed");
             }
@@ -189,15 +205,10 @@ export default function ProductList({
         }
     };
 
-    // Early returns for loading, error, and empty states
-    // Teaching note: These guard clauses simplify the main render logic below.
-    // React best practice: handle edge cases early, then render the "happy path".
-    if (loading)
-        return (
-            <div className="py-8 text-center text-gray-500">
-                Loading products…
-            </div>
-        );
+    // Early return when the backend is down
+    // Teaching note: This guard clause simplifies the main render logic below.
+    // Loading and "no results" are shown next to the sidebar instead of
+    // replacing the whole page, so the search box keeps its focus while typing.
     if (backendAvailable === false)
         return (
             <div className="py-8 text-center text-red-700 bg-red-50 rounded p-4">
@@ -205,176 +216,221 @@ export default function ProductList({
                 Please try again later.
             </div>
         );
-    if (!products || products.length === 0)
-        return (
-            <div className="py-8 text-center text-gray-500">
-                No products yet.
-            </div>
-        );
 
     return (
-        <div>
-            {/* Top bar: category filter dropdown and "Add product" button */}
-            {/* ACCESSIBILITY: Improved labeling and screen reader support */}
-            <div className="flex items-center justify-between gap-4 mb-6">
-                <div className="flex items-center gap-3">
-                    <label
-                        htmlFor="category-filter"
-                        className="text-sm text-gray-600"
-                    >
-                        Filter by category:
-                    </label>
-                    {/* Controlled select: value={categoryFilter} and onChange updates state */}
-                    <select
-                        id="category-filter"
-                        value={categoryFilter}
-                        onChange={(e) => setCategoryFilter(e.target.value)}
-                        className="border px-3 py-2 rounded"
-                        aria-describedby="filter-help"
-                    >
-                        <option value="">All categories</option>
-                        {categories.map((c) => (
-                            <option key={c.id} value={c.id}>
-                                {c.name}
-                            </option>
-                        ))}
-                    </select>
-                    <div id="filter-help" className="sr-only">
-                        Filter products by category. Selecting a category will
-                        show only products from that category.
+        <div className="flex flex-col lg:flex-row gap-8">
+            <div className="lg:w-64 flex-shrink-0">
+                <ProductFilters
+                    filters={filters}
+                    facets={facets}
+                    categories={categories}
+                    onChange={updateFilters}
+                    onClear={clearFilters}
+                />
+            </div>
+
+            <div className="flex-1 min-w-0">
+                {/* Top bar: result count, sort order and "Add product" button */}
+                <div className="flex items-center justify-between gap-4 mb-6">
+                    <div className="text-sm text-gray-600" aria-live="polite">
+                        {meta.total} product{meta.total !== 1 ? "s" : ""}
+                        {filters.q && <> matching “{filters.q}”</>}
                     </div>
-                </div>
 
-                <div>
-                    <Link
-                        to="/add"
-                        className="px-4 py-2 bg-emerald-600 text-white rounded-md shadow hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-opacity-50"
-                        aria-label="Add a new product to the catalog"
-                    >
-                        Add product
-                    </Link>
+                    <div className="flex items-center gap-4">
+                        <label className="flex items-center gap-2 text-sm text-gray-600">
+                            Sort by
+                            <select
+                                value={sort}
+                                onChange={(e) => {
+                                    setSort(e.target.value);
+                                    setPage(1);
+                                }}
+                                className="border rounded px-2 py-1"
+                            >
+                                {SORT_OPTIONS.map((o) => (
+                                    <option key={o.value} value={o.value}>
+                                        {o.label}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                        <Link
+                            to="/add"
+                            className="px-4 py-2 bg-emerald-600 text-white rounded-md shadow hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-opacity-50"
+                            aria-label="Add a new product to the catalog"
+                        >
+                            Add product
+                        </Link>
+                    </div>
                 </div>
-            </div>
 
-            {/* Product grid: responsive (1 col mobile, 2 tablet, 3 desktop) */}
-            {/* Teaching note: Tailwind's responsive prefixes (sm:, lg:) apply styles
+                {loading && (
+                    <div className="py-8 text-center text-gray-500">
+                        Loading products…
+                    </div>
+                )}
+                {!loading && products.length === 0 && (
+                    <div className="py-8 text-center text-gray-500">
+                        {hasActiveFilters(filters)
+                            ? "No products match these filters."
+                            : "No products yet."}
+                    </div>
+                )}
+
+                {!loading && products.length > 0 && (
+                    <>
+                        {/* Product grid: responsive (1 col mobile, 2 tablet, 3 desktop) */}
+                        {/* Teaching note: Tailwind's responsive prefixes (sm:, lg:) apply styles
           at different breakpoints. This is mobile-first design.
           ACCESSIBILITY: Proper alt text, button labels, and focus management */}
-            <ul
-                className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 list-none"
-                aria-label="Product catalog"
-            >
-                {products.map((p) => (
-                    <li
-                        key={p.id}
-                        className="bg-white rounded-lg shadow hover:shadow-lg overflow-hidden transition-shadow group"
-                    >
-                        {/* Entire card is clickable (Link wraps image and text) */}
-                        <Link
-                            to={`/product/${p.id}`}
-                            className="block hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-inset"
-                            aria-label={`View details for ${p.name} - $${Number(
-                                p.price
-                            ).toFixed(2)}`}
+                        <ul
+                            className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 list-none"
+                            aria-label="Product catalog"
                         >
-                            {/* Product image with fallback placeholder */}
-                            <div className="h-72 w-full overflow-hidden">
-                                <img
-                                    src={
-                                        p.image_url ||
-                                        "https://placehold.co/600x400?text=No+Image"
-                                    }
-                                    alt={
-                                        p.image_url
-                                            ? `${p.name} product image`
-                                            : "No image available"
-                                    }
-                                    className="w-full h-full object-contain p-2 group-hover:scale-105 transition-transform duration-300"
-                                />
-                            </div>
-                            <div className="p-4">
-                                <div className="text-lg font-semibold text-gray-900">
-                                    {p.name}
-                                </div>
-                                <div className="text-sm text-gray-500 mt-1">
-                                    {p.category_name || "Uncategorized"}
-                                </div>
-                                <div className="mt-3 flex items-center justify-between">
-                                    {/* Price formatted with 2 decimal places */}
-                                    <div
-                                        className="text-xl font-bold text-emerald-600"
-                                        aria-label={`Price: ${Number(
+                            {products.map((p) => (
+                                <li
+                                    key={p.id}
+                                    className="bg-white rounded-lg shadow hover:shadow-lg overflow-hidden transition-shadow group"
+                                >
+                                    {/* Entire card is clickable (Link wraps image and text) */}
+                                    <Link
+                                        to={`/product/${p.id}`}
+                                        className="block hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-inset"
+                                        aria-label={`View details for ${p.name} - $${Number(
                                             p.price
-                                        ).toFixed(2)} dollars`}
+                                        ).toFixed(2)}`}
                                     >
-                                        ${Number(p.price).toFixed(2)}
-                                    </div>
-                                    {/* Star rating - replaces Edit/Delete buttons */}
-                                    <Stars
-                                        rating={p.average_rating}
-                                        reviewCount={p.review_count}
-                                    />
-                                </div>
-                            </div>
-                        </Link>
-                    </li>
-                ))}
-            </ul>
+                                        {/* Product image with fallback placeholder */}
+                                        <div className="h-72 w-full overflow-hidden">
+                                            <img
+                                                src={
+                                                    p.image_url ||
+                                                    "https://placehold.co/600x400?text=No+Image"
+                                                }
+                                                alt={
+                                                    p.image_url
+                                                        ? `${p.name} product image`
+                                                        : "No image available"
+                                                }
+                                                className="w-full h-full object-contain p-2 group-hover:scale-105 transition-transform duration-300"
+                                            />
+                                        </div>
+                                        <div className="p-4">
+                                            <div className="text-lg font-semibold text-gray-900">
+                                                {p.name}
+                                            </div>
+                                            <div className="text-sm text-gray-500 mt-1">
+                                                {p.category_name ||
+                                                    "Uncategorized"}
+                                            </div>
+                                            <div className="mt-3 flex items-center justify-between">
+                                                {/* Price formatted with 2 decimal places */}
+                                                <div
+                                                    className="text-xl font-bold text-emerald-600"
+                                                    aria-label={`Price: ${Number(
+                                                        p.price
+                                                    ).toFixed(2)} dollars`}
+                                                >
+                                                    $
+                                                    {Number(p.price).toFixed(2)}
+                                                </div>
+                                                {/* Star rating - replaces Edit/Delete buttons */}
+                                                <Stars
+                                                    rating={
+                                                        p.review_summary
+                                                            ?.average_rating ||
+                                                        0
+                                                    }
+                                                    reviewCount={
+                                                        p.review_summary
+                                                            ?.total_reviews || 0
+                                                    }
+                                                />
+                                            </div>
+                                            {/* Where the reviews come from, e.g. "Amazon 12 · Walmart 3" */}
+                                            {p.review_summary?.total_reviews >
+                                                0 && (
+                                                <div className="mt-1 text-xs text-gray-500 text-right">
+                                                    {Object.entries(
+                                                        p.review_summary.sources
+                                                    )
+                                                        .map(
+                                                            ([source, count]) =>
+                                                                `${source} ${count}`
+                                                        )
+                                                        .join(" · ")}
+                                                </div>
+                                            )}
+                                        </div>
+                                    </Link>
+                                </li>
+                            ))}
+                        </ul>
 
-            {/* Pagination controls */}
-            {/* Teaching note: Prev/Next buttons are disabled at the first/last page
+                        {/* Pagination controls */}
+                        {/* Teaching note: Prev/Next buttons are disabled at the first/last page
           using disabled={...}. The disabled:opacity-50 Tailwind class dims them.
           ACCESSIBILITY: Proper labels, ARIA attributes, and keyboard support */}
-            <nav
-                className="flex items-center justify-center gap-4 mt-8"
-                aria-label="Product pagination"
-            >
-                <button
-                    className="px-3 py-1 border rounded disabled:opacity-50 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    onClick={() => setPage((p) => Math.max(1, p - 1))}
-                    disabled={meta.page === 1}
-                    aria-label="Go to previous page"
-                    onKeyDown={(e) => {
-                        if (
-                            (e.key === "Enter" || e.key === " ") &&
-                            meta.page > 1
-                        ) {
-                            e.preventDefault();
-                            setPage((p) => Math.max(1, p - 1));
-                        }
-                    }}
-                >
-                    Previous
-                </button>
-                <div
-                    className="text-sm text-gray-600"
-                    aria-live="polite"
-                    aria-atomic="true"
-                >
-                    Page {meta.page} of {meta.total_pages} — {meta.total} total
-                    items
-                </div>
-                <button
-                    className="px-3 py-1 border rounded disabled:opacity-50 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    onClick={() =>
-                        setPage((p) => Math.min(meta.total_pages, p + 1))
-                    }
-                    disabled={meta.page === meta.total_pages}
-                    aria-label="Go to next page"
-                    onKeyDown={(e) => {
-                        if (
-                            (e.key === "Enter" || e.key === " ") &&
-                            meta.page < meta.total_pages
-                        ) {
-                            e.preventDefault();
-                            setPage((p) => Math.min(meta.total_pages, p + 1));
-                        }
-                    }}
-                >
-                    Next
-                </button>
-            </nav>
-            {/* EXTENSION_POINT: pagination.infinite | Add infinite scroll | intermediate — Replace pagination with IntersectionObserver */}
+                        <nav
+                            className="flex items-center justify-center gap-4 mt-8"
+                            aria-label="Product pagination"
+                        >
+                            <button
+                                className="px-3 py-1 border rounded disabled:opacity-50 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                onClick={() =>
+                                    setPage((p) => Math.max(1, p - 1))
+                                }
+                                disabled={meta.page === 1}
+                                aria-label="Go to previous page"
+                                onKeyDown={(e) => {
+                                    if (
+                                        (e.key === "Enter" || e.key === " ") &&
+                                        meta.page > 1
+                                    ) {
+                                        e.preventDefault();
+                                        setPage((p) => Math.max(1, p - 1));
+                                    }
+                                }}
+                            >
+                                Previous
+                            </button>
+                            <div
+                                className="text-sm text-gray-600"
+                                aria-live="polite"
+                                aria-atomic="true"
+                            >
+                                Page {meta.page} of {meta.total_pages} —{" "}
+                                {meta.total} total items
+                            </div>
+                            <button
+                                className="px-3 py-1 border rounded disabled:opacity-50 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                onClick={() =>
+                                    setPage((p) =>
+                                        Math.min(meta.total_pages, p + 1)
+                                    )
+                                }
+                                disabled={meta.page === meta.total_pages}
+                                aria-label="Go to next page"
+                                onKeyDown={(e) => {
+                                    if (
+                                        (e.key === "Enter" || e.key === " ") &&
+                                        meta.page < meta.total_pages
+                                    ) {
+                                        e.preventDefault();
+                                        setPage((p) =>
+                                            Math.min(meta.total_pages, p + 1)
+                                        );
+                                    }
+                                }}
+                            >
+                                Next
+                            </button>
+                        </nav>
+                    </>
+                )}
+                {/* EXTENSION_POINT: pagination.infinite | Add infinite scroll | intermediate — Replace pagination with IntersectionObserver */}
+            </div>
         </div>
     );
 }
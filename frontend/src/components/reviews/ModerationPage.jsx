@@ -0,0 +1,372 @@
+import { useCallback, useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { Link } from "react-router-dom";
+import ReviewCard from "./ReviewCard";
+import {
+    fetchModerationQueue,
+    fetchModerationReasons,
+    moderateReviews,
+} from "../../services/reviewAPI.js";
+
+// ---------------------------------------------------------------------------
+// ModerationPage — review moderation queue (student notes)
+// ---------------------------------------------------------------------------
+// Purpose:
+// - Lists reviews by moderation status (pending first) from
+//   GET /api/moderation/queue, oldest first, with a "Load more" button
+// - Lets a moderator select reviews and approve, reject, flag or requeue them
+//   in one request (POST /api/moderation/:action)
+//
+// Teaching points:
+// - Only approved reviews are published: until a review is approved here it
+//   is left out of product pages, statistics and search.
+// - Selection is a Set of review IDs. React only re-renders when state is a
+//   new object, so every change builds a new Set instead of mutating it.
+// - The moderator name is kept in localStorage so it survives page reloads;
+//   it is stored with every decision in the review's edit history.
+// ---------------------------------------------------------------------------
+
+const TABS = [
+    { status: "pending", label: "Pending" },
+    { status: "flagged", label: "Flagged" },
+    { status: "rejected", label: "Rejected" },
+    { status: "approved", label: "Approved" },
+];
+
+// Actions offered on each tab (a review is never moved to its own status)
+const ACTIONS = [
+    {
+        action: "approve",
+        label: "Approve",
+        status: "approved",
+        className: "bg-emerald-600 hover:bg-emerald-700",
+    },
+    {
+        action: "reject",
+        label: "Reject",
+        status: "rejected",
+        className: "bg-red-600 hover:bg-red-700",
+    },
+    {
+        action: "flag",
+        label: "Flag",
+        status: "flagged",
+        className: "bg-amber-500 hover:bg-amber-600",
+    },
+    {
+        action: "requeue",
+        label: "Back to pending",
+        status: "pending",
+        className: "bg-gray-500 hover:bg-gray-600",
+    },
+];
+
+const PAGE_SIZE = 20;
+const MODERATOR_KEY = "moderatorName";
+
+export default function ModerationPage({ backend }) {
+    const [status, setStatus] = useState("pending");
+    const [reviews, setReviews] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [statusCounts, setStatusCounts] = useState({});
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [selected, setSelected] = useState(() => new Set());
+
+    const [reasons, setReasons] = useState([]);
+    const [reasonRequired, setReasonRequired] = useState([]);
+    const [reason, setReason] = useState("");
+    const [note, setNote] = useState("");
+    const [moderator, setModerator] = useState(
+        () => globalThis.localStorage?.getItem(MODERATOR_KEY) || ""
+    );
+    const [acting, setActing] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        fetchModerationReasons(backend)
+            .then(({ reasons, reasonRequired }) => {
+                setReasons(reasons);
+                setReasonRequired(reasonRequired);
+            })
+            .catch((err) => console.error("Error fetching reasons:", err));
+    }, [backend]);
+
+    useEffect(() => {
+        globalThis.localStorage?.setItem(MODERATOR_KEY, moderator);
+    }, [moderator]);
+
+    // Load a page of the queue; without a cursor the list starts over
+    const loadPage = useCallback(
+        async (cursor) => {
+            setLoading(true);
+            setError(null);
+            try {
+                const page = await fetchModerationQueue(backend, {
+                    status,
+                    limit: PAGE_SIZE,
+                    cursor,
+                });
+                setReviews((prev) =>
+                    cursor ? [...prev, ...page.reviews] : page.reviews
+                );
+                setNextCursor(page.nextCursor);
+                setStatusCounts(page.statusCounts);
+            } catch (err) {
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        },
+        [backend, status]
+    );
+
+    useEffect(() => {
+        setSelected(new Set());
+        loadPage(null);
+    }, [loadPage]);
+
+    const toggle = (id) => {
+        setSelected((prev) => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+    };
+
+    const allSelected =
+        reviews.length > 0 && reviews.every((r) => selected.has(r.id));
+    const toggleAll = () => {
+        setSelected(
+            allSelected ? new Set() : new Set(reviews.map((r) => r.id))
+        );
+    };
+
+    const runAction = async (action) => {
+        setMessage(null);
+        if (!moderator.trim()) {
+            setError("Enter your name before moderating reviews");
+            return;
+        }
+        if (reasonRequired.includes(action) && !reason) {
+            setError(`Choose a reason to ${action} reviews`);
+            return;
+        }
+
+        setActing(true);
+        setError(null);
+        try {
+            const result = await moderateReviews(
+                backend,
+                action,
+                [...selected],
+                {
+                    moderatedBy: moderator.trim(),
+                    reason:
+                        action === "approve" || action === "requeue"
+                            ? null
+                            : reason,
+                    note,
+                }
+            );
+            setMessage(
+                `${result.updated.length} review(s) moved to ${result.status}` +
+                    (result.unchanged.length
+                        ? `, ${result.unchanged.length} unchanged`
+                        : "")
+            );
+            setNote("");
+            setSelected(new Set());
+            await loadPage(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setActing(false);
+        }
+    };
+
+    const reasonLabel = (code) =>
+        reasons.find((r) => r.code === code)?.label || code;
+
+    return (
+        <section aria-labelledby="moderation-heading" className="space-y-4">
+            <div className="bg-white shadow-md rounded-lg p-4">
+                <h2
+                    id="moderation-heading"
+                    className="text-xl font-semibold text-gray-800"
+                >
+                    Review moderation
+                </h2>
+                <p className="mt-1 text-sm text-gray-600">
+                    Only approved reviews appear on product pages and count in
+                    ratings.
+                </p>
+
+                {/* Status tabs with the number of reviews in each */}
+                <div
+                    className="mt-4 flex flex-wrap gap-2"
+                    role="tablist"
+                    aria-label="Moderation status"
+                >
+                    {TABS.map((tab) => (
+                        <button
+                            key={tab.status}
+                            type="button"
+                            role="tab"
+                            aria-selected={status === tab.status}
+                            onClick={() => setStatus(tab.status)}
+                            className={`px-3 py-1.5 rounded-md text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                                status === tab.status
+                                    ? "bg-blue-600 text-white"
+                                    : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                            }`}
+                        >
+                            {tab.label}
+                            <span className="ml-1 opacity-80">
+                                ({statusCounts[tab.status] ?? 0})
+                            </span>
+                        </button>
+                    ))}
+                </div>
+
+                {/* Bulk action toolbar */}
+                <div className="mt-4 grid gap-3 md:grid-cols-3">
+                    <label className="text-sm text-gray-700">
+                        Your name
+                        <input
+                            type="text"
+                            value={moderator}
+                            onChange={(e) => setModerator(e.target.value)}
+                            maxLength={255}
+                            className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        />
+                    </label>
+                    <label className="text-sm text-gray-700">
+                        Reason (required to reject or flag)
+                        <select
+                            value={reason}
+                            onChange={(e) => setReason(e.target.value)}
+                            className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        >
+                            <option value="">—</option>
+                            {reasons.map((r) => (
+                                <option key={r.code} value={r.code}>
+                                    {r.label}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="text-sm text-gray-700">
+                        Note
+                        <input
+                            type="text"
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                            maxLength={500}
+                            className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        />
+                    </label>
+                </div>
+
+                <div className="mt-3 flex flex-wrap items-center gap-2">
+                    <label className="inline-flex items-center gap-2 text-sm text-gray-700 mr-2">
+                        <input
+                            type="checkbox"
+                            checked={allSelected}
+                            onChange={toggleAll}
+                            disabled={reviews.length === 0}
+                        />
+                        Select all ({selected.size} selected)
+                    </label>
+                    {ACTIONS.filter((a) => a.status !== status).map((a) => (
+                        <button
+                            key={a.action}
+                            type="button"
+                            onClick={() => runAction(a.action)}
+                            disabled={selected.size === 0 || acting}
+                            className={`px-3 py-1.5 rounded-md text-sm font-medium text-white disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-500 ${a.className}`}
+                        >
+                            {a.label}
+                        </button>
+                    ))}
+                </div>
+
+                {message && (
+                    <p className="mt-3 text-sm text-emerald-700" role="status">
+                        {message}
+                    </p>
+                )}
+                {error && (
+                    <p className="mt-3 text-sm text-red-700" role="alert">
+                        {error}
+                    </p>
+                )}
+            </div>
+
+            {/* Queue */}
+            {!loading && reviews.length === 0 && !error && (
+                <p className="text-center text-gray-500 py-8">
+                    No {status} reviews.
+                </p>
+            )}
+
+            <ul className="space-y-4">
+                {reviews.map((review) => (
+                    <li key={review.id} className="flex items-start gap-3">
+                        <input
+                            type="checkbox"
+                            className="mt-6"
+                            checked={selected.has(review.id)}
+                            onChange={() => toggle(review.id)}
+                            aria-label={`Select review ${review.id}`}
+                        />
+                        <div className="flex-1 min-w-0">
+                            <p className="mb-1 text-xs text-gray-500">
+                                #{review.id} ·{" "}
+                                <Link
+                                    to={`/product/${review.product_id}`}
+                                    className="text-blue-600 hover:underline"
+                                >
+                                    {review.product_name ||
+                                        `Product ${review.product_id}`}
+                                </Link>
+                                {review.moderation_reason && (
+                                    <>
+                                        {" "}
+                                        ·{" "}
+                                        {reasonLabel(review.moderation_reason)}
+                                    </>
+                                )}
+                                {review.moderated_by && (
+                                    <> · by {review.moderated_by}</>
+                                )}
+                                {review.moderation_note && (
+                                    <> · “{review.moderation_note}”</>
+                                )}
+                            </p>
+                            <ReviewCard review={review} />
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            {(nextCursor || loading) && (
+                <div className="text-center">
+                    <button
+                        type="button"
+                        onClick={() => loadPage(nextCursor)}
+                        disabled={loading}
+                        className="px-4 py-2 text-sm font-medium text-blue-600 bg-white border border-blue-200 rounded-md hover:bg-blue-50 disabled:opacity-50"
+                    >
+                        {loading ? "Loading…" : "Load more"}
+                    </button>
+                </div>
+            )}
+        </section>
+    );
+}
+
+ModerationPage.propTypes = {
+    backend: PropTypes.string.isRequired,
+};
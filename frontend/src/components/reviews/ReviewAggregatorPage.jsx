@@ -4,10 +4,25 @@ import ProductHeader from '../ProductHeader'
 import ReviewFetcher from './ReviewFetcher'
 import ReviewStats from './ReviewStats'
 import ReviewList from './ReviewList'
-import { fetchProductReviews, getReviewStats } from '../../services/mockReviewAPI'
+import { fetchReviewAggregate } from '../../services/reviewAPI'
 
-export default function ReviewAggregatorPage({ productId = '1' }) {
-  const [reviews, setReviews] = useState([])
+// GET /api/reviews/aggregate/:id -> the shape ReviewStats expects
+function toStats(aggregate) {
+  return {
+    overallAverage: Number(aggregate.overall.average_rating) || 0,
+    totalReviews: aggregate.overall.total_reviews || 0,
+    sourceBreakdown: aggregate.source_breakdown.map(s => ({
+      source: s.source,
+      count: s.review_count,
+      average: Number(s.average_rating) || 0,
+    })),
+    ratingHistogram: aggregate.rating_histogram || {},
+  }
+}
+
+export default function ReviewAggregatorPage({ backend, productId = '1' }) {
+  // Bumped when new reviews arrive so ReviewList reloads its first page
+  const [reviewsVersion, setReviewsVersion] = useState(0)
   const [stats, setStats] = useState(null)
   const [loading, setLoading] = useState(true)
   const [fetchingNew, setFetchingNew] = useState(false)
@@ -17,40 +32,23 @@ export default function ReviewAggregatorPage({ productId = '1' }) {
     setLoading(true)
     setError(null)
     try {
-      const r = await fetchProductReviews(String(productId))
-      const s = await getReviewStats(String(productId))
-      setReviews(r)
-      setStats({
-        overallAverage: +(s.averageRating || 0).toFixed(1),
-        totalReviews: s.totalReviews || 0,
-        sourceBreakdown: Object.entries(s.sourcesDistribution || {}).map(([source, count]) => ({ source, count, average: 0 })),
-        ratingHistogram: s.ratingDistribution || {},
-      })
+      setStats(toStats(await fetchReviewAggregate(backend, productId)))
     } catch (err) {
       setError(err?.message || 'Failed to load reviews')
     } finally {
       setLoading(false)
     }
-  }, [productId])
+  }, [backend, productId])
 
   useEffect(() => { loadAll() }, [loadAll])
 
-  const handleNewReviews = async (newReviews) => {
-    // merge naive: append and dedupe by id
-    const map = new Map(reviews.map(r => [r.id, r]))
-    newReviews.forEach(nr => map.set(nr.id, nr))
-    const merged = Array.from(map.values())
-    setReviews(merged)
+  const handleNewReviews = async () => {
+    // ReviewList pages through the stored reviews itself; ask it to start over
+    setReviewsVersion(v => v + 1)
 
     // recalc stats
     try {
-      const s = await getReviewStats(String(productId))
-      setStats({
-        overallAverage: +(s.averageRating || 0).toFixed(1),
-        totalReviews: s.totalReviews || 0,
-        sourceBreakdown: Object.entries(s.sourcesDistribution || {}).map(([source, count]) => ({ source, count, average: 0 })),
-        ratingHistogram: s.ratingDistribution || {},
-      })
+      setStats(toStats(await fetchReviewAggregate(backend, productId)))
     } catch (err) {
       console.warn('Failed to refresh stats after new reviews', err)
     }
@@ -65,7 +63,7 @@ export default function ReviewAggregatorPage({ productId = '1' }) {
           <aside className="lg:w-1/3">
             <div className="mb-4 flex items-center justify-between">
               <h3 className="text-lg font-semibold">Reviews & Summary</h3>
-              <ReviewFetcher productId={String(productId)} onReviewsFetched={handleNewReviews} />
+              <ReviewFetcher backend={backend} productId={String(productId)} onReviewsFetched={handleNewReviews} />
             </div>
 
             <div>
@@ -75,7 +73,7 @@ export default function ReviewAggregatorPage({ productId = '1' }) {
 
           <main className="lg:flex-1">
             {error && <div role="alert" className="mb-4 text-sm text-red-600">{error}</div>}
-            <ReviewList reviews={reviews} loading={loading} onFilterChange={() => {}} />
+            <ReviewList onFilterChange={() => {}} backend={backend} productId={String(productId)} refreshKey={reviewsVersion} />
           </main>
         </div>
       </div>
@@ -84,5 +82,6 @@ export default function ReviewAggregatorPage({ productId = '1' }) {
 }
 
 ReviewAggregatorPage.propTypes = {
+  backend: PropTypes.string.isRequired,
   productId: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
 }
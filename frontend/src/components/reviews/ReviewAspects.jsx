@@ -0,0 +1,156 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { useSources } from "../../context/SourcesContext.jsx";
+import { fetchProductAspects } from "../../services/reviewAPI.js";
+
+/**
+ * ReviewAspects - "What reviewers say" panel
+ *
+ * Shows:
+ * - Pros: aspects reviewers mostly praise ("battery life", "sound quality")
+ * - Cons: aspects they mostly complain about ("heat", "cable")
+ * - For each, how many reviews mention it and an example quote
+ *
+ * Teaching notes:
+ * - The backend extracts aspects from the review text on every request
+ *   (GET /api/products/:id/aspects), so nothing here is hand-written.
+ * - Counts are reviews, not mentions: one review repeating "battery" five
+ *   times still counts once.
+ * - `refreshKey` lets the parent ask for a reload (e.g. after a review refresh).
+ */
+
+const SIDES = [
+    {
+        key: "pros",
+        title: "Pros",
+        countKey: "positive",
+        icon: "+",
+        className: "text-emerald-700 bg-emerald-50",
+    },
+    {
+        key: "cons",
+        title: "Cons",
+        countKey: "negative",
+        icon: "−",
+        className: "text-red-700 bg-red-50",
+    },
+];
+
+export default function ReviewAspects({ backend, productId, refreshKey }) {
+    const { sourceClasses } = useSources();
+    const [aspects, setAspects] = useState({ pros: [], cons: [] });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!backend || !productId) return;
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+        fetchProductAspects(backend, productId)
+            .then((data) => {
+                if (!cancelled) setAspects(data);
+            })
+            .catch((err) => {
+                console.error("Error fetching review aspects:", err);
+                if (!cancelled) setError(err.message);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [backend, productId, refreshKey]);
+
+    const empty = aspects.pros.length === 0 && aspects.cons.length === 0;
+
+    return (
+        <div className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                What reviewers say
+            </h3>
+
+            {loading && <p className="text-sm text-gray-500">Loading…</p>}
+            {!loading && error && (
+                <p className="text-sm text-red-700" role="alert">
+                    {error}
+                </p>
+            )}
+            {!loading && !error && empty && (
+                <p className="text-sm text-gray-500">
+                    Not enough reviews agree on anything yet.
+                </p>
+            )}
+
+            {!loading && !error && !empty && (
+                <div className="grid gap-6 md:grid-cols-2">
+                    {SIDES.map((side) => (
+                        <div key={side.key}>
+                            <h4 className="text-sm font-semibold uppercase tracking-wide text-gray-600 mb-2">
+                                {side.title}
+                            </h4>
+                            {aspects[side.key].length === 0 ? (
+                                <p className="text-sm text-gray-500">
+                                    None mentioned by several reviewers.
+                                </p>
+                            ) : (
+                                <ul className="space-y-3">
+                                    {aspects[side.key].map((aspect) => (
+                                        <li key={aspect.aspect}>
+                                            <div className="flex items-center gap-2">
+                                                <span
+                                                    className={`inline-flex h-5 w-5 items-center justify-center rounded-full text-sm font-bold ${side.className}`}
+                                                    aria-hidden="true"
+                                                >
+                                                    {side.icon}
+                                                </span>
+                                                <span className="font-medium text-gray-900 capitalize">
+                                                    {aspect.aspect}
+                                                </span>
+                                                <span className="text-xs text-gray-500">
+                                                    {aspect[side.countKey]}{" "}
+                                                    {aspect[side.countKey] === 1
+                                                        ? "mention"
+                                                        : "mentions"}{" "}
+                                                    in {aspect.reviews}{" "}
+                                                    {aspect.reviews === 1
+                                                        ? "review"
+                                                        : "reviews"}
+                                                </span>
+                                            </div>
+                                            {aspect.quotes.map((quote) => (
+                                                <blockquote
+                                                    key={quote.review_id}
+                                                    className="mt-1 ml-7 text-sm text-gray-600 italic"
+                                                >
+                                                    “{quote.text}”
+                                                    <span
+                                                        className={`ml-2 not-italic text-xs px-1.5 py-0.5 rounded ${
+                                                            sourceClasses(
+                                                                quote.source
+                                                            ).badge
+                                                        }`}
+                                                    >
+                                                        {quote.source}
+                                                    </span>
+                                                </blockquote>
+                                            ))}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+ReviewAspects.propTypes = {
+    backend: PropTypes.string.isRequired,
+    productId: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+        .isRequired,
+    refreshKey: PropTypes.number,
+};
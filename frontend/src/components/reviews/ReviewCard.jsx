@@ -1,12 +1,8 @@
 import React, { useState, useMemo } from "react";
 import PropTypes from "prop-types";
 import { formatDistanceToNow, parseISO, isValid } from "date-fns";
-
-const SOURCE_STYLES = {
-    Amazon: "bg-orange-100 text-orange-800",
-    BestBuy: "bg-blue-100 text-blue-800",
-    Walmart: "bg-green-100 text-green-800",
-};
+import { useSources } from "../../context/SourcesContext.jsx";
+import { originalRatingLabel } from "../../utils/ratingScale.js";
 
 function Stars({ rating }) {
     const full = useMemo(
@@ -97,12 +93,82 @@ Avatar.propTypes = {
     name: PropTypes.string.isRequired,
 };
 
-export default function ReviewCard({ review }) {
+// Why the backend flagged a review (reviews.spam_signals, see services/reviewSpam.js)
+const SPAM_SIGNAL_LABELS = {
+    unverified_purchase: "Purchase not verified",
+    short_text: "Very short text",
+    generic_extreme: "Extreme rating with generic text",
+    review_burst: "Posted in a burst of reviews on the same day",
+    repeated_text: "Reviewer posted the same text for other products",
+    rating_mismatch: "Rating does not match the text",
+};
+
+/**
+ * Warning badge for reviews the backend considers suspicious
+ * These reviews are not counted in the product's rating.
+ */
+function SuspiciousBadge({ signals }) {
+    const reasons = signals.map((s) => SPAM_SIGNAL_LABELS[s] || s);
+    const description = `Possibly fake or spam, not counted in the rating${
+        reasons.length ? `: ${reasons.join(", ")}` : ""
+    }`;
+
+    return (
+        <span
+            className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-md text-xs font-medium bg-amber-100 text-amber-800"
+            title={description}
+            aria-label={description}
+        >
+            <svg
+                className="w-3 h-3"
+                viewBox="0 0 20 20"
+                fill="currentColor"
+                aria-hidden="true"
+            >
+                <path
+                    fillRule="evenodd"
+                    d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z"
+                    clipRule="evenodd"
+                />
+            </svg>
+            Suspicious
+        </span>
+    );
+}
+
+SuspiciousBadge.propTypes = {
+    signals: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+/**
+ * Text with search matches wrapped in <mark>
+ * `segments` come from the search API ([{ text, match }]), so no HTML is parsed.
+ */
+function Highlighted({ segments }) {
+    return segments.map((segment, i) =>
+        segment.match ? (
+            <mark key={i} className="bg-yellow-200 rounded-sm px-0.5">
+                {segment.text}
+            </mark>
+        ) : (
+            <span key={i}>{segment.text}</span>
+        )
+    );
+}
+
+Highlighted.propTypes = {
+    segments: PropTypes.arrayOf(
+        PropTypes.shape({ text: PropTypes.string, match: PropTypes.bool })
+    ).isRequired,
+};
+
+export default function ReviewCard({ review, highlights }) {
     const [expanded, setExpanded] = useState(false);
+    const { sourceClasses } = useSources();
 
     const {
         id,
-        source = "Amazon",
+        source = "Unknown",
         author,
         reviewer_name,
         rating = 0,
@@ -112,6 +178,8 @@ export default function ReviewCard({ review }) {
         date,
         review_date,
         helpful_votes = 0,
+        suspicious = false,
+        spam_signals,
     } = review || {};
 
     // Handle different field name variations
@@ -138,7 +206,9 @@ export default function ReviewCard({ review }) {
         }
     }, [displayDate]);
 
-    const badgeClass = SOURCE_STYLES[source] || "bg-gray-100 text-gray-800";
+    const badgeClass = sourceClasses(source).badge;
+    // e.g. "8/10" when the source does not rate on 1-5 stars
+    const originalRating = originalRatingLabel(review);
 
     const shouldTruncate = displayContent && displayContent.length > 250;
     const preview =
@@ -149,7 +219,8 @@ export default function ReviewCard({ review }) {
     return (
         <article
             key={id}
-            className="p-4 md:p-6 bg-white rounded-lg shadow-sm border border-gray-100 max-w-3xl w-full mx-auto"
+            id={`review-${id}`}
+            className="scroll-mt-4 p-4 md:p-6 bg-white rounded-lg shadow-sm border border-gray-100 max-w-3xl w-full mx-auto"
             aria-labelledby={`review-title-${id}`}
             aria-describedby={`review-content-${id}`}
         >
@@ -181,11 +252,22 @@ export default function ReviewCard({ review }) {
                         {/* Star rating */}
                         <div className="flex items-center">
                             <Stars rating={rating} />
+                            {originalRating && (
+                                <span
+                                    className="ml-2 text-xs text-gray-500"
+                                    title={`Original ${source} rating`}
+                                >
+                                    {originalRating}
+                                </span>
+                            )}
                         </div>
                     </div>
                 </div>
 
-                <div className="flex items-center md:ml-4 md:self-start">
+                <div className="flex items-center gap-2 md:ml-4 md:self-start">
+                    {suspicious && (
+                        <SuspiciousBadge signals={spam_signals || []} />
+                    )}
                     <span
                         className={`inline-flex items-center px-2.5 py-0.5 rounded-md text-xs font-medium ${badgeClass}`}
                         aria-label={`${source} review source`}
@@ -199,16 +281,26 @@ export default function ReviewCard({ review }) {
                 id={`review-title-${id}`}
                 className="mt-4 text-sm md:text-base font-semibold text-gray-900"
             >
-                {title}
+                {highlights?.title?.length ? (
+                    <Highlighted segments={highlights.title} />
+                ) : (
+                    title
+                )}
             </h3>
 
             <div
                 id={`review-content-${id}`}
                 className="mt-2 text-sm text-gray-700"
             >
-                <p className="whitespace-pre-wrap">{preview}</p>
+                {highlights?.content?.length ? (
+                    <p className="whitespace-pre-wrap">
+                        <Highlighted segments={highlights.content} />
+                    </p>
+                ) : (
+                    <p className="whitespace-pre-wrap">{preview}</p>
+                )}
 
-                {shouldTruncate && (
+                {shouldTruncate && !highlights?.content?.length && (
                     <button
                         type="button"
                         onClick={() => setExpanded((s) => !s)}
@@ -284,15 +376,27 @@ ReviewCard.propTypes = {
     review: PropTypes.shape({
         id: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
             .isRequired,
-        source: PropTypes.oneOf(["Amazon", "BestBuy", "Walmart"]).isRequired,
+        source: PropTypes.string.isRequired,
         author: PropTypes.string,
         reviewer_name: PropTypes.string,
         rating: PropTypes.number.isRequired,
+        original_rating: PropTypes.number,
+        rating_scale_min: PropTypes.number,
+        rating_scale_max: PropTypes.number,
         title: PropTypes.string.isRequired,
         content: PropTypes.string,
         body: PropTypes.string,
         date: PropTypes.string,
         review_date: PropTypes.string,
         helpful_votes: PropTypes.number,
+        // Set by the backend's spam scoring (GET /api/reviews and friends)
+        suspicious: PropTypes.bool,
+        spam_score: PropTypes.number,
+        spam_signals: PropTypes.arrayOf(PropTypes.string),
     }).isRequired,
+    // Search matches to mark (from GET /api/reviews/search); replaces title/content
+    highlights: PropTypes.shape({
+        title: PropTypes.arrayOf(PropTypes.object),
+        content: PropTypes.arrayOf(PropTypes.object),
+    }),
 };
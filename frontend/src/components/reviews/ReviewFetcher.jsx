@@ -1,15 +1,66 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import PropTypes from "prop-types";
 import {
-    triggerReviewFetch,
+    requestReviewRefresh,
+    fetchJob,
+    pollJob,
     fetchProductReviews,
-} from "../../services/mockReviewAPI";
+    subscribeToReviewStream,
+} from "../../services/reviewAPI";
 
-export default function ReviewFetcher({ productId, onReviewsFetched }) {
+// Button label while a refresh job is in progress
+const JOB_STATUS_LABELS = {
+    queued: "Queued…",
+    running: "Fetching…",
+};
+
+const FINAL_JOB_STATUSES = ["succeeded", "failed"];
+
+// Text shown next to each source while the refresh runs
+function describeSource(s) {
+    switch (s.status) {
+        case "running":
+            return "fetching…";
+        case "fetched":
+            return `${s.fetched} found, saving…`;
+        case "succeeded":
+            return `${s.fetched || 0} reviews (${s.created || 0} new)`;
+        case "failed":
+            return `failed: ${s.error || "unknown error"}`;
+        default:
+            return "waiting";
+    }
+}
+
+const SOURCE_STATUS_STYLES = {
+    running: "text-indigo-700",
+    fetched: "text-indigo-700",
+    succeeded: "text-green-700",
+    failed: "text-red-700",
+};
+
+export default function ReviewFetcher({
+    backend,
+    productId,
+    onReviewsFetched,
+}) {
     const [loading, setLoading] = useState(false);
+    const [jobStatus, setJobStatus] = useState(null);
+    const [sources, setSources] = useState([]);
     const [message, setMessage] = useState(null);
     const [error, setError] = useState(null);
 
+    // Stop polling/streaming if the component unmounts while a job is still running
+    const unmounted = useRef(false);
+    const stream = useRef(null);
+    useEffect(() => {
+        unmounted.current = false;
+        return () => {
+            unmounted.current = true;
+            stream.current?.close();
+        };
+    }, []);
+
     useEffect(() => {
         let id;
         if (message || error) {
@@ -23,100 +74,256 @@ export default function ReviewFetcher({ productId, onReviewsFetched }) {
         };
     }, [message, error]);
 
+    const applyJob = (job) => {
+        setJobStatus(job.status);
+        setSources(job.sources || []);
+    };
+
+    const updateSource = (sourceId, changes) => {
+        setSources((prev) =>
+            prev.map((s) => (s.source === sourceId ? { ...s, ...changes } : s))
+        );
+    };
+
     const handleFetch = async () => {
         setLoading(true);
         setMessage(null);
         setError(null);
+        setSources([]);
 
+        // Resolved by the stream's job_finished event for our job
+        const finishedJobs = new Set();
+        let waiting = null;
+        const streamFinished = (jobId) =>
+            new Promise((resolve) => {
+                if (finishedJobs.has(jobId)) resolve();
+                else waiting = { jobId, resolve };
+            });
+
+        const handleStreamEvent = (type, data) => {
+            if (unmounted.current) return;
+            switch (type) {
+                case "snapshot":
+                    if (data.job) applyJob(data.job);
+                    break;
+                case "job_started":
+                    setJobStatus("running");
+                    break;
+                case "source_started":
+                    updateSource(data.source, { status: "running" });
+                    break;
+                case "source_fetched":
+                    updateSource(data.source, {
+                        status: "fetched",
+                        fetched: data.count,
+                    });
+                    break;
+                case "source_failed":
+                    updateSource(data.source, {
+                        status: "failed",
+                        error: data.error,
+                    });
+                    break;
+                case "source_finished":
+                    updateSource(data.source, {
+                        status: "succeeded",
+                        fetched: data.fetched,
+                        created: data.created,
+                    });
+                    break;
+                case "job_finished":
+                    setJobStatus(data.status);
+                    if (FINAL_JOB_STATUSES.includes(data.status)) {
+                        finishedJobs.add(data.job_id);
+                        if (waiting?.jobId === data.job_id) waiting.resolve();
+                    }
+                    break;
+                default:
+                    break;
+            }
+        };
+
+        let done = false;
         try {
-            // trigger external fetch (simulated)
-            await triggerReviewFetch(String(productId));
-            // then get the (mock) latest reviews and notify parent
-            const reviews = await fetchProductReviews(String(productId));
-            setMessage(`Fetched ${reviews.length} reviews!`);
+            // 1. subscribe to live progress first so no event is missed
+            //    (if SSE is unavailable we fall back to polling the job)
+            let streaming = true;
+            stream.current = subscribeToReviewStream(backend, productId, {
+                onEvent: handleStreamEvent,
+            });
+            try {
+                await stream.current.ready;
+            } catch {
+                streaming = false;
+            }
+
+            // 2. queue the background refresh
+            const queued = await requestReviewRefresh(backend, productId);
+            applyJob(queued);
+
+            // 3. wait for the stream to report completion; a slow poll acts as
+            //    a safety net in case the stream drops an event
+            const job = await Promise.race([
+                streamFinished(queued.id).then(() =>
+                    fetchJob(backend, queued.id)
+                ),
+                pollJob(backend, queued.id, {
+                    intervalMs: streaming ? 10000 : 1500,
+                    onUpdate: applyJob,
+                    isCancelled: () => done || unmounted.current,
+                }),
+            ]);
+            done = true;
+            if (!job || unmounted.current) return; // unmounted while waiting
+            applyJob(job);
+
+            if (job.status === "failed") {
+                throw new Error(job.last_error || "Review refresh failed");
+            }
+
+            const created = job.sources.reduce(
+                (sum, s) => sum + (s.created || 0),
+                0
+            );
+            const fetched = job.sources.reduce(
+                (sum, s) => sum + (s.fetched || 0),
+                0
+            );
+            // New reviews are published once a moderator approves them
+            const awaiting = job.sources.reduce(
+                (sum, s) => sum + (s.awaiting_moderation || 0),
+                0
+            );
+            setMessage(
+                awaiting
+                    ? `Fetched ${fetched} reviews (${created} new, ${awaiting} awaiting moderation)`
+                    : `Fetched ${fetched} reviews (${created} new)`
+            );
+
+            // reload stored reviews and notify parent
+            const reviews = await fetchProductReviews(backend, productId);
             if (typeof onReviewsFetched === "function")
                 onReviewsFetched(reviews);
         } catch (err) {
-            setError(err?.message || "Failed to fetch reviews");
+            if (!unmounted.current)
+                setError(err?.message || "Failed to fetch reviews");
         } finally {
-            setLoading(false);
+            done = true;
+            stream.current?.close();
+            stream.current = null;
+            if (!unmounted.current) {
+                setLoading(false);
+                setJobStatus(null);
+            }
         }
     };
 
     return (
-        <div className="flex items-center gap-3">
-            <button
-                type="button"
-                onClick={handleFetch}
-                disabled={loading}
-                className={`inline-flex items-center gap-2 px-4 py-2 rounded-md font-medium text-white ${
-                    loading
-                        ? "bg-gray-400 cursor-not-allowed"
-                        : "bg-indigo-600 hover:bg-indigo-700"
-                }`}
-                aria-live="polite"
-            >
-                {loading ? (
-                    <svg
-                        className="w-4 h-4 animate-spin text-white"
-                        viewBox="0 0 24 24"
-                        fill="none"
-                        aria-hidden
-                    >
-                        <circle
-                            className="opacity-25"
-                            cx="12"
-                            cy="12"
-                            r="10"
-                            stroke="currentColor"
-                            strokeWidth="4"
-                        ></circle>
-                        <path
-                            className="opacity-75"
+        <div>
+            <div className="flex items-center gap-3">
+                <button
+                    type="button"
+                    onClick={handleFetch}
+                    disabled={loading}
+                    className={`inline-flex items-center gap-2 px-4 py-2 rounded-md font-medium text-white ${
+                        loading
+                            ? "bg-gray-400 cursor-not-allowed"
+                            : "bg-indigo-600 hover:bg-indigo-700"
+                    }`}
+                    aria-live="polite"
+                >
+                    {loading ? (
+                        <svg
+                            className="w-4 h-4 animate-spin text-white"
+                            viewBox="0 0 24 24"
+                            fill="none"
+                            aria-hidden
+                        >
+                            <circle
+                                className="opacity-25"
+                                cx="12"
+                                cy="12"
+                                r="10"
+                                stroke="currentColor"
+                                strokeWidth="4"
+                            ></circle>
+                            <path
+                                className="opacity-75"
+                                fill="currentColor"
+                                d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"
+                            ></path>
+                        </svg>
+                    ) : (
+                        <svg
+                            className="w-4 h-4"
+                            viewBox="0 0 20 20"
                             fill="currentColor"
-                            d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"
-                        ></path>
-                    </svg>
-                ) : (
-                    <svg
-                        className="w-4 h-4"
-                        viewBox="0 0 20 20"
-                        fill="currentColor"
-                        aria-hidden
-                    >
-                        <path d="M2 10a8 8 0 1016 0 8 8 0 10-16 0zm8-3v6l4-3-4-3z" />
-                    </svg>
-                )}
-                <span>{loading ? "Fetching…" : "Fetch Reviews"}</span>
-            </button>
-
-            <div className="min-w-0">
-                {message && (
-                    <div className="text-sm text-green-700 bg-green-50 px-3 py-1 rounded">
-                        {message}
-                    </div>
-                )}
-                {error && (
-                    <div className="flex items-center gap-2">
-                        <div className="text-sm text-red-700 bg-red-50 px-3 py-1 rounded">
-                            {error}
-                        </div>
-                        <button
-                            type="button"
-                            onClick={handleFetch}
-                            disabled={loading}
-                            className="text-sm text-indigo-600 hover:underline focus:outline-none"
+                            aria-hidden
                         >
-                            Retry
-                        </button>
-                    </div>
-                )}
+                            <path d="M2 10a8 8 0 1016 0 8 8 0 10-16 0zm8-3v6l4-3-4-3z" />
+                        </svg>
+                    )}
+                    <span>
+                        {loading
+                            ? JOB_STATUS_LABELS[jobStatus] || "Fetching…"
+                            : "Fetch Reviews"}
+                    </span>
+                </button>
+
+                <div className="min-w-0">
+                    {message && (
+                        <div className="text-sm text-green-700 bg-green-50 px-3 py-1 rounded">
+                            {message}
+                        </div>
+                    )}
+                    {error && (
+                        <div className="flex items-center gap-2">
+                            <div className="text-sm text-red-700 bg-red-50 px-3 py-1 rounded">
+                                {error}
+                            </div>
+                            <button
+                                type="button"
+                                onClick={handleFetch}
+                                disabled={loading}
+                                className="text-sm text-indigo-600 hover:underline focus:outline-none"
+                            >
+                                Retry
+                            </button>
+                        </div>
+                    )}
+                </div>
             </div>
+
+            {/* Live per-source progress (fed by the SSE stream) */}
+            {loading && sources.length > 0 && (
+                <ul
+                    className="mt-2 space-y-1 text-xs"
+                    aria-live="polite"
+                    aria-label="Review fetch progress by source"
+                >
+                    {sources.map((s) => (
+                        <li key={s.source} className="flex items-center gap-2">
+                            <span className="font-medium text-gray-700">
+                                {s.name || s.source}
+                            </span>
+                            <span
+                                className={
+                                    SOURCE_STATUS_STYLES[s.status] ||
+                                    "text-gray-500"
+                                }
+                            >
+                                {describeSource(s)}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
         </div>
     );
 }
 
 ReviewFetcher.propTypes = {
+    backend: PropTypes.string.isRequired,
     productId: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
         .isRequired,
     onReviewsFetched: PropTypes.func,
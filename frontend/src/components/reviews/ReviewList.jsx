@@ -1,9 +1,37 @@
-import React, { useMemo, useState, useEffect } from 'react'
+import React, { useMemo, useState, useEffect, useCallback, useRef } from 'react'
 import PropTypes from 'prop-types'
 import ReviewCard from './ReviewCard'
+import { useSources } from '../../context/SourcesContext.jsx'
+import { fetchReviewLanguages, fetchReviewPage, searchReviews } from '../../services/reviewAPI.js'
 
-const SOURCES = ['All', 'Amazon', 'BestBuy', 'Walmart']
 const RATINGS = ['All', '5', '4+', '3+', '2+', '1+']
+// Keys of REVIEW_SORTS in the backend (GET /api/reviews?sort=)
+const SORT_OPTIONS = [
+  { value: 'created_desc', label: 'Recently added' },
+  { value: 'helpful_desc', label: 'Most helpful' },
+  { value: 'review_date_desc', label: 'Newest' },
+  { value: 'review_date_asc', label: 'Oldest' },
+  { value: 'rating_desc', label: 'Highest rating' },
+  { value: 'rating_asc', label: 'Lowest rating' },
+]
+const DEFAULT_FILTERS = {
+  source: 'All',
+  rating: 'All',
+  language: 'All',
+  sort: 'created_desc',
+  verifiedOnly: false,
+  withText: false,
+  reviewer: '',
+  dateFrom: '',
+  dateTo: '',
+}
+// The backend's FULLTEXT index ignores shorter words
+const MIN_SEARCH_LENGTH = 3
+const SEARCH_DEBOUNCE_MS = 300
+const PAGE_SIZE = 20
+
+// '4+' -> 4, '5' -> 5, 'All' -> undefined
+const minRatingOf = (filter) => (filter === 'All' ? undefined : parseInt(filter[0], 10))
 
 function SkeletonCard() {
   return (
@@ -15,60 +43,332 @@ function SkeletonCard() {
   )
 }
 
-export default function ReviewList({ reviews = [], loading = false, onFilterChange = () => {} }) {
-  const [sourceFilter, setSourceFilter] = useState('All')
-  const [ratingFilter, setRatingFilter] = useState('All')
+// Pages through GET /api/reviews for the infinite scroll. `query` holds the
+// sort and filters in fetchReviewPage's shape; they are all applied by the server.
+// The server returns a `next_cursor` that marks the last review we saw, so
+// reviews ingested while the user scrolls can't shift or repeat rows the way
+// offset pages would. A new `refreshKey` (or query) starts over at page one.
+function useReviewPages(backend, query, refreshKey) {
+  const [reviews, setReviews] = useState([])
+  const [total, setTotal] = useState(0)
+  const [hasMore, setHasMore] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [error, setError] = useState(null)
+  // Cursor of the next page (cleared while it loads, so a page is never requested twice)
+  const nextCursor = useRef(null)
+  // Bumped on every reset; responses for an older query are ignored
+  const generation = useRef(0)
+
+  useEffect(() => {
+    const gen = ++generation.current
+    nextCursor.current = null
+    setLoading(true)
+    setLoadingMore(false)
+    setError(null)
+    fetchReviewPage(backend, { ...query, limit: PAGE_SIZE, total: true })
+      .then((page) => {
+        if (gen !== generation.current) return
+        nextCursor.current = page.nextCursor
+        setReviews(page.reviews)
+        setTotal(page.total || 0)
+        setHasMore(Boolean(page.nextCursor))
+      })
+      .catch((err) => {
+        if (gen !== generation.current) return
+        setReviews([])
+        setTotal(0)
+        setHasMore(false)
+        setError(err.message)
+      })
+      .finally(() => {
+        if (gen === generation.current) setLoading(false)
+      })
+  }, [backend, query, refreshKey])
+
+  const loadMore = useCallback(() => {
+    const cursor = nextCursor.current
+    if (!cursor) return
+    const gen = generation.current
+    nextCursor.current = null
+    setLoadingMore(true)
+    fetchReviewPage(backend, { ...query, limit: PAGE_SIZE, cursor })
+      .then((page) => {
+        if (gen !== generation.current) return
+        nextCursor.current = page.nextCursor
+        setReviews(prev => {
+          const seen = new Set(prev.map(r => r.id))
+          return [...prev, ...page.reviews.filter(r => !seen.has(r.id))]
+        })
+        setHasMore(Boolean(page.nextCursor))
+      })
+      .catch((err) => {
+        if (gen !== generation.current) return
+        // keep the cursor so "Load more" can retry
+        nextCursor.current = cursor
+        setError(err.message)
+      })
+      .finally(() => {
+        if (gen === generation.current) setLoadingMore(false)
+      })
+  }, [backend, query])
+
+  return { reviews, total, hasMore, loading, loadingMore, error, loadMore }
+}
+
+export default function ReviewList({ onFilterChange = () => {}, backend, productId, refreshKey = 0 }) {
+  const [filters, setFilters] = useState(DEFAULT_FILTERS)
+  const [reviewerText, setReviewerText] = useState('')
+  const [query, setQuery] = useState('')
+  // null = not searching; otherwise { reviews, total } from the search API
+  const [searchResults, setSearchResults] = useState(null)
+  const [searching, setSearching] = useState(false)
+  const [searchError, setSearchError] = useState(null)
+  const { sources } = useSources()
+  // Languages the backend detects (GET /api/reviews/languages)
+  const [languages, setLanguages] = useState([])
+  const sentinel = useRef(null)
+
+  const updateFilters = (patch) => setFilters(prev => ({ ...prev, ...patch }))
+
+  // Only what the server needs; a new object only when a filter really changed
+  const pageQuery = useMemo(() => ({
+    productId,
+    source: filters.source === 'All' ? undefined : filters.source,
+    minRating: minRatingOf(filters.rating),
+    language: filters.language === 'All' ? undefined : filters.language,
+    sort: filters.sort,
+    verifiedPurchase: filters.verifiedOnly || undefined,
+    hasText: filters.withText || undefined,
+    reviewer: filters.reviewer || undefined,
+    dateFrom: filters.dateFrom || undefined,
+    dateTo: filters.dateTo || undefined,
+  }), [productId, filters])
+  const pages = useReviewPages(backend, pageQuery, refreshKey)
+
+  useEffect(() => {
+    let cancelled = false
+    fetchReviewLanguages(backend)
+      .then((list) => { if (!cancelled) setLanguages(list) })
+      // Without the list the filter still offers All and Unknown
+      .catch(() => {})
+    return () => { cancelled = true }
+  }, [backend])
+
+  // The reviewer box reports its text after a short pause, like the search box
+  useEffect(() => {
+    const name = reviewerText.trim()
+    const timer = setTimeout(() => {
+      setFilters(prev => (prev.reviewer === name ? prev : { ...prev, reviewer: name }))
+    }, SEARCH_DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [reviewerText])
 
+  const searchQuery = query.trim()
+  const isSearching = searchQuery.length >= MIN_SEARCH_LENGTH
+
+  // Server-side full-text search, debounced so we don't query on every keystroke.
+  // Source and rating filters are sent along; results are ranked by relevance.
   useEffect(() => {
-    onFilterChange({ source: sourceFilter, rating: ratingFilter })
-  }, [sourceFilter, ratingFilter])
-
-  const filtered = useMemo(() => {
-    return reviews.filter((r) => {
-      if (sourceFilter !== 'All' && r.source !== sourceFilter) return false
-      if (ratingFilter !== 'All') {
-        if (ratingFilter.endsWith('+')) {
-          const min = parseInt(ratingFilter[0], 10)
-          if (isNaN(min) || r.rating < min) return false
-        } else {
-          // exact match like '5'
-          const val = parseInt(ratingFilter, 10)
-          if (isNaN(val) || r.rating !== val) return false
-        }
-      }
-      return true
-    })
-  }, [reviews, sourceFilter, ratingFilter])
+    if (!isSearching) {
+      setSearchResults(null)
+      setSearchError(null)
+      return
+    }
+    let cancelled = false
+    const timer = setTimeout(() => {
+      setSearching(true)
+      searchReviews(backend, {
+        q: searchQuery,
+        productId,
+        source: pageQuery.source,
+        minRating: pageQuery.minRating,
+      })
+        .then((result) => {
+          if (!cancelled) {
+            setSearchResults(result)
+            setSearchError(null)
+          }
+        })
+        .catch((err) => {
+          if (!cancelled) {
+            setSearchResults({ reviews: [], total: 0 })
+            setSearchError(err.message)
+          }
+        })
+        .finally(() => {
+          if (!cancelled) setSearching(false)
+        })
+    }, SEARCH_DEBOUNCE_MS)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [backend, productId, isSearching, searchQuery, pageQuery.source, pageQuery.minRating])
+
+  // registered sources first, plus any source that only appears in the data
+  const sourceOptions = useMemo(() => {
+    const names = new Set(sources.map(s => s.name))
+    pages.reviews.forEach(r => r.source && names.add(r.source))
+    return ['All', ...names]
+  }, [sources, pages.reviews])
+
+  useEffect(() => {
+    onFilterChange(filters)
+  }, [filters])
+
+  const shown = searchResults ? searchResults.reviews : pages.reviews
+  const { hasMore, loadMore } = pages
+  const canScroll = !searchResults
+
+  // Infinite scroll: load the next page when the marker below the list comes
+  // into view. Re-observing after each page fires again if it is still visible.
+  useEffect(() => {
+    const el = sentinel.current
+    if (!canScroll || !hasMore || !el || !('IntersectionObserver' in globalThis)) return
+    const observer = new globalThis.IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore()
+    }, { rootMargin: '200px' })
+    observer.observe(el)
+    return () => observer.disconnect()
+  }, [canScroll, hasMore, loadMore, shown.length])
+
+  const hasExtraFilters = filters.verifiedOnly || filters.withText || filters.reviewer || filters.dateFrom || filters.dateTo
 
   return (
     <div>
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
-        <div className="flex items-center gap-3">
+        <div className="flex flex-wrap items-center gap-3">
           <label className="text-sm text-gray-600">Source:</label>
           <select
-            value={sourceFilter}
-            onChange={(e) => setSourceFilter(e.target.value)}
+            value={filters.source}
+            onChange={(e) => updateFilters({ source: e.target.value })}
             className="border rounded px-2 py-1 text-sm"
             aria-label="Filter reviews by source"
           >
-            {SOURCES.map(s => <option key={s} value={s}>{s}</option>)}
+            {sourceOptions.map(s => <option key={s} value={s}>{s}</option>)}
           </select>
 
           <label className="text-sm text-gray-600 ml-4">Rating:</label>
           <select
-            value={ratingFilter}
-            onChange={(e) => setRatingFilter(e.target.value)}
+            value={filters.rating}
+            onChange={(e) => updateFilters({ rating: e.target.value })}
             className="border rounded px-2 py-1 text-sm"
             aria-label="Filter reviews by rating"
           >
-            {RATINGS.map(r => <option key={r} value={r}>{r === 'All' ? 'All' : (r.endsWith('+') ? `${r} stars` : `${r} stars`)}</option>)}
+            {RATINGS.map(r => <option key={r} value={r}>{r === 'All' ? 'All' : `${r} stars`}</option>)}
+          </select>
+
+          <label className="text-sm text-gray-600 ml-4">Language:</label>
+          <select
+            value={filters.language}
+            onChange={(e) => updateFilters({ language: e.target.value })}
+            className="border rounded px-2 py-1 text-sm"
+            aria-label="Filter reviews by language"
+          >
+            <option value="All">All</option>
+            {languages.map(l => <option key={l.code} value={l.code}>{l.name}</option>)}
+            {/* Text too short or unclear to tell */}
+            <option value="unknown">Unknown</option>
+          </select>
+
+          <label className="text-sm text-gray-600 ml-4">Sort:</label>
+          <select
+            value={filters.sort}
+            onChange={(e) => updateFilters({ sort: e.target.value })}
+            disabled={Boolean(searchResults)}
+            title={searchResults ? 'Search results are ranked by relevance' : undefined}
+            className="border rounded px-2 py-1 text-sm"
+            aria-label="Sort reviews"
+          >
+            {SORT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
           </select>
         </div>
 
-        <div className="text-sm text-gray-600">Showing {filtered.length} of {reviews.length} reviews</div>
+        <div className="text-sm text-gray-600">
+          {searchResults
+            ? `${searchResults.total} match${searchResults.total !== 1 ? 'es' : ''} for "${searchQuery}"`
+            : `Showing ${pages.reviews.length} of ${pages.total} reviews`}
+        </div>
       </div>
 
-      {loading ? (
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm text-gray-600">
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={filters.verifiedOnly}
+            onChange={(e) => updateFilters({ verifiedOnly: e.target.checked })}
+          />
+          Verified purchases
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={filters.withText}
+            onChange={(e) => updateFilters({ withText: e.target.checked })}
+          />
+          With written review
+        </label>
+        <input
+          type="search"
+          value={reviewerText}
+          onChange={(e) => setReviewerText(e.target.value)}
+          placeholder="Reviewer name"
+          className="border rounded px-2 py-1 text-sm"
+          aria-label="Filter reviews by reviewer name"
+        />
+        <label className="flex items-center gap-1">
+          From
+          <input
+            type="date"
+            value={filters.dateFrom}
+            max={filters.dateTo || undefined}
+            onChange={(e) => updateFilters({ dateFrom: e.target.value })}
+            className="border rounded px-2 py-1 text-sm"
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          To
+          <input
+            type="date"
+            value={filters.dateTo}
+            min={filters.dateFrom || undefined}
+            onChange={(e) => updateFilters({ dateTo: e.target.value })}
+            className="border rounded px-2 py-1 text-sm"
+          />
+        </label>
+        {hasExtraFilters && (
+          <button
+            type="button"
+            onClick={() => {
+              setReviewerText('')
+              updateFilters({ verifiedOnly: false, withText: false, reviewer: '', dateFrom: '', dateTo: '' })
+            }}
+            className="text-blue-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-300 rounded"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div className="mb-4">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search reviews (e.g. battery life)"
+          className="w-full border rounded px-3 py-2 text-sm"
+          aria-label="Search review text"
+        />
+        {searchError && <div role="alert" className="mt-1 text-xs text-red-600">{searchError}</div>}
+        {searchResults && (hasExtraFilters || filters.language !== 'All') && (
+          <div className="mt-1 text-xs text-gray-500">Search uses the source and rating filters only.</div>
+        )}
+      </div>
+
+      {pages.error && !searchResults && <div role="alert" className="mb-4 text-sm text-red-600">{pages.error}</div>}
+
+      {(pages.loading && !searchResults) || (searching && !searchResults) ? (
         <div className="space-y-4">
           <SkeletonCard />
           <SkeletonCard />
@@ -76,10 +376,28 @@ export default function ReviewList({ reviews = [], loading = false, onFilterChan
         </div>
       ) : (
         <div className="space-y-4">
-          {filtered.length === 0 ? (
-            <div className="p-4 bg-white rounded shadow text-sm text-gray-500">No reviews match your filters.</div>
+          {shown.length === 0 ? (
+            <div className="p-4 bg-white rounded shadow text-sm text-gray-500">
+              {searchResults ? 'No reviews match your search.' : 'No reviews match your filters.'}
+            </div>
           ) : (
-            filtered.map(r => <ReviewCard key={r.id} review={r} />)
+            shown.map(r => <ReviewCard key={r.id} review={r} highlights={r.highlights} />)
+          )}
+
+          {canScroll && hasMore && (
+            <div ref={sentinel} className="text-center">
+              {pages.loadingMore ? (
+                <SkeletonCard />
+              ) : (
+                <button
+                  type="button"
+                  onClick={loadMore}
+                  className="text-sm text-blue-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-300 rounded"
+                >
+                  Load more reviews
+                </button>
+              )}
+            </div>
           )}
         </div>
       )}
@@ -88,15 +406,13 @@ export default function ReviewList({ reviews = [], loading = false, onFilterChan
 }
 
 ReviewList.propTypes = {
-  reviews: PropTypes.arrayOf(PropTypes.shape({
-    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
-    source: PropTypes.oneOf(['Amazon', 'BestBuy', 'Walmart']).isRequired,
-    author: PropTypes.string,
-    rating: PropTypes.number,
-    title: PropTypes.string,
-    content: PropTypes.string,
-    date: PropTypes.string,
-  })),
-  loading: PropTypes.bool,
+  // Called with the current filters whenever they change
   onFilterChange: PropTypes.func,
+  // Reviews are loaded page by page from GET /api/reviews (sorted and filtered
+  // by the server); the search box queries GET /api/reviews/search
+  backend: PropTypes.string.isRequired,
+  // Only this product's reviews (all reviews when omitted)
+  productId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  // Change to reload the list from the first page (e.g. after an ingestion)
+  refreshKey: PropTypes.number,
 }
@@ -1,14 +1,74 @@
 import PropTypes from "prop-types";
+import { useSources } from "../../context/SourcesContext.jsx";
+import { isStandardScale, formatOnScale } from "../../utils/ratingScale.js";
 
 /**
  * ReviewStatistics - Displays aggregate review statistics for a product
  *
  * Shows:
  * - Overall average rating and total reviews
- * - Source breakdown (Amazon, BestBuy, Walmart)
+ * - Source breakdown (one row per review source, coloured by its registry entry)
+ *   Averages use ratings normalized to 0-5; sources with another scale also
+ *   show their average on that scale (e.g. 4.1 next to "8.2/10")
+ *   Each source also shows the average sentiment of its review text (-1 to +1),
+ *   highlighted when the text is clearly more negative or positive than its stars
  * - Rating histogram (distribution of 1-5 star ratings)
+ * - Optional score mode picker (average, Bayesian, weighted, Wilson) with a
+ *   sentence explaining how the displayed score was computed
  */
-export default function ReviewStatistics({ statistics }) {
+
+const SCORE_MODE_LABELS = {
+    average: "Average",
+    bayesian: "Bayesian",
+    weighted: "Weighted",
+    wilson: "Wilson lower bound",
+};
+
+const PRIOR_SOURCE_LABELS = {
+    category: "category",
+    global: "store-wide",
+    neutral: "neutral",
+};
+
+// A sentiment gap this large (text vs. stars, on the -1..+1 scale) is highlighted
+const SENTIMENT_GAP_NOTICE = 0.3;
+
+// "+0.42" / "-0.10"
+const formatSentiment = (value) =>
+    `${value > 0 ? "+" : ""}${Number(value).toFixed(2)}`;
+
+// Plain-language description of a score, built from the parameters the API returns
+function explainScore(score) {
+    const p = score?.parameters || {};
+    const n = p.review_count ?? 0;
+    const reviews = `${n} review${n !== 1 ? "s" : ""}`;
+    switch (score?.mode) {
+        case "bayesian":
+            return `The ${p.raw_average ?? "–"} average of ${reviews} is blended with the ${
+                PRIOR_SOURCE_LABELS[p.prior_source] || p.prior_source
+            } average of ${p.prior_mean}, as if ${
+                p.prior_weight
+            } extra reviews had that rating. Products with few reviews stay close to it.`;
+        case "weighted":
+            return `Each of the ${reviews} counts more the more helpful votes it has (${
+                p.helpful_votes_weight
+            }), ×${p.verified_multiplier} if it is a verified purchase, and half as much for every ${
+                p.recency_half_life_days
+            } days of age.`;
+        case "wilson":
+            return `Lower bound of the ${Math.round(
+                (p.confidence || 0) * 100
+            )}% confidence interval for ${reviews} (${Math.round(
+                (p.positive_share || 0) * 100
+            )}% positive). Few reviews pull this score down.`;
+        default:
+            return `Plain mean of ${reviews}.`;
+    }
+}
+
+export default function ReviewStatistics({ statistics, mode, onModeChange }) {
+    const { sourceClasses } = useSources();
+
     if (!statistics || !statistics.overall) {
         return (
             <div className="p-4 bg-gray-50 rounded-lg text-center text-gray-500">
@@ -23,6 +83,7 @@ export default function ReviewStatistics({ statistics }) {
         rating_histogram = {},
     } = statistics;
     const totalReviews = overall.total_reviews || 0;
+    const { score } = overall;
 
     // Calculate percentage for each rating in histogram
     const getPercentage = (count) => {
@@ -30,13 +91,6 @@ export default function ReviewStatistics({ statistics }) {
         return Math.round((count / totalReviews) * 100);
     };
 
-    // Source badge colors
-    const sourceColors = {
-        Amazon: "bg-orange-100 text-orange-800 border-orange-200",
-        BestBuy: "bg-blue-100 text-blue-800 border-blue-200",
-        Walmart: "bg-green-100 text-green-800 border-green-200",
-    };
-
     return (
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-6">
@@ -48,7 +102,9 @@ export default function ReviewStatistics({ statistics }) {
                 <div className="flex items-center gap-4">
                     <div className="text-center">
                         <div className="text-4xl font-bold text-emerald-600">
-                            {overall.average_rating}
+                            {score
+                                ? Number(score.value).toFixed(1)
+                                : overall.average_rating}
                         </div>
                         <div className="text-sm text-gray-500 mt-1">
                             out of 5.0
@@ -56,14 +112,54 @@ export default function ReviewStatistics({ statistics }) {
                     </div>
                     <div className="flex-1">
                         <div className="text-lg font-medium text-gray-900">
-                            Overall Average
+                            {score && score.mode !== "average"
+                                ? `${SCORE_MODE_LABELS[score.mode]} Score`
+                                : "Overall Average"}
                         </div>
                         <div className="text-sm text-gray-600 mt-1">
                             Based on {totalReviews} review
                             {totalReviews !== 1 ? "s" : ""}
+                            {score && score.mode !== "average" && (
+                                <> · plain average {overall.average_rating}</>
+                            )}
+                            {overall.excluded_suspicious > 0 && (
+                                <>
+                                    {" "}
+                                    · {overall.excluded_suspicious} suspicious
+                                    review
+                                    {overall.excluded_suspicious !== 1
+                                        ? "s"
+                                        : ""}{" "}
+                                    not counted
+                                </>
+                            )}
                         </div>
                     </div>
+                    {onModeChange && (
+                        <label className="text-sm text-gray-600">
+                            <span className="sr-only">Score mode</span>
+                            <select
+                                value={mode}
+                                onChange={(e) => onModeChange(e.target.value)}
+                                className="border rounded px-2 py-1 text-sm"
+                                aria-label="How the score is computed"
+                            >
+                                {Object.entries(SCORE_MODE_LABELS).map(
+                                    ([value, label]) => (
+                                        <option key={value} value={value}>
+                                            {label}
+                                        </option>
+                                    )
+                                )}
+                            </select>
+                        </label>
+                    )}
                 </div>
+                {score && score.mode !== "average" && (
+                    <p className="mt-3 text-xs text-gray-500">
+                        {explainScore(score)}
+                    </p>
+                )}
             </div>
 
             {/* Source Breakdown */}
@@ -77,8 +173,7 @@ export default function ReviewStatistics({ statistics }) {
                             <div
                                 key={source.source}
                                 className={`flex items-center justify-between p-3 rounded-md border ${
-                                    sourceColors[source.source] ||
-                                    "bg-gray-100 border-gray-200"
+                                    sourceClasses(source.source).panel
                                 }`}
                             >
                                 <div className="flex items-center gap-2">
@@ -90,6 +185,40 @@ export default function ReviewStatistics({ statistics }) {
                                     <span className="text-sm font-semibold">
                                         {source.average_rating}
                                     </span>
+                                    {!isStandardScale(source.rating_scale) &&
+                                        source.original_average_rating && (
+                                            <span
+                                                className="text-xs text-gray-600"
+                                                title={`Average on ${source.source}'s own scale`}
+                                            >
+                                                {formatOnScale(
+                                                    source.original_average_rating,
+                                                    source.rating_scale
+                                                )}
+                                            </span>
+                                        )}
+                                    {typeof source.average_sentiment ===
+                                        "number" && (
+                                        <span
+                                            className={`text-xs ${
+                                                source.sentiment_gap <=
+                                                -SENTIMENT_GAP_NOTICE
+                                                    ? "text-red-700 font-medium"
+                                                    : source.sentiment_gap >=
+                                                        SENTIMENT_GAP_NOTICE
+                                                      ? "text-emerald-700 font-medium"
+                                                      : "text-gray-600"
+                                            }`}
+                                            title={`Average sentiment of ${source.source} review text (-1 to +1); ${formatSentiment(
+                                                source.sentiment_gap
+                                            )} compared with its star ratings`}
+                                        >
+                                            text{" "}
+                                            {formatSentiment(
+                                                source.average_sentiment
+                                            )}
+                                        </span>
+                                    )}
                                     <span className="text-sm text-gray-600">
                                         ({source.review_count} review
                                         {source.review_count !== 1 ? "s" : ""})
@@ -146,12 +275,26 @@ ReviewStatistics.propTypes = {
         overall: PropTypes.shape({
             average_rating: PropTypes.string,
             total_reviews: PropTypes.number,
+            excluded_suspicious: PropTypes.number,
+            average_sentiment: PropTypes.number,
+            score: PropTypes.shape({
+                mode: PropTypes.string,
+                value: PropTypes.number,
+                parameters: PropTypes.object,
+            }),
         }),
         source_breakdown: PropTypes.arrayOf(
             PropTypes.shape({
                 source: PropTypes.string,
                 average_rating: PropTypes.string,
                 review_count: PropTypes.number,
+                original_average_rating: PropTypes.string,
+                average_sentiment: PropTypes.number,
+                sentiment_gap: PropTypes.number,
+                rating_scale: PropTypes.shape({
+                    min: PropTypes.number,
+                    max: PropTypes.number,
+                }),
             })
         ),
         rating_histogram: PropTypes.shape({
@@ -162,4 +305,6 @@ ReviewStatistics.propTypes = {
             1: PropTypes.number,
         }),
     }),
+    mode: PropTypes.oneOf(["average", "bayesian", "weighted", "wilson"]),
+    onModeChange: PropTypes.func,
 };
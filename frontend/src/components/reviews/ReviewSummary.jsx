@@ -0,0 +1,110 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { useSources } from "../../context/SourcesContext.jsx";
+import { fetchProductSummary } from "../../services/reviewAPI.js";
+
+/**
+ * ReviewSummary - "Review summary" block
+ *
+ * Shows:
+ * - The 3-5 sentences that best represent the product's reviews, across all
+ *   sources, each with its source and a link to the review it comes from
+ *
+ * Teaching notes:
+ * - The backend picks the sentences with TextRank (GET
+ *   /api/products/:id/summary) and quotes them word for word, so the summary
+ *   never says anything a reviewer did not.
+ * - Clicking a link calls `onShowReview`, which lets the parent load the
+ *   review if it is not in the list yet and scroll to it.
+ * - `refreshKey` lets the parent ask for a reload (e.g. after a review refresh).
+ */
+
+export default function ReviewSummary({
+    backend,
+    productId,
+    refreshKey,
+    onShowReview,
+}) {
+    const { sourceClasses } = useSources();
+    const [sentences, setSentences] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!backend || !productId) return;
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+        fetchProductSummary(backend, productId)
+            .then((data) => {
+                if (!cancelled) setSentences(data.sentences || []);
+            })
+            .catch((err) => {
+                console.error("Error fetching review summary:", err);
+                if (!cancelled) setError(err.message);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [backend, productId, refreshKey]);
+
+    // Nothing worth summarizing (e.g. only one-word reviews): no block at all
+    if (!loading && !error && sentences.length === 0) return null;
+
+    return (
+        <div className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                Review summary
+            </h3>
+
+            {loading && <p className="text-sm text-gray-500">Loading…</p>}
+            {!loading && error && (
+                <p className="text-sm text-red-700" role="alert">
+                    {error}
+                </p>
+            )}
+
+            {!loading && !error && (
+                <ul className="space-y-3">
+                    {sentences.map((sentence) => (
+                        <li key={sentence.review_id} className="text-gray-700">
+                            <p>“{sentence.text}”</p>
+                            <p className="mt-1 text-xs text-gray-500">
+                                <span
+                                    className={`mr-2 px-1.5 py-0.5 rounded ${
+                                        sourceClasses(sentence.source).badge
+                                    }`}
+                                >
+                                    {sentence.source}
+                                </span>
+                                <a
+                                    href={`#review-${sentence.review_id}`}
+                                    onClick={(e) => {
+                                        if (!onShowReview) return;
+                                        e.preventDefault();
+                                        onShowReview(sentence.review_id);
+                                    }}
+                                    className="text-blue-600 hover:underline"
+                                >
+                                    {`${sentence.reviewer_name}, ${sentence.rating}/5`}{" "}
+                                    — read the review
+                                </a>
+                            </p>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+ReviewSummary.propTypes = {
+    backend: PropTypes.string.isRequired,
+    productId: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+        .isRequired,
+    refreshKey: PropTypes.number,
+    onShowReview: PropTypes.func,
+};
@@ -0,0 +1,319 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { useSources } from "../../context/SourcesContext.jsx";
+import { fetchReviewTrends } from "../../services/reviewAPI.js";
+
+/**
+ * ReviewTrendChart - Average rating and review volume over time
+ *
+ * Shows:
+ * - Bars: number of reviews per week or month (right axis)
+ * - Line: average rating per bucket on the 0-5 scale (left axis)
+ * - One thinner line per source when all sources are shown, so a drop on a
+ *   single retailer stands out
+ *
+ * Teaching notes:
+ * - Plain SVG instead of a chart library: a viewBox lets the chart scale with
+ *   its container while we compute coordinates in fixed units.
+ * - Buckets without reviews have average_rating null; lines are split there
+ *   instead of drawing a slope across the gap.
+ * - `refreshKey` lets the parent ask for a reload (e.g. after a review refresh).
+ */
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PAD = { top: 12, right: 36, bottom: 28, left: 32 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+const formatPeriod = (period, interval) => {
+    const date = new Date(`${period}T00:00:00Z`);
+    return interval === "month"
+        ? date.toLocaleDateString(undefined, {
+              month: "short",
+              year: "numeric",
+              timeZone: "UTC",
+          })
+        : date.toLocaleDateString(undefined, {
+              month: "short",
+              day: "numeric",
+              year: "2-digit",
+              timeZone: "UTC",
+          });
+};
+
+// SVG path through the points, starting a new segment after every null value
+const linePath = (points) =>
+    points
+        .reduce(
+            (acc, p) => {
+                if (p.y === null) {
+                    acc.move = true;
+                    return acc;
+                }
+                acc.d += `${acc.move ? "M" : "L"}${p.x.toFixed(1)},${p.y.toFixed(1)} `;
+                acc.move = false;
+                return acc;
+            },
+            { d: "", move: true }
+        )
+        .d.trim();
+
+export default function ReviewTrendChart({ backend, productId, refreshKey }) {
+    const { sources, sourceClasses } = useSources();
+    const [interval, setTrendInterval] = useState("month");
+    const [source, setSource] = useState("");
+    const [trends, setTrends] = useState({ series: [], sources: [] });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!backend || !productId) return;
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+        fetchReviewTrends(backend, productId, {
+            interval,
+            source: source || undefined,
+        })
+            .then((data) => {
+                if (!cancelled) setTrends(data);
+            })
+            .catch((err) => {
+                console.error("Error fetching review trends:", err);
+                if (!cancelled) setError(err.message);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [backend, productId, interval, source, refreshKey]);
+
+    const { series } = trends;
+    const maxCount = Math.max(1, ...series.map((b) => b.review_count));
+    const step = series.length ? PLOT_W / series.length : 0;
+    const xAt = (i) => PAD.left + step * i + step / 2;
+    const yRating = (r) => PAD.top + PLOT_H - (r / 5) * PLOT_H;
+    const barHeight = (count) => (count / maxCount) * PLOT_H;
+    // Label roughly 6 buckets so the axis stays readable
+    const labelEvery = Math.max(1, Math.ceil(series.length / 6));
+
+    const overallPath = linePath(
+        series.map((b, i) => ({
+            x: xAt(i),
+            y: b.average_rating === null ? null : yRating(b.average_rating),
+        }))
+    );
+    const sourceLines =
+        !source && trends.sources.length > 1
+            ? trends.sources.map((name) => ({
+                  name,
+                  d: linePath(
+                      series.map((b, i) => ({
+                          x: xAt(i),
+                          y: b.sources[name]
+                              ? yRating(b.sources[name].average_rating)
+                              : null,
+                      }))
+                  ),
+              }))
+            : [];
+
+    return (
+        <div className="bg-white rounded-lg shadow-md p-6">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">
+                    Rating Trend
+                </h3>
+                <div className="flex gap-2 text-sm">
+                    <select
+                        value={interval}
+                        onChange={(e) => setTrendInterval(e.target.value)}
+                        className="border rounded px-2 py-1"
+                        aria-label="Group reviews by"
+                    >
+                        <option value="week">Weekly</option>
+                        <option value="month">Monthly</option>
+                    </select>
+                    <select
+                        value={source}
+                        onChange={(e) => setSource(e.target.value)}
+                        className="border rounded px-2 py-1"
+                        aria-label="Filter trend by source"
+                    >
+                        <option value="">All sources</option>
+                        {sources.map((s) => (
+                            <option key={s.id} value={s.name}>
+                                {s.name}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            {loading && (
+                <div className="py-8 text-center text-gray-500">
+                    Loading trend…
+                </div>
+            )}
+            {!loading && error && (
+                <div className="py-8 text-center text-red-600">{error}</div>
+            )}
+            {!loading && !error && series.length === 0 && (
+                <div className="py-8 text-center text-gray-500">
+                    No dated reviews to chart yet.
+                </div>
+            )}
+
+            {!loading && !error && series.length > 0 && (
+                <>
+                    <svg
+                        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                        className="w-full h-auto"
+                        role="img"
+                        aria-label={`Average rating and review count per ${interval}`}
+                    >
+                        {/* Rating gridlines (left axis) */}
+                        {[0, 1, 2, 3, 4, 5].map((r) => (
+                            <g key={r}>
+                                <line
+                                    x1={PAD.left}
+                                    x2={WIDTH - PAD.right}
+                                    y1={yRating(r)}
+                                    y2={yRating(r)}
+                                    className="stroke-gray-100"
+                                />
+                                <text
+                                    x={PAD.left - 8}
+                                    y={yRating(r) + 4}
+                                    textAnchor="end"
+                                    className="fill-gray-500 text-[10px]"
+                                >
+                                    {r}
+                                </text>
+                            </g>
+                        ))}
+                        <text
+                            x={WIDTH - PAD.right + 8}
+                            y={PAD.top + 4}
+                            className="fill-gray-400 text-[10px]"
+                        >
+                            {maxCount}
+                        </text>
+
+                        {/* Review volume */}
+                        {series.map((b, i) => (
+                            <rect
+                                key={b.period_start}
+                                x={xAt(i) - step * 0.35}
+                                y={PAD.top + PLOT_H - barHeight(b.review_count)}
+                                width={step * 0.7}
+                                height={barHeight(b.review_count)}
+                                className="fill-gray-200"
+                            >
+                                <title>
+                                    {`${formatPeriod(b.period_start, interval)}: ${
+                                        b.review_count
+                                    } review${b.review_count !== 1 ? "s" : ""}${
+                                        b.average_rating !== null
+                                            ? `, average ${b.average_rating}`
+                                            : ""
+                                    }`}
+                                </title>
+                            </rect>
+                        ))}
+
+                        {/* Per-source averages */}
+                        {sourceLines.map((line) => (
+                            <path
+                                key={line.name}
+                                d={line.d}
+                                fill="none"
+                                strokeWidth="1.5"
+                                strokeDasharray="4 3"
+                                className={sourceClasses(line.name).stroke}
+                            />
+                        ))}
+
+                        {/* Overall average */}
+                        <path
+                            d={overallPath}
+                            fill="none"
+                            strokeWidth="2.5"
+                            className="stroke-emerald-600"
+                        />
+                        {series.map(
+                            (b, i) =>
+                                b.average_rating !== null && (
+                                    <circle
+                                        key={b.period_start}
+                                        cx={xAt(i)}
+                                        cy={yRating(b.average_rating)}
+                                        r="3"
+                                        className="fill-emerald-600"
+                                    />
+                                )
+                        )}
+
+                        {/* Time axis */}
+                        {series.map(
+                            (b, i) =>
+                                i % labelEvery === 0 && (
+                                    <text
+                                        key={b.period_start}
+                                        x={xAt(i)}
+                                        y={HEIGHT - 8}
+                                        textAnchor="middle"
+                                        className="fill-gray-500 text-[10px]"
+                                    >
+                                        {formatPeriod(b.period_start, interval)}
+                                    </text>
+                                )
+                        )}
+                    </svg>
+
+                    <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+                        <span className="flex items-center gap-1">
+                            <span className="inline-block w-4 h-0.5 bg-emerald-600" />
+                            Average rating
+                        </span>
+                        <span className="flex items-center gap-1">
+                            <span className="inline-block w-3 h-3 bg-gray-200" />
+                            Reviews
+                        </span>
+                        {sourceLines.map((line) => (
+                            <span
+                                key={line.name}
+                                className="flex items-center gap-1"
+                            >
+                                <svg width="16" height="4" aria-hidden="true">
+                                    <line
+                                        x1="0"
+                                        x2="16"
+                                        y1="2"
+                                        y2="2"
+                                        strokeWidth="2"
+                                        strokeDasharray="4 3"
+                                        className={
+                                            sourceClasses(line.name).stroke
+                                        }
+                                    />
+                                </svg>
+                                {line.name}
+                            </span>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+ReviewTrendChart.propTypes = {
+    backend: PropTypes.string.isRequired,
+    productId: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+        .isRequired,
+    refreshKey: PropTypes.number,
+};
@@ -0,0 +1,112 @@
+import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+
+// ---------------------------------------------------------------------------
+// SourcesContext — registered review sources (student notes)
+// ---------------------------------------------------------------------------
+// Purpose:
+// - Fetches GET /api/sources once and shares the list with every component
+//   that shows source filters or badges (ReviewList, ReviewCard, ...)
+//
+// Teaching points:
+// - Context avoids threading a `sources` prop through every level of the tree.
+// - Tailwind only ships classes it can find as full strings in the source, so
+//   `bg-${color}-100` would not work. The backend sends a colour *name* and we
+//   look up complete class strings in SOURCE_COLOR_CLASSES instead
+//   (`stroke` is for SVG charts such as ReviewTrendChart).
+// ---------------------------------------------------------------------------
+
+const SOURCE_COLOR_CLASSES = {
+    orange: {
+        badge: "bg-orange-100 text-orange-800",
+        panel: "bg-orange-100 text-orange-800 border-orange-200",
+        stroke: "stroke-orange-500",
+    },
+    blue: {
+        badge: "bg-blue-100 text-blue-800",
+        panel: "bg-blue-100 text-blue-800 border-blue-200",
+        stroke: "stroke-blue-500",
+    },
+    green: {
+        badge: "bg-green-100 text-green-800",
+        panel: "bg-green-100 text-green-800 border-green-200",
+        stroke: "stroke-green-500",
+    },
+    red: {
+        badge: "bg-red-100 text-red-800",
+        panel: "bg-red-100 text-red-800 border-red-200",
+        stroke: "stroke-red-500",
+    },
+    yellow: {
+        badge: "bg-yellow-100 text-yellow-800",
+        panel: "bg-yellow-100 text-yellow-800 border-yellow-200",
+        stroke: "stroke-yellow-500",
+    },
+    purple: {
+        badge: "bg-purple-100 text-purple-800",
+        panel: "bg-purple-100 text-purple-800 border-purple-200",
+        stroke: "stroke-purple-500",
+    },
+    gray: {
+        badge: "bg-gray-100 text-gray-800",
+        panel: "bg-gray-100 border-gray-200",
+        stroke: "stroke-gray-500",
+    },
+};
+
+const SourcesContext = createContext({ sources: [], loading: false });
+
+export function SourcesProvider({ backend, children }) {
+    const [sources, setSources] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetch(`${backend}/api/sources`)
+            .then((r) => (r.ok ? r.json() : []))
+            .then((list) => {
+                if (!cancelled) setSources(Array.isArray(list) ? list : []);
+            })
+            .catch((err) => {
+                console.error("Fetch review sources failed", err);
+                if (!cancelled) setSources([]);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [backend]);
+
+    const value = useMemo(() => ({ sources, loading }), [sources, loading]);
+
+    return (
+        <SourcesContext.Provider value={value}>
+            {children}
+        </SourcesContext.Provider>
+    );
+}
+
+SourcesProvider.propTypes = {
+    backend: PropTypes.string.isRequired,
+    children: PropTypes.node,
+};
+
+/**
+ * Registered review sources plus helpers for styling them
+ * Works without a provider too (empty list, gray badges).
+ * @returns {{sources: Array, loading: boolean, sourceClasses: Function}}
+ *   `sourceClasses(name)` returns `{ badge, panel, stroke }` Tailwind classes
+ */
+export function useSources() {
+    const { sources, loading } = useContext(SourcesContext);
+
+    return useMemo(() => {
+        const byName = new Map(sources.map((s) => [s.name, s]));
+        const sourceClasses = (name) =>
+            SOURCE_COLOR_CLASSES[byName.get(name)?.color] ||
+            SOURCE_COLOR_CLASSES.gray;
+        return { sources, loading, sourceClasses };
+    }, [sources, loading]);
+}
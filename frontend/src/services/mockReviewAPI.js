@@ -92,23 +92,6 @@ export const fetchProductReviews = async (productId) => {
   return mockReviews.filter(review => review.productId === productId);
 };
 
-/**
- * Simulates fetching new reviews from external sources
- * @param {string} productId - The ID of the product
- * @returns {Promise<Object>} Object containing status and message
- * @throws {Error} If the network request fails
- */
-export const triggerReviewFetch = async (productId) => {
-  await simulateDelay(1000, 3000);
-  simulateError();
-  
-  return {
-    status: "success",
-    message: "Review fetch initiated for product " + productId,
-    estimatedTime: "5-10 minutes"
-  };
-};
-
 /**
  * Calculates and returns aggregate statistics for product reviews
  * @param {string} productId - The ID of the product
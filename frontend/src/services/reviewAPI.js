@@ -0,0 +1,433 @@
+/**
+ * API functions for product reviews backed by the real backend
+ * (mockReviewAPI.js has simulated versions for working without a backend)
+ */
+
+const JOB_FINAL_STATUSES = ["succeeded", "failed"];
+
+/**
+ * Builds an Error from a failed response, using the backend's message if any
+ * @param {Response} res - Fetch response with a non-2xx status
+ * @returns {Promise<Error>}
+ */
+const toError = async (res) => {
+  try {
+    const body = await res.json();
+    const message = body?.error?.message || body?.message;
+    if (message) return new Error(message);
+  } catch {
+    // Body was not JSON; fall through to the generic message
+  }
+  return new Error(`Request failed with status ${res.status}`);
+};
+
+/**
+ * Fetches stored reviews for a product
+ * @param {string} backend - Backend base URL
+ * @param {string|number} productId - The ID of the product
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Maximum number of reviews
+ * @returns {Promise<Array>} Array of review rows
+ * @throws {Error} If the request fails
+ */
+export const fetchProductReviews = async (
+  backend,
+  productId,
+  { limit = 20 } = {}
+) => {
+  const params = new globalThis.URLSearchParams({
+    product_id: String(productId),
+    limit: String(limit),
+  });
+  const res = await fetch(`${backend}/api/reviews?${params.toString()}`);
+  if (!res.ok) throw await toError(res);
+  const body = await res.json();
+  return body.data || [];
+};
+
+/**
+ * Fetches one page of stored reviews, newest first (cursor pagination)
+ * @param {string} backend - Backend base URL
+ * @param {Object} options
+ * @param {string|number} [options.productId] - Only this product
+ * @param {string} [options.source] - Only this source (id or display name)
+ * @param {number} [options.minRating] - Minimum rating (0-5)
+ * @param {string} [options.language] - Only reviews in this language ("en", "es"...) or "unknown"
+ * @param {string} [options.sort] - Backend sort key, e.g. "helpful_desc" (default newest added first)
+ * @param {boolean} [options.verifiedPurchase] - Only verified (true) or unverified (false) purchases
+ * @param {boolean} [options.hasText] - Only reviews with (true) or without (false) written content
+ * @param {string} [options.reviewer] - Reviewer name contains this text
+ * @param {string} [options.dateFrom] - Earliest review date ("YYYY-MM-DD")
+ * @param {string} [options.dateTo] - Latest review date ("YYYY-MM-DD")
+ * @param {number} [options.limit=20] - Page size
+ * @param {string} [options.cursor] - nextCursor / prevCursor from a previous page (same sort)
+ * @param {boolean} [options.total=false] - Also count all matching reviews
+ * @returns {Promise<{reviews: Array, nextCursor: string|null, prevCursor: string|null, total: number|undefined}>}
+ *   nextCursor continues with the next page (null at the end); prevCursor
+ *   fetches the reviews before this page
+ * @throws {Error} If the request fails
+ */
+export const fetchReviewPage = async (
+  backend,
+  {
+    productId,
+    source,
+    minRating,
+    language,
+    sort,
+    verifiedPurchase,
+    hasText,
+    reviewer,
+    dateFrom,
+    dateTo,
+    limit = 20,
+    cursor,
+    total = false,
+  } = {}
+) => {
+  const params = new globalThis.URLSearchParams({ limit: String(limit) });
+  if (productId) params.set("product_id", String(productId));
+  if (source) params.set("source", source);
+  if (minRating) params.set("min_rating", String(minRating));
+  if (language) params.set("language", language);
+  if (sort) params.set("sort", sort);
+  if (verifiedPurchase !== undefined)
+    params.set("verified_purchase", String(verifiedPurchase));
+  if (hasText !== undefined) params.set("has_text", String(hasText));
+  if (reviewer) params.set("reviewer", reviewer);
+  if (dateFrom) params.set("date_from", dateFrom);
+  if (dateTo) params.set("date_to", dateTo);
+  if (cursor) params.set("cursor", cursor);
+  if (total) params.set("total", "true");
+  const res = await fetch(`${backend}/api/reviews?${params.toString()}`);
+  if (!res.ok) throw await toError(res);
+  const body = await res.json();
+  return {
+    reviews: body.data || [],
+    nextCursor: body.meta?.next_cursor ?? null,
+    prevCursor: body.meta?.prev_cursor ?? null,
+    total: body.meta?.total,
+  };
+};
+
+/**
+ * Full-text search over review titles and content, best matches first
+ * @param {string} backend - Backend base URL
+ * @param {Object} options
+ * @param {string} options.q - Search words (at least one of 3+ characters)
+ * @param {string|number} [options.productId] - Only this product
+ * @param {string} [options.source] - Only this source (id or display name)
+ * @param {number} [options.minRating] - Minimum rating (0-5)
+ * @param {number} [options.limit=20] - Maximum number of results
+ * @returns {Promise<{reviews: Array, total: number}>} Matching reviews, each with
+ *   `relevance` and `highlights` ({ title, content } arrays of { text, match })
+ * @throws {Error} If the request fails (including an unsearchable query)
+ */
+export const searchReviews = async (
+  backend,
+  { q, productId, source, minRating, limit = 20 }
+) => {
+  const params = new globalThis.URLSearchParams({ q, limit: String(limit) });
+  if (productId) params.set("product_id", String(productId));
+  if (source) params.set("source", source);
+  if (minRating) params.set("min_rating", String(minRating));
+  const res = await fetch(`${backend}/api/reviews/search?${params.toString()}`);
+  if (!res.ok) throw await toError(res);
+  const body = await res.json();
+  return { reviews: body.data || [], total: body.meta?.total || 0 };
+};
+
+/**
+ * Fetches the languages the backend can detect (values of the `language` filter)
+ * @param {string} backend - Backend base URL
+ * @returns {Promise<Array<{code: string, name: string}>>} e.g. { code: "en", name: "English" }
+ * @throws {Error} If the request fails
+ */
+export const fetchReviewLanguages = async (backend) => {
+  const res = await fetch(`${backend}/api/reviews/languages`);
+  if (!res.ok) throw await toError(res);
+  const body = await res.json();
+  return body.data || [];
+};
+
+/**
+ * Fetches review count and average rating per week or month for a product
+ * @param {string} backend - Backend base URL
+ * @param {string|number} productId - The ID of the product
+ * @param {Object} [options]
+ * @param {"week"|"month"} [options.interval="month"] - Bucket size
+ * @param {string} [options.source] - Only this source (id or display name)
+ * @returns {Promise<{series: Array, sources: string[]}>} Buckets oldest first
+ *   ({ period_start, review_count, average_rating, sources }) and the sources present
+ * @throws {Error} If the request fails
+ */
+export const fetchReviewTrends = async (
+  backend,
+  productId,
+  { interval = "month", source } = {}
+) => {
+  const params = new globalThis.URLSearchParams({ interval });
+  if (source) params.set("source", source);
+  const res = await fetch(
+    `${backend}/api/reviews/trends/${productId}?${params.toString()}`
+  );
+  if (!res.ok) throw await toError(res);
+  const body = await res.json();
+  return { series: body.data || [], sources: body.meta?.sources || [] };
+};
+
+/**
+ * Fetches the stored review statistics of a product
+ * @param {string} backend - Backend base URL
+ * @param {string|number} productId - The ID of the product
+ * @returns {Promise<{overall: Object, source_breakdown: Array, rating_histogram: Object}>}
+ *   Totals and averages of approved reviews, one entry per source
+ *   ({ source, average_rating, review_count... }) and reviews per star (1-5)
+ * @throws {Error} If the request fails
+ */
+export const fetchReviewAggregate = async (backend, productId) => {
+  const res = await fetch(`${backend}/api/reviews/aggregate/${productId}`);
+  if (!res.ok) throw await toError(res);
+  const body = await res.json();
+  return body.data;
+};
+
+/**
+ * Fetches what reviewers say about a product: its top pros and cons
+ * @param {string} backend - Backend base URL
+ * @param {string|number} productId - The ID of the product
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Pros and cons to return (each)
+ * @returns {Promise<{review_count: number, pros: Array, cons: Array}>} Aspects
+ *   ({ aspect, reviews, mentions, positive, negative, quotes }) most mentioned first
+ * @throws {Error} If the request fails
+ */
+export const fetchProductAspects = async (
+  backend,
+  productId,
+  { limit = 5 } = {}
+) => {
+  const res = await fetch(
+    `${backend}/api/products/${productId}/aspects?limit=${limit}`
+  );
+  if (!res.ok) throw await toError(res);
+  return res.json();
+};
+
+/**
+ * Fetches the summary of a product's reviews: their most representative sentences
+ * @param {string} backend - Backend base URL
+ * @param {string|number} productId - The ID of the product
+ * @returns {Promise<{review_count: number, sentences: Array, generated_at: string, cached: boolean}>}
+ *   Sentences best first ({ text, review_id, source, reviewer_name, rating, score })
+ * @throws {Error} If the request fails
+ */
+export const fetchProductSummary = async (backend, productId) => {
+  const res = await fetch(`${backend}/api/products/${productId}/summary`);
+  if (!res.ok) throw await toError(res);
+  return res.json();
+};
+
+/**
+ * Fetches a single review
+ * @param {string} backend - Backend base URL
+ * @param {string|number} reviewId - The ID of the review
+ * @returns {Promise<Object>} The review row
+ * @throws {Error} If the request fails
+ */
+export const fetchReview = async (backend, reviewId) => {
+  const res = await fetch(`${backend}/api/reviews/${reviewId}`);
+  if (!res.ok) throw await toError(res);
+  const body = await res.json();
+  return body.data;
+};
+
+/**
+ * Queues a background refresh of a product's reviews from all sources
+ * @param {string} backend - Backend base URL
+ * @param {string|number} productId - The ID of the product
+ * @returns {Promise<Object>} The queued (or already pending) job
+ * @throws {Error} If the request fails
+ */
+export const requestReviewRefresh = async (backend, productId) => {
+  const res = await fetch(`${backend}/api/products/${productId}/refresh`, {
+    method: "POST",
+  });
+  if (!res.ok) throw await toError(res);
+  return res.json();
+};
+
+/**
+ * Fetches the current state of a background job
+ * @param {string} backend - Backend base URL
+ * @param {string|number} jobId - The ID of the job
+ * @returns {Promise<Object>} Job object ({ id, status, attempts, sources, ... })
+ * @throws {Error} If the request fails
+ */
+export const fetchJob = async (backend, jobId) => {
+  const res = await fetch(`${backend}/api/jobs/${jobId}`, {
+    cache: "no-store",
+  });
+  if (!res.ok) throw await toError(res);
+  return res.json();
+};
+
+/**
+ * Polls a job until it succeeds or fails
+ * @param {string} backend - Backend base URL
+ * @param {string|number} jobId - The ID of the job
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=1500] - Delay between polls
+ * @param {Function} [options.onUpdate] - Called with each fetched job
+ * @param {Function} [options.isCancelled] - Return true to stop polling early
+ * @returns {Promise<Object|null>} Final job, or null if cancelled
+ */
+export const pollJob = async (
+  backend,
+  jobId,
+  { intervalMs = 1500, onUpdate, isCancelled = () => false } = {}
+) => {
+  while (!isCancelled()) {
+    const job = await fetchJob(backend, jobId);
+    if (isCancelled()) return null;
+    onUpdate?.(job);
+    if (JOB_FINAL_STATUSES.includes(job.status)) return job;
+    await new Promise((resolve) => globalThis.setTimeout(resolve, intervalMs));
+  }
+  return null;
+};
+
+// Event names sent by GET /api/products/:id/reviews/stream
+export const REVIEW_STREAM_EVENTS = [
+  "snapshot",
+  "job_started",
+  "source_started",
+  "source_fetched",
+  "source_failed",
+  "source_finished",
+  "job_finished",
+];
+
+/**
+ * Opens the Server-Sent Events stream of review ingestion progress for a product
+ * @param {string} backend - Backend base URL
+ * @param {string|number} productId - The ID of the product
+ * @param {Object} options
+ * @param {Function} options.onEvent - Called with (type, data) for every event
+ * @returns {{ready: Promise<Object>, close: Function}} `ready` resolves with the
+ *   initial snapshot once the stream is connected, or rejects if it cannot connect
+ */
+export const subscribeToReviewStream = (backend, productId, { onEvent }) => {
+  const source = new globalThis.EventSource(
+    `${backend}/api/products/${productId}/reviews/stream`
+  );
+  let connected = false;
+
+  const ready = new Promise((resolve, reject) => {
+    REVIEW_STREAM_EVENTS.forEach((type) => {
+      source.addEventListener(type, (e) => {
+        const data = JSON.parse(e.data);
+        if (type === "snapshot" && !connected) {
+          connected = true;
+          resolve(data);
+        }
+        onEvent(type, data);
+      });
+    });
+    source.onerror = () => {
+      // Before the first snapshot an error means "stream unavailable";
+      // afterwards EventSource reconnects on its own.
+      if (!connected) {
+        source.close();
+        reject(new Error("Review progress stream unavailable"));
+      }
+    };
+  });
+
+  return { ready, close: () => source.close() };
+};
+
+/**
+ * Fetches one page of the moderation queue, oldest first
+ * @param {string} backend - Backend base URL
+ * @param {Object} [options]
+ * @param {string} [options.status="pending"] - Moderation status to list
+ * @param {string|number} [options.productId] - Only this product
+ * @param {number} [options.limit=20] - Page size
+ * @param {string} [options.cursor] - nextCursor from a previous page
+ * @returns {Promise<{reviews: Array, nextCursor: string|null, statusCounts: Object}>}
+ *   statusCounts has the number of reviews per status ({ pending, approved, ... })
+ * @throws {Error} If the request fails
+ */
+export const fetchModerationQueue = async (
+  backend,
+  { status = "pending", productId, limit = 20, cursor } = {}
+) => {
+  const params = new globalThis.URLSearchParams({
+    status,
+    limit: String(limit),
+  });
+  if (productId) params.set("product_id", String(productId));
+  if (cursor) params.set("cursor", cursor);
+  const res = await fetch(
+    `${backend}/api/moderation/queue?${params.toString()}`,
+    { cache: "no-store" }
+  );
+  if (!res.ok) throw await toError(res);
+  const body = await res.json();
+  return {
+    reviews: body.data || [],
+    nextCursor: body.meta?.next_cursor ?? null,
+    statusCounts: body.meta?.status_counts || {},
+  };
+};
+
+/**
+ * Fetches the moderation reason codes
+ * @param {string} backend - Backend base URL
+ * @returns {Promise<{reasons: Array, reasonRequired: string[]}>} Reasons
+ *   ({ code, label }) and the actions that need one
+ * @throws {Error} If the request fails
+ */
+export const fetchModerationReasons = async (backend) => {
+  const res = await fetch(`${backend}/api/moderation/reasons`);
+  if (!res.ok) throw await toError(res);
+  const body = await res.json();
+  return {
+    reasons: body.data || [],
+    reasonRequired: body.meta?.reason_required || [],
+  };
+};
+
+/**
+ * Approves, rejects, flags or requeues reviews
+ * @param {string} backend - Backend base URL
+ * @param {"approve"|"reject"|"flag"|"requeue"} action - Moderation action
+ * @param {Array<number>} reviewIds - Reviews to moderate
+ * @param {Object} options
+ * @param {string} options.moderatedBy - Moderator name
+ * @param {string} [options.reason] - Reason code (required to reject or flag)
+ * @param {string} [options.note] - Free-text note
+ * @returns {Promise<{status: string, updated: number[], unchanged: number[]}>}
+ * @throws {Error} If the request fails
+ */
+export const moderateReviews = async (
+  backend,
+  action,
+  reviewIds,
+  { moderatedBy, reason, note }
+) => {
+  const res = await fetch(`${backend}/api/moderation/${action}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      review_ids: reviewIds,
+      moderated_by: moderatedBy,
+      reason: reason || null,
+      note: note || null,
+    }),
+  });
+  if (!res.ok) throw await toError(res);
+  const body = await res.json();
+  return body.data;
+};
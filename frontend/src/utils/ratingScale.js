@@ -0,0 +1,55 @@
+/**
+ * Helpers for showing ratings on a source's own scale
+ * The backend stores every rating normalized to 0-5 (`rating`) and keeps the
+ * source's value in `original_rating` with `rating_scale_min` / `rating_scale_max`.
+ */
+
+const trim = (n) => String(Number(Number(n).toFixed(1)));
+
+/**
+ * Whether a scale is the standard 1-5 stars (no need to show the original)
+ * @param {{min: number, max: number}|null} scale
+ * @returns {boolean}
+ */
+export const isStandardScale = (scale) =>
+  !scale || (Number(scale.min) === 1 && Number(scale.max) === 5);
+
+/**
+ * Formats a value on its original scale, e.g. "8/10", "80%" or "Thumbs up"
+ * @param {number} value - Rating on the source's scale
+ * @param {{min: number, max: number}} scale - The source's rating scale
+ * @returns {string}
+ */
+export const formatOnScale = (value, scale) => {
+  const min = Number(scale.min);
+  const max = Number(scale.max);
+  if (min === 0 && max === 1) {
+    if (Number(value) === 1) return "Thumbs up";
+    if (Number(value) === 0) return "Thumbs down";
+    return `${Math.round(Number(value) * 100)}% positive`;
+  }
+  if (min === 0 && max === 100) return `${trim(value)}%`;
+  return `${trim(value)}/${trim(max)}`;
+};
+
+/**
+ * Label for a review's original rating, or null for standard 1-5 star reviews
+ * @param {Object} review - Review row from the API
+ * @returns {string|null}
+ */
+export const originalRatingLabel = (review) => {
+  const scale = {
+    min: review?.rating_scale_min,
+    max: review?.rating_scale_max,
+  };
+  if (
+    scale.min === undefined ||
+    scale.max === undefined ||
+    review.original_rating === undefined ||
+    review.original_rating === null ||
+    isStandardScale(scale)
+  ) {
+    return null;
+  }
+  return formatOnScale(review.original_rating, scale);
+};
@@ -7,6 +7,7 @@
 const express = require('express');
 const cors = require('cors');
 const reviewData = require('./mockReviews');
+const sources = require('./sources');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -38,7 +39,7 @@ app.get('/health', (req, res) => {
  * Fetch reviews for a specific product from all sources
  * 
  * Query params:
- * - source: Filter by specific source (amazon, bestbuy, walmart)
+ * - source: Filter by specific source id (see GET /api/scrape/sources)
  * - delay: Simulate network delay in ms (default: 500)
  */
 app.get('/api/scrape/reviews/:productId', async (req, res) => {
@@ -92,28 +93,7 @@ app.get('/api/scrape/reviews/:productId', async (req, res) => {
  * List available review sources
  */
 app.get('/api/scrape/sources', (req, res) => {
-  res.json({
-    sources: [
-      {
-        name: 'Amazon',
-        id: 'amazon',
-        description: 'Amazon product reviews',
-        active: true
-      },
-      {
-        name: 'BestBuy',
-        id: 'bestbuy',
-        description: 'Best Buy customer reviews',
-        active: true
-      },
-      {
-        name: 'Walmart',
-        id: 'walmart',
-        description: 'Walmart product ratings',
-        active: true
-      }
-    ]
-  });
+  res.json({ sources });
 });
 
 /**
@@ -0,0 +1,31 @@
+/**
+ * Scraper Source Adapters
+ * One entry per retailer this (mock) scraper can pull reviews from.
+ * `id` must match the keys in mockReviews.js and the backend's source
+ * adapter ids (backend/src/sources), which is how the two services agree.
+ *
+ * To add a retailer: add an entry here and its reviews in mockReviews.js.
+ */
+
+const sources = [
+  {
+    name: 'Amazon',
+    id: 'amazon',
+    description: 'Amazon product reviews',
+    active: true
+  },
+  {
+    name: 'BestBuy',
+    id: 'bestbuy',
+    description: 'Best Buy customer reviews',
+    active: true
+  },
+  {
+    name: 'Walmart',
+    id: 'walmart',
+    description: 'Walmart product ratings',
+    active: true
+  }
+];
+
+module.exports = sources;